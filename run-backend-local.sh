@@ -22,6 +22,7 @@ CONTAINER_NAME="medicitas-backend"
 PORT_MAPPING="3001:3000"
 MONGODB_URI="mongodb://localhost:27017/medicitas"
 JWT_SECRET="local-development-jwt-secret"
+JWT_REFRESH_SECRET="local-development-jwt-refresh-secret"
 NODE_ENV="development"
 
 # Construir la imagen Docker
@@ -71,6 +72,7 @@ docker run --name ${CONTAINER_NAME} \
     -d -p ${PORT_MAPPING} \
     -e MONGODB_URI="${MONGODB_URI}" \
     -e JWT_SECRET="${JWT_SECRET}" \
+    -e JWT_REFRESH_SECRET="${JWT_REFRESH_SECRET}" \
     -e NODE_ENV="${NODE_ENV}" \
     -e PORT="3000" \
     ${DOCKER_USERNAME}/${IMAGE_NAME}:${IMAGE_TAG}
@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+
+/**
+ * @file migrate-accounts.js
+ * @description Migra los usuarios (colección users) y los médicos (colección doctors) a la colección
+ * única de cuentas (accounts), en la que cada documento lleva su perfil (profileType) y su rol.
+ *
+ * - Conserva los IDs, de modo que las citas, recetas, notificaciones y demás registros que hacen
+ *   referencia a usuarios y médicos siguen siendo válidos, así como los tokens ya emitidos.
+ * - Copia los documentos tal como están (las contraseñas ya tienen hash) y omite los que ya se migraron,
+ *   por lo que puede ejecutarse varias veces.
+ * - Si un mismo correo pertenece a varias cuentas, no migra nada y muestra los conflictos para que se
+ *   resuelvan manualmente (por ejemplo, cambiando el correo de una de ellas) antes de volver a ejecutarlo.
+ * - No modifica ni elimina las colecciones users y doctors; pueden eliminarse una vez comprobada la migración.
+ *
+ * Uso: node scripts/migrate-accounts.js [--dry-run]
+ *   --dry-run  Solo muestra lo que se migraría y los conflictos encontrados
+ *
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const config = require('../src/config/config');
+const { logger } = require('../src/utils/logger');
+const Account = require('../src/models/account.model');
+const User = require('../src/models/user.model');
+const Doctor = require('../src/models/doctor.model');
+
+/**
+ * @constant {Array<Object>} LEGACY_COLLECTIONS - Colecciones de origen y cómo convertir sus documentos en cuentas
+ */
+const LEGACY_COLLECTIONS = [
+  {
+    name: 'users',
+    toAccount: (doc) => ({ ...doc, profileType: 'user', role: doc.role || 'patient' })
+  },
+  {
+    name: 'doctors',
+    toAccount: (doc) => ({ ...doc, profileType: 'doctor', role: 'doctor' })
+  }
+];
+
+/**
+ * @function normalizeEmail
+ * @description Normaliza un correo electrónico tal como lo guarda el modelo de cuentas
+ *
+ * @param {String} email - Correo electrónico
+ * @returns {String} Correo en minúsculas y sin espacios alrededor
+ * @private
+ */
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * @function findEmailConflicts
+ * @description Busca correos que pertenecen a más de una cuenta, entre las cuentas a migrar y las ya existentes
+ *
+ * @param {Array<Object>} accounts - Cuentas a migrar
+ * @param {Array<Object>} existing - Cuentas ya presentes en la colección accounts (_id y email)
+ * @returns {Array<Object>} Conflictos: correo e IDs de las cuentas que lo comparten
+ * @private
+ */
+const findEmailConflicts = (accounts, existing) => {
+  const idsByEmail = new Map();
+  [...existing, ...accounts].forEach(account => {
+    const email = normalizeEmail(account.email);
+    const ids = idsByEmail.get(email) || new Set();
+    ids.add(account._id.toString());
+    idsByEmail.set(email, ids);
+  });
+
+  return [...idsByEmail.entries()]
+    .filter(([, ids]) => ids.size > 1)
+    .map(([email, ids]) => ({ email, accountIds: [...ids] }));
+};
+
+/**
+ * @function migrateAccounts
+ * @description Ejecuta la migración
+ *
+ * @param {Object} options - Opciones
+ * @param {boolean} options.dryRun - Si es true, no escribe en la base de datos
+ * @returns {Promise<boolean>} true si la migración se completó (o podría completarse, en modo de prueba)
+ */
+const migrateAccounts = async ({ dryRun }) => {
+  const db = mongoose.connection.db;
+
+  // Leer las cuentas de las colecciones anteriores
+  const accounts = [];
+  for (const { name, toAccount } of LEGACY_COLLECTIONS) {
+    const docs = await db.collection(name).find().toArray();
+    logger.info(`Documentos encontrados en ${name}: ${docs.length}`);
+    docs.forEach(doc => accounts.push(toAccount({ ...doc, email: normalizeEmail(doc.email) })));
+  }
+
+  const existing = await Account.collection.find({}, { projection: { email: 1 } }).toArray();
+  const migratedIds = new Set(existing.map(account => account._id.toString()));
+  const pending = accounts.filter(account => !migratedIds.has(account._id.toString()));
+  logger.info(`Cuentas ya migradas: ${accounts.length - pending.length}; pendientes: ${pending.length}`);
+
+  // El correo debe ser único en todas las cuentas: los conflictos se resuelven manualmente
+  const conflicts = findEmailConflicts(accounts, existing);
+  if (conflicts.length > 0) {
+    conflicts.forEach(conflict => logger.error('Correo compartido por varias cuentas', conflict));
+    logger.error(`Migración cancelada: ${conflicts.length} correos pertenecen a más de una cuenta`);
+    return false;
+  }
+
+  if (dryRun || pending.length === 0) {
+    return true;
+  }
+
+  // Crear los índices de la colección de cuentas (correo único, licencia única) antes de copiar
+  await Promise.all([Account.init(), User.init(), Doctor.init()]);
+
+  // Insertar solo las cuentas que no existan, para que la migración pueda repetirse sin duplicados
+  const result = await Account.collection.bulkWrite(pending.map(({ _id, ...fields }) => ({
+    updateOne: {
+      filter: { _id },
+      update: { $setOnInsert: fields },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  logger.info(`Cuentas migradas: ${result.upsertedCount}`);
+  return true;
+};
+
+/**
+ * @description Punto de entrada: conecta con la base de datos configurada, migra y termina
+ */
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  mongoose.connect(config.mongodb.uri)
+    .then(() => migrateAccounts({ dryRun }))
+    .then(completed => {
+      if (dryRun && completed) {
+        logger.info('Modo de prueba: no se realizaron cambios');
+      }
+      process.exitCode = completed ? 0 : 1;
+    })
+    .catch(error => {
+      logger.error('Error al migrar las cuentas', { error: error.message });
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
+
+module.exports = { migrateAccounts };
@@ -14,7 +14,9 @@ const swaggerJsDoc = require('swagger-jsdoc'); // Generador de documentación Sw
 const config = require('./config/config'); // Configuraciones de la aplicación
 const { limiter, sanitizeInput, securityHeaders, validateMongoId } = require('./middlewares/security.middleware'); // Middlewares de seguridad
 const { headerSizeLimit } = require('./middlewares/header-size.middleware'); // Middleware para limitar tamaño de headers
-const { logger, requestLogger, handleUncaughtErrors } = require('./utils/logger'); // Utilidades de logging
+const { requestTimezone } = require('./middlewares/timezone.middleware'); // Middleware para la zona horaria del cliente
+const { logger, requestLogger, maskAccessToken, handleUncaughtErrors } = require('./utils/logger'); // Utilidades de logging
+const { auditContext, auditAccess } = require('./utils/audit'); // Registro de auditoría de accesos y modificaciones
 
 // Inicializar el manejador global de errores no capturados para evitar caídas del servidor
 handleUncaughtErrors();
@@ -27,9 +29,20 @@ const simpleAuthController = require('./controllers/simple-auth.controller'); //
 const appointmentRoutes = require('./routes/appointment.routes'); // Rutas para gestión de citas
 const userRoutes = require('./routes/user.routes'); // Rutas para gestión de usuarios
 const doctorRoutes = require('./routes/doctor.routes'); // Rutas para gestión de médicos
+const holidayRoutes = require('./routes/holiday.routes'); // Rutas para el calendario de festivos de la clínica
+const waitlistRoutes = require('./routes/waitlist.routes'); // Rutas para la lista de espera de los médicos
+const jobRoutes = require('./routes/job.routes'); // Rutas de administración de los trabajos programados
+const noShowPolicyRoutes = require('./routes/no-show-policy.routes'); // Rutas de la política de inasistencias
+const auditRoutes = require('./routes/audit.routes'); // Rutas de consulta del registro de auditoría
 
 // Importar la función para inicializar el scheduler que actualiza automáticamente el estado de las citas
 const { initAppointmentStatusScheduler } = require('./controllers/appointment.controller');
+const { initWaitlistScheduler } = require('./controllers/waitlist.controller');
+const { initReminderScheduler } = require('./controllers/reminder.controller');
+const { initNotificationScheduler } = require('./controllers/notification.controller');
+const { initNoShowScheduler } = require('./controllers/no-show.controller');
+const { startJobScheduler } = require('./utils/job-scheduler');
+const { initRealtime } = require('./utils/realtime');
 
 // Inicializar la aplicación Express
 const app = express();
@@ -95,7 +108,7 @@ const swaggerDocs = swaggerJsDoc(swaggerOptions);
 app.use(cors({
   origin: '*', // Permitir solicitudes de cualquier origen (en producción, se recomienda especificar dominios concretos)
   methods: ['GET', 'POST', 'PUT', 'DELETE'], // Métodos HTTP permitidos
-  allowedHeaders: ['Content-Type', 'Authorization', 'cache-control'], // Cabeceras permitidas en solicitudes
+  allowedHeaders: ['Content-Type', 'Authorization', 'cache-control', 'X-Timezone'], // Cabeceras permitidas en solicitudes
   exposedHeaders: ['Content-Length', 'X-Request-ID'], // Cabeceras expuestas en respuestas
   credentials: false, // Desactivar envío de cookies en solicitudes CORS (evita problemas con tokens grandes)
   maxAge: 86400, // Tiempo de caché de respuestas preflight en segundos (24 horas)
@@ -112,11 +125,14 @@ app.use(express.urlencoded({ extended: false, limit: '1mb' })); // Límite para
 
 // Middlewares de logging y seguridad
 app.use(requestLogger); // Registra todas las solicitudes con información detallada
+app.use(auditContext); // Atribuye al usuario de la solicitud las modificaciones registradas en la auditoría
+morgan.token('url', req => maskAccessToken(req.originalUrl || req.url)); // No registrar el token de las conexiones de eventos
 app.use(morgan('dev')); // Logger HTTP para desarrollo con formato compacto y colorido
 app.use(securityHeaders); // Añade cabeceras de seguridad (X-XSS-Protection, Content-Security-Policy, etc.)
 app.use(limiter); // Limita la tasa de solicitudes para prevenir ataques de fuerza bruta
 app.use(sanitizeInput); // Sanitiza entrada para prevenir inyecciones y XSS
 app.use(validateMongoId); // Valida IDs de MongoDB en parámetros para evitar errores
+app.use(requestTimezone); // Determina la zona horaria del cliente para aceptar y devolver fechas de citas
 
 /**
  * Configuración de rutas de la API
@@ -161,7 +177,7 @@ app.use('/api/users/current', (req, res, next) => {
     return res.status(200) // Respuesta exitosa para preflight
       .header('Access-Control-Allow-Origin', '*') // Permitir cualquier origen
       .header('Access-Control-Allow-Methods', 'GET, OPTIONS') // Métodos permitidos
-      .header('Access-Control-Allow-Headers', 'Authorization, Content-Type, cache-control') // Cabeceras permitidas
+      .header('Access-Control-Allow-Headers', 'Authorization, Content-Type, cache-control, X-Timezone') // Cabeceras permitidas
       .header('Access-Control-Expose-Headers', 'Content-Length, X-Request-ID') // Cabeceras expuestas al cliente
       .send();
   }
@@ -196,7 +212,7 @@ app.use('/api/appointments/archived', (req, res, next) => {
     return res.status(200) // Respuesta exitosa para preflight
       .header('Access-Control-Allow-Origin', '*') // Permitir cualquier origen
       .header('Access-Control-Allow-Methods', 'GET, OPTIONS') // Métodos permitidos
-      .header('Access-Control-Allow-Headers', 'Authorization, Content-Type, cache-control') // Incluye cache-control
+      .header('Access-Control-Allow-Headers', 'Authorization, Content-Type, cache-control, X-Timezone') // Incluye cache-control
       .header('Access-Control-Expose-Headers', 'Content-Length, X-Request-ID') // Cabeceras expuestas
       .send();
   }
@@ -210,9 +226,14 @@ app.use('/api/appointments/archived', (req, res, next) => {
  * - Cada módulo agrupa funcionalidades relacionadas
  * - Todos los endpoints estarán prefijados con /api/
  */
-app.use('/api/appointments', appointmentRoutes); // Rutas para gestión de citas
-app.use('/api/users', userRoutes); // Rutas para gestión de usuarios
-app.use('/api/doctors', doctorRoutes); // Rutas para gestión de médicos
+app.use('/api/appointments', auditAccess('appointment'), appointmentRoutes); // Rutas para gestión de citas
+app.use('/api/users', auditAccess('user'), userRoutes); // Rutas para gestión de usuarios
+app.use('/api/doctors', auditAccess('doctor'), doctorRoutes); // Rutas para gestión de médicos
+app.use('/api/holidays', holidayRoutes); // Rutas para el calendario de festivos
+app.use('/api/waitlist', waitlistRoutes); // Rutas para la lista de espera
+app.use('/api/admin/jobs', jobRoutes); // Rutas de administración de trabajos programados
+app.use('/api/admin/no-show-policy', noShowPolicyRoutes); // Rutas de la política de inasistencias
+app.use('/api/admin/audit', auditAccess('audit-log'), auditRoutes); // Rutas del registro de auditoría
 
 /**
  * Endpoint para verificación de salud del servicio
@@ -266,10 +287,31 @@ mongoose.connect(config.mongodb.uri, {
     database: config.mongodb.uri.split('/').pop() // Nombre de la base de datos (extraído de la URI)
   });
   
-  // Iniciar el programador de actualización automática de estados de citas
-  // Solo se inicia cuando la conexión a la BD está establecida para garantizar su funcionamiento
+  // Sincronizar los índices de citas: reemplaza el índice único anterior sobre {doctor, date, time}
+  // por el que solo considera citas activas, para que los horarios cancelados puedan reservarse de nuevo
+  mongoose.model('Appointment').syncIndexes()
+    .then(() => logger.info('Índices de citas sincronizados'))
+    .catch(error => logger.error('Error al sincronizar índices de citas', { error: error.message }));
+
+  // Definir los trabajos periódicos:
+  // - Actualización diaria de los estados de las citas pasadas
+  // - Revisión de las reservas temporales vencidas de la lista de espera
+  // - Envío de recordatorios de citas confirmadas
+  // - Reintento de las notificaciones de citas no entregadas
+  // - Detección de inasistencias
   initAppointmentStatusScheduler();
-  logger.info('Inicializado el programador de actualización de estados de citas');
+  initWaitlistScheduler();
+  initReminderScheduler();
+  initNotificationScheduler();
+  initNoShowScheduler();
+
+  // Iniciar el programador de trabajos
+  // Solo se inicia cuando la conexión a la BD está establecida, ya que los trabajos y sus bloqueos se guardan en ella
+  startJobScheduler();
+  logger.info('Inicializado el programador de trabajos');
+
+  // Iniciar la recepción de los eventos en tiempo real publicados por todas las réplicas
+  initRealtime();
 })
 .catch(err => {
   // Registrar error de conexión para diagnóstico
@@ -45,7 +45,101 @@ module.exports = {
   // Configuración de JWT
   jwt: {
     secret: process.env.JWT_SECRET,
-    expiresIn: '24h'
+    expiresIn: '24h',
+    // Los tokens de refresco se firman con una clave propia para que no puedan usarse como tokens de acceso
+    refreshSecret: process.env.JWT_REFRESH_SECRET,
+    // Duración de los tokens de refresco; cada renovación emite uno nuevo con la misma duración
+    refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d'
+  },
+  
+  // Configuración de la clínica
+  clinic: {
+    // Zona horaria IANA por defecto para médicos sin zona horaria propia
+    timezone: process.env.CLINIC_TIMEZONE || 'UTC'
+  },
+  
+  // Configuración de la lista de espera
+  waitlist: {
+    // Minutos que se retiene un horario liberado para el paciente al que se ofrece
+    holdMinutes: parseInt(process.env.WAITLIST_HOLD_MINUTES) || 30
+  },
+  
+  // Configuración de las inasistencias
+  noShow: {
+    // Minutos tras el inicio de una cita confirmada sin registro de llegada tras los que se marca como no tomada
+    // (valor inicial de la política de inasistencias, modificable por los administradores)
+    graceMinutes: parseInt(process.env.NO_SHOW_GRACE_MINUTES) || 15
+  },
+  
+  // Configuración de los recordatorios de citas
+  reminders: {
+    // Antelaciones de envío antes de cada cita confirmada (ej. "24h,2h" o "30m")
+    offsets: process.env.REMINDER_OFFSETS || '24h,2h',
+    // Canales por los que se envía cada recordatorio: email, sms, log
+    channels: process.env.REMINDER_CHANNELS || 'log',
+    // Expresión cron con la que se revisan los recordatorios pendientes
+    cron: process.env.REMINDER_CRON || '* * * * *'
+  },
+  
+  // Configuración de los canales de notificación
+  notifications: {
+    // Remitente de los correos electrónicos
+    from: process.env.NOTIFICATIONS_FROM || 'Citas Médicas <no-reply@citas-medicas.local>',
+    // Archivo donde el canal local escribe las notificaciones (si no se indica, se registran en el log)
+    logFile: process.env.NOTIFICATIONS_LOG_FILE || null,
+    // Canales por los que se envían las notificaciones de citas: email, sms, log
+    channels: process.env.NOTIFICATION_CHANNELS || 'log',
+    // Intentos de envío de una notificación antes de darla por fallida
+    maxAttempts: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 3
+  },
+  
+  // Configuración del servidor SMTP para el canal de correo electrónico
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS
+  },
+  
+  // Configuración del proveedor de SMS
+  sms: {
+    // Adaptador del proveedor: http (API REST genérica)
+    provider: process.env.SMS_PROVIDER || 'http',
+    apiUrl: process.env.SMS_API_URL,
+    apiKey: process.env.SMS_API_KEY,
+    from: process.env.SMS_FROM
+  },
+  
+  // Configuración de los eventos en tiempo real
+  realtime: {
+    // Adaptador de reparto de eventos entre réplicas: memory (una réplica) o mongodb (varias réplicas)
+    adapter: process.env.REALTIME_ADAPTER || 'memory',
+    // Intervalo de los comentarios que mantienen abiertas las conexiones SSE inactivas
+    heartbeatMs: parseInt(process.env.REALTIME_HEARTBEAT_MS) || 25000
+  },
+  
+  // Configuración de los documentos adjuntos a las citas
+  documents: {
+    // Almacenamiento de los archivos: local (disco) o s3 (servicio compatible con S3)
+    storage: process.env.DOCUMENT_STORAGE || 'local',
+    // Directorio del almacenamiento local
+    localDir: process.env.DOCUMENT_LOCAL_DIR || 'uploads/documents',
+    // Tamaño máximo de cada archivo en megabytes
+    maxSizeMb: parseInt(process.env.DOCUMENT_MAX_SIZE_MB) || 10,
+    // Tipos MIME admitidos, separados por comas
+    allowedTypes: process.env.DOCUMENT_ALLOWED_TYPES || 'application/pdf,image/jpeg,image/png'
+  },
+  
+  // Configuración del almacenamiento compatible con S3
+  s3: {
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || 'us-east-1',
+    // Endpoint de servicios compatibles (MinIO, etc.); vacío para AWS S3
+    endpoint: process.env.S3_ENDPOINT,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
   },
   
   // Configuración de Rate Limiting
@@ -0,0 +1,504 @@
+/**
+ * @file appointment-series.controller.js
+ * @description Controlador para las series de citas recurrentes.
+ * Permite crear series semanales o quincenales (por ejemplo, "todos los martes a las 10:00
+ * durante 8 semanas") y cancelar o reprogramar una ocurrencia, esa ocurrencia y las siguientes,
+ * o la serie completa. Cada ocurrencia se valida individualmente con las reglas de agenda del médico
+ * (Appointment.checkAvailability) y las respuestas informan qué fechas no pudieron procesarse.
+ * Cada ocurrencia agendada, cancelada o reprogramada se notifica al paciente y al médico como una cita individual.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const dayjs = require('dayjs');
+const mongoose = require('mongoose');
+const customParseFormat = require('dayjs/plugin/customParseFormat');
+const Appointment = require('../models/appointment.model');
+const AppointmentSeries = require('../models/appointment-series.model');
+const Doctor = require('../models/doctor.model');
+const User = require('../models/user.model');
+const { logger } = require('../utils/logger');
+const { normalizeDate, timeRegex } = require('../utils/schedule');
+const { resolveWallClock, todayInTimezone, getClinicTimezone } = require('../utils/timezone');
+const { can, getUserRole, appointmentParticipants } = require('../utils/permissions');
+const { offerFreedSlot } = require('./waitlist.controller');
+const { evaluateBookingPolicy } = require('./no-show.controller');
+const { notifyAppointmentEvent } = require('./notification.controller');
+
+// Habilitar el análisis estricto de formatos de fecha
+dayjs.extend(customParseFormat);
+
+/**
+ * @constant {Array<String>} SERIES_SCOPES - Alcances de las operaciones sobre una serie:
+ * solo la ocurrencia indicada, esa ocurrencia y las siguientes, o la serie completa
+ */
+const SERIES_SCOPES = ['this', 'following', 'all'];
+
+/**
+ * @function findScopedOccurrences
+ * @description Obtiene las citas activas (pendientes o confirmadas) de una serie afectadas por una operación
+ *
+ * @param {Object} appointment - Ocurrencia sobre la que se solicita la operación
+ * @param {String} scope - Alcance de la operación ('this', 'following' o 'all')
+ * @returns {Promise<Array<Object>>} Citas afectadas, ordenadas por su posición en la serie
+ * @private
+ */
+const findScopedOccurrences = async (appointment, scope) => {
+  if (scope === 'this') {
+    return [appointment];
+  }
+
+  const query = {
+    series: appointment.series,
+    status: { $in: ['pending', 'confirmed'] }
+  };
+  if (scope === 'following') {
+    query.seriesIndex = { $gte: appointment.seriesIndex };
+  }
+
+  return Appointment.find(query).sort({ seriesIndex: 1 });
+};
+
+/**
+ * @function loadSeriesOccurrence
+ * @description Obtiene la cita indicada en la ruta y verifica que pertenezca a una serie,
+ * que el usuario tenga el permiso solicitado sobre ella y que el alcance solicitado sea válido.
+ * Si alguna verificación falla, envía la respuesta de error correspondiente.
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {String} permission - Permiso requerido (por ejemplo, 'appointment:cancel')
+ * @returns {Promise<Object|null>} La cita, o null si ya se respondió con un error
+ * @private
+ */
+const loadSeriesOccurrence = async (req, res, permission) => {
+  const { scope = 'this' } = req.body;
+  if (!SERIES_SCOPES.includes(scope)) {
+    res.status(400).json({ message: `El alcance debe ser uno de: ${SERIES_SCOPES.join(', ')}` });
+    return null;
+  }
+
+  const appointment = await Appointment.findById(req.params.id);
+  if (!appointment) {
+    res.status(404).json({ message: 'Cita no encontrada' });
+    return null;
+  }
+
+  if (!appointment.series) {
+    res.status(400).json({ message: 'La cita no pertenece a una serie' });
+    return null;
+  }
+
+  if (!can(req.user, permission, appointmentParticipants(appointment))) {
+    res.status(403).json({ message: 'No autorizado para modificar esta serie' });
+    return null;
+  }
+
+  return appointment;
+};
+
+/**
+ * @function createSeries
+ * @description Crea una serie de citas recurrentes.
+ * Cada ocurrencia se agenda como una cita independiente y se valida con checkAvailability;
+ * las fechas que no cumplen las reglas de agenda del médico se informan en `failed`
+ * sin impedir que se agenden las demás.
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.body - Datos de la serie
+ * @param {string} req.body.doctorId - ID del médico
+ * @param {string} req.body.startDate - Fecha de la primera cita (YYYY-MM-DD)
+ * @param {string} req.body.time - Hora de las citas (HH:MM)
+ * @param {string} [req.body.frequency='weekly'] - Frecuencia ('weekly' o 'biweekly')
+ * @param {number} [req.body.occurrences] - Número de citas de la serie
+ * @param {string} [req.body.endDate] - Última fecha de la serie (alternativa a occurrences)
+ * @param {string} req.body.reason - Motivo de las citas
+ * @param {string} [req.body.patientId] - ID del paciente (requerido si la crea un médico o un administrador)
+ * @param {string|null} req.timezone - Zona horaria de quien agenda; si se indica, startDate y time se interpretan en ella
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON con la serie, las citas agendadas y las fechas fallidas
+ */
+const createSeries = async (req, res) => {
+  try {
+    const { doctorId, frequency = 'weekly', occurrences, endDate, reason, patientId } = req.body;
+    let { startDate, time } = req.body;
+
+    if (!doctorId || !startDate || !time || !reason || (!occurrences && !endDate)) {
+      return res.status(400).json({
+        message: 'Faltan campos requeridos',
+        details: {
+          doctorId: !doctorId ? 'El ID del médico es requerido' : null,
+          startDate: !startDate ? 'La fecha de inicio es requerida' : null,
+          time: !time ? 'La hora es requerida' : null,
+          reason: !reason ? 'El motivo es requerido' : null,
+          occurrences: !occurrences && !endDate ? 'Indique el número de citas o la fecha final' : null
+        }
+      });
+    }
+
+    // Los pacientes agendan sus propias series; médicos y administradores deben indicar el paciente
+    const isPatientBooking = getUserRole(req.user) === 'patient';
+    if (!isPatientBooking && !patientId) {
+      return res.status(400).json({ message: 'Debe seleccionar un paciente para la cita' });
+    }
+    const seriesPatientId = isPatientBooking ? req.user._id : patientId;
+
+    // Verificar permisos (appointment:create) como al agendar una cita: el propietario es el paciente
+    // si agenda él mismo y, si no, el médico, de modo que un médico solo agenda series en su propia agenda
+    if (!can(req.user, 'appointment:create', isPatientBooking ? seriesPatientId : doctorId)) {
+      return res.status(403).json({ message: 'Los médicos solo pueden agendar citas para sí mismos' });
+    }
+
+    // El paciente indicado por médicos y administradores debe ser una cuenta de paciente existente
+    if (!isPatientBooking) {
+      if (!mongoose.Types.ObjectId.isValid(seriesPatientId)) {
+        return res.status(400).json({ message: 'ID de paciente inválido' });
+      }
+      if (!await User.exists({ _id: seriesPatientId, role: 'patient' })) {
+        return res.status(404).json({ message: 'Paciente no encontrado' });
+      }
+    }
+
+    // Política de inasistencias para las series que agenda el propio paciente
+    const bookingPolicy = isPatientBooking ? await evaluateBookingPolicy(req.user._id) : null;
+    if (bookingPolicy && bookingPolicy.blocked) {
+      return res.status(403).json({
+        message: 'No puede agendar citas por acumular inasistencias. Solicite la cita a su médico'
+      });
+    }
+
+    if (!dayjs(startDate, 'YYYY-MM-DD', true).isValid() || !timeRegex.test(time)) {
+      return res.status(400).json({ message: 'Formato de fecha u hora inválido. Use YYYY-MM-DD y HH:mm' });
+    }
+
+    if (endDate && !dayjs(endDate, 'YYYY-MM-DD', true).isValid()) {
+      return res.status(400).json({ message: 'Formato de fecha final inválido. Use YYYY-MM-DD' });
+    }
+
+    const doctor = await Doctor.findById(doctorId);
+    if (!doctor) {
+      return res.status(404).json({ message: 'Médico no encontrado' });
+    }
+
+    // La serie se expresa en la zona horaria de la agenda del médico
+    const doctorTimezone = doctor.getScheduleSettings().timezone;
+    ({ date: startDate, time } = resolveWallClock({ date: startDate, time }, req.timezone, doctorTimezone));
+
+    const series = new AppointmentSeries({
+      patient: seriesPatientId,
+      doctor: doctorId,
+      frequency,
+      startDate,
+      time,
+      occurrences: occurrences
+        ? Number(occurrences)
+        : AppointmentSeries.countOccurrencesUntil(startDate, endDate, frequency),
+      timezone: doctorTimezone,
+      reason
+    });
+    await series.save();
+
+    // Agendar cada ocurrencia; el guardado valida la disponibilidad con checkAvailability
+    const created = [];
+    const failed = [];
+    const dates = series.getOccurrenceDates();
+    for (const [index, date] of dates.entries()) {
+      const appointment = new Appointment({
+        patient: series.patient,
+        doctor: series.doctor,
+        date,
+        time: series.time,
+        reason: series.reason,
+        series: series._id,
+        seriesIndex: index,
+        status: bookingPolicy && bookingPolicy.autoConfirm ? 'confirmed' : 'pending'
+      });
+      appointment.$locals.actor = req.user;
+
+      try {
+        await appointment.save();
+        created.push(appointment);
+      } catch (occurrenceError) {
+        failed.push({ date, time: series.time, reason: occurrenceError.message });
+      }
+    }
+
+    if (created.length === 0) {
+      await AppointmentSeries.deleteOne({ _id: series._id });
+      return res.status(400).json({
+        message: 'No se pudo agendar ninguna cita de la serie',
+        failed
+      });
+    }
+
+    logger.info('Serie de citas creada', {
+      seriesId: series._id,
+      userId: req.user._id,
+      doctorId,
+      created: created.length,
+      failed: failed.length
+    });
+
+    // Notificar al paciente y al médico cada cita agendada sin demorar la respuesta
+    for (const appointment of created) {
+      notifyAppointmentEvent(appointment.status === 'confirmed' ? 'confirmed' : 'booked', appointment);
+    }
+
+    res.status(201).json({
+      message: failed.length
+        ? 'Serie agendada parcialmente: algunas fechas no están disponibles'
+        : 'Serie agendada exitosamente',
+      series,
+      appointments: created.map(appointment => appointment.toLocalObject(req.timezone)),
+      failed
+    });
+  } catch (error) {
+    logger.error('Error al crear serie de citas', {
+      error: error.message,
+      userId: req.user._id
+    });
+    res.status(error.name === 'ValidationError' || error.name === 'CastError' ? 400 : 500).json({
+      message: 'Error al crear la serie de citas',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @function getSeries
+ * @description Obtiene una serie de citas recurrentes con todas sus ocurrencias.
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.params - Parámetros de ruta
+ * @param {string} req.params.seriesId - ID de la serie
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON con la serie y sus citas
+ */
+const getSeries = async (req, res) => {
+  try {
+    const series = await AppointmentSeries.findById(req.params.seriesId);
+    if (!series) {
+      return res.status(404).json({ message: 'Serie no encontrada' });
+    }
+
+    if (!can(req.user, 'appointment:read', appointmentParticipants(series))) {
+      return res.status(403).json({ message: 'No autorizado para ver esta serie' });
+    }
+
+    const appointments = await Appointment.find({ series: series._id }).sort({ seriesIndex: 1 });
+
+    res.json({
+      series,
+      appointments: appointments.map(appointment => appointment.toLocalObject(req.timezone))
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener la serie', error: error.message });
+  }
+};
+
+/**
+ * @function cancelSeriesOccurrences
+ * @description Cancela una ocurrencia de una serie, esa ocurrencia y las siguientes, o la serie completa.
+ * Igual que al cancelar una cita individual, los pacientes no pueden cancelar citas del día actual
+ * o pasadas; esas ocurrencias se informan en `failed`.
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.params - Parámetros de ruta
+ * @param {string} req.params.id - ID de la ocurrencia de referencia
+ * @param {Object} req.body - Datos de la operación
+ * @param {string} [req.body.scope='this'] - Alcance ('this', 'following' o 'all')
+ * @param {string} [req.body.reason] - Motivo de la cancelación, incluido en las notificaciones
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON con las citas canceladas y las que no pudieron cancelarse
+ */
+const cancelSeriesOccurrences = async (req, res) => {
+  try {
+    const appointment = await loadSeriesOccurrence(req, res, 'appointment:cancel');
+    if (!appointment) {
+      return;
+    }
+
+    const { scope = 'this' } = req.body;
+    const canCancelLate = can(req.user, 'appointment:cancel-late', appointmentParticipants(appointment));
+    const occurrences = await findScopedOccurrences(appointment, scope);
+
+    const cancelled = [];
+    const failed = [];
+    for (const occurrence of occurrences) {
+      const date = normalizeDate(occurrence.date);
+
+      if (occurrence.status !== 'pending' && occurrence.status !== 'confirmed') {
+        failed.push({ appointmentId: occurrence._id, date, reason: 'La cita no está activa' });
+        continue;
+      }
+
+      const today = todayInTimezone(occurrence.timezone || getClinicTimezone());
+      if (!canCancelLate && date <= today) {
+        failed.push({
+          appointmentId: occurrence._id,
+          date,
+          reason: 'Las citas del día actual o pasadas solo pueden ser canceladas por el médico'
+        });
+        continue;
+      }
+
+      occurrence.transitionTo('cancelled', { actor: req.user, reason: req.body.reason });
+      await occurrence.save();
+      cancelled.push(occurrence);
+      notifyAppointmentEvent('cancelled', occurrence, { reason: req.body.reason });
+      await offerFreedSlot(occurrence);
+    }
+
+    if (scope === 'all') {
+      await AppointmentSeries.updateOne({ _id: appointment.series }, { status: 'cancelled' });
+    }
+
+    logger.info('Citas de serie canceladas', {
+      seriesId: appointment.series,
+      userId: req.user._id,
+      scope,
+      cancelled: cancelled.length,
+      failed: failed.length
+    });
+
+    res.json({
+      message: 'Citas de la serie canceladas',
+      cancelled: cancelled.map(occurrence => occurrence.toLocalObject(req.timezone)),
+      failed
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error al cancelar las citas de la serie',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @function rescheduleSeriesOccurrences
+ * @description Reprograma una ocurrencia de una serie, esa ocurrencia y las siguientes, o la serie completa.
+ * La nueva fecha y hora se indican para la ocurrencia de referencia; el resto de ocurrencias
+ * afectadas se desplazan el mismo número de días y pasan a la nueva hora. Cada ocurrencia se valida
+ * con checkAvailability y las que no están disponibles se informan en `failed` sin modificarse.
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.params - Parámetros de ruta
+ * @param {string} req.params.id - ID de la ocurrencia de referencia
+ * @param {Object} req.body - Datos de la operación
+ * @param {string} [req.body.scope='this'] - Alcance ('this', 'following' o 'all')
+ * @param {string} [req.body.date] - Nueva fecha de la ocurrencia de referencia (YYYY-MM-DD)
+ * @param {string} [req.body.time] - Nueva hora (HH:MM)
+ * @param {string} [req.body.startsAt] - Nuevo instante de inicio (alternativa a date y time)
+ * @param {string|null} req.timezone - Zona horaria de quien reprograma; si se indica, date y time se interpretan en ella
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON con las citas reprogramadas y las que no pudieron reprogramarse
+ */
+const rescheduleSeriesOccurrences = async (req, res) => {
+  try {
+    const { scope = 'this', date, time, startsAt } = req.body;
+    if (!date && !time && !startsAt) {
+      return res.status(400).json({ message: 'Debe indicar la nueva fecha u hora' });
+    }
+
+    const appointment = await loadSeriesOccurrence(req, res, 'appointment:update');
+    if (!appointment) {
+      return;
+    }
+
+    if (appointment.status !== 'pending' && appointment.status !== 'confirmed') {
+      return res.status(400).json({ message: 'Solo se pueden reprogramar citas pendientes o confirmadas' });
+    }
+
+    // Expresar la nueva fecha y hora de la ocurrencia de referencia en la zona horaria de la cita
+    const appointmentTimezone = appointment.timezone || getClinicTimezone();
+    const target = resolveWallClock({ date, time, startsAt }, req.timezone, appointmentTimezone, appointment.getStartsAt());
+    if (!target) {
+      return res.status(400).json({ message: 'Formato de fecha u hora inválido' });
+    }
+
+    const currentDate = normalizeDate(appointment.date);
+    const newDate = target.date ? normalizeDate(target.date) : currentDate;
+    const newTime = target.time || appointment.time;
+    if (!dayjs(newDate, 'YYYY-MM-DD', true).isValid() || !timeRegex.test(newTime)) {
+      return res.status(400).json({ message: 'Formato de fecha u hora inválido' });
+    }
+    const dayShift = dayjs(newDate).diff(dayjs(currentDate), 'day');
+
+    // Al adelantar la serie se procesan primero las últimas ocurrencias (y al retrasarla, las primeras),
+    // para que una ocurrencia no choque con otra de la misma serie que todavía no se ha movido
+    const occurrences = await findScopedOccurrences(appointment, scope);
+    if (dayShift > 0) {
+      occurrences.reverse();
+    }
+
+    const rescheduled = [];
+    const failed = [];
+    const freedSlots = [];
+    for (const occurrence of occurrences) {
+      const previous = { date: occurrence.date, time: occurrence.time };
+      const date = dayjs(normalizeDate(occurrence.date)).add(dayShift, 'day').format('YYYY-MM-DD');
+
+      occurrence.date = date;
+      occurrence.time = newTime;
+      try {
+        await occurrence.save();
+        rescheduled.push(occurrence);
+        freedSlots.push({ doctor: occurrence.doctor, ...previous });
+        if (normalizeDate(previous.date) !== date || previous.time !== newTime) {
+          notifyAppointmentEvent('rescheduled', occurrence, { previousDate: previous.date, previousTime: previous.time });
+        }
+      } catch (occurrenceError) {
+        occurrence.date = previous.date;
+        occurrence.time = previous.time;
+        failed.push({ appointmentId: occurrence._id, date, time: newTime, reason: occurrenceError.message });
+      }
+    }
+
+    // Los horarios liberados se ofrecen a la lista de espera una vez movidas todas las ocurrencias,
+    // para no retener un horario que otra ocurrencia de la serie va a ocupar
+    for (const slot of freedSlots) {
+      await offerFreedSlot(slot);
+    }
+
+    // Al reprogramar la serie completa se actualiza también su definición
+    if (scope === 'all') {
+      const series = await AppointmentSeries.findById(appointment.series);
+      if (series) {
+        series.startDate = dayjs(normalizeDate(series.startDate)).add(dayShift, 'day').format('YYYY-MM-DD');
+        series.time = newTime;
+        await series.save();
+      }
+    }
+
+    logger.info('Citas de serie reprogramadas', {
+      seriesId: appointment.series,
+      userId: req.user._id,
+      scope,
+      rescheduled: rescheduled.length,
+      failed: failed.length
+    });
+
+    rescheduled.sort((a, b) => a.seriesIndex - b.seriesIndex);
+    res.json({
+      message: 'Citas de la serie reprogramadas',
+      rescheduled: rescheduled.map(occurrence => occurrence.toLocalObject(req.timezone)),
+      failed
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Error al reprogramar las citas de la serie',
+      details: error.message
+    });
+  }
+};
+
+module.exports = {
+  createSeries,
+  getSeries,
+  cancelSeriesOccurrences,
+  rescheduleSeriesOccurrences
+};
@@ -11,6 +11,15 @@
 // Modelos de datos
 const Appointment = require('../models/appointment.model'); // Modelo de citas
 const Doctor = require('../models/doctor.model'); // Modelo de médicos
+const User = require('../models/user.model'); // Modelo de pacientes y administradores
+
+// Lista de espera: los horarios liberados se ofrecen a los pacientes en espera
+const { offerFreedSlot } = require('./waitlist.controller');
+const { notifyAppointmentEvent } = require('./notification.controller');
+const { evaluateBookingPolicy } = require('./no-show.controller');
+const { getMedicalProfileSummary, isTreatmentAppointment } = require('./medical-profile.controller');
+
+const mongoose = require('mongoose');
 
 // Biblioteca para manipulación de fechas y horas
 const dayjs = require('dayjs');
@@ -20,10 +29,30 @@ const timezone = require('dayjs/plugin/timezone'); // Plugin para manejo de zona
 // Utilidad de logging
 const { logger } = require('../config/config');
 
+// Utilidades de agenda y zona horaria
+const { normalizeDate } = require('../utils/schedule');
+const { resolveWallClock, todayInTimezone, getClinicTimezone } = require('../utils/timezone');
+const { defineJob } = require('../utils/job-scheduler');
+
+// Política de permisos
+const { can, getUserRole, getPermissionScope, appointmentParticipants } = require('../utils/permissions');
+
 // Configurar plugins de dayjs
 dayjs.extend(utc); // Habilitar manejo de fechas UTC
 dayjs.extend(timezone); // Habilitar manejo de zonas horarias
 
+/**
+ * Obtiene la zona horaria en la que se expresa la agenda de un médico
+ *
+ * @param {string} doctorId - ID del médico
+ * @returns {Promise<string|null>} Zona horaria IANA, o null si el médico no existe
+ * @private
+ */
+const getDoctorTimezone = async (doctorId) => {
+  const doctor = await Doctor.findById(doctorId);
+  return doctor ? doctor.getScheduleSettings().timezone : null;
+};
+
 /**
  * Crea una nueva cita médica
  * 
@@ -32,16 +61,19 @@ dayjs.extend(timezone); // Habilitar manejo de zonas horarias
  * @param {string} req.body.doctorId - ID del médico para la cita
  * @param {string} req.body.date - Fecha de la cita (YYYY-MM-DD)
  * @param {string} req.body.time - Hora de la cita (HH:MM)
+ * @param {string} [req.body.startsAt] - Instante de inicio en formato ISO 8601 (alternativa a date y time)
  * @param {string} req.body.reason - Motivo de la consulta
- * @param {string} [req.body.patientId] - ID del paciente (requerido si es un médico creando la cita)
- * @param {Object} req.user - Usuario autenticado (paciente o médico)
+ * @param {string} [req.body.patientId] - ID del paciente (requerido si la crea un médico o un administrador)
+ * @param {Object} req.user - Usuario autenticado (paciente, médico o administrador)
+ * @param {string|null} req.timezone - Zona horaria de quien agenda; si se indica, date y time se interpretan en ella
  * @param {Object} res - Objeto de respuesta Express
  * @returns {Object} Respuesta JSON con la cita creada o mensaje de error
  */
 const createAppointment = async (req, res) => {
   try {
     // Extraer datos de la solicitud
-    const { doctorId, date, time, reason, patientId } = req.body;
+    const { doctorId, reason, patientId, startsAt } = req.body;
+    let { date, time } = req.body;
     
     // Registrar intento de creación para auditoría y debugging
     logger.info('Intento de creación de cita', {
@@ -49,21 +81,24 @@ const createAppointment = async (req, res) => {
       doctorId,
       date,
       time,
+      startsAt,
+      timezone: req.timezone,
       patientId
     });
     
     /**
      * Validación de campos obligatorios
      * - Todas las citas requieren doctor, fecha, hora y motivo
+     * - La fecha y hora pueden indicarse como un instante absoluto (startsAt)
      */
-    if (!doctorId || !date || !time || !reason) {
+    if (!doctorId || (!startsAt && (!date || !time)) || !reason) {
       // Registrar datos faltantes para diagnosticar problemas de UI o API
       logger.warn('Datos incompletos en creación de cita', {
         userId: req.user._id,
         missing: {
           doctorId: !doctorId,
-          date: !date,
-          time: !time,
+          date: !startsAt && !date,
+          time: !startsAt && !time,
           reason: !reason
         }
       });
@@ -73,22 +108,46 @@ const createAppointment = async (req, res) => {
         message: 'Faltan campos requeridos',
         details: {
           doctorId: !doctorId ? 'El ID del médico es requerido' : null,
-          date: !date ? 'La fecha es requerida' : null,
-          time: !time ? 'La hora es requerida' : null,
+          date: !startsAt && !date ? 'La fecha es requerida' : null,
+          time: !startsAt && !time ? 'La hora es requerida' : null,
           reason: !reason ? 'El motivo es requerido' : null
         }
       });
     }
     
     /**
-     * Validación de regla de negocio: un médico solo puede agendar citas para sí mismo
-     * - Previene que un médico cree citas para otros médicos
-     * - Medida de seguridad para mantener control sobre la agenda médica
+     * Determina el ID del paciente según el rol del usuario autenticado
+     * - Si es paciente: el paciente es el usuario mismo
+     * - Si es médico o administrador: debe especificar explícitamente el ID del paciente
      */
-    if (req.user.constructor.modelName === 'Doctor' && req.user._id.toString() !== doctorId) {
+    const isPatientBooking = getUserRole(req.user) === 'patient';
+    let actualPatientId = req.user._id; // Por defecto, el usuario actual (para pacientes)
+    
+    if (!isPatientBooking) {
+      // Médicos y administradores deben especificar para qué paciente están creando la cita
+      if (!patientId) {
+        logger.warn('Intento de crear cita sin especificar paciente', {
+          userId: req.user._id
+        });
+        
+        return res.status(400).json({
+          message: 'Debe seleccionar un paciente para la cita'
+        });
+      }
+      actualPatientId = patientId; // Usar el paciente especificado
+    }
+
+    /**
+     * Verificación de permisos (appointment:create)
+     * - Los pacientes agendan sus propias citas y los médicos, citas en su propia agenda
+     * - Los administradores pueden agendar citas para cualquier médico y paciente
+     * - El propietario depende de quién agenda: un médico no puede agendar en la agenda de otro
+     *   indicándose a sí mismo como paciente
+     */
+    if (!can(req.user, 'appointment:create', isPatientBooking ? actualPatientId : doctorId)) {
       // Registrar intento no autorizado
-      logger.warn('Médico intentando agendar cita para otro médico', {
-        doctorId: req.user._id, // ID del médico que hace la solicitud
+      logger.warn('Intento de agendar cita sin permiso', {
+        userId: req.user._id, // Usuario que hace la solicitud
         targetDoctorId: doctorId // ID del médico para el que intenta crear la cita
       });
       
@@ -97,26 +156,61 @@ const createAppointment = async (req, res) => {
         message: 'Los médicos solo pueden agendar citas para sí mismos',
       });
     }
-    
+
     /**
-     * Determina el ID del paciente según el rol del usuario autenticado
-     * - Si es paciente: el paciente es el usuario mismo
-     * - Si es médico: debe especificar explícitamente el ID del paciente
+     * Verificación del paciente indicado por médicos y administradores
+     * - Debe ser una cuenta de paciente existente (no un médico ni un administrador)
      */
-    let actualPatientId = req.user._id; // Por defecto, el usuario actual (para pacientes)
-    
-    if (req.user.constructor.modelName === 'Doctor') {
-      // Médicos deben especificar para qué paciente están creando la cita
-      if (!patientId) {
-        logger.warn('Doctor intentando crear cita sin especificar paciente', {
-          doctorId: req.user._id
-        });
-        
-        return res.status(400).json({
-          message: 'Debe seleccionar un paciente para la cita'
+    if (!isPatientBooking) {
+      if (!mongoose.Types.ObjectId.isValid(actualPatientId)) {
+        return res.status(400).json({ message: 'ID de paciente inválido' });
+      }
+
+      const patientExists = await User.exists({ _id: actualPatientId, role: 'patient' });
+      if (!patientExists) {
+        logger.warn('Intento de agendar cita para un paciente inexistente', {
+          userId: req.user._id,
+          patientId: actualPatientId
         });
+        return res.status(404).json({ message: 'Paciente no encontrado' });
       }
-      actualPatientId = patientId; // Usar el paciente especificado por el médico
+    }
+
+    /**
+     * Política de inasistencias
+     * - Los pacientes con demasiadas inasistencias no pueden agendar por sí mismos; solo su médico
+     * - Las citas que agendan los pacientes se confirman automáticamente si la política lo indica,
+     *   salvo que el paciente haya alcanzado el umbral que requiere aprobación del médico
+     */
+    const bookingPolicy = isPatientBooking ? await evaluateBookingPolicy(actualPatientId) : null;
+    if (bookingPolicy && bookingPolicy.blocked) {
+      logger.warn('Paciente con inasistencias acumuladas intentando agendar cita', {
+        userId: req.user._id,
+        noShowCount: bookingPolicy.noShowCount
+      });
+      return res.status(403).json({
+        message: 'No puede agendar citas por acumular inasistencias. Solicite la cita a su médico'
+      });
+    }
+
+    /**
+     * Conversión a la zona horaria del médico
+     * - La fecha y hora de la cita se guardan en la zona horaria de la agenda del médico
+     * - startsAt es un instante absoluto y no depende de la zona horaria de quien agenda
+     * - Si se indicó la zona horaria del cliente, date y time se interpretan en ella
+     */
+    if (startsAt || req.timezone) {
+      const doctorTimezone = await getDoctorTimezone(doctorId);
+      if (!doctorTimezone) {
+        return res.status(404).json({ message: 'Médico no encontrado' });
+      }
+
+      const resolved = resolveWallClock({ date, time, startsAt }, req.timezone, doctorTimezone);
+      if (!resolved) {
+        logger.warn('Formato de fecha u hora inválido', { date, time, startsAt, userId: req.user._id });
+        return res.status(400).json({ message: 'Formato de fecha u hora inválido' });
+      }
+      ({ date, time } = resolved);
     }
 
     /**
@@ -175,8 +269,10 @@ const createAppointment = async (req, res) => {
       doctor: doctorId, // ID del médico seleccionado
       date, // Fecha validada
       time, // Hora validada
-      reason: reason.trim() // Motivo de la consulta (eliminando espacios innecesarios)
+      reason: reason.trim(), // Motivo de la consulta (eliminando espacios innecesarios)
+      status: bookingPolicy && bookingPolicy.autoConfirm ? 'confirmed' : 'pending' // Confirmación automática según la política
     });
+    appointment.$locals.actor = req.user; // Quien agenda queda registrado en el historial de estados
 
     // Guardar la cita en la base de datos
     await appointment.save();
@@ -188,6 +284,9 @@ const createAppointment = async (req, res) => {
       doctorId // Médico asignado
     });
 
+    // Notificar al paciente y al médico sin demorar la respuesta
+    notifyAppointmentEvent(appointment.status === 'confirmed' ? 'confirmed' : 'booked', appointment);
+
     /**
      * Respuesta exitosa
      * - Código 201 (Created) para indicar recurso creado
@@ -196,15 +295,31 @@ const createAppointment = async (req, res) => {
      */
     res.status(201).json({
       message: 'Cita agendada exitosamente',
-      appointment: await appointment.populate([
+      appointment: (await appointment.populate([
         'patient', // Incluir datos completos del paciente
         {
           path: 'doctor',
           select: 'name email speciality licenseNumber' // Datos relevantes del médico
         }
-      ])
+      ])).toLocalObject(req.timezone)
     });
   } catch (error) {
+    /**
+     * Conflicto de reserva
+     * - Otra solicitud simultánea ocupó el horario entre la verificación y el guardado
+     * - Código 409 (Conflict) para que el cliente elija otro horario
+     */
+    if (error.code === 'BOOKING_CONFLICT') {
+      logger.warn('Conflicto de reserva al crear cita', {
+        error: error.message,
+        userId: req.user._id
+      });
+      return res.status(409).json({
+        message: 'Error de disponibilidad',
+        details: error.message
+      });
+    }
+
     // Registrar error detallado para diagnóstico
     logger.error('Error al crear cita', {
       error: error.message,
@@ -224,19 +339,16 @@ const createAppointment = async (req, res) => {
 const updateAppointment = async (req, res) => {
   try {
     const { id } = req.params;
-    const { date, time, reason, status, notes } = req.body;
+    const { reason, status, statusReason, notes, startsAt } = req.body;
+    let { date, time } = req.body;
 
     const appointment = await Appointment.findById(id);
     if (!appointment) {
       return res.status(404).json({ message: 'Cita no encontrada' });
     }
 
-    // Verificar permisos
-    const isDoctor = req.user.constructor.modelName === 'Doctor';
-    const isPatient = appointment.patient.toString() === req.user._id.toString();
-    const isOwner = isDoctor ? appointment.doctor.toString() === req.user._id.toString() : isPatient;
-
-    if (!isOwner) {
+    // Verificar permisos (appointment:update)
+    if (!can(req.user, 'appointment:update', appointmentParticipants(appointment))) {
       return res.status(403).json({ message: 'No autorizado para modificar esta cita' });
     }
 
@@ -249,8 +361,24 @@ const updateAppointment = async (req, res) => {
       return res.status(400).json({ message: 'No se puede modificar una cita completada' });
     }
 
+    if (appointment.status === 'in-progress' && (date || time || startsAt)) {
+      return res.status(400).json({ message: 'No se puede reprogramar una cita en curso' });
+    }
+
+    // Expresar la nueva fecha y hora en la zona horaria de la cita
+    if (startsAt || (req.timezone && (date || time))) {
+      const appointmentTimezone = appointment.timezone || await getDoctorTimezone(appointment.doctor) || getClinicTimezone();
+
+      // El dato que no cambia se completa con la fecha u hora actual de la cita
+      const resolved = resolveWallClock({ date, time, startsAt }, req.timezone, appointmentTimezone, appointment.getStartsAt());
+      if (!resolved) {
+        return res.status(400).json({ message: 'Formato de fecha u hora inválido' });
+      }
+      ({ date, time } = resolved);
+    }
+
     // Si se está actualizando la fecha o la hora, verificar disponibilidad
-    if ((date && date !== appointment.date.toISOString().split('T')[0]) || 
+    if ((date && normalizeDate(date) !== appointment.date.toISOString().split('T')[0]) || 
         (time && time !== appointment.time)) {
       try {
         await Appointment.checkAvailability(
@@ -267,42 +395,49 @@ const updateAppointment = async (req, res) => {
       }
     }
 
+    // Horario actual de la cita, que queda libre si se reprograma o cancela
+    const previousSlot = {
+      doctor: appointment.doctor,
+      date: appointment.date,
+      time: appointment.time,
+      status: appointment.status
+    };
+
     // Actualizar campos
     if (date) appointment.date = date;
     if (time) appointment.time = time;
+
+    // La llegada registrada corresponde al horario anterior
+    if (appointment.isModified('date') || appointment.isModified('time')) {
+      appointment.checkedInAt = undefined;
+      appointment.checkedInBy = undefined;
+      appointment.checkedInByModel = undefined;
+    }
     if (reason) appointment.reason = reason.trim();
     
-    // Solo el doctor puede cambiar el estado de pendiente a confirmado o cancelado
-    if (status && isDoctor) {
-      // Validar las transiciones de estados permitidas
-      if (appointment.status === 'pending' && (status === 'confirmed' || status === 'cancelled')) {
-        appointment.status = status;
-      } else if (appointment.status === 'confirmed') {
-        // Si la cita ya ocurrió, se puede marcar como completada o cancelada
-        const appointmentDate = dayjs(`${appointment.date.toISOString().split('T')[0]}T${appointment.time}`);
-        const now = dayjs();
-        
-        if (now.isAfter(appointmentDate) && (status === 'completed' || status === 'cancelled' || status === 'no-show')) {
-          appointment.status = status;
-          // Si se marca como completada, cancelada o no tomada, se archiva automáticamente
-          if (status === 'completed' || status === 'cancelled' || status === 'no-show') {
-            appointment.isArchived = true;
-          }
-        } else if (!now.isAfter(appointmentDate) && status === 'cancelled') {
-          appointment.status = status;
-        } else {
-          return res.status(400).json({ 
-            message: 'Cambio de estado no permitido',
-            details: 'Las transiciones de estado permitidas son: pendiente → confirmado/cancelado, confirmado → completado/cancelado (después de la fecha)'
-          });
+    /**
+     * Cambio de estado
+     * - Solo el médico puede cambiar el estado de la cita (appointment:change-status)
+     * - Las transiciones permitidas las define la máquina de estados (utils/appointment-status)
+     * - Las citas que ya comenzaron se archivan automáticamente al completarse, cancelarse o marcarse como no tomadas
+     */
+    const canChangeStatus = can(req.user, 'appointment:change-status', appointmentParticipants(appointment));
+    if (status && canChangeStatus) {
+      try {
+        appointment.transitionTo(status, { actor: req.user, reason: statusReason });
+        if (['completed', 'cancelled', 'no-show'].includes(status) && appointment.hasStarted()) {
+          appointment.transitionTo('archived', { actor: req.user });
+        }
+      } catch (transitionError) {
+        if (transitionError.code !== 'INVALID_TRANSITION') {
+          throw transitionError;
         }
-      } else {
         return res.status(400).json({ 
           message: 'Cambio de estado no permitido',
-          details: 'Las transiciones de estado permitidas son: pendiente → confirmado/cancelado, confirmado → completado/cancelado (después de la fecha)'
+          details: transitionError.message
         });
       }
-    } else if (status && !isDoctor) {
+    } else if (status && !canChangeStatus) {
       return res.status(403).json({ 
         message: 'Solo el médico puede cambiar el estado de la cita'
       });
@@ -312,14 +447,44 @@ const updateAppointment = async (req, res) => {
 
     await appointment.save();
 
+    // Ofrecer el horario liberado a la lista de espera
+    const wasRescheduled = normalizeDate(previousSlot.date) !== normalizeDate(appointment.date) ||
+      previousSlot.time !== appointment.time;
+    const wasCancelled = appointment.status === 'cancelled' && previousSlot.status !== 'cancelled';
+    if (wasRescheduled || wasCancelled) {
+      await offerFreedSlot(previousSlot);
+    }
+
+    // Notificar al paciente y al médico los cambios de horario y de estado
+    if (wasRescheduled) {
+      notifyAppointmentEvent('rescheduled', appointment, {
+        previousDate: previousSlot.date,
+        previousTime: previousSlot.time
+      });
+    }
+    if (appointment.status === 'confirmed' && previousSlot.status !== 'confirmed') {
+      notifyAppointmentEvent('confirmed', appointment);
+    }
+    if (wasCancelled) {
+      notifyAppointmentEvent('cancelled', appointment, { reason: statusReason });
+    }
+
     res.json({
       message: 'Cita actualizada exitosamente',
-      appointment: await appointment.populate(['patient', {
+      appointment: (await appointment.populate(['patient', {
         path: 'doctor',
         select: 'name email speciality licenseNumber'
-      }])
+      }])).toLocalObject(req.timezone)
     });
   } catch (error) {
+    // Otra solicitud simultánea ocupó el nuevo horario antes de guardar
+    if (error.code === 'BOOKING_CONFLICT') {
+      return res.status(409).json({
+        message: 'Error de disponibilidad',
+        details: error.message
+      });
+    }
+
     res.status(error.name === 'ValidationError' ? 400 : 500).json({ 
       message: 'Error al actualizar la cita', 
       details: error.message 
@@ -329,14 +494,17 @@ const updateAppointment = async (req, res) => {
 
 const getAppointments = async (req, res) => {
   try {
-    const { status, startDate, endDate } = req.query;
+    const { status, startDate, endDate, doctorId, patientId } = req.query;
     const query = {
       // Excluir citas archivadas por defecto
       isArchived: { $ne: true }
     };
 
-    // Filtrar por rol
-    if (req.user.constructor.modelName === 'Doctor') {
+    // Filtrar según el alcance del permiso: las propias citas, o cualquiera con filtros opcionales
+    if (getPermissionScope(req.user, 'appointment:read') === 'any') {
+      if (doctorId) query.doctor = doctorId;
+      if (patientId) query.patient = patientId;
+    } else if (getUserRole(req.user) === 'doctor') {
       query.doctor = req.user._id;
     } else {
       query.patient = req.user._id;
@@ -354,7 +522,7 @@ const getAppointments = async (req, res) => {
       .populate(['patient', 'doctor'])
       .sort({ date: 1, time: 1 });
 
-    res.json(appointments);
+    res.json(appointments.map(appointment => appointment.toLocalObject(req.timezone)));
   } catch (error) {
     res.status(500).json({ message: 'Error al obtener las citas', error: error.message });
   }
@@ -370,23 +538,60 @@ const getAppointmentById = async (req, res) => {
       return res.status(404).json({ message: 'Cita no encontrada' });
     }
 
-    // Verificar permisos
-    const isDoctor = req.user.constructor.modelName === 'Doctor';
-    const isPatient = appointment.patient._id.toString() === req.user._id.toString();
-    const isAuthorized = isDoctor ? 
-      appointment.doctor._id.toString() === req.user._id.toString() : 
-      isPatient;
-
-    if (!isAuthorized) {
+    // Verificar permisos (appointment:read)
+    if (!can(req.user, 'appointment:read', appointmentParticipants(appointment))) {
       return res.status(403).json({ message: 'No autorizado para ver esta cita' });
     }
 
-    res.json(appointment);
+    // El médico recibe además el resumen del perfil médico del paciente, con las mismas condiciones que
+    // el acceso al perfil: la cita está confirmada, en curso o completada y no la agendó él mismo.
+    // El paciente puede faltar si su cuenta fue eliminada.
+    const data = appointment.toLocalObject(req.timezone);
+    if (getUserRole(req.user) === 'doctor' && appointment.patient &&
+      isTreatmentAppointment(appointment, req.user._id)) {
+      data.patientMedicalSummary = await getMedicalProfileSummary(appointment.patient._id);
+    }
+
+    res.json(data);
   } catch (error) {
     res.status(500).json({ message: 'Error al obtener la cita', error: error.message });
   }
 };
 
+/**
+ * Obtiene el historial de cambios de estado de una cita
+ * 
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID de la cita
+ * @param {Object} req.user - Usuario autenticado (paciente o médico de la cita)
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {Object} Respuesta JSON con el estado actual y el historial de transiciones
+ */
+const getAppointmentHistory = async (req, res) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id)
+      .populate('statusHistory.by', 'name email');
+
+    if (!appointment) {
+      return res.status(404).json({ message: 'Cita no encontrada' });
+    }
+
+    // Verificar permisos (appointment:read)
+    if (!can(req.user, 'appointment:read', appointmentParticipants(appointment))) {
+      return res.status(403).json({ message: 'No autorizado para ver esta cita' });
+    }
+
+    res.json({
+      appointmentId: appointment._id,
+      status: appointment.status,
+      state: appointment.getState(),
+      history: appointment.statusHistory
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener el historial de la cita', error: error.message });
+  }
+};
+
 const cancelAppointment = async (req, res) => {
   try {
     const { id } = req.params;
@@ -396,14 +601,8 @@ const cancelAppointment = async (req, res) => {
       return res.status(404).json({ message: 'Cita no encontrada' });
     }
 
-    // Verificar permisos
-    const isDoctor = req.user.constructor.modelName === 'Doctor';
-    const isPatient = appointment.patient.toString() === req.user._id.toString();
-    const isOwner = isDoctor ? 
-      appointment.doctor.toString() === req.user._id.toString() : 
-      isPatient;
-
-    if (!isOwner) {
+    // Verificar permisos (appointment:cancel)
+    if (!can(req.user, 'appointment:cancel', appointmentParticipants(appointment))) {
       return res.status(403).json({ message: 'No autorizado para cancelar esta cita' });
     }
 
@@ -416,24 +615,33 @@ const cancelAppointment = async (req, res) => {
       return res.status(400).json({ message: 'No se puede cancelar una cita completada' });
     }
 
-    // Si la cita es para hoy o ya pasó, solo el médico puede cancelarla
-    const today = dayjs().startOf('day');
-    const appointmentDate = dayjs(appointment.date).startOf('day');
-    if (!isDoctor && appointmentDate.isSameOrBefore(today)) {
+    // Si la cita es para hoy o ya pasó (en la zona horaria de la cita), solo el médico puede cancelarla (appointment:cancel-late)
+    const today = todayInTimezone(appointment.timezone || getClinicTimezone());
+    if (normalizeDate(appointment.date) <= today &&
+      !can(req.user, 'appointment:cancel-late', appointmentParticipants(appointment))) {
       return res.status(403).json({ 
         message: 'Las citas del día actual o pasadas solo pueden ser canceladas por el médico' 
       });
     }
 
-    appointment.status = 'cancelled';
+    try {
+      appointment.transitionTo('cancelled', { actor: req.user, reason: req.body && req.body.reason });
+    } catch (transitionError) {
+      return res.status(400).json({ message: transitionError.message });
+    }
     await appointment.save();
 
+    // Ofrecer el horario liberado al primer paciente de la lista de espera que coincida
+    await offerFreedSlot(appointment);
+
+    notifyAppointmentEvent('cancelled', appointment, { reason: req.body && req.body.reason });
+
     res.json({
       message: 'Cita cancelada exitosamente',
-      appointment: await appointment.populate(['patient', {
+      appointment: (await appointment.populate(['patient', {
         path: 'doctor',
         select: 'name email speciality licenseNumber'
-      }])
+      }])).toLocalObject(req.timezone)
     });
   } catch (error) {
     res.status(500).json({ 
@@ -448,8 +656,10 @@ const getArchivedAppointments = async (req, res) => {
     const { patientId } = req.query;
     const query = { isArchived: true };
 
-    // Filtrar por rol
-    if (req.user.constructor.modelName === 'Doctor') {
+    // Filtrar según el alcance del permiso: cualquier cita o las propias
+    if (getPermissionScope(req.user, 'appointment:read') === 'any') {
+      if (patientId) query.patient = patientId;
+    } else if (getUserRole(req.user) === 'doctor') {
       query.doctor = req.user._id;
       
       // Si es doctor y ha solicitado filtrar por paciente
@@ -465,7 +675,7 @@ const getArchivedAppointments = async (req, res) => {
       .populate(['patient', 'doctor'])
       .sort({ date: -1, time: -1 }); // Ordenadas desde la más reciente
 
-    res.json(appointments);
+    res.json(appointments.map(appointment => appointment.toLocalObject(req.timezone)));
   } catch (error) {
     res.status(500).json({ 
       message: 'Error al obtener las citas archivadas', 
@@ -483,27 +693,28 @@ const archiveAppointment = async (req, res) => {
       return res.status(404).json({ message: 'Cita no encontrada' });
     }
 
-    // Solo el doctor puede archivar una cita
-    if (req.user.constructor.modelName !== 'Doctor' || appointment.doctor.toString() !== req.user._id.toString()) {
+    // Solo el doctor puede archivar una cita (appointment:archive)
+    if (!can(req.user, 'appointment:archive', appointmentParticipants(appointment))) {
       return res.status(403).json({ message: 'No autorizado para archivar esta cita' });
     }
 
     // Solo se pueden archivar las citas completadas, canceladas o no tomadas
-    if (appointment.status !== 'completed' && appointment.status !== 'cancelled' && appointment.status !== 'no-show') {
+    try {
+      appointment.transitionTo('archived', { actor: req.user });
+    } catch (transitionError) {
       return res.status(400).json({ 
-        message: 'Solo se pueden archivar las citas completadas, canceladas o no tomadas'
+        message: 'Solo se pueden archivar las citas completadas, canceladas o no tomadas',
+        details: transitionError.message
       });
     }
-
-    appointment.isArchived = true;
     await appointment.save();
 
     res.json({
       message: 'Cita archivada exitosamente',
-      appointment: await appointment.populate(['patient', {
+      appointment: (await appointment.populate(['patient', {
         path: 'doctor',
         select: 'name email speciality licenseNumber'
-      }])
+      }])).toLocalObject(req.timezone)
     });
   } catch (error) {
     res.status(500).json({ 
@@ -513,62 +724,229 @@ const archiveAppointment = async (req, res) => {
   }
 };
 
-// Método para verificar y actualizar automáticamente el estado de las citas pasadas
-const updatePastAppointments = async () => {
+/**
+ * @function checkInAppointment
+ * @description Registra la llegada del paciente a una cita confirmada del día actual.
+ * La registra el propio paciente, la recepción (administrador) o el médico de la cita.
+ * Las citas con la llegada registrada entran en la cola del día del médico y no se marcan
+ * como no tomadas al vencer la tolerancia.
+ * 
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.params - Parámetros de ruta
+ * @param {string} req.params.id - ID de la cita
+ * @param {Object} req.user - Paciente de la cita, administrador o médico de la cita
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {Object} Respuesta JSON con la cita actualizada o mensaje de error
+ */
+const checkInAppointment = async (req, res) => {
   try {
-    const today = new Date();
-    const yesterday = new Date(today);
-    yesterday.setDate(yesterday.getDate() - 1);
-    
-    // Encontrar todas las citas confirmadas de fechas pasadas que no han sido actualizadas
-    const pastAppointments = await Appointment.find({
-      status: 'confirmed',
-      date: { $lt: yesterday },
-      isArchived: false
+    const appointment = await Appointment.findById(req.params.id);
+    if (!appointment) {
+      return res.status(404).json({ message: 'Cita no encontrada' });
+    }
+
+    // Verificar permisos (appointment:check-in)
+    if (!can(req.user, 'appointment:check-in', appointmentParticipants(appointment))) {
+      return res.status(403).json({ message: 'No autorizado para registrar la llegada a esta cita' });
+    }
+
+    try {
+      appointment.checkIn(req.user);
+    } catch (checkInError) {
+      if (checkInError.code !== 'INVALID_CHECK_IN') {
+        throw checkInError;
+      }
+      return res.status(400).json({ message: checkInError.message });
+    }
+    await appointment.save();
+
+    logger.info('Llegada del paciente registrada', {
+      appointmentId: appointment._id,
+      patientId: appointment.patient,
+      userId: req.user._id
     });
-    
-    for (const appointment of pastAppointments) {
-      // Marcar como completada y archivar
-      appointment.status = 'completed';
-      appointment.isArchived = true;
-      await appointment.save();
-      logger.info(`Cita ID ${appointment._id} actualizada automáticamente a estado completado y archivada`);
+
+    res.json({
+      message: 'Llegada del paciente registrada exitosamente',
+      appointment: (await appointment.populate(['patient', {
+        path: 'doctor',
+        select: 'name email speciality licenseNumber'
+      }])).toLocalObject(req.timezone)
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      message: 'Error al registrar la llegada del paciente', 
+      details: error.message 
+    });
+  }
+};
+
+/**
+ * @function toQueueEntry
+ * @description Prepara una cita para la cola del día, con los minutos que el paciente lleva
+ * esperando desde su llegada (o que esperó hasta el inicio de la consulta)
+ *
+ * @param {Object} appointment - Cita con el paciente poblado
+ * @param {Date} now - Instante de la consulta de la cola
+ * @param {String|null} requestTimezone - Zona horaria IANA de quien consulta
+ * @returns {Object} Entrada de la cola
+ * @private
+ */
+const toQueueEntry = (appointment, now, requestTimezone) => {
+  const entry = appointment.toLocalObject(requestTimezone);
+  if (appointment.status === 'in-progress') {
+    const started = [...appointment.statusHistory].reverse().find(change => change.to === 'in-progress');
+    entry.startedAt = started ? started.at : null;
+  }
+  if (appointment.checkedInAt) {
+    const waitedUntil = entry.startedAt || now;
+    entry.waitingMinutes = Math.max(0, Math.floor((waitedUntil - appointment.checkedInAt) / 60000));
+  }
+  return entry;
+};
+
+/**
+ * @function getTodayQueue
+ * @description Obtiene la cola del día de un médico, en su zona horaria: la consulta en curso,
+ * los pacientes que ya llegaron en el orden en que serán atendidos (por hora de la cita y,
+ * a igual hora, por orden de llegada) con su tiempo de espera, y los que aún no llegaron.
+ * 
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {string} [req.query.doctorId] - ID del médico (solo administradores; el médico consulta su propia cola)
+ * @param {Object} req.user - Médico o administrador autenticado
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {Object} Respuesta JSON con la cola del día
+ */
+const getTodayQueue = async (req, res) => {
+  try {
+    // Con el permiso sobre cualquier médico (recepción) se indica el médico; el médico consulta su propia cola
+    const scope = getPermissionScope(req.user, 'appointment:queue');
+    if (!scope) {
+      return res.status(403).json({ message: 'Solo el médico o la recepción pueden consultar la cola del día' });
     }
-    
-    return pastAppointments.length;
+
+    const doctorId = scope === 'own' ? req.user._id : req.query.doctorId;
+    if (!doctorId) {
+      return res.status(400).json({ message: 'Debe indicar el médico (doctorId)' });
+    }
+
+    const doctorTimezone = await getDoctorTimezone(doctorId);
+    if (!doctorTimezone) {
+      return res.status(404).json({ message: 'Médico no encontrado' });
+    }
+
+    const today = todayInTimezone(doctorTimezone);
+    const appointments = await Appointment.find({
+      doctor: doctorId,
+      date: new Date(today),
+      status: { $in: ['confirmed', 'in-progress'] },
+      isArchived: false
+    })
+      .populate('patient', 'name email phoneNumber')
+      .sort({ startsAt: 1, time: 1 });
+
+    const now = new Date();
+    const inProgress = appointments.filter(appointment => appointment.status === 'in-progress');
+    const waiting = appointments
+      .filter(appointment => appointment.status === 'confirmed' && appointment.checkedInAt)
+      .sort((a, b) => (a.getStartsAt() - b.getStartsAt()) || (a.checkedInAt - b.checkedInAt));
+    const notArrived = appointments.filter(appointment => appointment.status === 'confirmed' && !appointment.checkedInAt);
+
+    res.json({
+      doctor: doctorId,
+      date: today,
+      timezone: doctorTimezone,
+      generatedAt: now,
+      inProgress: inProgress.map(appointment => toQueueEntry(appointment, now, req.timezone)),
+      waiting: waiting.map((appointment, index) => ({
+        position: index + 1,
+        ...toQueueEntry(appointment, now, req.timezone)
+      })),
+      notArrived: notArrived.map(appointment => toQueueEntry(appointment, now, req.timezone))
+    });
   } catch (error) {
-    logger.error('Error al actualizar citas pasadas:', error);
-    return 0;
+    res.status(error.name === 'CastError' ? 400 : 500).json({ 
+      message: 'Error al obtener la cola del día', 
+      details: error.message 
+    });
   }
 };
 
-// Esta función podría ser llamada por un cron job o al iniciar el servidor
-const initAppointmentStatusScheduler = () => {
-  // Actualizar citas al iniciar
-  updatePastAppointments();
+// Método para verificar y actualizar automáticamente el estado de las citas pasadas.
+// Los errores se propagan para que el programador de trabajos registre la ejecución como fallida y la reintente
+const updatePastAppointments = async () => {
+  const today = new Date();
+  const yesterday = new Date(today);
+  yesterday.setDate(yesterday.getDate() - 1);
   
-  // Programar la actualización diaria (por ejemplo, a la 1:00 AM)
-  const millisecondsUntilNextRun = (() => {
-    const now = new Date();
-    const scheduledTime = new Date(now);
-    scheduledTime.setHours(1, 0, 0, 0);
+  // Encontrar todas las citas confirmadas, en curso o no tomadas de fechas pasadas que no han sido archivadas
+  const pastAppointments = await Appointment.find({
+    status: { $in: ['confirmed', 'in-progress', 'no-show'] },
+    date: { $lt: yesterday },
+    isArchived: false
+  });
+  
+  // Obtener las citas en festivos o en horarios bloqueados por el médico para no darlas por completadas
+  const closureReasons = await Appointment.findClosureReasons(pastAppointments);
+  
+  for (const appointment of pastAppointments) {
+    const closureReason = closureReasons.get(appointment._id.toString());
     
-    if (scheduledTime <= now) {
-      scheduledTime.setDate(scheduledTime.getDate() + 1);
+    // Las inasistencias ya detectadas solo se archivan
+    if (appointment.status === 'no-show') {
+      appointment.transitionTo('archived');
+      await appointment.save();
+      continue;
     }
     
-    return scheduledTime.getTime() - now.getTime();
-  })();
-  
-  // Programar la primera ejecución
-  setTimeout(() => {
-    updatePastAppointments();
+    // Las consultas iniciadas y no cerradas por el médico se completan y archivan
+    if (appointment.status === 'in-progress') {
+      appointment.transitionTo('completed', { reason: 'Consulta iniciada sin cierre por el médico' });
+      appointment.transitionTo('archived');
+      await appointment.save();
+      logger.info(`Cita ID ${appointment._id} en curso completada y archivada automáticamente`);
+      continue;
+    }
+    
+    if (closureReason) {
+      // Las citas en días festivos o en horarios bloqueados no pudieron realizarse: se cancelan y archivan
+      appointment.transitionTo('cancelled', { reason: closureReason });
+      appointment.transitionTo('archived');
+      await appointment.save();
+      logger.info(`Cita ID ${appointment._id} cancelada y archivada automáticamente (${closureReason})`);
+      continue;
+    }
+    
+    // Sin registro de llegada, la cita se marca como no tomada en lugar de darla por completada
+    if (!appointment.checkedInAt) {
+      appointment.transitionTo('no-show', { reason: 'Sin registro de llegada' });
+      appointment.transitionTo('archived');
+      await appointment.save();
+      logger.info(`Cita ID ${appointment._id} marcada automáticamente como no tomada y archivada`);
+      continue;
+    }
     
-    // Configurar ejecución diaria después de la primera ejecución
-    setInterval(updatePastAppointments, 24 * 60 * 60 * 1000);
-  }, millisecondsUntilNextRun);
+    // El paciente llegó pero la consulta no se inició en el sistema: se da por completada y archiva
+    appointment.transitionTo('completed', { reason: 'Llegada registrada sin inicio de consulta' });
+    appointment.transitionTo('archived');
+    await appointment.save();
+    logger.info(`Cita ID ${appointment._id} actualizada automáticamente a estado completado y archivada`);
+  }
   
-  logger.info(`Programador de actualización de estados de citas iniciado. Primera ejecución en ${millisecondsUntilNextRun} ms`);
+  return pastAppointments.length;
+};
+
+// Registra la actualización diaria de citas pasadas (1:00 AM en la zona horaria de la clínica)
+// en el programador de trabajos, que garantiza una sola ejecución entre todas las réplicas
+const initAppointmentStatusScheduler = () => {
+  defineJob('update-past-appointments', {
+    description: 'Completa o marca como no tomadas y archiva las citas de días pasados',
+    cron: '0 1 * * *',
+    handler: updatePastAppointments,
+    maxAttempts: 3,
+    retryDelayMs: 5 * 60 * 1000
+  });
 };
 
 module.exports = {
@@ -576,9 +954,12 @@ module.exports = {
   updateAppointment,
   getAppointments,
   getAppointmentById,
+  getAppointmentHistory,
   cancelAppointment,
   getArchivedAppointments,
   archiveAppointment,
+  checkInAppointment,
+  getTodayQueue,
   updatePastAppointments,
   initAppointmentStatusScheduler
 };
\ No newline at end of file
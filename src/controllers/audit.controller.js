@@ -0,0 +1,125 @@
+/**
+ * @file audit.controller.js
+ * @description Controlador de consulta del registro de auditoría.
+ * Permite a los administradores buscar quién consultó o modificó los datos de un paciente, una cita
+ * o un médico, y verificar que la cadena de hashes del registro no haya sido alterada.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const AuditEntry = require('../models/audit-entry.model');
+const { logger } = require('../utils/logger');
+const { verifyAuditChain } = require('../utils/audit');
+
+/**
+ * @constant {number} MAX_ENTRIES_LIMIT - Máximo de entradas devueltas por consulta
+ */
+const MAX_ENTRIES_LIMIT = 200;
+
+/**
+ * @constant {Array<String>} ID_FILTERS - Filtros de consulta que deben ser IDs válidos
+ */
+const ID_FILTERS = ['actorId', 'resourceId', 'patientId'];
+
+/**
+ * @function getAuditLog
+ * @description Obtiene las entradas del registro de auditoría, de la más reciente a la más antigua.
+ * Para obtener la página siguiente se indica en beforeSequence el valor nextBeforeSequence de la respuesta.
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {string} [req.query.actorId] - Usuario o médico que realizó la acción
+ * @param {string} [req.query.action] - Acción ('read', 'create', 'update' o 'delete')
+ * @param {string} [req.query.resourceType] - Tipo de registro (por ejemplo, 'appointment')
+ * @param {string} [req.query.resourceId] - Registro accedido o modificado
+ * @param {string} [req.query.patientId] - Paciente: entradas sobre sus datos o sobre su cuenta
+ * @param {string} [req.query.ip] - Dirección IP de la solicitud
+ * @param {string} [req.query.from] - Fecha y hora inicial (ISO 8601)
+ * @param {string} [req.query.to] - Fecha y hora final (ISO 8601)
+ * @param {string} [req.query.beforeSequence] - Devolver solo entradas anteriores a esta posición
+ * @param {string} [req.query.limit=50] - Número máximo de entradas a devolver
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON con las entradas y la posición para obtener la página siguiente
+ */
+const getAuditLog = async (req, res) => {
+  try {
+    const { actorId, action, resourceType, resourceId, patientId, ip, from, to, beforeSequence } = req.query;
+
+    const invalidId = ID_FILTERS.find(filter => req.query[filter] && !mongoose.isValidObjectId(req.query[filter]));
+    if (invalidId) {
+      return res.status(400).json({ message: `El filtro ${invalidId} debe ser un ID válido` });
+    }
+
+    const query = {};
+    if (actorId) query.actor = actorId;
+    if (action) query.action = action;
+    if (resourceType) query.resourceType = resourceType;
+    if (resourceId) query.resourceId = resourceId;
+    if (ip) query.ip = ip;
+    if (patientId) {
+      query.$or = [{ patient: patientId }, { resourceType: 'user', resourceId: patientId }];
+    }
+
+    if (from || to) {
+      query.timestamp = {};
+      if (from) query.timestamp.$gte = new Date(from);
+      if (to) query.timestamp.$lte = new Date(to);
+      if (Object.values(query.timestamp).some(date => isNaN(date.getTime()))) {
+        return res.status(400).json({ message: 'Las fechas from y to deben tener formato ISO 8601' });
+      }
+    }
+
+    if (beforeSequence) {
+      query.sequence = { $lt: parseInt(beforeSequence) || 0 };
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, MAX_ENTRIES_LIMIT);
+
+    const entries = await AuditEntry.find(query)
+      .populate('actor', 'name email')
+      .sort({ sequence: -1 })
+      .limit(limit);
+
+    res.json({
+      entries,
+      nextBeforeSequence: entries.length === limit ? entries[entries.length - 1].sequence : null
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener el registro de auditoría', error: error.message });
+  }
+};
+
+/**
+ * @function verifyAuditLog
+ * @description Verifica la cadena de hashes del registro de auditoría, completa o en un rango de posiciones
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {string} [req.query.fromSequence=1] - Primera posición a verificar
+ * @param {string} [req.query.toSequence] - Última posición a verificar
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON con el resultado de la verificación
+ */
+const verifyAuditLog = async (req, res) => {
+  try {
+    const fromSequence = Math.max(parseInt(req.query.fromSequence) || 1, 1);
+    const toSequence = parseInt(req.query.toSequence) || undefined;
+
+    const result = await verifyAuditChain({ fromSequence, toSequence });
+    if (!result.valid) {
+      logger.error('Cadena del registro de auditoría alterada', { brokenAt: result.brokenAt, userId: req.user._id });
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ message: 'Error al verificar el registro de auditoría', error: error.message });
+  }
+};
+
+module.exports = {
+  getAuditLog,
+  verifyAuditLog
+};
@@ -2,17 +2,26 @@
  * @file auth.controller.js
  * @description Controlador de Autenticación principal del sistema.
  * Este módulo maneja todas las operaciones relacionadas con la autenticación 
- * de usuarios, incluyendo registro, inicio de sesión, obtención de perfil y renovación
- * de tokens de acceso. Implementa medidas avanzadas de seguridad como bloqueo temporal
- * por intentos fallidos de inicio de sesión y generación de tokens seguros.
+ * de usuarios, incluyendo registro, inicio de sesión, obtención de perfil, renovación
+ * de tokens de acceso y gestión de sesiones (cierre de sesión y listado de sesiones abiertas).
+ * Implementa medidas avanzadas de seguridad como bloqueo temporal por intentos fallidos
+ * de inicio de sesión, generación de tokens seguros y rotación de los tokens de refresco.
  * @author Equipo de Desarrollo
  * @version 1.0.0
  */
 
 const jwt = require('jsonwebtoken');
 const config = require('../config/config');
+const Account = require('../models/account.model');
 const User = require('../models/user.model');
 const Doctor = require('../models/doctor.model');
+const {
+  createSession,
+  rotateSession,
+  getActiveSessions,
+  revokeSession,
+  revokeAllSessions
+} = require('../utils/sessions');
 
 /**
  * @constant {Map} loginAttempts - Cache en memoria para rastrear intentos fallidos de inicio de sesión
@@ -36,13 +45,15 @@ const LOCK_TIME = 15 * 60 * 1000;
  * @description Genera un token JWT de acceso con payload optimizado
  * 
  * @param {string|ObjectId} id - ID del usuario
+ * @param {string|ObjectId} sessionId - ID de la sesión a la que pertenece el token
  * @returns {string} Token JWT de acceso firmado
  */
-const generateToken = (id) => {
+const generateToken = (id, sessionId) => {
   // Usar payload mínimo y algoritmo eficiente para reducir tamaño del token
   return jwt.sign({ 
     sub: id.toString(), // Convertir a string para asegurar compatibilidad
-    id: id.toString()   // Incluir también como 'id' para compatibilidad con el middleware existente
+    id: id.toString(),  // Incluir también como 'id' para compatibilidad con el middleware existente
+    sid: sessionId.toString() // Sesión: el token deja de aceptarse cuando se cierra
   }, 
   config.jwt.secret, 
   {
@@ -52,26 +63,6 @@ const generateToken = (id) => {
   });
 };
 
-/**
- * @function generateRefreshToken
- * @description Genera un token JWT de refresco de larga duración
- * 
- * @param {string|ObjectId} id - ID del usuario
- * @returns {string} Token JWT de refresco firmado
- */
-const generateRefreshToken = (id) => {
-  // Simplificar el refresh token e incluir marcador de tipo
-  return jwt.sign({ 
-    sub: id.toString(),
-    type: 'refresh'
-  }, 
-  config.jwt.secret, 
-  {
-    expiresIn: '7d',  // Token de refresco válido por 7 días
-    algorithm: 'HS256'
-  });
-};
-
 /**
  * @function register
  * @description Registra un nuevo usuario en el sistema, ya sea paciente o médico
@@ -85,16 +76,17 @@ const generateRefreshToken = (id) => {
  * @param {string} [req.body.role='patient'] - Rol del usuario ('patient' o 'doctor')
  * @param {string} [req.body.speciality] - Especialidad médica (requerido si role='doctor')
  * @param {string} [req.body.licenseNumber] - Número de licencia médica (requerido si role='doctor')
+ * @param {string} [req.body.language='es'] - Idioma de las notificaciones ('es' o 'en')
  * @param {Object} res - Objeto de respuesta Express
  * 
  * @returns {Object} - Respuesta JSON con token, refreshToken y datos del usuario creado
  */
 const register = async (req, res) => {
   try {
-    const { email, password, name, phoneNumber, role, speciality, licenseNumber } = req.body;
+    const { email, password, name, phoneNumber, role, speciality, licenseNumber, language } = req.body;
 
-    // Verificar si el usuario ya existe para prevenir duplicados
-    let existingUser = await User.findOne({ email });
+    // Verificar si el correo ya está registrado en cualquier cuenta (paciente, administrador o médico)
+    const existingUser = await Account.findOne({ email });
     if (existingUser) {
       return res.status(400).json({ message: 'El correo electrónico ya está registrado' });
     }
@@ -106,18 +98,19 @@ const register = async (req, res) => {
       if (!speciality || !licenseNumber) {
         return res.status(400).json({ message: 'La especialidad y número de licencia son requeridos para médicos' });
       }
-      user = new Doctor({ email, password, name, phoneNumber, speciality, licenseNumber });
+      user = new Doctor({ email, password, name, phoneNumber, speciality, licenseNumber, language });
     } else {
       // Usuario paciente por defecto
-      user = new User({ email, password, name, phoneNumber, role: role || 'patient' });
+      user = new User({ email, password, name, phoneNumber, role: role || 'patient', language });
     }
 
     // Guardar usuario en la base de datos
     await user.save();
     
-    // Generar tokens de autenticación
-    const token = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    // Iniciar una sesión y generar sus tokens de autenticación
+    const { token, refreshToken } = await createSession(user._id, req, {
+      signAccessToken: (sessionId) => generateToken(user._id, sessionId)
+    });
 
     // Respuesta exitosa con datos de usuario y tokens
     res.status(201).json({
@@ -128,14 +121,18 @@ const register = async (req, res) => {
         id: user._id,
         email: user.email,
         name: user.name,
-        role: role || 'patient',
-        ...(role === 'doctor' && {
+        role: user.role,
+        ...(user.role === 'doctor' && {
           speciality: user.speciality,
           licenseNumber: user.licenseNumber
         })
       }
     });
   } catch (error) {
+    // Otra solicitud registró el mismo correo al mismo tiempo: lo rechaza el índice único de cuentas
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.email) {
+      return res.status(400).json({ message: 'El correo electrónico ya está registrado' });
+    }
     res.status(500).json({ message: 'Error al registrar usuario', error: error.message });
   }
 };
@@ -172,28 +169,16 @@ const login = async (req, res) => {
       });
     }
 
-    // Buscar usuario en ambos modelos (User y Doctor) con manejo robusto de errores
+    // Buscar la cuenta (paciente, administrador o médico) con manejo robusto de errores
     let user = null;
-    let isDoctor = false;
     
     try {
-      // Primero buscar en la colección de usuarios regulares
-      user = await User.findOne({ email }).select('+password');
+      user = await Account.findOne({ email }).select('+password');
     } catch (err) {
       console.error("Error buscando usuario:", err);
     }
 
-    if (!user) {
-      try {
-        // Si no se encontró usuario, buscar en la colección de médicos
-        user = await Doctor.findOne({ email }).select('+password');
-        if (user) isDoctor = true;
-      } catch (err) {
-        console.error("Error buscando doctor:", err);
-      }
-    }
-
-    // Si no se encontró el usuario en ninguna colección
+    // Si no existe ninguna cuenta con ese correo
     if (!user) {
       updateLoginAttempts(email); // Incrementar intentos fallidos
       return res.status(401).json({ message: 'Credenciales inválidas' });
@@ -217,23 +202,24 @@ const login = async (req, res) => {
     // Login exitoso: restablecer contador de intentos fallidos
     loginAttempts.delete(email);
 
-    // Generar token de acceso estándar
-    const token = generateToken(user._id);
-    
-    // Sólo generar refresh token si el cliente lo solicita específicamente
-    // Esto reduce el tamaño de la respuesta cuando no es necesario
-    const refreshToken = req.query.withRefresh ? generateRefreshToken(user._id) : null;
+    // Iniciar una sesión y generar el token de acceso estándar
+    // Sólo generar el refresh token si el cliente lo solicita específicamente: si no, la sesión
+    // expira con el token de acceso y la respuesta es más pequeña
+    const { token, refreshToken } = await createSession(user._id, req, {
+      signAccessToken: (sessionId) => generateToken(user._id, sessionId),
+      withRefreshToken: Boolean(req.query.withRefresh)
+    });
 
     // Construir objeto de respuesta con información mínima necesaria del usuario
     const userResponse = {
       _id: user._id,
       email: user.email,
       name: user.name,
-      role: isDoctor ? 'doctor' : user.role
+      role: user.role
     };
     
     // Añadir información específica para médicos cuando corresponda
-    if (isDoctor && user.speciality) {
+    if (user.role === 'doctor' && user.speciality) {
       userResponse.speciality = user.speciality;
     }
 
@@ -259,7 +245,9 @@ const login = async (req, res) => {
 
 /**
  * @function refreshAccessToken
- * @description Renueva un token de acceso utilizando un token de refresco válido
+ * @description Renueva un token de acceso utilizando un token de refresco válido.
+ * El token de refresco se sustituye por uno nuevo y deja de ser válido; si se vuelve a presentar,
+ * se considera robado y la sesión se cierra.
  * 
  * @param {Object} req - Objeto de solicitud Express
  * @param {Object} req.body - Cuerpo de la solicitud
@@ -275,27 +263,102 @@ const refreshAccessToken = async (req, res) => {
       return res.status(400).json({ message: 'Token de refresco requerido' });
     }
 
-    // Verificar validez del token de refresco
-    const decoded = jwt.verify(refreshToken, config.jwt.secret);
-    
-    // Buscar usuario en ambas colecciones
-    const user = await User.findById(decoded.id) || await Doctor.findById(decoded.id);
+    // Validar el token de refresco y sustituirlo por uno nuevo de la misma sesión
+    const { session, refreshToken: newRefreshToken } = await rotateSession(String(refreshToken), req);
 
-    if (!user) {
+    // Verificar que la cuenta siga existiendo
+    if (!await Account.exists({ _id: session.account })) {
+      await revokeSession(session._id, session.account, 'logout');
       return res.status(401).json({ message: 'Usuario no encontrado' });
     }
 
-    // Generar nuevos tokens
-    const newToken = generateToken(user._id);
-    const newRefreshToken = generateRefreshToken(user._id);
-
     // Enviar nuevos tokens al cliente
     res.json({
-      token: newToken,
+      token: generateToken(session.account, session._id),
       refreshToken: newRefreshToken
     });
   } catch (error) {
-    res.status(401).json({ message: 'Token de refresco inválido o expirado' });
+    if (error.code === 'REFRESH_TOKEN_REUSED') {
+      return res.status(401).json({ message: 'El token de refresco ya fue utilizado. Por seguridad, la sesión se ha cerrado' });
+    }
+    if (error.code === 'INVALID_REFRESH_TOKEN') {
+      return res.status(401).json({ message: 'Token de refresco inválido o expirado' });
+    }
+    res.status(500).json({ message: 'Error al renovar el token de acceso', error: error.message });
+  }
+};
+
+/**
+ * @function logout
+ * @description Cierra la sesión del token de acceso utilizado: sus tokens de acceso y de refresco dejan de ser válidos
+ * 
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.user - Usuario autenticado (inyectado por middleware auth)
+ * @param {string} [req.sessionId] - Sesión del token de acceso (inyectada por middleware auth)
+ * @param {Object} res - Objeto de respuesta Express
+ * 
+ * @returns {Object} - Respuesta JSON confirmando el cierre de sesión
+ */
+const logout = async (req, res) => {
+  try {
+    // Los tokens emitidos antes de existir las sesiones no tienen sesión que cerrar y expiran por sí solos
+    if (req.sessionId) {
+      await revokeSession(req.sessionId, req.user._id, 'logout');
+    }
+
+    res.json({ message: 'Sesión cerrada exitosamente' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al cerrar sesión', error: error.message });
+  }
+};
+
+/**
+ * @function logoutAll
+ * @description Cierra todas las sesiones abiertas del usuario autenticado, en todos sus dispositivos,
+ * incluida la actual
+ * 
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.user - Usuario autenticado (inyectado por middleware auth)
+ * @param {Object} res - Objeto de respuesta Express
+ * 
+ * @returns {Object} - Respuesta JSON con el número de sesiones cerradas
+ */
+const logoutAll = async (req, res) => {
+  try {
+    const revokedSessions = await revokeAllSessions(req.user._id, 'logout-all');
+
+    res.json({ message: 'Se cerraron todas las sesiones', revokedSessions });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al cerrar las sesiones', error: error.message });
+  }
+};
+
+/**
+ * @function getSessions
+ * @description Obtiene las sesiones abiertas del usuario autenticado, indicando cuál es la actual
+ * 
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.user - Usuario autenticado (inyectado por middleware auth)
+ * @param {string} [req.sessionId] - Sesión del token de acceso (inyectada por middleware auth)
+ * @param {Object} res - Objeto de respuesta Express
+ * 
+ * @returns {Object} - Respuesta JSON con las sesiones activas
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await getActiveSessions(req.user._id);
+
+    res.json(sessions.map(session => ({
+      id: session._id,
+      ip: session.ip,
+      userAgent: session.userAgent,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session._id.toString() === req.sessionId
+    })));
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener las sesiones', error: error.message });
   }
 };
 
@@ -318,10 +381,10 @@ const getProfile = async (req, res) => {
       id: user._id,
       email: user.email,
       name: user.name,
-      role: user.constructor.modelName === 'Doctor' ? 'doctor' : user.role,
+      role: user.role,
       phoneNumber: user.phoneNumber,
       // Incluir campos específicos para médicos cuando corresponda
-      ...(user.constructor.modelName === 'Doctor' && {
+      ...(user.role === 'doctor' && {
         speciality: user.speciality,
         licenseNumber: user.licenseNumber
       })
@@ -356,5 +419,8 @@ module.exports = {
   register,
   login,
   getProfile,
-  refreshAccessToken
+  refreshAccessToken,
+  logout,
+  logoutAll,
+  getSessions
 };
\ No newline at end of file
@@ -0,0 +1,265 @@
+/**
+ * @file availability-exception.controller.js
+ * @description Controlador para la gestión de excepciones de disponibilidad de los médicos.
+ * Permite a cada médico (o a un administrador) bloquear fechas concretas como vacaciones,
+ * congresos o festivos, y añadir turnos extraordinarios en fechas específicas.
+ * Al crear o modificar un bloqueo se informa de las citas existentes que entran en conflicto.
+ * El permiso availability-exception:manage sobre el médico de la ruta lo verifica el middleware authorize.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const AvailabilityException = require('../models/availability-exception.model');
+const Appointment = require('../models/appointment.model');
+const Doctor = require('../models/doctor.model');
+const { logger } = require('../utils/logger');
+const { timeToMinutes, rangesOverlap } = require('../utils/schedule');
+
+/**
+ * @function findConflictingAppointments
+ * @description Obtiene las citas activas (pendientes o confirmadas) del médico afectadas por un bloqueo
+ *
+ * @param {Object} exception - Excepción de tipo bloqueo
+ * @returns {Promise<Array<Object>>} Citas que se superponen con el bloqueo
+ * @private
+ */
+const findConflictingAppointments = async (exception) => {
+  if (exception.type !== 'block') {
+    return [];
+  }
+
+  const appointments = await Appointment.find({
+    doctor: exception.doctor,
+    date: { $gte: exception.startDate, $lte: exception.endDate },
+    status: { $in: ['pending', 'confirmed'] }
+  })
+    .populate('patient', 'name email phoneNumber')
+    .sort({ date: 1, time: 1 });
+
+  // Los bloqueos de día completo afectan a todas las citas del rango
+  if (!exception.startTime) {
+    return appointments;
+  }
+
+  const blockStart = timeToMinutes(exception.startTime);
+  const blockEnd = timeToMinutes(exception.endTime);
+  return appointments.filter(appointment => {
+    const start = timeToMinutes(appointment.time);
+    return rangesOverlap(start, start + (appointment.duration || 30), blockStart, blockEnd);
+  });
+};
+
+/**
+ * @function validateExtraShift
+ * @description Verifica que un turno extraordinario esté dentro del horario de atención del médico
+ *
+ * @param {Object} doctor - Documento del médico
+ * @param {Object} exception - Excepción a validar
+ * @returns {string|null} Mensaje de error o null si es válida
+ * @private
+ */
+const validateExtraShift = (doctor, exception) => {
+  if (exception.type !== 'extra' || !exception.startTime || !exception.endTime) {
+    return null;
+  }
+  const { opening, closing } = doctor.getScheduleSettings();
+  if (timeToMinutes(exception.startTime) < opening || timeToMinutes(exception.endTime) > closing) {
+    return 'El turno extraordinario debe estar dentro del horario de atención del médico';
+  }
+  return null;
+};
+
+/**
+ * @function getExceptions
+ * @description Obtiene las excepciones de disponibilidad de un médico, con filtrado opcional por rango de fechas.
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.params - Parámetros de ruta
+ * @param {string} req.params.id - ID del médico
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {string} [req.query.from] - Fecha inicial del rango (YYYY-MM-DD)
+ * @param {string} [req.query.to] - Fecha final del rango (YYYY-MM-DD)
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON con el listado de excepciones
+ */
+const getExceptions = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const query = { doctor: req.params.id };
+
+    // Filtrar las excepciones que se solapan con el rango solicitado
+    if (from) query.endDate = { $gte: new Date(from) };
+    if (to) query.startDate = { $lte: new Date(to) };
+
+    const exceptions = await AvailabilityException.find(query).sort({ startDate: 1 });
+    res.json(exceptions);
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener excepciones de disponibilidad', error: error.message });
+  }
+};
+
+/**
+ * @function createException
+ * @description Crea una excepción de disponibilidad (bloqueo o turno extraordinario) para un médico.
+ * Si es un bloqueo, la respuesta incluye las citas existentes que entran en conflicto con él.
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.params - Parámetros de ruta
+ * @param {string} req.params.id - ID del médico
+ * @param {Object} req.body - Datos de la excepción
+ * @param {string} req.body.type - Tipo de excepción ('block' o 'extra')
+ * @param {string} req.body.startDate - Primer día de la excepción (YYYY-MM-DD)
+ * @param {string} [req.body.endDate] - Último día de la excepción (por defecto, igual a startDate)
+ * @param {string} [req.body.startTime] - Hora de inicio (HH:MM)
+ * @param {string} [req.body.endTime] - Hora de fin (HH:MM)
+ * @param {string} [req.body.reason] - Motivo de la excepción
+ * @param {Object} req.user - Usuario autenticado
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON con la excepción creada y las citas en conflicto
+ */
+const createException = async (req, res) => {
+  try {
+    const doctorId = req.params.id;
+    const { type, startDate, endDate, startTime, endTime, reason } = req.body;
+
+    const doctor = await Doctor.findById(doctorId);
+    if (!doctor) {
+      return res.status(404).json({ message: 'Médico no encontrado' });
+    }
+
+    const exception = new AvailabilityException({
+      doctor: doctorId,
+      type,
+      startDate,
+      endDate: endDate || startDate,
+      startTime,
+      endTime,
+      reason
+    });
+
+    const shiftError = validateExtraShift(doctor, exception);
+    if (shiftError) {
+      return res.status(400).json({ message: shiftError });
+    }
+
+    await exception.save();
+
+    const conflicts = await findConflictingAppointments(exception);
+
+    logger.info('Excepción de disponibilidad creada', {
+      exceptionId: exception._id,
+      doctorId,
+      type,
+      conflicts: conflicts.length
+    });
+
+    res.status(201).json({
+      message: 'Excepción de disponibilidad creada exitosamente',
+      exception,
+      conflicts
+    });
+  } catch (error) {
+    logger.error('Error al crear excepción de disponibilidad', {
+      error: error.message,
+      doctorId: req.params.id
+    });
+    res.status(error.name === 'ValidationError' || error.name === 'CastError' ? 400 : 500).json({
+      message: 'Error al crear la excepción de disponibilidad',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @function updateException
+ * @description Actualiza una excepción de disponibilidad existente de un médico.
+ * Si el resultado es un bloqueo, la respuesta incluye las citas que entran en conflicto con él.
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.params - Parámetros de ruta
+ * @param {string} req.params.id - ID del médico
+ * @param {string} req.params.exceptionId - ID de la excepción
+ * @param {Object} req.body - Campos a actualizar (type, startDate, endDate, startTime, endTime, reason)
+ * @param {Object} req.user - Usuario autenticado
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON con la excepción actualizada y las citas en conflicto
+ */
+const updateException = async (req, res) => {
+  try {
+    const { id: doctorId, exceptionId } = req.params;
+
+    const exception = await AvailabilityException.findOne({ _id: exceptionId, doctor: doctorId });
+    if (!exception) {
+      return res.status(404).json({ message: 'Excepción de disponibilidad no encontrada' });
+    }
+
+    // Solo se permiten actualizar campos específicos
+    const allowedFields = ['type', 'startDate', 'endDate', 'startTime', 'endTime', 'reason'];
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        exception[field] = req.body[field] === '' ? undefined : req.body[field];
+      }
+    });
+
+    const doctor = await Doctor.findById(doctorId);
+    const shiftError = doctor && validateExtraShift(doctor, exception);
+    if (shiftError) {
+      return res.status(400).json({ message: shiftError });
+    }
+
+    await exception.save();
+
+    const conflicts = await findConflictingAppointments(exception);
+
+    res.json({
+      message: 'Excepción de disponibilidad actualizada exitosamente',
+      exception,
+      conflicts
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' || error.name === 'CastError' ? 400 : 500).json({
+      message: 'Error al actualizar la excepción de disponibilidad',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @function deleteException
+ * @description Elimina una excepción de disponibilidad de un médico.
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.params - Parámetros de ruta
+ * @param {string} req.params.id - ID del médico
+ * @param {string} req.params.exceptionId - ID de la excepción
+ * @param {Object} req.user - Usuario autenticado
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON confirmando la eliminación o mensaje de error
+ */
+const deleteException = async (req, res) => {
+  try {
+    const { id: doctorId, exceptionId } = req.params;
+
+    const deletedException = await AvailabilityException.findOneAndDelete({ _id: exceptionId, doctor: doctorId });
+    if (!deletedException) {
+      return res.status(404).json({ message: 'Excepción de disponibilidad no encontrada' });
+    }
+
+    logger.info('Excepción de disponibilidad eliminada', { exceptionId, doctorId });
+
+    res.json({ message: 'Excepción de disponibilidad eliminada exitosamente' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al eliminar la excepción de disponibilidad', error: error.message });
+  }
+};
+
+module.exports = {
+  getExceptions,
+  createException,
+  updateException,
+  deleteException
+};
@@ -8,24 +8,76 @@
  */
 
 const Doctor = require('../models/doctor.model');
+const Appointment = require('../models/appointment.model');
+const Holiday = require('../models/holiday.model');
+const dayjs = require('dayjs');
+const customParseFormat = require('dayjs/plugin/customParseFormat');
 const { sanitizeInput } = require('../middlewares/security.middleware');
 const { logger } = require('../utils/logger');
+const { timeRegex } = require('../utils/schedule');
+const { toWallClock } = require('../utils/timezone');
+
+// Habilitar el análisis estricto de formatos de fecha
+dayjs.extend(customParseFormat);
+
+/**
+ * @constant {number} DEFAULT_EARLIEST_SLOTS - Número de horarios libres devueltos por médico en la búsqueda por disponibilidad
+ */
+const DEFAULT_EARLIEST_SLOTS = 3;
+
+/**
+ * @constant {number} MAX_EARLIEST_SLOTS - Número máximo de horarios libres que pueden solicitarse por médico
+ */
+const MAX_EARLIEST_SLOTS = 20;
+
+/**
+ * @constant {number} AVAILABILITY_BATCH_SIZE - Número de médicos cuya agenda se calcula a la vez en una búsqueda
+ * por disponibilidad; se recorren todos los médicos en lotes de este tamaño
+ */
+const AVAILABILITY_BATCH_SIZE = 50;
+
+/**
+ * @function withLocalTime
+ * @description Añade a cada horario libre su fecha y hora en la zona horaria de quien consulta.
+ * Los horarios se calculan en la zona horaria de cada médico; sin zona horaria del cliente se devuelven tal cual.
+ *
+ * @param {Array<Object>} slots - Horarios libres ({date, time, startsAt, timezone})
+ * @param {string|null} requestTimezone - Zona horaria de quien consulta
+ * @returns {Array<Object>} Horarios libres, con `local` si se indicó zona horaria
+ * @private
+ */
+const withLocalTime = (slots, requestTimezone) => {
+  if (!requestTimezone) {
+    return slots;
+  }
+  return slots.map(slot => ({ ...slot, local: toWallClock(slot.startsAt, requestTimezone) }));
+};
 
 /**
  * @function getDoctors
  * @description Obtiene un listado de todos los médicos disponibles en el sistema,
  * con capacidad de filtrado por especialidad.
+ * Si se indica una fecha, realiza una búsqueda por disponibilidad: devuelve únicamente
+ * los médicos con horarios libres ese día (opcionalmente dentro de una franja horaria),
+ * cada uno con sus primeros horarios libres y ordenados por el horario más próximo.
+ * La búsqueda por disponibilidad considera a todos los médicos, en lotes de AVAILABILITY_BATCH_SIZE,
+ * para no cargar ni calcular a la vez las agendas de todos.
  * 
  * @param {Object} req - Objeto de solicitud Express
  * @param {Object} req.query - Parámetros de consulta
  * @param {string} [req.query.speciality] - Filtro opcional por especialidad médica
+ * @param {string} [req.query.date] - Fecha para la búsqueda por disponibilidad (YYYY-MM-DD)
+ * @param {string} [req.query.startTime] - Hora mínima de inicio (HH:MM), requiere date
+ * @param {string} [req.query.endTime] - Hora máxima de inicio (HH:MM, exclusiva), requiere date
+ * @param {string} [req.query.limit=3] - Número de horarios libres a devolver por médico (entre 1 y 20)
+ * @param {string|null} req.timezone - Zona horaria de quien consulta, para expresar los horarios en ella
  * @param {Object} res - Objeto de respuesta Express
  * 
  * @returns {Object} - Respuesta JSON con el listado de médicos
  */
 const getDoctors = async (req, res) => {
   try {
-    const { speciality } = req.query;
+    const { speciality, date, startTime, endTime } = req.query;
     let query = {};
     
     // Si se proporciona especialidad, crear un filtro de búsqueda insensible a mayúsculas/minúsculas
@@ -33,9 +85,66 @@ const getDoctors = async (req, res) => {
       query.speciality = new RegExp(speciality, 'i');
     }
     
+    // Sin fecha se mantiene el listado simple de médicos
     // Excluir el campo password por seguridad
-    const doctors = await Doctor.find(query, '-password');
-    res.json(doctors);
+    if (!date) {
+      return res.json(await Doctor.find(query, '-password'));
+    }
+
+    // Validar los parámetros de la búsqueda por disponibilidad
+    if (!dayjs(date, 'YYYY-MM-DD', true).isValid()) {
+      return res.status(400).json({ message: 'Formato de fecha inválido. Use YYYY-MM-DD' });
+    }
+
+    if ((startTime && !timeRegex.test(startTime)) || (endTime && !timeRegex.test(endTime))) {
+      return res.status(400).json({ message: 'Formato de hora inválido. Use HH:mm' });
+    }
+
+    if (startTime && endTime && startTime.padStart(5, '0') >= endTime.padStart(5, '0')) {
+      return res.status(400).json({ message: 'La hora final debe ser posterior a la hora inicial' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_EARLIEST_SLOTS, 1), MAX_EARLIEST_SLOTS);
+
+    // Los festivos son comunes a todos los médicos: se consultan una sola vez
+    const holidays = await Holiday.findForRange(date, date);
+    if (holidays.length > 0) {
+      return res.json([]);
+    }
+
+    // Recorrer los médicos por lotes, paginando por ID, y conservar solo los que tienen horarios libres
+    const available = [];
+    let lastId = null;
+    for (;;) {
+      const doctors = await Doctor.find(lastId ? { ...query, _id: { $gt: lastId } } : query, '-password')
+        .sort({ _id: 1 })
+        .limit(AVAILABILITY_BATCH_SIZE);
+      if (doctors.length === 0) {
+        break;
+      }
+      lastId = doctors[doctors.length - 1]._id;
+
+      // Calcular los horarios libres de cada médico con las mismas reglas que checkAvailability
+      const results = await Promise.all(doctors.map(async (doctor) => {
+        const slots = await Appointment.getAvailableSlots(doctor, date, date, { startTime, endTime, holidays });
+        return {
+          doctor,
+          earliestSlots: withLocalTime(slots.slice(0, limit), req.timezone),
+          totalSlots: slots.length
+        };
+      }));
+      available.push(...results.filter(result => result.totalSlots > 0));
+
+      if (doctors.length < AVAILABILITY_BATCH_SIZE) {
+        break;
+      }
+    }
+
+    // Ordenar por el horario más próximo
+    // (se compara el instante absoluto, ya que cada médico puede atender en otra zona horaria)
+    available.sort((a, b) => a.earliestSlots[0].startsAt - b.earliestSlots[0].startsAt);
+
+    res.json(available);
   } catch (error) {
     res.status(500).json({ message: 'Error al obtener médicos', error: error.message });
   }
@@ -68,6 +177,7 @@ const getDoctorById = async (req, res) => {
 /**
  * @function updateDoctor
  * @description Actualiza la información de un médico existente en el sistema.
+ * Solo el propio médico puede hacerlo (permiso doctor:update, verificado por el middleware authorize).
  * 
  * @param {Object} req - Objeto de solicitud Express
  * @param {Object} req.params - Parámetros de ruta
@@ -77,27 +187,39 @@ const getDoctorById = async (req, res) => {
  * @param {string} [req.body.phoneNumber] - Número telefónico actualizado
  * @param {string} [req.body.speciality] - Especialidad médica actualizada
  * @param {Array} [req.body.availability] - Disponibilidad horaria actualizada
+ * @param {number} [req.body.appointmentDuration] - Duración de cada cita en minutos
+ * @param {number} [req.body.bufferTime] - Minutos de separación entre citas
+ * @param {Object} [req.body.workingHours] - Horario de atención ({ start, end } en formato HH:MM)
  * @param {Object} res - Objeto de respuesta Express
  * 
  * @returns {Object} - Respuesta JSON con los datos actualizados o mensaje de error
  */
 const updateDoctor = async (req, res) => {
   try {
-    const { name, phoneNumber, speciality, availability } = req.body;
-    // Actualizar con validación y devolver el documento actualizado
-    const updatedDoctor = await Doctor.findByIdAndUpdate(
-      req.params.id,
-      { name, phoneNumber, speciality, availability },
-      { new: true, runValidators: true } // Asegura que se ejecuten validadores de esquema y devuelve el documento actualizado
-    ).select('-password');
-
-    if (!updatedDoctor) {
+    const doctor = await Doctor.findById(req.params.id);
+
+    if (!doctor) {
       return res.status(404).json({ message: 'Médico no encontrado' });
     }
 
+    // Asignar solo los campos permitidos que se hayan enviado
+    // Se guarda el documento completo para que las validaciones de agenda
+    // comparen la disponibilidad con el horario de atención del médico
+    const allowedFields = ['name', 'phoneNumber', 'speciality', 'availability', 'appointmentDuration', 'bufferTime', 'workingHours', 'timezone', 'language'];
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        doctor[field] = req.body[field];
+      }
+    });
+
+    await doctor.save();
+
+    const updatedDoctor = doctor.toObject();
+    delete updatedDoctor.password; // Excluir el campo password por seguridad
+
     res.json(updatedDoctor);
   } catch (error) {
-    res.status(500).json({ message: 'Error al actualizar médico', error: error.message });
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({ message: 'Error al actualizar médico', error: error.message });
   }
 };
 
@@ -126,8 +248,9 @@ const deleteDoctor = async (req, res) => {
 
 /**
  * @function updateAvailability
- * @description Actualiza la disponibilidad horaria de un médico, verificando permisos
- * y validando el formato de los datos proporcionados.
+ * @description Actualiza la disponibilidad horaria de un médico, validando el formato de los datos
+ * proporcionados. Solo el propio médico puede hacerlo (permiso doctor:update, verificado por el middleware authorize). Un mismo día puede tener varios
+ * bloques (por ejemplo, turnos partidos con pausa de almuerzo) siempre que no se superpongan.
  * 
  * @param {Object} req - Objeto de solicitud Express
  * @param {Object} req.params - Parámetros de ruta
@@ -145,18 +268,6 @@ const updateAvailability = async (req, res) => {
     const { availability } = req.body;
     const doctorId = req.params.id;
 
-    // Validación de seguridad: verificar que el doctor que hace la petición 
-    // es el mismo cuya disponibilidad se va a actualizar
-    if (req.user._id.toString() !== doctorId) {
-      logger.warn('Intento de actualizar disponibilidad de otro doctor', {
-        requestingUserId: req.user._id,
-        targetDoctorId: doctorId
-      });
-      return res.status(403).json({ 
-        message: 'No tiene permiso para actualizar la disponibilidad de otro doctor' 
-      });
-    }
-
     // Validar que la disponibilidad es un array
     if (!Array.isArray(availability)) {
       logger.error('Formato de disponibilidad inválido', { availability });
@@ -181,17 +292,25 @@ const updateAvailability = async (req, res) => {
     });
 
     // Actualizar disponibilidad en la base de datos
-    const updatedDoctor = await Doctor.findByIdAndUpdate(
-      doctorId,
-      { availability },
-      { new: true, runValidators: true } // Asegura validación y devuelve documento actualizado
-    ).select('-password');
+    // Se guarda el documento completo para validar los bloques contra el horario de atención del médico
+    const doctor = await Doctor.findById(doctorId);
 
-    if (!updatedDoctor) {
+    if (!doctor) {
       logger.error('Doctor no encontrado al actualizar disponibilidad', { doctorId });
       return res.status(404).json({ message: 'Médico no encontrado' });
     }
 
+    // Guardar los bloques ordenados por día y hora de inicio para facilitar su lectura
+    const dayOrder = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+    doctor.availability = [...availability].sort((a, b) =>
+      (dayOrder.indexOf(a.day) - dayOrder.indexOf(b.day)) ||
+      a.startTime.padStart(5, '0').localeCompare(b.startTime.padStart(5, '0'))
+    );
+    await doctor.save();
+
+    const updatedDoctor = doctor.toObject();
+    delete updatedDoctor.password; // Excluir el campo password por seguridad
+
     logger.info('Disponibilidad actualizada exitosamente', {
       doctorId,
       availabilityCount: updatedDoctor.availability.length
@@ -203,17 +322,69 @@ const updateAvailability = async (req, res) => {
       error: error.message,
       stack: error.stack
     });
-    res.status(500).json({ 
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({ 
       message: 'Error al actualizar disponibilidad', 
       error: error.message 
     });
   }
 };
 
+/**
+ * @function getDoctorSlots
+ * @description Obtiene todos los horarios libres (reservables) de un médico en un rango de fechas,
+ * calculados a partir de su disponibilidad semanal y excluyendo las citas ya agendadas.
+ * 
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.params - Parámetros de ruta
+ * @param {string} req.params.id - ID del médico
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {string} req.query.from - Fecha inicial del rango (YYYY-MM-DD)
+ * @param {string} req.query.to - Fecha final del rango (YYYY-MM-DD)
+ * @param {string|null} req.timezone - Zona horaria de quien consulta, para expresar los horarios en ella
+ * @param {Object} res - Objeto de respuesta Express
+ * 
+ * @returns {Object} - Respuesta JSON con la lista de horarios libres o mensaje de error
+ */
+const getDoctorSlots = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    if (!from || !to) {
+      return res.status(400).json({ 
+        message: 'Los parámetros from y to son requeridos (YYYY-MM-DD)' 
+      });
+    }
+
+    const slots = await Appointment.getAvailableSlots(req.params.id, from, to);
+
+    res.json({
+      doctorId: req.params.id,
+      from,
+      to,
+      slots: withLocalTime(slots, req.timezone)
+    });
+  } catch (error) {
+    if (error.message === 'Médico no encontrado') {
+      return res.status(404).json({ message: error.message });
+    }
+
+    logger.warn('Error al calcular horarios libres', {
+      doctorId: req.params.id,
+      query: req.query,
+      error: error.message
+    });
+    res.status(400).json({ 
+      message: 'Error al obtener horarios disponibles', 
+      details: error.message 
+    });
+  }
+};
+
 module.exports = {
   getDoctors,
   getDoctorById,
   updateDoctor,
   deleteDoctor,
-  updateAvailability
+  updateAvailability,
+  getDoctorSlots
 };
\ No newline at end of file
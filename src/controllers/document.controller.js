@@ -0,0 +1,262 @@
+/**
+ * @file document.controller.js
+ * @description Controlador de los documentos médicos adjuntos a las citas.
+ * El paciente y el médico de la cita pueden adjuntar documentos, listarlos y descargarlos,
+ * con las mismas reglas de acceso que la consulta de la cita. Solo quien adjuntó un documento
+ * puede eliminarlo.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const path = require('path');
+const mongoose = require('mongoose');
+const Appointment = require('../models/appointment.model');
+const Document = require('../models/document.model');
+const { logger } = require('../utils/logger');
+const { getStorage } = require('../utils/document-storage');
+const { can, appointmentParticipants } = require('../utils/permissions');
+
+/**
+ * @function loadDocumentAppointment
+ * @description Obtiene la cita indicada en la ruta y verifica que el usuario tenga el permiso solicitado
+ * sobre sus documentos (el médico y el paciente de la cita).
+ * Si alguna verificación falla, envía la respuesta de error correspondiente.
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {string} [permission='document:read'] - Permiso requerido
+ * @returns {Promise<Object|null>} La cita, o null si ya se respondió con un error
+ * @private
+ */
+const loadDocumentAppointment = async (req, res, permission = 'document:read') => {
+  const appointment = await Appointment.findById(req.params.id);
+  if (!appointment) {
+    res.status(404).json({ message: 'Cita no encontrada' });
+    return null;
+  }
+
+  if (!can(req.user, permission, appointmentParticipants(appointment))) {
+    res.status(403).json({ message: 'No autorizado para acceder a los documentos de esta cita' });
+    return null;
+  }
+
+  return appointment;
+};
+
+/**
+ * @function authorizeDocumentUpload
+ * @description Middleware que, antes de recibir el archivo, verifica que la cita exista, que el usuario
+ * pueda adjuntarle documentos y que no esté cancelada, para no recibir en memoria archivos que se van
+ * a rechazar. Deja la cita en req.appointment.
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.params - Parámetros de ruta
+ * @param {string} req.params.id - ID de la cita
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para continuar con el siguiente middleware
+ * @returns {Promise<void>}
+ */
+const authorizeDocumentUpload = async (req, res, next) => {
+  try {
+    const appointment = await loadDocumentAppointment(req, res, 'document:create');
+    if (!appointment) return;
+
+    if (appointment.status === 'cancelled') {
+      return res.status(400).json({ message: 'No se pueden adjuntar documentos a una cita cancelada' });
+    }
+
+    req.appointment = appointment;
+    next();
+  } catch (error) {
+    res.status(500).json({ message: 'Error al adjuntar el documento', details: error.message });
+  }
+};
+
+/**
+ * @function uploadAppointmentDocument
+ * @description Adjunta a la cita (verificada por authorizeDocumentUpload) el documento recibido por el middleware de subida
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.params - Parámetros de ruta
+ * @param {Object} req.appointment - Cita verificada por authorizeDocumentUpload
+ * @param {Object} req.file - Archivo recibido (campo file)
+ * @param {Object} req.body - Datos del documento
+ * @param {string} [req.body.category='other'] - Tipo de documento
+ * @param {string} [req.body.description] - Descripción
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON con el documento adjuntado
+ */
+const uploadAppointmentDocument = async (req, res) => {
+  try {
+    const { appointment } = req;
+    const storage = getStorage();
+    const documentId = new mongoose.Types.ObjectId();
+    const document = new Document({
+      _id: documentId,
+      appointment: appointment._id,
+      patient: appointment.patient,
+      doctor: appointment.doctor,
+      uploadedBy: req.user._id,
+      uploadedByModel: req.user.constructor.modelName,
+      category: req.body.category || undefined,
+      description: req.body.description,
+      originalName: req.file.originalname,
+      contentType: req.file.mimetype,
+      size: req.file.size,
+      storage: storage.name,
+      key: `${appointment._id}/${documentId}${path.extname(req.file.originalname).toLowerCase()}`
+    });
+
+    // Validar los datos antes de guardar el archivo, para no dejar archivos sin registro
+    await document.validate();
+    await storage.save(document.key, req.file.buffer, { contentType: document.contentType });
+    try {
+      await document.save();
+    } catch (saveError) {
+      await storage.remove(document.key).catch(() => {});
+      throw saveError;
+    }
+
+    logger.info(`Documento adjuntado a la cita ${appointment._id}`, {
+      documentId: document._id,
+      userId: req.user._id,
+      category: document.category,
+      size: document.size
+    });
+
+    res.status(201).json({
+      message: 'Documento adjuntado exitosamente',
+      document
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      message: 'Error al adjuntar el documento',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @function getAppointmentDocuments
+ * @description Obtiene los documentos adjuntos a una cita, en orden de subida
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.params - Parámetros de ruta
+ * @param {string} req.params.id - ID de la cita
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON con los documentos
+ */
+const getAppointmentDocuments = async (req, res) => {
+  try {
+    const appointment = await loadDocumentAppointment(req, res);
+    if (!appointment) return;
+
+    const documents = await Document.find({ appointment: appointment._id })
+      .populate('uploadedBy', 'name')
+      .sort({ createdAt: 1 });
+
+    res.json(documents);
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener los documentos de la cita', error: error.message });
+  }
+};
+
+/**
+ * @function downloadAppointmentDocument
+ * @description Descarga un documento adjunto a la cita
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.params - Parámetros de ruta
+ * @param {string} req.params.id - ID de la cita
+ * @param {string} req.params.documentId - ID del documento
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {void} - Archivo del documento, o respuesta JSON con el error
+ */
+const downloadAppointmentDocument = async (req, res) => {
+  try {
+    const appointment = await loadDocumentAppointment(req, res);
+    if (!appointment) return;
+
+    const document = await Document.findOne({ _id: req.params.documentId, appointment: appointment._id });
+    if (!document) {
+      return res.status(404).json({ message: 'Documento no encontrado' });
+    }
+
+    let stream;
+    try {
+      stream = await getStorage(document.storage).read(document.key);
+    } catch (readError) {
+      logger.error(`Archivo del documento ${document._id} no disponible`, { key: document.key, error: readError.message });
+      return res.status(404).json({ message: 'El archivo del documento no está disponible' });
+    }
+
+    res.attachment(document.originalName);
+    res.set({
+      'Content-Type': document.contentType,
+      'Content-Length': document.size
+    });
+    stream.on('error', (streamError) => {
+      logger.error(`Error al enviar el documento ${document._id}`, { error: streamError.message });
+      res.destroy(streamError);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    res.status(error.name === 'CastError' ? 400 : 500).json({
+      message: 'Error al descargar el documento',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @function deleteAppointmentDocument
+ * @description Elimina un documento adjunto a la cita. Solo puede hacerlo quien lo adjuntó.
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.params - Parámetros de ruta
+ * @param {string} req.params.id - ID de la cita
+ * @param {string} req.params.documentId - ID del documento
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON confirmando la eliminación
+ */
+const deleteAppointmentDocument = async (req, res) => {
+  try {
+    const appointment = await loadDocumentAppointment(req, res);
+    if (!appointment) return;
+
+    const document = await Document.findOne({ _id: req.params.documentId, appointment: appointment._id });
+    if (!document) {
+      return res.status(404).json({ message: 'Documento no encontrado' });
+    }
+
+    if (!can(req.user, 'document:delete', document.uploadedBy)) {
+      return res.status(403).json({ message: 'Solo quien adjuntó el documento puede eliminarlo' });
+    }
+
+    await document.deleteOne();
+    await getStorage(document.storage).remove(document.key).catch(removeError => {
+      logger.warn(`No se pudo eliminar el archivo del documento ${document._id}`, { key: document.key, error: removeError.message });
+    });
+
+    logger.info(`Documento eliminado de la cita ${appointment._id}`, { documentId: document._id, userId: req.user._id });
+
+    res.json({ message: 'Documento eliminado exitosamente' });
+  } catch (error) {
+    res.status(error.name === 'CastError' ? 400 : 500).json({
+      message: 'Error al eliminar el documento',
+      details: error.message
+    });
+  }
+};
+
+module.exports = {
+  authorizeDocumentUpload,
+  uploadAppointmentDocument,
+  getAppointmentDocuments,
+  downloadAppointmentDocument,
+  deleteAppointmentDocument
+};
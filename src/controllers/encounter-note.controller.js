@@ -0,0 +1,249 @@
+/**
+ * @file encounter-note.controller.js
+ * @description Controlador de las notas clínicas de la consulta.
+ * Solo el médico de la cita redacta la nota; el paciente puede consultarla. Cada edición se
+ * conserva como una versión y, una vez completada la cita, el médico puede bloquear la nota.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const Appointment = require('../models/appointment.model');
+const EncounterNote = require('../models/encounter-note.model');
+const { logger } = require('../utils/logger');
+const { can, appointmentParticipants } = require('../utils/permissions');
+
+/**
+ * @constant {Array<String>} EDITABLE_STATUSES - Estados de la cita en los que el médico puede redactar la nota
+ */
+const EDITABLE_STATUSES = ['confirmed', 'in-progress', 'completed'];
+
+/**
+ * @function loadNoteAppointment
+ * @description Obtiene la cita indicada en la ruta y verifica que el usuario tenga el permiso solicitado
+ * sobre su nota: el paciente y el médico de la cita pueden consultarla (encounter-note:read) y solo
+ * el médico puede redactarla o bloquearla (encounter-note:write, encounter-note:lock).
+ * Si alguna verificación falla, envía la respuesta de error correspondiente.
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {string} [permission='encounter-note:read'] - Permiso requerido
+ * @returns {Promise<Object|null>} La cita, o null si ya se respondió con un error
+ * @private
+ */
+const loadNoteAppointment = async (req, res, permission = 'encounter-note:read') => {
+  const appointment = await Appointment.findById(req.params.id);
+  if (!appointment) {
+    res.status(404).json({ message: 'Cita no encontrada' });
+    return null;
+  }
+
+  const participants = appointmentParticipants(appointment);
+  if (!can(req.user, 'encounter-note:read', participants)) {
+    res.status(403).json({ message: 'No autorizado para acceder a la nota clínica de esta cita' });
+    return null;
+  }
+
+  if (!can(req.user, permission, participants)) {
+    res.status(403).json({ message: 'Solo el médico de la cita puede redactar la nota clínica' });
+    return null;
+  }
+
+  return appointment;
+};
+
+/**
+ * @function getEncounterNote
+ * @description Obtiene la versión vigente de la nota clínica de una cita
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.params - Parámetros de ruta
+ * @param {string} req.params.id - ID de la cita
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON con la nota clínica
+ */
+const getEncounterNote = async (req, res) => {
+  try {
+    const appointment = await loadNoteAppointment(req, res);
+    if (!appointment) return;
+
+    const note = await EncounterNote.findOne({ appointment: appointment._id })
+      .select('-versions')
+      .populate('doctor', 'name speciality licenseNumber');
+    if (!note) {
+      return res.status(404).json({ message: 'La cita no tiene nota clínica' });
+    }
+
+    res.json(note);
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener la nota clínica', error: error.message });
+  }
+};
+
+/**
+ * @function saveEncounterNote
+ * @description Crea la nota clínica de una cita o guarda una nueva versión. Las secciones no indicadas
+ * conservan su contenido. Si se indica la versión sobre la que se editó y la nota cambió entretanto,
+ * la edición se rechaza para no sobrescribir cambios ajenos.
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.params - Parámetros de ruta
+ * @param {string} req.params.id - ID de la cita
+ * @param {Object} req.body - Secciones de la nota
+ * @param {string} [req.body.symptoms] - Síntomas
+ * @param {string} [req.body.diagnosis] - Diagnóstico
+ * @param {string} [req.body.treatment] - Tratamiento
+ * @param {string} [req.body.followUp] - Seguimiento
+ * @param {number} [req.body.version] - Versión vigente sobre la que se editó
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON con la nota guardada
+ */
+const saveEncounterNote = async (req, res) => {
+  try {
+    const appointment = await loadNoteAppointment(req, res, 'encounter-note:write');
+    if (!appointment) return;
+
+    if (!EDITABLE_STATUSES.includes(appointment.status)) {
+      return res.status(400).json({
+        message: 'Solo se puede redactar la nota clínica de una cita confirmada, en curso o completada'
+      });
+    }
+
+    let note = await EncounterNote.findOne({ appointment: appointment._id });
+    const isNew = !note;
+    if (isNew) {
+      note = new EncounterNote({
+        appointment: appointment._id,
+        doctor: appointment.doctor,
+        patient: appointment.patient
+      });
+    }
+
+    const { version } = req.body;
+    if (version !== undefined && Number(version) !== note.version) {
+      return res.status(409).json({
+        message: 'La nota clínica fue modificada después de la versión editada',
+        details: `Versión vigente: ${note.version}`
+      });
+    }
+
+    try {
+      if (!note.edit(req.body, req.user)) {
+        return res.json({ message: 'La nota clínica no tiene cambios', note });
+      }
+    } catch (editError) {
+      if (editError.code !== 'NOTE_LOCKED') {
+        throw editError;
+      }
+      return res.status(409).json({ message: editError.message });
+    }
+    await note.save();
+
+    logger.info(`Nota clínica de la cita ${appointment._id} guardada en su versión ${note.version}`, {
+      doctorId: req.user._id
+    });
+
+    res.status(isNew ? 201 : 200).json({
+      message: 'Nota clínica guardada exitosamente',
+      note
+    });
+  } catch (error) {
+    if (error.name === 'VersionError' || error.code === 11000) {
+      return res.status(409).json({ message: 'La nota clínica fue modificada por otra edición. Vuelva a cargarla' });
+    }
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      message: 'Error al guardar la nota clínica',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @function getEncounterNoteVersions
+ * @description Obtiene todas las versiones de la nota clínica de una cita, de la más reciente a la más antigua
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.params - Parámetros de ruta
+ * @param {string} req.params.id - ID de la cita
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON con las versiones
+ */
+const getEncounterNoteVersions = async (req, res) => {
+  try {
+    const appointment = await loadNoteAppointment(req, res);
+    if (!appointment) return;
+
+    const note = await EncounterNote.findOne({ appointment: appointment._id })
+      .populate('versions.editedBy', 'name');
+    if (!note) {
+      return res.status(404).json({ message: 'La cita no tiene nota clínica' });
+    }
+
+    res.json({
+      appointment: appointment._id,
+      version: note.version,
+      lockedAt: note.lockedAt,
+      versions: [...note.versions].reverse()
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener las versiones de la nota clínica', error: error.message });
+  }
+};
+
+/**
+ * @function lockEncounterNote
+ * @description Bloquea la nota clínica de una cita completada para impedir nuevas ediciones
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.params - Parámetros de ruta
+ * @param {string} req.params.id - ID de la cita
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON con la nota bloqueada
+ */
+const lockEncounterNote = async (req, res) => {
+  try {
+    const appointment = await loadNoteAppointment(req, res, 'encounter-note:lock');
+    if (!appointment) return;
+
+    if (appointment.status !== 'completed') {
+      return res.status(400).json({ message: 'Solo se puede bloquear la nota clínica de una cita completada' });
+    }
+
+    const note = await EncounterNote.findOne({ appointment: appointment._id });
+    if (!note) {
+      return res.status(404).json({ message: 'La cita no tiene nota clínica' });
+    }
+
+    try {
+      note.lock(req.user);
+    } catch (lockError) {
+      if (lockError.code !== 'NOTE_LOCKED') {
+        throw lockError;
+      }
+      return res.status(409).json({ message: lockError.message });
+    }
+    await note.save();
+
+    logger.info(`Nota clínica de la cita ${appointment._id} bloqueada`, { doctorId: req.user._id });
+
+    res.json({
+      message: 'Nota clínica bloqueada exitosamente',
+      note
+    });
+  } catch (error) {
+    res.status(error.name === 'VersionError' ? 409 : 500).json({
+      message: 'Error al bloquear la nota clínica',
+      details: error.message
+    });
+  }
+};
+
+module.exports = {
+  getEncounterNote,
+  saveEncounterNote,
+  getEncounterNoteVersions,
+  lockEncounterNote
+};
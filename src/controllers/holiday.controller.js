@@ -0,0 +1,264 @@
+/**
+ * @file holiday.controller.js
+ * @description Controlador para la gestión del calendario de festivos de la clínica.
+ * Permite a los administradores mantener los festivos manualmente o importarlos desde
+ * un archivo iCalendar (.ics). Los festivos bloquean la agenda de todos los médicos.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const Holiday = require('../models/holiday.model');
+const Appointment = require('../models/appointment.model');
+const { logger } = require('../utils/logger');
+const { parseHolidayCalendar } = require('../utils/ics');
+
+/**
+ * @function findConflictingAppointments
+ * @description Obtiene las citas activas (pendientes o confirmadas) de cualquier médico
+ * que caen dentro de un rango de fechas festivas
+ *
+ * @param {Date|String} startDate - Primer día del rango
+ * @param {Date|String} endDate - Último día del rango (inclusive)
+ * @returns {Promise<Array<Object>>} Citas afectadas
+ * @private
+ */
+const findConflictingAppointments = (startDate, endDate) => {
+  return Appointment.find({
+    date: { $gte: new Date(startDate), $lte: new Date(endDate) },
+    status: { $in: ['pending', 'confirmed'] }
+  })
+    .populate('patient', 'name email phoneNumber')
+    .populate('doctor', 'name email speciality')
+    .sort({ date: 1, time: 1 });
+};
+
+/**
+ * @function getHolidays
+ * @description Obtiene los festivos de la clínica, con filtrado opcional por rango de fechas o año.
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {string} [req.query.from] - Fecha inicial del rango (YYYY-MM-DD)
+ * @param {string} [req.query.to] - Fecha final del rango (YYYY-MM-DD)
+ * @param {string} [req.query.year] - Año a consultar (alternativa a from/to)
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON con el listado de festivos
+ */
+const getHolidays = async (req, res) => {
+  try {
+    let { from, to } = req.query;
+    const { year } = req.query;
+
+    if (year) {
+      from = `${year}-01-01`;
+      to = `${year}-12-31`;
+    }
+
+    const query = {};
+    if (from) query.endDate = { $gte: new Date(from) };
+    if (to) query.startDate = { $lte: new Date(to) };
+
+    const holidays = await Holiday.find(query).sort({ startDate: 1 });
+    res.json(holidays);
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener festivos', error: error.message });
+  }
+};
+
+/**
+ * @function createHoliday
+ * @description Crea un festivo en el calendario de la clínica.
+ * La respuesta incluye las citas activas que coinciden con el festivo.
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.body - Datos del festivo
+ * @param {string} req.body.name - Nombre del festivo
+ * @param {string} req.body.startDate - Primer día del festivo (YYYY-MM-DD)
+ * @param {string} [req.body.endDate] - Último día del festivo (por defecto, igual a startDate)
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON con el festivo creado y las citas en conflicto
+ */
+const createHoliday = async (req, res) => {
+  try {
+    const { name, startDate, endDate } = req.body;
+
+    const holiday = new Holiday({
+      name,
+      startDate,
+      endDate: endDate || startDate,
+      source: 'manual'
+    });
+    await holiday.save();
+
+    const conflicts = await findConflictingAppointments(holiday.startDate, holiday.endDate);
+
+    logger.info('Festivo creado', {
+      holidayId: holiday._id,
+      userId: req.user._id,
+      conflicts: conflicts.length
+    });
+
+    res.status(201).json({
+      message: 'Festivo creado exitosamente',
+      holiday,
+      conflicts
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' || error.name === 'CastError' ? 400 : 500).json({
+      message: 'Error al crear el festivo',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @function updateHoliday
+ * @description Actualiza un festivo existente del calendario de la clínica.
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.params - Parámetros de ruta
+ * @param {string} req.params.id - ID del festivo
+ * @param {Object} req.body - Campos a actualizar (name, startDate, endDate)
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON con el festivo actualizado y las citas en conflicto
+ */
+const updateHoliday = async (req, res) => {
+  try {
+    const holiday = await Holiday.findById(req.params.id);
+    if (!holiday) {
+      return res.status(404).json({ message: 'Festivo no encontrado' });
+    }
+
+    const { name, startDate, endDate } = req.body;
+    if (name !== undefined) holiday.name = name;
+    if (startDate !== undefined) holiday.startDate = startDate;
+    if (endDate !== undefined) holiday.endDate = endDate;
+
+    await holiday.save();
+
+    const conflicts = await findConflictingAppointments(holiday.startDate, holiday.endDate);
+
+    res.json({
+      message: 'Festivo actualizado exitosamente',
+      holiday,
+      conflicts
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' || error.name === 'CastError' ? 400 : 500).json({
+      message: 'Error al actualizar el festivo',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @function deleteHoliday
+ * @description Elimina un festivo del calendario de la clínica.
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.params - Parámetros de ruta
+ * @param {string} req.params.id - ID del festivo
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON confirmando la eliminación o mensaje de error
+ */
+const deleteHoliday = async (req, res) => {
+  try {
+    const deletedHoliday = await Holiday.findByIdAndDelete(req.params.id);
+    if (!deletedHoliday) {
+      return res.status(404).json({ message: 'Festivo no encontrado' });
+    }
+    res.json({ message: 'Festivo eliminado exitosamente' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al eliminar festivo', error: error.message });
+  }
+};
+
+/**
+ * @function importHolidays
+ * @description Importa festivos desde un archivo iCalendar (.ics).
+ * Acepta el contenido del archivo como cuerpo de la solicitud (Content-Type text/calendar)
+ * o en el campo `ics` de un cuerpo JSON. Los eventos se identifican por su UID, por lo que
+ * reimportar el mismo calendario actualiza las entradas existentes en lugar de duplicarlas.
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string|Object} req.body - Contenido .ics o { ics: string }
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON con el resumen de la importación y las citas en conflicto
+ */
+const importHolidays = async (req, res) => {
+  try {
+    const content = typeof req.body === 'string' ? req.body : req.body && req.body.ics;
+
+    let parsed;
+    try {
+      parsed = parseHolidayCalendar(content);
+    } catch (parseError) {
+      return res.status(400).json({ message: 'Archivo de calendario inválido', details: parseError.message });
+    }
+
+    const summary = { created: 0, updated: 0, errors: [...parsed.errors] };
+    const holidays = [];
+
+    for (const event of parsed.events) {
+      try {
+        // Reutilizar la entrada existente si el evento ya fue importado antes
+        const filter = event.uid
+          ? { uid: event.uid }
+          : { name: event.name, startDate: new Date(event.startDate), source: 'ics' };
+        let holiday = await Holiday.findOne(filter);
+
+        if (holiday) {
+          summary.updated += 1;
+        } else {
+          holiday = new Holiday({ uid: event.uid, source: 'ics' });
+          summary.created += 1;
+        }
+
+        holiday.name = event.name;
+        holiday.startDate = event.startDate;
+        holiday.endDate = event.endDate;
+        await holiday.save();
+        holidays.push(holiday);
+      } catch (eventError) {
+        summary.errors.push(`${event.name}: ${eventError.message}`);
+      }
+    }
+
+    // Informar de las citas activas afectadas por los festivos importados
+    const conflicts = [];
+    for (const holiday of holidays) {
+      conflicts.push(...await findConflictingAppointments(holiday.startDate, holiday.endDate));
+    }
+
+    logger.info('Calendario de festivos importado', {
+      userId: req.user._id,
+      created: summary.created,
+      updated: summary.updated,
+      errors: summary.errors.length,
+      conflicts: conflicts.length
+    });
+
+    res.json({
+      message: 'Calendario de festivos importado',
+      ...summary,
+      holidays,
+      conflicts
+    });
+  } catch (error) {
+    logger.error('Error al importar festivos', { error: error.message });
+    res.status(500).json({ message: 'Error al importar festivos', error: error.message });
+  }
+};
+
+module.exports = {
+  getHolidays,
+  createHoliday,
+  updateHoliday,
+  deleteHoliday,
+  importHolidays
+};
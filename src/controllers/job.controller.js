@@ -0,0 +1,179 @@
+/**
+ * @file job.controller.js
+ * @description Controlador de administración de los trabajos programados.
+ * Permite a los administradores consultar los trabajos y su historial de ejecuciones,
+ * ejecutarlos manualmente y pausar o reanudar sus ejecuciones programadas.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const Job = require('../models/job.model');
+const JobRun = require('../models/job-run.model');
+const { logger } = require('../utils/logger');
+const { getJobDefinition, runJobNow, setJobPaused } = require('../utils/job-scheduler');
+
+/**
+ * @constant {number} MAX_RUNS_LIMIT - Máximo de ejecuciones devueltas por consulta
+ */
+const MAX_RUNS_LIMIT = 100;
+
+/**
+ * @function getJobs
+ * @description Obtiene los trabajos programados con su estado, su próxima ejecución y el resultado de la última
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON con los trabajos
+ */
+const getJobs = async (req, res) => {
+  try {
+    const jobs = await Job.find().sort({ name: 1 });
+
+    res.json(jobs.map(job => ({
+      ...job.toObject(),
+      running: job.isLocked(),
+      defined: Boolean(getJobDefinition(job.name))
+    })));
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener trabajos', error: error.message });
+  }
+};
+
+/**
+ * @function getJobRuns
+ * @description Obtiene el historial de ejecuciones de un trabajo, de la más reciente a la más antigua
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.params - Parámetros de ruta
+ * @param {string} req.params.name - Nombre del trabajo
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {string} [req.query.status] - Filtro por estado de la ejecución
+ * @param {string} [req.query.limit=20] - Número máximo de ejecuciones a devolver
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON con las ejecuciones
+ */
+const getJobRuns = async (req, res) => {
+  try {
+    const job = await Job.findOne({ name: req.params.name });
+    if (!job) {
+      return res.status(404).json({ message: 'Trabajo no encontrado' });
+    }
+
+    const query = { job: job.name };
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 20, MAX_RUNS_LIMIT);
+
+    const runs = await JobRun.find(query)
+      .populate('triggeredBy', 'name email')
+      .sort({ startedAt: -1 })
+      .limit(limit);
+
+    res.json(runs);
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener el historial del trabajo', error: error.message });
+  }
+};
+
+/**
+ * @function triggerJob
+ * @description Ejecuta un trabajo de inmediato, aunque esté pausado. La ejecución continúa en segundo plano
+ * y no modifica la programación del trabajo.
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.params - Parámetros de ruta
+ * @param {string} req.params.name - Nombre del trabajo
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON con la ejecución iniciada
+ */
+const triggerJob = async (req, res) => {
+  try {
+    if (!getJobDefinition(req.params.name)) {
+      return res.status(404).json({ message: 'Trabajo no encontrado' });
+    }
+
+    const run = await runJobNow(req.params.name, req.user._id);
+    if (!run) {
+      return res.status(409).json({ message: 'El trabajo ya se está ejecutando' });
+    }
+
+    logger.info(`Ejecución manual del trabajo ${req.params.name}`, { runId: run._id, userId: req.user._id });
+
+    res.status(202).json({
+      message: 'Ejecución del trabajo iniciada',
+      run
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al ejecutar el trabajo', error: error.message });
+  }
+};
+
+/**
+ * @function pauseJob
+ * @description Pausa las ejecuciones programadas de un trabajo. Una ejecución en curso no se interrumpe.
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.params - Parámetros de ruta
+ * @param {string} req.params.name - Nombre del trabajo
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON con el trabajo pausado
+ */
+const pauseJob = async (req, res) => {
+  try {
+    const job = await setJobPaused(req.params.name, true, req.user._id);
+    if (!job) {
+      return res.status(404).json({ message: 'Trabajo no encontrado' });
+    }
+
+    logger.info(`Trabajo ${job.name} pausado`, { userId: req.user._id });
+
+    res.json({
+      message: 'Trabajo pausado exitosamente',
+      job
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al pausar el trabajo', error: error.message });
+  }
+};
+
+/**
+ * @function resumeJob
+ * @description Reanuda las ejecuciones programadas de un trabajo a partir de su siguiente ejecución
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.params - Parámetros de ruta
+ * @param {string} req.params.name - Nombre del trabajo
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON con el trabajo reanudado
+ */
+const resumeJob = async (req, res) => {
+  try {
+    const job = await setJobPaused(req.params.name, false, req.user._id);
+    if (!job) {
+      return res.status(404).json({ message: 'Trabajo no encontrado' });
+    }
+
+    logger.info(`Trabajo ${job.name} reanudado`, { userId: req.user._id, nextRunAt: job.nextRunAt });
+
+    res.json({
+      message: 'Trabajo reanudado exitosamente',
+      job
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al reanudar el trabajo', error: error.message });
+  }
+};
+
+module.exports = {
+  getJobs,
+  getJobRuns,
+  triggerJob,
+  pauseJob,
+  resumeJob
+};
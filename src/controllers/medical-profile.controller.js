@@ -0,0 +1,174 @@
+/**
+ * @file medical-profile.controller.js
+ * @description Controlador del perfil médico de los pacientes.
+ * El paciente y los administradores pueden consultarlo y modificarlo; los médicos que tienen o
+ * tuvieron una cita confirmada, en curso o completada con el paciente pueden consultarlo, siempre
+ * que la cita no la haya agendado el propio médico.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const Appointment = require('../models/appointment.model');
+const MedicalProfile = require('../models/medical-profile.model');
+const User = require('../models/user.model');
+const { logger } = require('../utils/logger');
+const { can, getUserRole } = require('../utils/permissions');
+
+/**
+ * @constant {Array<String>} PROFILE_FIELDS - Campos del perfil que pueden modificarse
+ */
+const PROFILE_FIELDS = ['dateOfBirth', 'bloodType', 'allergies', 'chronicConditions', 'currentMedications', 'emergencyContact'];
+
+/**
+ * @constant {Array<String>} TREATMENT_STATUSES - Estados de las citas que acreditan la relación entre médico y paciente
+ */
+const TREATMENT_STATUSES = ['confirmed', 'in-progress', 'completed'];
+
+/**
+ * @function isTreatingDoctor
+ * @description Verifica si un médico tiene o tuvo una cita confirmada, en curso o completada con el paciente.
+ * No cuentan las citas que agendó el propio médico (primer registro de su historial de estados), para que
+ * un médico no pueda acceder al perfil de cualquier paciente agendándole una cita.
+ *
+ * @param {ObjectId} doctorId - ID del médico
+ * @param {String} patientId - ID del paciente
+ * @returns {Promise<boolean>} true si existe al menos una cita
+ * @private
+ */
+const isTreatingDoctor = async (doctorId, patientId) => {
+  const appointment = await Appointment.exists({
+    doctor: doctorId,
+    patient: patientId,
+    status: { $in: TREATMENT_STATUSES },
+    'statusHistory.0.by': { $ne: doctorId }
+  });
+  return Boolean(appointment);
+};
+
+/**
+ * @function isTreatmentAppointment
+ * @description Verifica si una cita concreta acredita que el médico trata al paciente, con el mismo criterio
+ * que isTreatingDoctor: es del médico, está confirmada, en curso o completada y no la agendó el propio médico
+ *
+ * @param {Object} appointment - Cita (con el médico como ID o poblado)
+ * @param {ObjectId} doctorId - ID del médico
+ * @returns {boolean} true si la cita acredita la relación entre médico y paciente
+ */
+const isTreatmentAppointment = (appointment, doctorId) => {
+  const doctor = appointment.doctor && (appointment.doctor._id || appointment.doctor);
+  const bookedBy = appointment.statusHistory && appointment.statusHistory[0] && appointment.statusHistory[0].by;
+  return Boolean(doctor) &&
+    doctor.toString() === doctorId.toString() &&
+    TREATMENT_STATUSES.includes(appointment.status) &&
+    (!bookedBy || (bookedBy._id || bookedBy).toString() !== doctorId.toString());
+};
+
+/**
+ * @function getMedicalProfileSummary
+ * @description Obtiene el resumen del perfil médico de un paciente para mostrarlo junto a su cita
+ *
+ * @param {ObjectId} patientId - ID del paciente
+ * @returns {Promise<Object|null>} Resumen del perfil, o null si el paciente no lo ha completado
+ */
+const getMedicalProfileSummary = async (patientId) => {
+  const profile = await MedicalProfile.findOne({ patient: patientId });
+  return profile ? profile.toSummary() : null;
+};
+
+/**
+ * @function getMedicalProfile
+ * @description Obtiene el perfil médico de un paciente. Si aún no lo ha completado, se devuelve vacío.
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.params - Parámetros de ruta
+ * @param {string} req.params.id - ID del paciente
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON con el perfil médico
+ */
+const getMedicalProfile = async (req, res) => {
+  try {
+    const patientId = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(patientId)) {
+      return res.status(400).json({ message: 'ID de paciente inválido' });
+    }
+
+    // El perfil pertenece al paciente y, para consultarlo, también a los médicos que lo atienden
+    const owners = [patientId];
+    if (getUserRole(req.user) === 'doctor' && await isTreatingDoctor(req.user._id, patientId)) {
+      owners.push(req.user._id);
+    }
+
+    if (!can(req.user, 'medical-profile:read', owners)) {
+      return res.status(403).json({ message: 'No autorizado para ver el perfil médico de este paciente' });
+    }
+
+    const profile = await MedicalProfile.findOne({ patient: patientId });
+    if (!profile && !await User.exists({ _id: patientId, role: 'patient' })) {
+      return res.status(404).json({ message: 'Paciente no encontrado' });
+    }
+
+    res.json(profile || new MedicalProfile({ patient: patientId }));
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener el perfil médico', error: error.message });
+  }
+};
+
+/**
+ * @function updateMedicalProfile
+ * @description Crea o modifica el perfil médico de un paciente. Las listas (alergias, enfermedades
+ * crónicas y medicación actual) se reemplazan completas por las indicadas. Pueden hacerlo el paciente
+ * y los administradores (permiso medical-profile:update, verificado por el middleware authorize).
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.params - Parámetros de ruta
+ * @param {string} req.params.id - ID del paciente
+ * @param {Object} req.body - Campos del perfil a modificar
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON con el perfil actualizado
+ */
+const updateMedicalProfile = async (req, res) => {
+  try {
+    const patientId = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(patientId)) {
+      return res.status(400).json({ message: 'ID de paciente inválido' });
+    }
+
+    if (!await User.exists({ _id: patientId, role: 'patient' })) {
+      return res.status(404).json({ message: 'Paciente no encontrado' });
+    }
+
+    const profile = await MedicalProfile.findOne({ patient: patientId }) || new MedicalProfile({ patient: patientId });
+    PROFILE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        profile[field] = req.body[field];
+      }
+    });
+    profile.updatedBy = req.user._id;
+    await profile.save();
+
+    logger.info('Perfil médico actualizado', { patientId, userId: req.user._id });
+
+    res.json({
+      message: 'Perfil médico actualizado exitosamente',
+      profile
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'El perfil médico fue creado por otra solicitud. Vuelva a intentarlo' });
+    }
+    res.status(error.name === 'ValidationError' || error.name === 'CastError' ? 400 : 500).json({
+      message: 'Error al actualizar el perfil médico',
+      details: error.message
+    });
+  }
+};
+
+module.exports = {
+  isTreatmentAppointment,
+  getMedicalProfileSummary,
+  getMedicalProfile,
+  updateMedicalProfile
+};
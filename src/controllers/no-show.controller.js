@@ -0,0 +1,202 @@
+/**
+ * @file no-show.controller.js
+ * @description Controlador de las inasistencias de los pacientes.
+ * Detecta periódicamente las citas confirmadas cuyo paciente no registró su llegada dentro de la
+ * tolerancia de la política y las marca como no tomadas, lo que incrementa el contador de
+ * inasistencias del paciente. Los administradores definen la política: la tolerancia y las
+ * consecuencias de acumular inasistencias al agendar (requerir aprobación del médico o bloquear).
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const dayjs = require('dayjs');
+const Appointment = require('../models/appointment.model');
+const NoShowPolicy = require('../models/no-show-policy.model');
+const User = require('../models/user.model');
+const { logger } = require('../utils/logger');
+const { defineJob } = require('../utils/job-scheduler');
+
+/**
+ * @constant {Array<String>} POLICY_FIELDS - Campos de la política que pueden modificar los administradores
+ */
+const POLICY_FIELDS = ['graceMinutes', 'autoConfirm', 'approvalThreshold', 'blockThreshold'];
+
+/**
+ * @function detectNoShows
+ * @description Marca como no tomadas las citas confirmadas sin registro de llegada cuya hora de
+ * inicio más la tolerancia de la política ya pasó. Las citas en días festivos de la clínica o en
+ * horarios bloqueados por el médico no se cuentan como inasistencia: se cancelan.
+ *
+ * @returns {Promise<number>} Número de citas marcadas como no tomadas
+ */
+const detectNoShows = async () => {
+  const policy = await NoShowPolicy.getCurrent();
+  const cutoff = dayjs().subtract(policy.graceMinutes, 'minute').toDate();
+
+  const unattended = await Appointment.find({
+    status: 'confirmed',
+    isArchived: false,
+    checkedInAt: null,
+    startsAt: { $lte: cutoff }
+  });
+
+  // El paciente no es responsable de las citas que no pudieron realizarse por cierre o bloqueo de agenda
+  const closureReasons = await Appointment.findClosureReasons(unattended);
+
+  let noShows = 0;
+  for (const appointment of unattended) {
+    const closureReason = closureReasons.get(appointment._id.toString());
+    if (closureReason) {
+      appointment.transitionTo('cancelled', { reason: closureReason });
+      await appointment.save();
+      logger.info(`Cita ID ${appointment._id} cancelada automáticamente (${closureReason})`, {
+        patientId: appointment.patient
+      });
+      continue;
+    }
+
+    appointment.transitionTo('no-show', {
+      reason: `Sin registro de llegada ${policy.graceMinutes} minutos después del inicio`
+    });
+    await appointment.save();
+    noShows++;
+    logger.info(`Cita ID ${appointment._id} marcada automáticamente como no tomada`, {
+      patientId: appointment.patient
+    });
+  }
+
+  return noShows;
+};
+
+/**
+ * @function initNoShowScheduler
+ * @description Registra en el programador de trabajos la detección de inasistencias, cada 5 minutos
+ *
+ * @returns {void}
+ */
+const initNoShowScheduler = () => {
+  defineJob('detect-no-shows', {
+    description: 'Marca como no tomadas las citas confirmadas sin registro de llegada tras la tolerancia',
+    cron: '*/5 * * * *',
+    handler: detectNoShows
+  });
+};
+
+/**
+ * @function evaluateBookingPolicy
+ * @description Determina, según la política y las inasistencias del paciente, si puede agendar
+ * citas por sí mismo y si sus citas se confirman automáticamente
+ *
+ * @param {ObjectId} patientId - ID del paciente
+ * @returns {Promise<Object>} Tratamiento de sus citas ({blocked, requiresApproval, autoConfirm}) y noShowCount
+ */
+const evaluateBookingPolicy = async (patientId) => {
+  const [policy, patient] = await Promise.all([
+    NoShowPolicy.getCurrent(),
+    User.findById(patientId).select('noShowCount')
+  ]);
+  const noShowCount = patient ? patient.noShowCount || 0 : 0;
+
+  return { ...policy.evaluatePatient(noShowCount), noShowCount };
+};
+
+/**
+ * @function getNoShowPolicy
+ * @description Obtiene la política de inasistencias vigente
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON con la política
+ */
+const getNoShowPolicy = async (req, res) => {
+  try {
+    res.json(await NoShowPolicy.getCurrent());
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener la política de inasistencias', error: error.message });
+  }
+};
+
+/**
+ * @function updateNoShowPolicy
+ * @description Modifica la política de inasistencias. Los umbrales se desactivan con null.
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.body - Campos a modificar
+ * @param {number} [req.body.graceMinutes] - Tolerancia en minutos tras el inicio de la cita
+ * @param {boolean} [req.body.autoConfirm] - Confirmar automáticamente las citas que agendan los pacientes
+ * @param {number|null} [req.body.approvalThreshold] - Inasistencias a partir de las cuales se requiere aprobación del médico
+ * @param {number|null} [req.body.blockThreshold] - Inasistencias a partir de las cuales el paciente no puede agendar
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON con la política actualizada
+ */
+const updateNoShowPolicy = async (req, res) => {
+  try {
+    const policy = await NoShowPolicy.getCurrent();
+    POLICY_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        policy[field] = req.body[field];
+      }
+    });
+    policy.updatedBy = req.user._id;
+    await policy.save();
+
+    logger.info('Política de inasistencias actualizada', {
+      userId: req.user._id,
+      policy: POLICY_FIELDS.reduce((values, field) => ({ ...values, [field]: policy[field] }), {})
+    });
+
+    res.json({
+      message: 'Política de inasistencias actualizada exitosamente',
+      policy
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' || error.name === 'CastError' ? 400 : 500).json({
+      message: 'Error al actualizar la política de inasistencias',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @function resetPatientNoShows
+ * @description Reinicia el contador de inasistencias de un paciente
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.params - Parámetros de ruta
+ * @param {string} req.params.id - ID del paciente
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON con el paciente actualizado
+ */
+const resetPatientNoShows = async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { noShowCount: 0 },
+      { new: true }
+    ).select('-password');
+    if (!user) {
+      return res.status(404).json({ message: 'Usuario no encontrado' });
+    }
+
+    logger.info('Contador de inasistencias reiniciado', { patientId: user._id, userId: req.user._id });
+
+    res.json({
+      message: 'Contador de inasistencias reiniciado exitosamente',
+      user
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al reiniciar el contador de inasistencias', error: error.message });
+  }
+};
+
+module.exports = {
+  detectNoShows,
+  initNoShowScheduler,
+  evaluateBookingPolicy,
+  getNoShowPolicy,
+  updateNoShowPolicy,
+  resetPatientNoShows
+};
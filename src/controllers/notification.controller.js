@@ -0,0 +1,242 @@
+/**
+ * @file notification.controller.js
+ * @description Controlador de las notificaciones transaccionales de citas.
+ * Cuando una cita se agenda, se confirma, se reprograma o se cancela, se notifica al paciente
+ * y al médico en su idioma por los canales configurados. Cada notificación se registra en la
+ * colección de notificaciones con su estado de entrega; los envíos fallidos se reintentan
+ * periódicamente con espera exponencial hasta agotar los intentos configurados.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const dayjs = require('dayjs');
+const Appointment = require('../models/appointment.model');
+const Notification = require('../models/notification.model');
+const config = require('../config/config');
+const { logger } = require('../utils/logger');
+const { normalizeDate } = require('../utils/schedule');
+const { toWallClock } = require('../utils/timezone');
+const { sendThroughChannel } = require('../utils/notification-channels');
+const { renderNotification } = require('../utils/notification-templates');
+const { defineJob } = require('../utils/job-scheduler');
+
+/**
+ * @constant {number} RETRY_BASE_DELAY_MS - Espera antes del primer reintento; se duplica en cada intento
+ */
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+
+/**
+ * @constant {number} MAX_LIST_LIMIT - Máximo de notificaciones devueltas por consulta
+ */
+const MAX_LIST_LIMIT = 100;
+
+/**
+ * @constant {Array<String>} NOTIFICATION_CHANNELS - Canales por los que se envía cada notificación
+ */
+const NOTIFICATION_CHANNELS = [...new Set(
+  String(config.notifications.channels || '').split(',').map(channel => channel.trim()).filter(Boolean)
+)];
+
+/**
+ * @function deliverNotification
+ * @description Envía una notificación reclamada por su canal y registra el resultado.
+ * Si el envío falla y quedan intentos, la notificación vuelve a quedar pendiente para un reintento posterior.
+ *
+ * @param {Object} notification - Notificación en estado 'sending'
+ * @returns {Promise<boolean>} true si la notificación se entregó
+ * @private
+ */
+const deliverNotification = async (notification) => {
+  try {
+    await notification.populate('recipient', 'name email phoneNumber');
+    if (!notification.recipient) {
+      throw new Error('El destinatario ya no existe');
+    }
+
+    await sendThroughChannel(notification.channel, {
+      recipient: notification.recipient,
+      subject: notification.subject,
+      text: notification.text
+    });
+
+    notification.status = 'sent';
+    notification.sentAt = new Date();
+    notification.lastError = undefined;
+  } catch (error) {
+    // Un destinatario sin dirección para el canal no se resuelve reintentando
+    const exhausted = error.code === 'MISSING_RECIPIENT' ||
+      notification.attempts >= config.notifications.maxAttempts;
+    notification.status = exhausted ? 'failed' : 'pending';
+    notification.lastError = error.message;
+    notification.nextAttemptAt = dayjs()
+      .add(RETRY_BASE_DELAY_MS * 2 ** (notification.attempts - 1), 'millisecond')
+      .toDate();
+
+    logger.error('Error al enviar notificación', {
+      notificationId: notification._id,
+      channel: notification.channel,
+      attempts: notification.attempts,
+      willRetry: !exhausted,
+      error: error.message
+    });
+  }
+
+  await notification.save();
+  return notification.status === 'sent';
+};
+
+/**
+ * @function notifyAppointmentEvent
+ * @description Notifica al paciente y al médico un evento de una cita por cada canal configurado.
+ * Los errores se registran sin propagarse, para no afectar a la operación que originó el evento.
+ *
+ * @param {String} event - Evento de la cita (booked, confirmed, rescheduled, cancelled)
+ * @param {Object} appointment - Cita afectada (se recarga con los datos del paciente y del médico)
+ * @param {Object} [details={}] - Datos adicionales del evento
+ * @param {Date|String} [details.previousDate] - Fecha anterior de una cita reprogramada
+ * @param {String} [details.previousTime] - Hora anterior de una cita reprogramada (HH:MM)
+ * @param {String} [details.reason] - Motivo de la cancelación
+ * @returns {Promise<Array<Object>>} Notificaciones registradas
+ */
+const notifyAppointmentEvent = async (event, appointment, details = {}) => {
+  try {
+    const current = await Appointment.findById(appointment._id)
+      .populate('patient', 'name language')
+      .populate('doctor', 'name speciality language');
+    if (!current || !current.patient || !current.doctor) {
+      return [];
+    }
+
+    const wallClock = current.startsAt && current.timezone
+      ? toWallClock(current.startsAt, current.timezone)
+      : { date: normalizeDate(current.date), time: current.time, timezone: current.timezone };
+    const context = {
+      patientName: current.patient.name,
+      doctorName: current.doctor.name,
+      speciality: current.doctor.speciality,
+      date: wallClock.date,
+      time: wallClock.time,
+      timezone: wallClock.timezone,
+      previousDate: details.previousDate ? normalizeDate(details.previousDate) : undefined,
+      previousTime: details.previousTime,
+      reason: details.reason
+    };
+
+    const recipients = [
+      { role: 'patient', model: 'User', doc: current.patient },
+      { role: 'doctor', model: 'Doctor', doc: current.doctor }
+    ];
+
+    const notifications = [];
+    for (const { role, model, doc } of recipients) {
+      const { language, subject, text } = renderNotification(event, role, doc.language, context);
+      for (const channel of NOTIFICATION_CHANNELS) {
+        notifications.push(await Notification.create({
+          recipient: doc._id,
+          recipientModel: model,
+          appointment: current._id,
+          event,
+          channel,
+          language,
+          subject,
+          text
+        }));
+      }
+    }
+
+    for (const notification of notifications) {
+      const claimed = await Notification.claim({ _id: notification._id });
+      if (claimed) {
+        await deliverNotification(claimed);
+      }
+    }
+
+    return notifications;
+  } catch (error) {
+    logger.error('Error al notificar evento de cita', {
+      event,
+      appointmentId: appointment._id,
+      error: error.message
+    });
+    return [];
+  }
+};
+
+/**
+ * @function retryPendingNotifications
+ * @description Reintenta el envío de las notificaciones pendientes cuyo reintento ya corresponde
+ *
+ * @returns {Promise<number>} Número de notificaciones entregadas
+ */
+const retryPendingNotifications = async () => {
+  let delivered = 0;
+  let notification = await Notification.claim();
+  while (notification) {
+    if (await deliverNotification(notification)) {
+      delivered += 1;
+    }
+    notification = await Notification.claim();
+  }
+
+  if (delivered > 0) {
+    logger.info(`${delivered} notificaciones entregadas en reintento`);
+  }
+  return delivered;
+};
+
+/**
+ * @function initNotificationScheduler
+ * @description Registra en el programador de trabajos el reintento de las notificaciones pendientes, cada minuto
+ *
+ * @returns {void}
+ */
+const initNotificationScheduler = () => {
+  defineJob('retry-notifications', {
+    description: 'Reintenta el envío de las notificaciones de citas no entregadas',
+    cron: '* * * * *',
+    handler: retryPendingNotifications
+  });
+  logger.info(`Notificaciones de citas por los canales: ${NOTIFICATION_CHANNELS.join(', ') || 'ninguno'}`);
+};
+
+/**
+ * @function getUserNotifications
+ * @description Obtiene las notificaciones de un usuario, de la más reciente a la más antigua.
+ * Cada usuario solo puede consultar sus propias notificaciones; los administradores, las de cualquiera
+ * (permiso notification:read sobre el usuario de la ruta, verificado por el middleware authorize).
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.params - Parámetros de ruta
+ * @param {string} req.params.id - ID del usuario
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {string} [req.query.status] - Filtro por estado de entrega
+ * @param {string} [req.query.limit=50] - Número máximo de notificaciones a devolver
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON con las notificaciones
+ */
+const getUserNotifications = async (req, res) => {
+  try {
+    const query = { recipient: req.params.id };
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 50, MAX_LIST_LIMIT);
+
+    const notifications = await Notification.find(query)
+      .select('-recipientModel')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json(notifications);
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener notificaciones', error: error.message });
+  }
+};
+
+module.exports = {
+  notifyAppointmentEvent,
+  retryPendingNotifications,
+  initNotificationScheduler,
+  getUserNotifications
+};
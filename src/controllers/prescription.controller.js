@@ -0,0 +1,205 @@
+/**
+ * @file prescription.controller.js
+ * @description Controlador de las recetas médicas.
+ * El médico de una cita completada emite las recetas de la consulta; el médico y el paciente de
+ * la cita pueden consultarlas y descargarlas en PDF, y cada paciente puede listar todas sus recetas.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const Appointment = require('../models/appointment.model');
+const Prescription = require('../models/prescription.model');
+const { logger } = require('../utils/logger');
+const { renderPrescriptionPdf } = require('../utils/prescription-pdf');
+const { can, appointmentParticipants } = require('../utils/permissions');
+
+/**
+ * @constant {Array<String>} PRESCRIPTION_FIELDS - Campos de la receta que indica el médico
+ */
+const PRESCRIPTION_FIELDS = ['medication', 'dose', 'frequency', 'duration', 'instructions'];
+
+/**
+ * @constant {String} DOCTOR_FIELDS - Datos del médico que se incluyen con la receta
+ */
+const DOCTOR_FIELDS = 'name speciality licenseNumber';
+
+/**
+ * @function loadPrescriptionAppointment
+ * @description Obtiene la cita indicada en la ruta y verifica que el usuario pueda consultar sus recetas
+ * (prescription:read): su médico, su paciente o un administrador.
+ * Si alguna verificación falla, envía la respuesta de error correspondiente.
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {Promise<Object|null>} La cita, o null si ya se respondió con un error
+ * @private
+ */
+const loadPrescriptionAppointment = async (req, res) => {
+  const appointment = await Appointment.findById(req.params.id);
+  if (!appointment) {
+    res.status(404).json({ message: 'Cita no encontrada' });
+    return null;
+  }
+
+  if (!can(req.user, 'prescription:read', appointmentParticipants(appointment))) {
+    res.status(403).json({ message: 'No autorizado para acceder a las recetas de esta cita' });
+    return null;
+  }
+
+  return appointment;
+};
+
+/**
+ * @function createPrescription
+ * @description Emite una receta en una cita completada. Solo puede hacerlo el médico de la cita.
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.params - Parámetros de ruta
+ * @param {string} req.params.id - ID de la cita
+ * @param {Object} req.body - Datos de la receta
+ * @param {string} req.body.medication - Medicamento
+ * @param {string} req.body.dose - Dosis por toma
+ * @param {string} req.body.frequency - Frecuencia de las tomas
+ * @param {string} req.body.duration - Duración del tratamiento
+ * @param {string} [req.body.instructions] - Indicaciones adicionales
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON con la receta emitida
+ */
+const createPrescription = async (req, res) => {
+  try {
+    const appointment = await loadPrescriptionAppointment(req, res);
+    if (!appointment) return;
+
+    if (!can(req.user, 'prescription:create', appointmentParticipants(appointment))) {
+      return res.status(403).json({ message: 'Solo el médico de la cita puede emitir recetas' });
+    }
+
+    if (appointment.status !== 'completed') {
+      return res.status(400).json({ message: 'Solo se pueden emitir recetas en citas completadas' });
+    }
+
+    const prescription = new Prescription({
+      appointment: appointment._id,
+      doctor: appointment.doctor,
+      patient: appointment.patient,
+      ...PRESCRIPTION_FIELDS.reduce((fields, field) => (
+        req.body[field] !== undefined ? { ...fields, [field]: req.body[field] } : fields
+      ), {})
+    });
+    await prescription.save();
+
+    logger.info(`Receta emitida en la cita ${appointment._id}`, {
+      prescriptionId: prescription._id,
+      doctorId: req.user._id,
+      patientId: appointment.patient
+    });
+
+    res.status(201).json({
+      message: 'Receta emitida exitosamente',
+      prescription: await prescription.populate('doctor', DOCTOR_FIELDS)
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      message: 'Error al emitir la receta',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @function getAppointmentPrescriptions
+ * @description Obtiene las recetas emitidas en una cita, en orden de emisión
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.params - Parámetros de ruta
+ * @param {string} req.params.id - ID de la cita
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON con las recetas
+ */
+const getAppointmentPrescriptions = async (req, res) => {
+  try {
+    const appointment = await loadPrescriptionAppointment(req, res);
+    if (!appointment) return;
+
+    const prescriptions = await Prescription.find({ appointment: appointment._id })
+      .populate('doctor', DOCTOR_FIELDS)
+      .sort({ issuedAt: 1 });
+
+    res.json(prescriptions);
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener las recetas de la cita', error: error.message });
+  }
+};
+
+/**
+ * @function downloadPrescriptionPdf
+ * @description Descarga el PDF de una receta de la cita, con la especialidad y el número de licencia del médico
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.params - Parámetros de ruta
+ * @param {string} req.params.id - ID de la cita
+ * @param {string} req.params.prescriptionId - ID de la receta
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {void} - Documento PDF, o respuesta JSON con el error
+ */
+const downloadPrescriptionPdf = async (req, res) => {
+  try {
+    const appointment = await loadPrescriptionAppointment(req, res);
+    if (!appointment) return;
+
+    const prescription = await Prescription.findOne({ _id: req.params.prescriptionId, appointment: appointment._id })
+      .populate('doctor', DOCTOR_FIELDS)
+      .populate('patient', 'name');
+    if (!prescription) {
+      return res.status(404).json({ message: 'Receta no encontrada' });
+    }
+    prescription.appointment = appointment;
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="receta-${prescription._id}.pdf"`
+    });
+    renderPrescriptionPdf(prescription).pipe(res);
+  } catch (error) {
+    res.status(error.name === 'CastError' ? 400 : 500).json({
+      message: 'Error al generar el PDF de la receta',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @function getPatientPrescriptions
+ * @description Obtiene todas las recetas de un paciente, de la más reciente a la más antigua.
+ * Cada paciente solo puede consultar sus propias recetas; los administradores, las de cualquiera
+ * (permiso prescription:read sobre el paciente de la ruta, verificado por el middleware authorize).
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.params - Parámetros de ruta
+ * @param {string} req.params.id - ID del paciente
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON con las recetas
+ */
+const getPatientPrescriptions = async (req, res) => {
+  try {
+    const prescriptions = await Prescription.find({ patient: req.params.id })
+      .populate('doctor', DOCTOR_FIELDS)
+      .populate('appointment', 'date time timezone reason')
+      .sort({ issuedAt: -1 });
+
+    res.json(prescriptions);
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener las recetas', error: error.message });
+  }
+};
+
+module.exports = {
+  createPrescription,
+  getAppointmentPrescriptions,
+  downloadPrescriptionPdf,
+  getPatientPrescriptions
+};
@@ -0,0 +1,89 @@
+/**
+ * @file realtime.controller.js
+ * @description Controlador de los eventos en tiempo real.
+ * Mantiene abierta una conexión de eventos enviados por el servidor (SSE) por la que el usuario
+ * o médico autenticado recibe los cambios de sus citas (creación, modificación, cancelación y
+ * archivado) en lugar de consultar periódicamente el listado de citas.
+ * La conexión se cierra cuando se cierra la sesión con la que se abrió (evento session.revoked).
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const config = require('../config/config');
+const { logger } = require('../utils/logger');
+const { subscribe } = require('../utils/realtime');
+
+/**
+ * @constant {number} RECONNECT_DELAY_MS - Espera que se indica al cliente antes de reconectarse si se corta la conexión
+ */
+const RECONNECT_DELAY_MS = 5000;
+
+/**
+ * @function streamAppointmentEvents
+ * @description Abre la conexión de eventos del usuario o médico autenticado. Cada evento se envía con
+ * su tipo (appointment.created, appointment.updated, appointment.cancelled o appointment.archived)
+ * y los datos de la cita en JSON. La conexión se mantiene con comentarios periódicos, y se cierra en
+ * cuanto se cierra la sesión del token con el que se abrió.
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.user - Usuario o médico autenticado
+ * @param {string} [req.sessionId] - Sesión del token de acceso
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {void}
+ */
+const streamAppointmentEvents = (req, res) => {
+  const recipientId = req.user._id.toString();
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Evitar que un proxy inverso retenga los eventos
+  });
+  res.flushHeaders();
+
+  // La compresión retiene la respuesta hasta acumular datos: se vacía tras cada escritura
+  const write = (chunk) => {
+    res.write(chunk);
+    if (typeof res.flush === 'function') {
+      res.flush();
+    }
+  };
+
+  write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+  write(`event: connected\ndata: ${JSON.stringify({ recipient: recipientId })}\n\n`);
+
+  let heartbeat = null;
+  let unsubscribe = () => {};
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  unsubscribe = subscribe(recipientId, (event) => {
+    // El cierre de sesiones es un aviso interno: no se reenvía al cliente
+    if (event.type === 'session.revoked') {
+      const revoked = event.data.allSessions || (event.data.sessions || []).includes(String(req.sessionId));
+      if (revoked) {
+        cleanup();
+        res.end();
+        logger.debug('Conexión de eventos cerrada por cierre de sesión', { userId: recipientId, sessionId: req.sessionId });
+      }
+      return;
+    }
+    write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  });
+  heartbeat = setInterval(() => write(': ping\n\n'), config.realtime.heartbeatMs);
+
+  logger.debug('Conexión de eventos abierta', { userId: recipientId });
+
+  req.on('close', () => {
+    cleanup();
+    logger.debug('Conexión de eventos cerrada', { userId: recipientId });
+  });
+};
+
+module.exports = {
+  streamAppointmentEvents
+};
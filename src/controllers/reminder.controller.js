@@ -0,0 +1,319 @@
+/**
+ * @file reminder.controller.js
+ * @description Programador de recordatorios de citas confirmadas.
+ * Periódicamente crea en la base de datos los recordatorios de las citas confirmadas que se
+ * acercan (uno por cada antelación y canal configurados) y envía los que ya corresponden.
+ * Los recordatorios se persisten, por lo que sobreviven a los reinicios del servidor, y cada
+ * uno se reclama de forma atómica antes de enviarse, de modo que se envía como máximo una vez
+ * aunque haya varias instancias del servidor. Cada recordatorio se redacta en el idioma del paciente,
+ * con las mismas plantillas que las notificaciones de citas.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const dayjs = require('dayjs');
+const Appointment = require('../models/appointment.model');
+const Reminder = require('../models/reminder.model');
+const config = require('../config/config');
+const { logger } = require('../utils/logger');
+const { toWallClock } = require('../utils/timezone');
+const { sendThroughChannel } = require('../utils/notification-channels');
+const { renderNotification } = require('../utils/notification-templates');
+const { defineJob } = require('../utils/job-scheduler');
+
+/**
+ * @constant {Object} OFFSET_UNITS - Minutos por unidad en las antelaciones configuradas
+ * @private
+ */
+const OFFSET_UNITS = { m: 1, h: 60, d: 24 * 60 };
+
+/**
+ * @function parseReminderOffsets
+ * @description Interpreta las antelaciones configuradas (ej. "24h,2h,30m") como minutos.
+ * Un número sin unidad se interpreta en minutos. Las antelaciones inválidas se ignoran.
+ *
+ * @param {String} value - Antelaciones separadas por comas
+ * @returns {Array<number>} Antelaciones en minutos, sin duplicados y de mayor a menor
+ * @private
+ */
+const parseReminderOffsets = (value) => {
+  const offsets = String(value || '')
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const match = /^(\d+)\s*([mhd]?)$/i.exec(part);
+      const amount = match ? parseInt(match[1], 10) : 0;
+      if (amount <= 0) {
+        logger.warn(`Antelación de recordatorio inválida ignorada: ${part}`);
+        return null;
+      }
+      return amount * OFFSET_UNITS[(match[2] || 'm').toLowerCase()];
+    })
+    .filter(offset => offset !== null);
+
+  return [...new Set(offsets)].sort((a, b) => b - a);
+};
+
+/**
+ * @constant {Array<number>} REMINDER_OFFSETS - Antelaciones de los recordatorios en minutos, de mayor a menor
+ */
+const REMINDER_OFFSETS = parseReminderOffsets(config.reminders.offsets);
+
+/**
+ * @constant {Array<String>} REMINDER_CHANNELS - Canales por los que se envía cada recordatorio
+ */
+const REMINDER_CHANNELS = [...new Set(
+  String(config.reminders.channels || '').split(',').map(channel => channel.trim()).filter(Boolean)
+)];
+
+/**
+ * @function formatOffset
+ * @description Expresa una antelación en minutos como texto legible
+ *
+ * @param {number} minutes - Antelación en minutos
+ * @returns {String} Antelación legible (ej. "24 horas", "30 minutos")
+ * @private
+ */
+const formatOffset = (minutes) => {
+  if (minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return `${hours} ${hours === 1 ? 'hora' : 'horas'}`;
+  }
+  return `${minutes} ${minutes === 1 ? 'minuto' : 'minutos'}`;
+};
+
+/**
+ * @function buildReminderMessage
+ * @description Construye el mensaje de recordatorio de una cita en el idioma del paciente
+ *
+ * @param {Object} appointment - Cita con paciente y médico poblados
+ * @returns {Object} Mensaje con destinatario, asunto y texto
+ * @private
+ */
+const buildReminderMessage = (appointment) => {
+  const { patient, doctor } = appointment;
+  const { subject, text } = renderNotification('reminder', 'patient', patient.language, {
+    patientName: patient.name,
+    doctorName: doctor.name,
+    speciality: doctor.speciality,
+    ...toWallClock(appointment.startsAt, appointment.timezone)
+  });
+
+  return {
+    recipient: {
+      name: patient.name,
+      email: patient.email,
+      phoneNumber: patient.phoneNumber
+    },
+    subject,
+    text
+  };
+};
+
+/**
+ * @function scheduleReminders
+ * @description Crea los recordatorios de las citas confirmadas cuyo inicio está dentro de la mayor
+ * antelación configurada. Los recordatorios que ya existen no se modifican.
+ *
+ * @param {Date} [now=new Date()] - Instante de referencia
+ * @returns {Promise<number>} Número de recordatorios creados
+ */
+const scheduleReminders = async (now = new Date()) => {
+  if (REMINDER_OFFSETS.length === 0 || REMINDER_CHANNELS.length === 0) {
+    return 0;
+  }
+
+  const horizon = dayjs(now).add(REMINDER_OFFSETS[0], 'minute').toDate();
+  const appointments = await Appointment.find({
+    status: 'confirmed',
+    isArchived: false,
+    startsAt: { $gt: now, $lte: horizon }
+  }).select('patient startsAt');
+
+  const operations = [];
+  for (const appointment of appointments) {
+    for (const offsetMinutes of REMINDER_OFFSETS) {
+      for (const channel of REMINDER_CHANNELS) {
+        operations.push({
+          updateOne: {
+            filter: { appointment: appointment._id, startsAt: appointment.startsAt, offsetMinutes, channel },
+            update: {
+              $setOnInsert: {
+                patient: appointment.patient,
+                sendAt: dayjs(appointment.startsAt).subtract(offsetMinutes, 'minute').toDate(),
+                status: 'pending'
+              }
+            },
+            upsert: true
+          }
+        });
+      }
+    }
+  }
+
+  if (operations.length === 0) {
+    return 0;
+  }
+
+  try {
+    const result = await Reminder.bulkWrite(operations, { ordered: false });
+    return result.upsertedCount;
+  } catch (error) {
+    // Otra instancia pudo crear el mismo recordatorio a la vez; el índice único evita el duplicado
+    if (error.code === 11000) {
+      return error.result ? error.result.upsertedCount : 0;
+    }
+    throw error;
+  }
+};
+
+/**
+ * @function getSkipReason
+ * @description Determina si un recordatorio reclamado ya no debe enviarse
+ *
+ * @param {Object|null} appointment - Cita del recordatorio
+ * @param {Object} reminder - Recordatorio reclamado
+ * @param {Date} now - Instante de referencia
+ * @returns {{status: String, reason: String}|null} Estado final y motivo, o null si debe enviarse
+ * @private
+ */
+const getSkipReason = (appointment, reminder, now) => {
+  if (!appointment || appointment.status !== 'confirmed' || appointment.isArchived) {
+    return { status: 'cancelled', reason: 'La cita ya no está confirmada' };
+  }
+  if (!appointment.startsAt || appointment.startsAt.getTime() !== reminder.startsAt.getTime()) {
+    return { status: 'cancelled', reason: 'La cita fue reprogramada' };
+  }
+  if (appointment.startsAt <= now) {
+    return { status: 'skipped', reason: 'La cita ya comenzó' };
+  }
+
+  // Si el envío se retrasó (por ejemplo, con el servidor detenido) y ya corresponde un recordatorio
+  // más próximo a la cita, solo se envía ese
+  const superseded = REMINDER_OFFSETS.some(offset =>
+    offset < reminder.offsetMinutes && dayjs(appointment.startsAt).subtract(offset, 'minute').toDate() <= now
+  );
+  if (superseded) {
+    return { status: 'skipped', reason: 'Ya corresponde un recordatorio más próximo a la cita' };
+  }
+
+  return null;
+};
+
+/**
+ * @function deliverReminder
+ * @description Envía un recordatorio reclamado por su canal y registra el resultado.
+ * Un fallo del canal deja el recordatorio como fallido, sin reintentos, para no duplicar envíos.
+ *
+ * @param {Object} reminder - Recordatorio en estado 'sending'
+ * @param {Date} now - Instante de referencia
+ * @returns {Promise<boolean>} true si el recordatorio se envió
+ * @private
+ */
+const deliverReminder = async (reminder, now) => {
+  const appointment = await Appointment.findById(reminder.appointment)
+    .populate('patient', 'name email phoneNumber language')
+    .populate('doctor', 'name speciality');
+
+  const skip = getSkipReason(appointment, reminder, now);
+  if (skip) {
+    reminder.status = skip.status;
+    reminder.error = skip.reason;
+    await reminder.save();
+    return false;
+  }
+
+  try {
+    const result = await sendThroughChannel(reminder.channel, buildReminderMessage(appointment));
+    reminder.status = 'sent';
+    reminder.sentAt = new Date();
+    reminder.providerMessageId = result && result.id ? String(result.id) : undefined;
+
+    logger.info('Recordatorio de cita enviado', {
+      reminderId: reminder._id,
+      appointmentId: appointment._id,
+      channel: reminder.channel,
+      offsetMinutes: reminder.offsetMinutes
+    });
+  } catch (error) {
+    reminder.status = 'failed';
+    reminder.error = error.message;
+
+    logger.error('Error al enviar recordatorio de cita', {
+      reminderId: reminder._id,
+      appointmentId: appointment._id,
+      channel: reminder.channel,
+      error: error.message
+    });
+  }
+
+  await reminder.save();
+  return reminder.status === 'sent';
+};
+
+/**
+ * @function sendDueReminders
+ * @description Reclama y envía uno a uno los recordatorios pendientes cuyo envío ya corresponde
+ *
+ * @param {Date} [now=new Date()] - Instante de referencia
+ * @returns {Promise<number>} Número de recordatorios enviados
+ */
+const sendDueReminders = async (now = new Date()) => {
+  let sent = 0;
+  let reminder = await Reminder.claimNextDue(now);
+  while (reminder) {
+    if (await deliverReminder(reminder, now)) {
+      sent += 1;
+    }
+    reminder = await Reminder.claimNextDue(now);
+  }
+  return sent;
+};
+
+/**
+ * @function processReminders
+ * @description Crea los recordatorios de las próximas citas confirmadas y envía los que corresponden
+ *
+ * @returns {Promise<Object>} Número de recordatorios programados y enviados
+ */
+const processReminders = async () => {
+  const now = new Date();
+  const created = await scheduleReminders(now);
+  const sent = await sendDueReminders(now);
+
+  if (created > 0 || sent > 0) {
+    logger.info(`Recordatorios de citas: ${created} programados, ${sent} enviados`);
+  }
+  return { created, sent };
+};
+
+/**
+ * @function initReminderScheduler
+ * @description Registra en el programador de trabajos la revisión de los recordatorios de citas
+ *
+ * @returns {void}
+ */
+const initReminderScheduler = () => {
+  if (REMINDER_OFFSETS.length === 0 || REMINDER_CHANNELS.length === 0) {
+    logger.warn('Recordatorios de citas desactivados: no hay antelaciones o canales configurados');
+    return;
+  }
+
+  defineJob('send-appointment-reminders', {
+    description: 'Programa y envía los recordatorios de las citas confirmadas',
+    cron: config.reminders.cron,
+    handler: processReminders
+  });
+  logger.info(
+    `Recordatorios de citas con antelaciones de ${REMINDER_OFFSETS.map(formatOffset).join(', ')} ` +
+    `por los canales: ${REMINDER_CHANNELS.join(', ')}`
+  );
+};
+
+module.exports = {
+  scheduleReminders,
+  sendDueReminders,
+  processReminders,
+  initReminderScheduler
+};
@@ -10,8 +10,10 @@
 
 const jwt = require('jsonwebtoken');
 const config = require('../config/config');
+const Account = require('../models/account.model');
 const User = require('../models/user.model');
 const Doctor = require('../models/doctor.model');
+const { createSession } = require('../utils/sessions');
 
 /**
  * @const {Map} loginAttempts - Cache en memoria para seguimiento de intentos fallidos de login
@@ -34,12 +36,14 @@ const LOCK_TIME = 15 * 60 * 1000; // 15 minutos
  * @description Genera un token JWT optimizado con payload mínimo
  * 
  * @param {string} id - ID del usuario
+ * @param {string} sessionId - ID de la sesión a la que pertenece el token
  * @returns {string} Token JWT firmado
  */
-const generateToken = (id) => {
+const generateToken = (id, sessionId) => {
   return jwt.sign({ 
     sub: id.toString(),
-    id: id.toString()  // Añadir también como 'id' para compatibilidad con middleware
+    id: id.toString(),  // Añadir también como 'id' para compatibilidad con middleware
+    sid: sessionId.toString()  // Sesión: el token deja de aceptarse cuando se cierra
   }, config.jwt.secret, {
     expiresIn: '24h',  // Token válido por 24 horas
     algorithm: 'HS256'  // Algoritmo de firma eficiente
@@ -81,18 +85,8 @@ const simpleLogin = async (req, res) => {
       });
     }
     
-    // Proceso de búsqueda de usuario en múltiples colecciones
-    let user = null;
-    let isDoctor = false;
-    
-    // Primero buscar en usuarios regulares (pacientes)
-    user = await User.findOne({ email }).select('_id password name role');
-    
-    // Si no hay resultado en usuarios regulares, buscar en médicos
-    if (!user) {
-      user = await Doctor.findOne({ email }).select('_id password name speciality');
-      if (user) isDoctor = true;
-    }
+    // Buscar la cuenta (paciente, administrador o médico) con una sola consulta
+    const user = await Account.findOne({ email }).select('_id password name role speciality');
     
     // Si no existe ningún usuario con ese email
     if (!user) {
@@ -110,8 +104,12 @@ const simpleLogin = async (req, res) => {
     // Éxito de login - resetear intentos fallidos
     loginAttempts.delete(email);
 
-    // Generar token con información mínima necesaria
-    const token = generateToken(user._id);
+    // Iniciar una sesión y generar un token con información mínima necesaria
+    // La sesión no tiene token de refresco: expira con el token de acceso
+    const { token } = await createSession(user._id, req, {
+      signAccessToken: (sessionId) => generateToken(user._id, sessionId),
+      withRefreshToken: false
+    });
     
     // Optimización de cabeceras HTTP para evitar el error 431
     // Eliminar todas las cabeceras innecesarias que podrían aumentar el tamaño de la respuesta
@@ -135,8 +133,8 @@ const simpleLogin = async (req, res) => {
       user: {
         _id: user._id.toString(),
         name: user.name,
-        role: isDoctor ? 'doctor' : (user.role || 'patient'),
-        ...(isDoctor && { speciality: user.speciality }) // Incluir especialidad solo si es médico
+        role: user.role,
+        ...(user.role === 'doctor' && { speciality: user.speciality }) // Incluir especialidad solo si es médico
       }
     });
   } catch (error) {
@@ -177,11 +175,10 @@ const simpleRegister = async (req, res) => {
       return res.status(400).json({ message: 'Datos incompletos. Nombre, email y contraseña son requeridos' });
     }
     
-    // Verificación de duplicidad: comprobar si el correo ya existe en cualquiera de las colecciones
-    const existingUser = await User.findOne({ email });
-    const existingDoctor = await Doctor.findOne({ email });
+    // Verificación de duplicidad: el correo es único entre todas las cuentas
+    const existingUser = await Account.findOne({ email });
     
-    if (existingUser || existingDoctor) {
+    if (existingUser) {
       return res.status(409).json({ message: 'El correo electrónico ya está registrado' });
     }
     
@@ -222,8 +219,12 @@ const simpleRegister = async (req, res) => {
     // El hash de contraseña se realiza en el middleware pre-save del modelo
     await user.save();
     
-    // Generar token con información mínima
-    const token = generateToken(user._id);
+    // Iniciar una sesión y generar un token con información mínima
+    // La sesión no tiene token de refresco: expira con el token de acceso
+    const { token } = await createSession(user._id, req, {
+      signAccessToken: (sessionId) => generateToken(user._id, sessionId),
+      withRefreshToken: false
+    });
     
     // Optimización de cabeceras HTTP para minimizar tamaño
     res.removeHeader('X-Powered-By');
@@ -242,6 +243,10 @@ const simpleRegister = async (req, res) => {
       }
     });
   } catch (error) {
+    // Otra solicitud registró el mismo correo al mismo tiempo: lo rechaza el índice único de cuentas
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.email) {
+      return res.status(409).json({ message: 'El correo electrónico ya está registrado' });
+    }
     console.error("Error en simple register:", error);
     res.status(500).json({ message: 'Error de registro', error: error.message });
   }
@@ -12,14 +12,12 @@ const { sanitizeInput } = require('../middlewares/security.middleware');
 
 /**
  * @function getUsers
- * @description Obtiene un listado de todos los usuarios del sistema,
- * con capacidad de filtrado por rol si el solicitante tiene permisos adecuados.
+ * @description Obtiene un listado de todos los usuarios del sistema, con filtrado opcional por rol.
+ * Solo médicos y administradores pueden listar usuarios (permiso user:list, verificado por el middleware authorize).
  * 
  * @param {Object} req - Objeto de solicitud Express
  * @param {Object} req.query - Parámetros de consulta
  * @param {string} [req.query.role] - Filtro opcional por rol de usuario
- * @param {Object} req.user - Usuario autenticado (proveniente del middleware auth)
- * @param {string} req.user.role - Rol del usuario autenticado
  * @param {Object} res - Objeto de respuesta Express
  * 
  * @returns {Object} - Respuesta JSON con el listado de usuarios
@@ -29,9 +27,7 @@ const getUsers = async (req, res) => {
     const { role } = req.query;
     const query = {};
     
-    // Restricción de seguridad: solo médicos y administradores pueden filtrar por rol
-    // Esto evita que pacientes puedan obtener listas selectivas de usuarios
-    if (role && (req.user.role === 'doctor' || req.user.role === 'admin')) {
+    if (role) {
       query.role = role;
     }
     
@@ -46,6 +42,7 @@ const getUsers = async (req, res) => {
 /**
  * @function getUserById
  * @description Obtiene la información detallada de un usuario específico por su ID.
+ * Los pacientes solo pueden consultar su propia información (permiso user:read, verificado por el middleware authorize).
  * 
  * @param {Object} req - Objeto de solicitud Express
  * @param {Object} req.params - Parámetros de ruta
@@ -70,6 +67,8 @@ const getUserById = async (req, res) => {
 /**
  * @function updateUser
  * @description Actualiza la información de un usuario existente en el sistema.
+ * Los pacientes solo pueden modificar su propia información; los administradores, la de cualquiera
+ * (permiso user:update, verificado por el middleware authorize).
  * 
  * @param {Object} req - Objeto de solicitud Express
  * @param {Object} req.params - Parámetros de ruta
@@ -77,19 +76,20 @@ const getUserById = async (req, res) => {
  * @param {Object} req.body - Datos a actualizar
  * @param {string} [req.body.name] - Nombre actualizado del usuario
  * @param {string} [req.body.phoneNumber] - Número telefónico actualizado
+ * @param {string} [req.body.language] - Idioma de las notificaciones ('es' o 'en')
  * @param {Object} res - Objeto de respuesta Express
  * 
  * @returns {Object} - Respuesta JSON con los datos actualizados o mensaje de error
  */
 const updateUser = async (req, res) => {
   try {
-    const { name, phoneNumber } = req.body;
+    const { name, phoneNumber, language } = req.body;
     
     // Actualizar usuario con validación y devolver el documento actualizado
     // Solo se permiten actualizar campos específicos por seguridad
     const updatedUser = await User.findByIdAndUpdate(
       req.params.id,
-      { name, phoneNumber },
+      { name, phoneNumber, language },
       { new: true, runValidators: true } // Asegura que se ejecuten validadores de esquema
     ).select('-password'); // Excluir el campo password por seguridad
 
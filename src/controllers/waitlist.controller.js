@@ -0,0 +1,519 @@
+/**
+ * @file waitlist.controller.js
+ * @description Controlador para la lista de espera de los médicos.
+ * Los pacientes se inscriben en la lista de espera de un médico con un rango de fechas y una
+ * franja del día opcionales. Cuando una cita se cancela o se reprograma, el horario liberado
+ * se ofrece al primer paciente en espera cuyas preferencias coinciden, reteniéndolo durante
+ * un tiempo limitado. Si el paciente lo rechaza o la retención expira, se ofrece al siguiente.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const dayjs = require('dayjs');
+const Appointment = require('../models/appointment.model');
+const Doctor = require('../models/doctor.model');
+const WaitlistEntry = require('../models/waitlist-entry.model');
+const WaitlistOffer = require('../models/waitlist-offer.model');
+const config = require('../config/config');
+const { logger } = require('../utils/logger');
+const { can, getUserRole } = require('../utils/permissions');
+const { normalizeDate, timeToMinutes } = require('../utils/schedule');
+const { defineJob } = require('../utils/job-scheduler');
+const { evaluateBookingPolicy } = require('./no-show.controller');
+const { notifyAppointmentEvent } = require('./notification.controller');
+
+/**
+ * @function offerFreedSlot
+ * @description Ofrece un horario liberado al primer paciente de la lista de espera del médico
+ * cuyas preferencias de fecha y franja horaria coinciden, y retiene el horario para él.
+ * Se omiten los pacientes que ya rechazaron o dejaron expirar ese mismo horario.
+ * No se ofrece nada si el horario ya no puede agendarse (por ejemplo, si ya pasó).
+ * Los errores se registran sin propagarse, para no afectar a la operación que liberó el horario.
+ *
+ * @param {Object} slot - Horario liberado
+ * @param {ObjectId} slot.doctor - ID del médico
+ * @param {Date|String} slot.date - Fecha del horario
+ * @param {String} slot.time - Hora del horario (HH:MM)
+ * @returns {Promise<Object|null>} Oferta creada, o null si no hay paciente a quien ofrecerlo
+ */
+const offerFreedSlot = async ({ doctor, date, time }) => {
+  try {
+    const dateOnly = normalizeDate(date);
+
+    // Solo se ofrecen horarios que siguen siendo reservables
+    try {
+      await Appointment.checkAvailability(doctor, dateOnly, time);
+    } catch (availabilityError) {
+      return null;
+    }
+
+    const previousOffers = await WaitlistOffer.find({
+      doctor,
+      date: new Date(dateOnly),
+      time,
+      status: { $in: ['declined', 'expired'] }
+    }).select('patient');
+    const skipped = previousOffers.map(offer => offer.patient.toString());
+
+    const entries = await WaitlistEntry.findMatching(doctor, dateOnly);
+    const entry = entries.find(candidate =>
+      candidate.matchesTime(timeToMinutes(time)) && !skipped.includes(candidate.patient.toString())
+    );
+    if (!entry) {
+      return null;
+    }
+
+    const doctorDoc = await Doctor.findById(doctor);
+    const offer = await WaitlistOffer.create({
+      entry: entry._id,
+      patient: entry.patient,
+      doctor,
+      date: dateOnly,
+      time,
+      duration: doctorDoc.getScheduleSettings().duration,
+      expiresAt: dayjs().add(config.waitlist.holdMinutes, 'minute').toDate()
+    });
+
+    entry.status = 'offered';
+    await entry.save();
+
+    logger.info('Horario liberado ofrecido a paciente en lista de espera', {
+      offerId: offer._id,
+      entryId: entry._id,
+      patientId: entry.patient,
+      doctorId: doctor,
+      date: dateOnly,
+      time
+    });
+
+    return offer;
+  } catch (error) {
+    // Un error de clave duplicada indica que el horario ya está retenido para otro paciente
+    if (error.code !== 11000) {
+      logger.error('Error al ofrecer horario liberado a la lista de espera', {
+        error: error.message,
+        doctorId: doctor,
+        date,
+        time
+      });
+    }
+    return null;
+  }
+};
+
+/**
+ * @function releaseOffer
+ * @description Cierra una oferta pendiente como rechazada o expirada, devuelve al paciente
+ * a la lista de espera y ofrece el horario al siguiente paciente.
+ * También cierra las ofertas aceptadas cuya cita no llegó a agendarse.
+ * La actualización es atómica, por lo que una oferta solo puede cerrarse una vez.
+ *
+ * @param {ObjectId} offerId - ID de la oferta
+ * @param {String} status - Estado final ('declined' o 'expired')
+ * @param {String} [fromStatus='pending'] - Estado en que debe estar la oferta ('pending' o 'accepted')
+ * @returns {Promise<Object|null>} Oferta cerrada, o null si ya no estaba en ese estado
+ * @private
+ */
+const releaseOffer = async (offerId, status, fromStatus = 'pending') => {
+  const offer = await WaitlistOffer.findOneAndUpdate(
+    { _id: offerId, status: fromStatus, appointment: null },
+    { status, respondedAt: new Date() },
+    { new: true }
+  );
+  if (!offer) {
+    return null;
+  }
+
+  await WaitlistEntry.updateOne({ _id: offer.entry, status: 'offered' }, { status: 'waiting' });
+  await offerFreedSlot(offer);
+  return offer;
+};
+
+/**
+ * @function expireWaitlistHolds
+ * @description Cierra las ofertas cuya retención venció y ofrece esos horarios al siguiente paciente.
+ * Incluye las ofertas aceptadas que quedaron sin cita (por ejemplo, si el servidor se detuvo al agendarla).
+ *
+ * @returns {Promise<number>} Número de ofertas expiradas
+ */
+const expireWaitlistHolds = async () => {
+  const expired = await WaitlistOffer.find({
+    status: { $in: ['pending', 'accepted'] },
+    appointment: null,
+    expiresAt: { $lte: new Date() }
+  }).select('_id status');
+
+  let count = 0;
+  for (const offer of expired) {
+    if (await releaseOffer(offer._id, 'expired', offer.status)) {
+      count += 1;
+    }
+  }
+
+  if (count > 0) {
+    logger.info(`${count} ofertas de lista de espera expiradas`);
+  }
+  return count;
+};
+
+/**
+ * @function initWaitlistScheduler
+ * @description Registra en el programador de trabajos la revisión de las retenciones vencidas
+ * de la lista de espera, cada minuto
+ *
+ * @returns {void}
+ */
+const initWaitlistScheduler = () => {
+  defineJob('expire-waitlist-holds', {
+    description: 'Expira las retenciones vencidas de la lista de espera y ofrece los horarios al siguiente paciente',
+    cron: '* * * * *',
+    handler: expireWaitlistHolds
+  });
+};
+
+/**
+ * @function joinWaitlist
+ * @description Inscribe al paciente autenticado en la lista de espera de un médico.
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.body - Datos de la inscripción
+ * @param {string} req.body.doctorId - ID del médico
+ * @param {string} req.body.reason - Motivo de la cita
+ * @param {string} [req.body.fromDate] - Primera fecha aceptable (YYYY-MM-DD)
+ * @param {string} [req.body.toDate] - Última fecha aceptable (YYYY-MM-DD)
+ * @param {string} [req.body.timeOfDay='any'] - Franja preferida ('any', 'morning', 'afternoon', 'evening')
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON con la inscripción creada
+ */
+const joinWaitlist = async (req, res) => {
+  try {
+    const { doctorId, reason, fromDate, toDate, timeOfDay } = req.body;
+
+    const doctor = await Doctor.findById(doctorId);
+    if (!doctor) {
+      return res.status(404).json({ message: 'Médico no encontrado' });
+    }
+
+    const existing = await WaitlistEntry.findOne({
+      patient: req.user._id,
+      doctor: doctorId,
+      status: { $in: ['waiting', 'offered'] }
+    });
+    if (existing) {
+      return res.status(409).json({
+        message: 'Ya está inscrito en la lista de espera de este médico',
+        entry: existing
+      });
+    }
+
+    const entry = new WaitlistEntry({
+      patient: req.user._id,
+      doctor: doctorId,
+      reason,
+      fromDate: fromDate || undefined,
+      toDate: toDate || undefined,
+      timeOfDay
+    });
+    await entry.save();
+
+    logger.info('Paciente inscrito en lista de espera', {
+      entryId: entry._id,
+      patientId: req.user._id,
+      doctorId
+    });
+
+    res.status(201).json({
+      message: 'Inscripción en lista de espera creada exitosamente',
+      entry
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' || error.name === 'CastError' ? 400 : 500).json({
+      message: 'Error al inscribirse en la lista de espera',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @function getWaitlist
+ * @description Obtiene las inscripciones activas en lista de espera.
+ * Los pacientes ven sus propias inscripciones; los médicos, su lista de espera en orden.
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON con las inscripciones
+ */
+const getWaitlist = async (req, res) => {
+  try {
+    const query = { status: { $in: ['waiting', 'offered'] } };
+    if (getUserRole(req.user) === 'doctor') {
+      query.doctor = req.user._id;
+    } else {
+      query.patient = req.user._id;
+    }
+
+    const entries = await WaitlistEntry.find(query)
+      .populate('patient', 'name email phoneNumber')
+      .populate('doctor', 'name speciality')
+      .sort({ createdAt: 1 });
+
+    res.json(entries);
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener la lista de espera', error: error.message });
+  }
+};
+
+/**
+ * @function leaveWaitlist
+ * @description Retira al paciente de la lista de espera. Si tenía un horario retenido, se libera.
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.params - Parámetros de ruta
+ * @param {string} req.params.id - ID de la inscripción
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON confirmando la baja
+ */
+const leaveWaitlist = async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ message: 'Inscripción no encontrada' });
+    }
+
+    if (!can(req.user, 'waitlist:leave', entry.patient)) {
+      return res.status(403).json({ message: 'No autorizado para modificar esta inscripción' });
+    }
+
+    if (entry.status !== 'waiting' && entry.status !== 'offered') {
+      return res.status(400).json({ message: 'La inscripción ya no está activa' });
+    }
+
+    entry.status = 'cancelled';
+    await entry.save();
+
+    // Liberar el horario que tuviera retenido para que pase al siguiente paciente
+    const pending = await WaitlistOffer.findOne({ entry: entry._id, status: 'pending' });
+    if (pending) {
+      await releaseOffer(pending._id, 'declined');
+    }
+
+    res.json({ message: 'Inscripción en lista de espera cancelada exitosamente' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al salir de la lista de espera', error: error.message });
+  }
+};
+
+/**
+ * @function getMyOffers
+ * @description Obtiene los horarios retenidos pendientes de respuesta del paciente autenticado.
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON con las ofertas pendientes
+ */
+const getMyOffers = async (req, res) => {
+  try {
+    const offers = await WaitlistOffer.find({
+      patient: req.user._id,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    })
+      .populate('doctor', 'name speciality')
+      .sort({ expiresAt: 1 });
+
+    res.json(offers);
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener las ofertas', error: error.message });
+  }
+};
+
+/**
+ * @function loadPendingOffer
+ * @description Obtiene la oferta indicada en la ruta y verifica que pertenezca al paciente
+ * y siga pendiente. Si la retención venció, la cierra y ofrece el horario al siguiente paciente.
+ * Si alguna verificación falla, envía la respuesta de error correspondiente.
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {Promise<Object|null>} La oferta, o null si ya se respondió con un error
+ * @private
+ */
+const loadPendingOffer = async (req, res) => {
+  const offer = await WaitlistOffer.findById(req.params.offerId);
+  if (!offer) {
+    res.status(404).json({ message: 'Oferta no encontrada' });
+    return null;
+  }
+
+  if (!can(req.user, 'waitlist-offer:respond', offer.patient)) {
+    res.status(403).json({ message: 'No autorizado para responder a esta oferta' });
+    return null;
+  }
+
+  if (offer.status !== 'pending') {
+    res.status(400).json({ message: 'La oferta ya fue respondida o expiró' });
+    return null;
+  }
+
+  if (offer.isExpired()) {
+    await releaseOffer(offer._id, 'expired');
+    res.status(410).json({ message: 'La reserva temporal del horario ha expirado' });
+    return null;
+  }
+
+  return offer;
+};
+
+/**
+ * @function acceptOffer
+ * @description Acepta un horario retenido: agenda la cita para el paciente y lo retira de la lista de espera.
+ * Se aplica la misma política de inasistencias que al agendar directamente: si el paciente no puede
+ * agendar por sí mismo, la oferta se libera para el siguiente paciente.
+ * La oferta se marca como aceptada de forma atómica antes de agendar, por lo que solo una solicitud
+ * puede aceptarla; el horario sigue retenido hasta que la cita se guarda. La cita se notifica al
+ * paciente y al médico igual que al agendar directamente.
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.params - Parámetros de ruta
+ * @param {string} req.params.offerId - ID de la oferta
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON con la cita agendada
+ */
+const acceptOffer = async (req, res) => {
+  try {
+    const offer = await loadPendingOffer(req, res);
+    if (!offer) {
+      return;
+    }
+
+    // Política de inasistencias: los pacientes bloqueados solo pueden obtener citas a través de su médico
+    const bookingPolicy = await evaluateBookingPolicy(offer.patient);
+    if (bookingPolicy.blocked) {
+      await releaseOffer(offer._id, 'declined');
+      logger.warn('Paciente con inasistencias acumuladas intentando aceptar una oferta de lista de espera', {
+        offerId: offer._id,
+        patientId: offer.patient,
+        noShowCount: bookingPolicy.noShowCount
+      });
+      return res.status(403).json({
+        message: 'No puede agendar citas por acumular inasistencias. Solicite la cita a su médico'
+      });
+    }
+
+    // Reclamar la oferta: solo una solicitud puede aceptarla, y solo mientras la retención siga vigente
+    const claimed = await WaitlistOffer.findOneAndUpdate(
+      { _id: offer._id, status: 'pending', expiresAt: { $gt: new Date() } },
+      { status: 'accepted', respondedAt: new Date() },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(409).json({ message: 'La oferta ya fue respondida o expiró' });
+    }
+
+    const entry = await WaitlistEntry.findById(offer.entry);
+
+    // La retención de esta oferta no cuenta como conflicto al agendar la cita
+    const appointment = new Appointment({
+      patient: offer.patient,
+      doctor: offer.doctor,
+      date: offer.date,
+      time: offer.time,
+      reason: entry.reason,
+      status: bookingPolicy.autoConfirm ? 'confirmed' : 'pending' // Confirmación automática según la política
+    });
+    appointment.$locals.waitlistHold = offer._id;
+    appointment.$locals.actor = req.user;
+
+    try {
+      await appointment.save();
+    } catch (bookingError) {
+      if (bookingError.code !== 'BOOKING_CONFLICT') {
+        // Devolver la oferta a pendiente para que el paciente pueda volver a aceptarla
+        await WaitlistOffer.updateOne(
+          { _id: offer._id, status: 'accepted', appointment: null },
+          { status: 'pending', $unset: { respondedAt: 1 } }
+        );
+        throw bookingError;
+      }
+      await releaseOffer(offer._id, 'expired', 'accepted');
+      return res.status(409).json({
+        message: 'El horario ya no está disponible',
+        details: bookingError.message
+      });
+    }
+
+    await WaitlistOffer.updateOne({ _id: offer._id, status: 'accepted' }, { appointment: appointment._id });
+
+    entry.status = 'booked';
+    entry.appointment = appointment._id;
+    await entry.save();
+
+    logger.info('Oferta de lista de espera aceptada', {
+      offerId: offer._id,
+      appointmentId: appointment._id,
+      patientId: req.user._id
+    });
+
+    // Notificar al paciente y al médico sin demorar la respuesta
+    notifyAppointmentEvent(appointment.status === 'confirmed' ? 'confirmed' : 'booked', appointment);
+
+    res.status(201).json({
+      message: 'Cita agendada desde la lista de espera',
+      appointment: (await appointment.populate({
+        path: 'doctor',
+        select: 'name email speciality licenseNumber'
+      })).toLocalObject(req.timezone)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al aceptar la oferta', details: error.message });
+  }
+};
+
+/**
+ * @function declineOffer
+ * @description Rechaza un horario retenido. El paciente sigue en la lista de espera
+ * y el horario se ofrece al siguiente paciente.
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.params - Parámetros de ruta
+ * @param {string} req.params.offerId - ID de la oferta
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Object} - Respuesta JSON confirmando el rechazo
+ */
+const declineOffer = async (req, res) => {
+  try {
+    const offer = await loadPendingOffer(req, res);
+    if (!offer) {
+      return;
+    }
+
+    await releaseOffer(offer._id, 'declined');
+
+    logger.info('Oferta de lista de espera rechazada', {
+      offerId: offer._id,
+      patientId: req.user._id
+    });
+
+    res.json({ message: 'Oferta rechazada. Sigue inscrito en la lista de espera' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al rechazar la oferta', details: error.message });
+  }
+};
+
+module.exports = {
+  offerFreedSlot,
+  expireWaitlistHolds,
+  initWaitlistScheduler,
+  joinWaitlist,
+  getWaitlist,
+  leaveWaitlist,
+  getMyOffers,
+  acceptOffer,
+  declineOffer
+};
@@ -2,7 +2,7 @@
  * @file auth.middleware.js
  * @description Middlewares de autenticación y autorización para proteger rutas de la API.
  * Este módulo proporciona funcionalidades para verificar tokens JWT, validar usuarios
- * y controlar accesos basados en roles. Implementa logging detallado para seguimiento
+ * y controlar el acceso según la política de permisos. Implementa logging detallado para seguimiento
  * de eventos de seguridad y resolución de problemas.
  * @author Equipo de Desarrollo
  * @version 1.0.0
@@ -10,15 +10,20 @@
 
 const jwt = require('jsonwebtoken');
 const config = require('../config/config');
-const User = require('../models/user.model');
-const Doctor = require('../models/doctor.model');
+const Account = require('../models/account.model');
+// Registrar los perfiles de cuenta para que las consultas a Account devuelvan instancias de User o Doctor
+require('../models/user.model');
+require('../models/doctor.model');
 const { logger } = require('../utils/logger');
+const { getUserRole, getPermissionScope, isOwner } = require('../utils/permissions');
+const { isSessionActive } = require('../utils/sessions');
 
 /**
  * @function auth
  * @description Middleware para verificar la autenticación mediante token JWT.
  * Extrae el token del encabezado Authorization, lo verifica, y agrega el usuario
- * a la solicitud para uso en los controladores. Admite tokens para ambos tipos de usuarios.
+ * a la solicitud para uso en los controladores. Admite tokens de todos los tipos de cuenta
+ * (pacientes, administradores y médicos) y rechaza los de sesiones cerradas.
  * 
  * @param {Object} req - Objeto de solicitud Express
  * @param {Object} res - Objeto de respuesta Express
@@ -42,16 +47,22 @@ const auth = async (req, res, next) => {
 
     // Verificar y decodificar el token usando la clave secreta
     const decoded = jwt.verify(token, config.jwt.secret);
+
+    // Los tokens de refresco no sirven como tokens de acceso
+    if (decoded.type === 'refresh') {
+      throw new Error('Token de acceso inválido');
+    }
     
     // Obtener el ID del usuario desde 'sub' (como se define en generateToken)
     const userId = decoded.sub || decoded.id;
     
-    // Buscar al usuario en ambos modelos (User y Doctor)
-    // Esta doble búsqueda permite un sistema unificado de autenticación
-    let user = await User.findById(userId);
-    if (!user) {
-      user = await Doctor.findById(userId);
-    }
+    // Buscar la cuenta con una sola consulta: se obtiene como usuario (User) o médico (Doctor) según su perfil.
+    // Al mismo tiempo, verificar que la sesión del token (sid) siga abierta; los tokens emitidos antes de
+    // existir las sesiones no la incluyen y se aceptan hasta que expiren
+    const [user, sessionActive] = await Promise.all([
+      Account.findById(userId),
+      decoded.sid ? isSessionActive(decoded.sid, userId) : true
+    ]);
 
     // Validar que el usuario existe y está activo
     if (!user) {
@@ -62,6 +73,15 @@ const auth = async (req, res, next) => {
       throw new Error('Usuario no encontrado');
     }
 
+    if (!sessionActive) {
+      logger.warn('Token de una sesión cerrada', {
+        userId: userId,
+        sessionId: decoded.sid,
+        path: req.path
+      });
+      throw new Error('La sesión fue cerrada');
+    }
+
     // Registrar evento exitoso de autenticación para depuración
     logger.debug('Usuario autenticado exitosamente', {
       userId: user._id,
@@ -72,6 +92,7 @@ const auth = async (req, res, next) => {
     // Agregar el usuario y token a la solicitud para uso en controladores
     req.user = user;
     req.token = token;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     // Registrar error detallado para depuración
@@ -88,15 +109,39 @@ const auth = async (req, res, next) => {
 };
 
 /**
- * @function checkRole
- * @description Middleware para verificación de roles de usuario.
- * Restricción de acceso basada en roles, complementa el middleware de autenticación.
- * Tiene en cuenta la particularidad de los médicos que no tienen un campo 'role' explícito.
+ * @function acceptQueryToken
+ * @description Middleware que admite el token JWT en el parámetro de consulta access_token cuando la
+ * solicitud no incluye el encabezado Authorization. Está pensado para las conexiones de eventos (SSE),
+ * ya que EventSource no permite enviar encabezados; debe colocarse antes de auth.
  * 
- * @param {Array<string>} roles - Lista de roles permitidos para acceder al recurso
- * @returns {Function} Middleware Express para verificación de roles
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para continuar con el siguiente middleware
+ * @returns {void}
+ */
+const acceptQueryToken = (req, res, next) => {
+  if (!req.header('Authorization') && typeof req.query.access_token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+/**
+ * @function authorize
+ * @description Middleware de autorización basado en la política de permisos (utils/permissions).
+ * Complementa el middleware de autenticación.
+ *
+ * - Si el rol tiene el permiso sobre cualquier registro, se concede el acceso.
+ * - Si solo lo tiene sobre sus propios registros y se indica getOwners, se concede si el usuario
+ *   figura entre los propietarios que devuelve (por ejemplo, el ID de la ruta).
+ * - Si solo lo tiene sobre sus propios registros y no se indica getOwners, se concede el acceso a la
+ *   ruta y el controlador verifica la propiedad con can() una vez obtenido el registro.
+ *
+ * @param {string} permission - Permiso requerido (por ejemplo, 'user:update')
+ * @param {Function} [getOwners] - Función que recibe la solicitud y devuelve el propietario o los propietarios del registro
+ * @returns {Function} Middleware Express para verificación de permisos
  */
-const checkRole = (roles) => {
+const authorize = (permission, getOwners) => {
   return (req, res, next) => {
     // Verificar que el usuario esté autenticado
     if (!req.user) {
@@ -107,16 +152,16 @@ const checkRole = (roles) => {
       return res.status(401).json({ message: 'No autorizado' });
     }
 
-    // Verificación de rol considerando tanto el campo 'role' como el tipo de modelo
-    const hasRole = roles.includes(req.user.role) || 
-                   (req.user.constructor.modelName === 'Doctor' && roles.includes('doctor'));
-    
-    // Denegar acceso si el usuario no tiene un rol permitido
-    if (!hasRole) {
-      logger.warn('Intento de acceso con rol no autorizado', {
+    const scope = getPermissionScope(req.user, permission);
+    const allowed = scope === 'any' ||
+      (scope === 'own' && (!getOwners || isOwner(req.user, getOwners(req))));
+
+    // Denegar acceso si el rol no tiene el permiso o el registro no es suyo
+    if (!allowed) {
+      logger.warn('Intento de acceso sin permiso', {
         userId: req.user._id,
-        userRole: req.user.role,
-        requiredRoles: roles,
+        userRole: getUserRole(req.user),
+        permission,
         path: req.path
       });
       return res.status(403).json({ 
@@ -124,10 +169,11 @@ const checkRole = (roles) => {
       });
     }
 
-    // Registrar verificación exitosa de rol
-    logger.debug('Verificación de rol exitosa', {
+    // Registrar verificación exitosa del permiso
+    logger.debug('Verificación de permiso exitosa', {
       userId: req.user._id,
-      userRole: req.user.role,
+      permission,
+      scope,
       path: req.path
     });
 
@@ -137,5 +183,6 @@ const checkRole = (roles) => {
 
 module.exports = {
   auth,
-  checkRole
+  acceptQueryToken,
+  authorize
 };
\ No newline at end of file
@@ -0,0 +1,43 @@
+/**
+ * @file timezone.middleware.js
+ * @description Middleware para determinar la zona horaria de quien realiza la solicitud.
+ * Permite que la API acepte y devuelva fechas y horas de citas en la zona horaria del cliente,
+ * indicada mediante la cabecera X-Timezone, el parámetro de consulta `timezone` o el campo
+ * `timezone` del cuerpo, con un identificador IANA (ej. "America/Bogota").
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const { resolveRequestTimezone } = require('../utils/timezone');
+const { logger } = require('../utils/logger');
+
+/**
+ * @function requestTimezone
+ * @description Middleware que valida la zona horaria solicitada y la expone en `req.timezone`.
+ * Si no se indica ninguna, `req.timezone` es null y las respuestas usan la zona horaria de cada cita.
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para continuar con el siguiente middleware
+ * @returns {void}
+ */
+const requestTimezone = (req, res, next) => {
+  const { timezone, invalid } = resolveRequestTimezone(req);
+
+  if (invalid) {
+    logger.warn('Zona horaria inválida en la solicitud', {
+      path: req.path,
+      method: req.method
+    });
+    return res.status(400).json({
+      message: 'Zona horaria inválida. Use un identificador IANA (ej. America/Mexico_City)'
+    });
+  }
+
+  req.timezone = timezone;
+  next();
+};
+
+module.exports = {
+  requestTimezone
+};
@@ -0,0 +1,103 @@
+/**
+ * @file upload.middleware.js
+ * @description Middleware de recepción de documentos enviados como multipart/form-data.
+ * Mantiene el archivo en memoria hasta que el controlador lo guarda en el almacenamiento de
+ * documentos, y valida su tamaño y tipo: el tipo MIME declarado debe estar admitido y, para
+ * los tipos conocidos, coincidir con la firma del contenido del archivo.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const { AsyncResource } = require('async_hooks');
+const multer = require('multer');
+const config = require('../config/config');
+const { logger } = require('../utils/logger');
+
+/**
+ * @constant {Array<String>} ALLOWED_TYPES - Tipos MIME admitidos
+ */
+const ALLOWED_TYPES = config.documents.allowedTypes.split(',').map(type => type.trim()).filter(Boolean);
+
+/**
+ * @constant {Object} FILE_SIGNATURES - Bytes iniciales que identifican el contenido de los tipos conocidos
+ */
+const FILE_SIGNATURES = {
+  'application/pdf': [Buffer.from('%PDF-')],
+  'image/jpeg': [Buffer.from([0xff, 0xd8, 0xff])],
+  'image/png': [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])]
+};
+
+/**
+ * @function matchesSignature
+ * @description Verifica que el contenido del archivo corresponda a su tipo MIME declarado.
+ * Los tipos sin firma conocida se aceptan según el tipo declarado.
+ *
+ * @param {Object} file - Archivo recibido por multer
+ * @returns {boolean} true si el contenido coincide con el tipo
+ * @private
+ */
+const matchesSignature = (file) => {
+  const signatures = FILE_SIGNATURES[file.mimetype];
+  return !signatures || signatures.some(signature => file.buffer.subarray(0, signature.length).equals(signature));
+};
+
+/**
+ * @constant upload
+ * @description Instancia de multer con almacenamiento en memoria, límite de tamaño y filtro de tipos
+ * @private
+ */
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.documents.maxSizeMb * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_TYPES.includes(file.mimetype)) {
+      const error = new Error(`Tipo de archivo no admitido. Tipos permitidos: ${ALLOWED_TYPES.join(', ')}`);
+      error.code = 'UNSUPPORTED_TYPE';
+      return cb(error);
+    }
+    cb(null, true);
+  }
+}).single('file');
+
+/**
+ * @function uploadDocument
+ * @description Middleware que recibe el archivo del campo 'file' en req.file y valida su tamaño y tipo
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para continuar con el siguiente middleware
+ * @returns {void}
+ */
+const uploadDocument = (req, res, next) => {
+  // El archivo se recibe en eventos del flujo de la solicitud; se conserva el contexto de la solicitud
+  // para que el registro de auditoría atribuya el documento a quien lo envió
+  upload(req, res, AsyncResource.bind((error) => {
+    if (error) {
+      logger.warn('Documento rechazado', { path: req.path, userId: req.user && req.user._id, error: error.message });
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ message: `El archivo no puede exceder los ${config.documents.maxSizeMb} MB` });
+      }
+      if (error.code === 'UNSUPPORTED_TYPE') {
+        return res.status(415).json({ message: error.message });
+      }
+      return res.status(400).json({ message: 'Error al recibir el archivo', details: error.message });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'Debe adjuntar un archivo en el campo file' });
+    }
+
+    if (!matchesSignature(req.file)) {
+      return res.status(415).json({ message: 'El contenido del archivo no corresponde a su tipo' });
+    }
+
+    next();
+  }));
+};
+
+module.exports = {
+  uploadDocument
+};
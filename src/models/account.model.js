@@ -0,0 +1,113 @@
+/**
+ * @file account.model.js
+ * @description Modelo de datos de las cuentas de acceso al sistema de citas médicas.
+ * Todas las cuentas (pacientes, administradores y médicos) se guardan en una única colección,
+ * de modo que el correo electrónico es único en todo el sistema y cualquier cuenta se obtiene
+ * con una sola consulta por ID o por correo.
+ *
+ * Los datos propios de cada tipo de cuenta se definen como perfiles (discriminadores de Mongoose)
+ * sobre este modelo base: User para pacientes y administradores (user.model.js) y Doctor para
+ * médicos (doctor.model.js). Al consultar el modelo Account, cada documento se obtiene como
+ * instancia del perfil que le corresponde.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+/**
+ * @constant {Array<String>} ACCOUNT_ROLES - Roles de las cuentas
+ */
+const ACCOUNT_ROLES = ['patient', 'doctor', 'admin'];
+
+/**
+ * @typedef {Object} AccountSchema
+ * @description Esquema de datos común a todas las cuentas
+ *
+ * @property {String} email - Correo electrónico único en todo el sistema (requerido)
+ * @property {String} password - Contraseña, almacenada con hash (requerido)
+ * @property {String} name - Nombre completo (requerido)
+ * @property {String} role - Rol de la cuenta ['patient', 'doctor', 'admin'] (lo restringe cada perfil)
+ * @property {String} profileType - Perfil de la cuenta ['user', 'doctor'] (lo asigna Mongoose)
+ * @property {String} phoneNumber - Número telefónico de contacto (requerido)
+ * @property {String} language - Idioma de las notificaciones ['es', 'en'] (por defecto: 'es')
+ * @property {Date} createdAt - Fecha de creación del registro
+ * @property {Date} updatedAt - Fecha de última actualización del registro (generado por timestamps)
+ */
+const accountSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  password: {
+    type: String,
+    required: true,
+    minlength: 8
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ACCOUNT_ROLES,
+    required: true
+  },
+  phoneNumber: {
+    type: String,
+    required: true
+  },
+  language: {
+    type: String,
+    enum: ['es', 'en'],
+    default: 'es'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'accounts',
+  discriminatorKey: 'profileType', // Perfil de la cuenta: 'user' o 'doctor'
+  timestamps: true // Habilita la creación automática de campos createdAt y updatedAt
+});
+
+/**
+ * @function pre-save
+ * @description Middleware que se ejecuta antes de guardar un documento de cualquier perfil.
+ * Genera un hash seguro de la contraseña utilizando bcrypt si ésta ha sido modificada.
+ * Utiliza un factor de costo (salt) de 10 para equilibrar seguridad y rendimiento.
+ */
+accountSchema.pre('save', async function(next) {
+  // Solo hashear la contraseña si ha sido modificada (o es nueva)
+  if (!this.isModified('password')) return next();
+
+  try {
+    // Generar un salt aleatorio con factor de costo 10
+    const salt = await bcrypt.genSalt(10);
+    // Crear hash de la contraseña con el salt generado
+    this.password = await bcrypt.hash(this.password, salt);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @method comparePassword
+ * @description Método para verificar si una contraseña proporcionada coincide con la almacenada.
+ * Utiliza bcrypt para comparar la contraseña en texto plano con el hash almacenado.
+ *
+ * @param {string} candidatePassword - Contraseña en texto plano a verificar
+ * @returns {Promise<boolean>} Promesa que resuelve a true si la contraseña coincide, false en caso contrario
+ */
+accountSchema.methods.comparePassword = async function(candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+module.exports = mongoose.model('Account', accountSchema);
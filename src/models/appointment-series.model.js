@@ -0,0 +1,138 @@
+/**
+ * @file appointment-series.model.js
+ * @description Modelo de datos para las series de citas recurrentes.
+ * Una serie agrupa citas periódicas (semanales o quincenales) de un paciente con un médico,
+ * por ejemplo para tratamientos de larga duración. Cada ocurrencia es una cita independiente
+ * que referencia a su serie, de modo que puede cancelarse o reprogramarse por separado,
+ * junto con las siguientes o con la serie completa.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const dayjs = require('dayjs');
+const { normalizeDate, timeRegex } = require('../utils/schedule');
+
+/**
+ * @constant {number} MAX_SERIES_OCCURRENCES - Número máximo de citas que puede generar una serie
+ */
+const MAX_SERIES_OCCURRENCES = 52;
+
+/**
+ * @constant {Object} FREQUENCY_WEEKS - Semanas entre ocurrencias según la frecuencia de la serie
+ */
+const FREQUENCY_WEEKS = {
+  weekly: 1,
+  biweekly: 2
+};
+
+/**
+ * @typedef {Object} AppointmentSeriesSchema
+ * @description Esquema de datos para series de citas recurrentes
+ *
+ * @property {ObjectId} patient - Paciente de las citas de la serie
+ * @property {ObjectId} doctor - Médico de las citas de la serie
+ * @property {String} frequency - Frecuencia de la serie ['weekly', 'biweekly']
+ * @property {Date} startDate - Fecha de la primera ocurrencia, en la zona horaria del médico
+ * @property {String} time - Hora de las citas en formato HH:MM, en la zona horaria del médico
+ * @property {Number} occurrences - Número de ocurrencias de la serie
+ * @property {String} timezone - Zona horaria IANA en la que se expresan fecha y hora
+ * @property {String} reason - Motivo de las citas
+ * @property {String} status - Estado de la serie ['active', 'cancelled']
+ * @property {Date} createdAt - Fecha de creación del registro (generado por timestamps)
+ * @property {Date} updatedAt - Fecha de última actualización del registro (generado por timestamps)
+ */
+const appointmentSeriesSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: true
+  },
+  frequency: {
+    type: String,
+    enum: {
+      values: Object.keys(FREQUENCY_WEEKS),
+      message: 'La frecuencia debe ser weekly o biweekly'
+    },
+    default: 'weekly'
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'La fecha de inicio es requerida']
+  },
+  time: {
+    type: String,
+    required: [true, 'La hora es requerida'],
+    match: [timeRegex, 'El formato de hora debe ser HH:mm']
+  },
+  occurrences: {
+    type: Number,
+    required: [true, 'El número de ocurrencias es requerido'],
+    min: [2, 'Una serie debe tener al menos 2 citas'],
+    max: [MAX_SERIES_OCCURRENCES, `Una serie no puede tener más de ${MAX_SERIES_OCCURRENCES} citas`],
+    validate: {
+      validator: Number.isInteger,
+      message: 'El número de ocurrencias debe ser un número entero'
+    }
+  },
+  timezone: {
+    type: String
+  },
+  reason: {
+    type: String,
+    required: [true, 'El motivo es requerido'],
+    trim: true,
+    minlength: [10, 'El motivo debe tener al menos 10 caracteres'],
+    maxlength: [500, 'El motivo no puede exceder los 500 caracteres']
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  }
+}, {
+  timestamps: true // Habilita la creación automática de campos createdAt y updatedAt
+});
+
+/**
+ * @description Índices para consultar las series de un paciente o de un médico
+ */
+appointmentSeriesSchema.index({ patient: 1 });
+appointmentSeriesSchema.index({ doctor: 1 });
+
+/**
+ * @method getOccurrenceDates
+ * @description Calcula las fechas de todas las ocurrencias de la serie
+ *
+ * @returns {Array<String>} Fechas en formato YYYY-MM-DD, en orden
+ */
+appointmentSeriesSchema.methods.getOccurrenceDates = function() {
+  const first = dayjs(normalizeDate(this.startDate));
+  const weeks = FREQUENCY_WEEKS[this.frequency] || 1;
+
+  return Array.from({ length: this.occurrences }, (_, index) => {
+    return first.add(index * weeks, 'week').format('YYYY-MM-DD');
+  });
+};
+
+/**
+ * @method countOccurrencesUntil
+ * @description Método estático que calcula cuántas ocurrencias caben entre dos fechas
+ *
+ * @param {Date|String} startDate - Fecha de la primera ocurrencia
+ * @param {Date|String} endDate - Última fecha posible (inclusive)
+ * @param {String} [frequency='weekly'] - Frecuencia de la serie
+ * @returns {number} Número de ocurrencias
+ */
+appointmentSeriesSchema.statics.countOccurrencesUntil = function(startDate, endDate, frequency = 'weekly') {
+  const days = dayjs(normalizeDate(endDate)).diff(dayjs(normalizeDate(startDate)), 'day');
+  const weeks = FREQUENCY_WEEKS[frequency] || 1;
+  return days < 0 ? 0 : Math.floor(days / (7 * weeks)) + 1;
+};
+
+module.exports = mongoose.model('AppointmentSeries', appointmentSeriesSchema);
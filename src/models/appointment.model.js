@@ -28,18 +28,87 @@ dayjs.extend(timezone);
 dayjs.extend(customParseFormat);
 dayjs.extend(localeData);
 
+const AvailabilityException = require('./availability-exception.model');
+const Holiday = require('./holiday.model');
+const BookingLock = require('./booking-lock.model');
+const WaitlistOffer = require('./waitlist-offer.model');
+const { timeToMinutes, minutesToTime, normalizeDate, rangesOverlap, resolveDayBlocks } = require('../utils/schedule');
+const { todayInTimezone, nowMinutesInTimezone, toInstant, toWallClock, getClinicTimezone } = require('../utils/timezone');
+const { APPOINTMENT_STATUSES, STATUS_LABELS, getTransitionRule, describeTransitions } = require('../utils/appointment-status');
+const { publishAppointmentEvent } = require('../utils/realtime');
+const { auditPlugin } = require('../utils/audit');
+
+/**
+ * @constant {number} DEFAULT_APPOINTMENT_DURATION - Duración asumida para citas registradas sin duración explícita
+ */
+const DEFAULT_APPOINTMENT_DURATION = 30;
+
+/**
+ * @constant {number} MAX_SLOT_RANGE_DAYS - Número máximo de días que se pueden consultar en una búsqueda de horarios libres
+ */
+const MAX_SLOT_RANGE_DAYS = 31;
+
+/**
+ * @typedef {Object} StatusChangeSchema
+ * @description Esquema de un cambio de estado registrado en el historial de la cita
+ * 
+ * @property {String} from - Estado anterior (null al crear la cita)
+ * @property {String} to - Nuevo estado
+ * @property {Date} at - Instante del cambio
+ * @property {ObjectId} by - Usuario o médico que realizó el cambio (vacío si lo realizó el sistema)
+ * @property {String} byModel - Modelo de quien realizó el cambio ['User', 'Doctor']
+ * @property {String} reason - Motivo opcional del cambio
+ */
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    default: null
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'statusHistory.byModel'
+  },
+  byModel: {
+    type: String,
+    enum: ['User', 'Doctor']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'El motivo del cambio de estado no puede exceder los 500 caracteres']
+  }
+}, { _id: false });
+
 /**
  * @typedef {Object} AppointmentSchema
  * @description Esquema de datos para citas médicas
  * 
  * @property {ObjectId} patient - Referencia al usuario (paciente) que agenda la cita
  * @property {ObjectId} doctor - Referencia al médico asignado para la cita
- * @property {Date} date - Fecha de la cita
- * @property {String} time - Hora de la cita en formato HH:MM
- * @property {String} status - Estado actual de la cita ['pending', 'confirmed', 'cancelled', 'completed', 'archived', 'no-show']
+ * @property {Date} date - Fecha local de la cita en la zona horaria de la cita (medianoche UTC de ese día)
+ * @property {String} time - Hora local de la cita en formato HH:MM, en la zona horaria de la cita
+ * @property {Date} startsAt - Instante absoluto de inicio de la cita (calculado a partir de date, time y timezone)
+ * @property {String} timezone - Zona horaria IANA en la que se expresan date y time (la del médico al agendar)
+ * @property {Number} duration - Duración de la cita en minutos (tomada de la configuración del médico)
+ * @property {String} status - Estado actual de la cita ['pending', 'confirmed', 'in-progress', 'cancelled', 'completed', 'archived', 'no-show']
+ * (las transiciones permitidas se definen en utils/appointment-status)
  * @property {Boolean} isArchived - Indica si la cita está archivada
+ * @property {Array<Object>} statusHistory - Historial de cambios de estado (quién, cuándo y por qué)
+ * @property {Date} checkedInAt - Instante en que se registró la llegada del paciente
+ * @property {ObjectId} checkedInBy - Usuario o médico que registró la llegada
+ * @property {String} checkedInByModel - Modelo de quien registró la llegada ['User', 'Doctor']
  * @property {String} reason - Motivo o descripción de la cita
- * @property {String} notes - Notas adicionales sobre la cita o tratamiento
+ * @property {String} notes - Notas adicionales sobre la cita (las notas clínicas del médico se registran en EncounterNote)
+ * @property {ObjectId} series - Serie recurrente a la que pertenece la cita, si aplica
+ * @property {Number} seriesIndex - Posición de la cita dentro de su serie (desde 0)
  * @property {Date} createdAt - Fecha de creación del registro
  * @property {Date} updatedAt - Fecha de última actualización del registro
  */
@@ -69,15 +138,40 @@ const appointmentSchema = new mongoose.Schema({
       message: 'El formato de hora debe ser HH:mm'
     }
   },
+  startsAt: {
+    type: Date
+  },
+  timezone: {
+    type: String
+  },
+  duration: {
+    type: Number,
+    min: [5, 'La duración de la cita debe ser de al menos 5 minutos']
+  },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'cancelled', 'completed', 'archived', 'no-show'],
+    enum: APPOINTMENT_STATUSES,
     default: 'pending'
   },
   isArchived: {
     type: Boolean,
     default: false
   },
+  statusHistory: {
+    type: [statusChangeSchema],
+    default: []
+  },
+  checkedInAt: {
+    type: Date
+  },
+  checkedInBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'checkedInByModel'
+  },
+  checkedInByModel: {
+    type: String,
+    enum: ['User', 'Doctor']
+  },
   reason: {
     type: String,
     required: true,
@@ -90,6 +184,14 @@ const appointmentSchema = new mongoose.Schema({
     trim: true,
     maxlength: [1000, 'Las notas no pueden exceder los 1000 caracteres']
   },
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AppointmentSeries' // Referencia a la serie recurrente de la cita
+  },
+  seriesIndex: {
+    type: Number,
+    min: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -98,32 +200,81 @@ const appointmentSchema = new mongoose.Schema({
   timestamps: true // Habilita la creación automática de campos createdAt y updatedAt
 });
 
+/**
+ * @constant {Array<String>} ACTIVE_STATUSES - Estados en los que una cita ocupa su horario en la agenda
+ */
+const ACTIVE_STATUSES = ['pending', 'confirmed', 'in-progress'];
+
 /**
  * @description Índice compuesto para optimizar búsquedas y garantizar unicidad
- * Previene la programación de múltiples citas para el mismo médico, fecha y hora
+ * Previene la programación de múltiples citas activas para el mismo médico, fecha y hora.
+ * Las citas canceladas o finalizadas no participan, por lo que su horario puede volver a reservarse.
+ */
+appointmentSchema.index(
+  { doctor: 1, date: 1, time: 1 },
+  {
+    unique: true,
+    name: 'active_slot_unique',
+    partialFilterExpression: { status: { $in: ACTIVE_STATUSES } }
+  }
+);
+
+/**
+ * @description Índice para consultas por instante absoluto de inicio (recordatorios, citas próximas)
+ */
+appointmentSchema.index({ startsAt: 1 });
+
+/**
+ * @description Índice para obtener las citas de una serie recurrente en orden
  */
-appointmentSchema.index({ doctor: 1, date: 1, time: 1 }, { unique: true });
+appointmentSchema.index({ series: 1, seriesIndex: 1 }, { sparse: true });
+
+/**
+ * @function findBookingConflict
+ * @description Busca, entre las citas activas de un día, alguna que sea incompatible con un nuevo horario
+ * por superponerse con él o por no respetar el tiempo de separación del médico.
+ * 
+ * @param {Array<Object>} appointments - Citas no canceladas del médico en esa fecha
+ * @param {number} start - Inicio del horario candidato en minutos desde medianoche
+ * @param {Object} settings - Configuración de agenda del médico (ver Doctor#getScheduleSettings)
+ * @returns {Object|undefined} La cita en conflicto, si existe
+ * @private
+ */
+const findBookingConflict = (appointments, start, settings) => {
+  return appointments.find(appointment => {
+    const existingStart = timeToMinutes(appointment.time);
+    const existingEnd = existingStart + (appointment.duration || DEFAULT_APPOINTMENT_DURATION);
+    return rangesOverlap(start, start + settings.duration, existingStart, existingEnd, settings.buffer);
+  });
+};
 
 /**
  * @method checkAvailability
  * @description Método estático para verificar la disponibilidad de un médico en una fecha y hora específicas.
+ * Todas las reglas de horario se toman de la configuración de agenda del médico
+ * (duración de cita, tiempo de separación y horario de atención).
  * Realiza múltiples validaciones:
  * 1. Existencia del médico en la base de datos
  * 2. Que la fecha no sea en el pasado
- * 3. Que la hora esté dentro del horario de atención
- * 4. Que la hora se ajuste a intervalos de 30 minutos
- * 5. Que el médico tenga disponibilidad en ese día/hora
- * 6. Que no haya citas existentes en ese horario
- * 7. Que haya suficiente espacio entre citas (mínimo 30 minutos)
+ * 3. Que la fecha no sea un festivo de la clínica
+ * 4. Que la cita completa esté dentro del horario de atención del médico
+ * 5. Que la cita completa quepa en alguno de los bloques de disponibilidad de ese día,
+ *    aplicando las excepciones de la fecha (bloqueos y turnos extraordinarios)
+ * 6. Que la hora se ajuste a los intervalos del médico (duración + separación) desde el inicio del bloque
+ * 7. Que no haya citas existentes en ese horario
+ * 8. Que haya suficiente espacio entre citas (tiempo de separación del médico)
+ * 9. Que el horario no esté retenido para un paciente de la lista de espera
  * 
  * @param {ObjectId} doctorId - ID del médico
  * @param {Date|String} date - Fecha de la cita
  * @param {String} time - Hora de la cita en formato HH:MM
  * @param {ObjectId} [appointmentId=null] - ID de la cita actual (para ediciones)
+ * @param {Object} [options={}] - Opciones adicionales
+ * @param {ObjectId} [options.holdId] - Oferta de lista de espera que se está aceptando (su retención no cuenta como conflicto)
  * @returns {Promise<boolean>} Promesa que resuelve a true si la fecha/hora está disponible
  * @throws {Error} Si la fecha/hora solicitada no cumple con alguna validación
  */
-appointmentSchema.statics.checkAvailability = async function(doctorId, date, time, appointmentId = null) {
+appointmentSchema.statics.checkAvailability = async function(doctorId, date, time, appointmentId = null, options = {}) {
   const Doctor = mongoose.model('Doctor');
   
   // Obtener información del médico
@@ -132,139 +283,561 @@ appointmentSchema.statics.checkAvailability = async function(doctorId, date, tim
     throw new Error('Médico no encontrado');
   }
 
+  // Reglas de programación propias del médico
+  const settings = doctor.getScheduleSettings();
+
   // Procesamiento y normalización de fechas para garantizar consistencia
   // Independiente del formato de entrada (string o Date)
-  let dateOnly;
-  if (typeof date === 'string') {
-    dateOnly = date.includes('T') ? date.split('T')[0] : date;
-  } else if (date instanceof Date) {
-    dateOnly = date.toISOString().split('T')[0];
-  } else {
-    // Convertir otro tipo a string
-    dateOnly = String(date);
-  }
+  // La fecha y la hora se interpretan siempre en la zona horaria del médico
+  const dateOnly = normalizeDate(date);
   
   // Creación de objetos dayjs para manipulación de fechas/horas
   const appointmentDate = dayjs(dateOnly);
-  const appointmentTime = dayjs(time, 'HH:mm');
   const dayOfWeek = appointmentDate.format('dddd').toLowerCase();
+  const start = timeToMinutes(time);
+  const end = start + settings.duration;
   
-  // Validación 1: Fecha no puede ser en el pasado
-  if (appointmentDate.isBefore(dayjs().startOf('day'))) {
+  // Validación 1: Fecha y hora no pueden ser en el pasado (según la hora actual en la zona del médico)
+  const today = todayInTimezone(settings.timezone);
+  if (dateOnly < today) {
     throw new Error('No se pueden agendar citas en fechas pasadas');
   }
 
-  // Validación 2: Hora dentro del horario de atención (8:00-17:00)
-  const appointmentHour = parseInt(time.split(':')[0]);
-  const appointmentMinute = parseInt(time.split(':')[1]);
-  
-  if (appointmentHour < 8 || appointmentHour >= 17) {
-    throw new Error('El horario de atención es de 8:00 AM a 5:00 PM');
+  if (dateOnly === today && start <= nowMinutesInTimezone(settings.timezone)) {
+    throw new Error('No se pueden agendar citas en horarios pasados');
   }
 
-  // Validación 3: Citas deben ser en intervalos de 30 minutos
-  if (appointmentMinute % 30 !== 0) {
-    throw new Error('Las citas deben programarse en intervalos de 30 minutos');
+  // Validación 2: La clínica no atiende en días festivos, para ningún médico
+  const [holiday] = await Holiday.findForRange(dateOnly, dateOnly);
+  if (holiday) {
+    throw new Error(`La clínica no atiende en esta fecha por festivo: ${holiday.name}`);
   }
-  
-  // Validación 4: No permitir citas después de las 5:00 PM
-  if (appointmentHour === 17 && appointmentMinute > 0) {
-    throw new Error('La última cita disponible es a las 5:00 PM');
+
+  // Validación 3: La cita completa debe estar dentro del horario de atención del médico
+  if (start < settings.opening || end > settings.closing) {
+    throw new Error(
+      `El horario de atención es de ${minutesToTime(settings.opening)} a ${minutesToTime(settings.closing)}`
+    );
   }
 
-  // Validación 5: El médico debe tener disponibilidad para ese día/hora
-  const availableSlot = doctor.availability.find(slot => {
-    // Convertir a horas y minutos para comparación más sencilla
-    const apptHour = parseInt(time.split(':')[0]);
-    const apptMinute = parseInt(time.split(':')[1]);
-    const startHour = parseInt(slot.startTime.split(':')[0]);
-    const startMinute = parseInt(slot.startTime.split(':')[1]);
-    const endHour = parseInt(slot.endTime.split(':')[0]);
-    const endMinute = parseInt(slot.endTime.split(':')[1]);
-    
-    // Convertir todo a minutos desde el inicio del día para facilitar la comparación
-    const apptTimeInMinutes = (apptHour * 60) + apptMinute;
-    const startTimeInMinutes = (startHour * 60) + startMinute;
-    const endTimeInMinutes = (endHour * 60) + endMinute;
-    
-    // Verificar que el día coincide y que la hora está dentro del rango disponible
-    return slot.day === dayOfWeek &&
-           apptTimeInMinutes >= startTimeInMinutes &&
-           apptTimeInMinutes < endTimeInMinutes;
-  });
+  // Validación 4: El médico debe tener disponibilidad para ese día/hora durante toda la cita
+  // Las excepciones de la fecha (bloqueos y turnos extraordinarios) prevalecen sobre la disponibilidad semanal
+  // Un mismo día puede tener varios bloques (turnos partidos); la cita debe caber en uno de ellos
+  const exceptions = await AvailabilityException.findForRange(doctor._id, dateOnly, dateOnly);
+  const blocks = resolveDayBlocks(doctor.availability, exceptions, dateOnly, dayOfWeek);
+  const availableBlock = blocks.find(block => start >= block.start && end <= block.end);
 
-  if (!availableSlot) {
+  if (!availableBlock) {
+    // Informar del motivo cuando la falta de disponibilidad se debe a un bloqueo de agenda
+    const blocking = exceptions.find(exception =>
+      exception.type === 'block' &&
+      (!exception.startTime || rangesOverlap(start, end, timeToMinutes(exception.startTime), timeToMinutes(exception.endTime)))
+    );
+    if (blocking) {
+      throw new Error(`El médico no está disponible en esta fecha${blocking.reason ? `: ${blocking.reason}` : ''}`);
+    }
     throw new Error('El médico no tiene disponibilidad en este horario');
   }
 
+  // Validación 5: Las citas deben ajustarse a los intervalos del médico, contados desde el inicio del bloque
+  if ((start - availableBlock.start) % settings.step !== 0) {
+    throw new Error(`Las citas deben programarse en intervalos de ${settings.step} minutos`);
+  }
+
   // Validación 6: No debe existir otra cita para el mismo médico, fecha y hora
-  const existingAppointment = await this.findOne({
+  const sameDayAppointments = await this.find({
     doctor: doctorId,
-    date: date,
-    time: time,
+    date: new Date(dateOnly),
     status: { $nin: ['cancelled'] }, // Excluir citas canceladas
     _id: { $ne: appointmentId } // Excluir la cita actual en caso de edición
-  });
+  }).select('time duration');
 
-  if (existingAppointment) {
+  if (sameDayAppointments.some(appointment => timeToMinutes(appointment.time) === start)) {
     throw new Error('Ya existe una cita agendada en este horario');
   }
 
-  // Validación 7: Debe haber al menos 30 minutos entre citas
-  const previousAppointment = await this.findOne({
-    doctor: doctorId,
-    date: date,
-    status: { $nin: ['cancelled'] },
-    time: { $lt: time },
-    _id: { $ne: appointmentId }
-  }).sort({ time: -1 }); // Obtener la cita previa más cercana
+  // Validación 7: No debe superponerse con otras citas y debe respetar el tiempo de separación
+  if (findBookingConflict(sameDayAppointments, start, settings)) {
+    throw new Error(settings.buffer > 0
+      ? `Debe haber al menos ${settings.buffer} minutos entre citas`
+      : 'La cita se superpone con otra cita existente');
+  }
 
-  const nextAppointment = await this.findOne({
-    doctor: doctorId,
-    date: date,
-    status: { $nin: ['cancelled'] },
-    time: { $gt: time },
-    _id: { $ne: appointmentId }
-  }).sort({ time: 1 }); // Obtener la cita siguiente más cercana
-
-  // Verificar espacio con la cita previa
-  if (previousAppointment) {
-    const prevTime = dayjs(previousAppointment.time, 'HH:mm');
-    const timeDiff = appointmentTime.diff(prevTime, 'minute');
-    if (timeDiff < 30) {
-      throw new Error('Debe haber al menos 30 minutos entre citas');
+  // Validación 8: El horario no debe estar retenido para un paciente de la lista de espera
+  const holds = await WaitlistOffer.findActiveHolds(doctor._id, dateOnly, dateOnly, options.holdId);
+  if (findBookingConflict(holds, start, settings)) {
+    throw new Error('Este horario está reservado temporalmente para un paciente de la lista de espera');
+  }
+
+  // Si todas las validaciones pasan, la fecha/hora está disponible
+  return true;
+};
+
+/**
+ * @method findClosureReasons
+ * @description Método estático que identifica, entre un conjunto de citas, las que no pudieron o no
+ * podrán realizarse porque su fecha es festivo de la clínica o su horario está bloqueado en la agenda
+ * del médico (excepción de disponibilidad de tipo block). Los procesos automáticos cancelan estas
+ * citas en lugar de marcarlas como no tomadas o completadas.
+ *
+ * @param {Array<Object>} appointments - Citas (con doctor sin poblar)
+ * @returns {Promise<Map<String, String>>} Motivo de cancelación de cada cita afectada, por ID de cita
+ */
+appointmentSchema.statics.findClosureReasons = async function(appointments) {
+  const reasons = new Map();
+  if (appointments.length === 0) {
+    return reasons;
+  }
+
+  const dates = appointments.map(appointment => normalizeDate(appointment.date)).sort();
+  const from = dates[0];
+  const to = dates[dates.length - 1];
+  const [holidays, blocks] = await Promise.all([
+    Holiday.findForRange(from, to),
+    AvailabilityException.find({
+      type: 'block',
+      doctor: { $in: [...new Set(appointments.map(appointment => appointment.doctor.toString()))] },
+      startDate: { $lte: new Date(to) },
+      endDate: { $gte: new Date(from) }
+    })
+  ]);
+
+  appointments.forEach(appointment => {
+    const date = new Date(normalizeDate(appointment.date));
+    const covers = (range) => range.startDate <= date && range.endDate >= date;
+
+    const holiday = holidays.find(covers);
+    if (holiday) {
+      reasons.set(appointment._id.toString(), `Festivo: ${holiday.name}`);
+      return;
+    }
+
+    const start = timeToMinutes(appointment.time);
+    const end = start + (appointment.duration || DEFAULT_APPOINTMENT_DURATION);
+    const block = blocks.find(exception =>
+      exception.doctor.toString() === appointment.doctor.toString() && covers(exception) &&
+      (!exception.startTime || rangesOverlap(start, end, timeToMinutes(exception.startTime), timeToMinutes(exception.endTime)))
+    );
+    if (block) {
+      reasons.set(appointment._id.toString(), `Agenda del médico bloqueada${block.reason ? `: ${block.reason}` : ''}`);
     }
+  });
+
+  return reasons;
+};
+
+/**
+ * @method getAvailableSlots
+ * @description Método estático que calcula todos los horarios libres de un médico en un rango de fechas.
+ * Las fechas del rango se interpretan en la zona horaria del médico.
+ * Aplica las mismas reglas que checkAvailability, según la configuración de agenda del médico:
+ * 1. Solo fechas y horas futuras, excluyendo los festivos de la clínica
+ * 2. Horario de atención del médico
+ * 3. Bloques de disponibilidad definidos por el médico para cada día de la semana (varios por día),
+ *    con las excepciones de cada fecha (bloqueos y turnos extraordinarios) aplicadas
+ * 4. Intervalos de duración de cita más tiempo de separación, contados desde el inicio de cada bloque
+ * 5. Sin superposición con citas no canceladas ni con horarios retenidos para la lista de espera,
+ *    respetando el tiempo de separación
+ * 
+ * @param {ObjectId|Object} doctorId - ID del médico o documento Doctor ya cargado (evita una consulta adicional)
+ * @param {Date|String} from - Fecha inicial del rango (inclusive)
+ * @param {Date|String} to - Fecha final del rango (inclusive)
+ * @param {Object} [options={}] - Opciones adicionales de búsqueda
+ * @param {String} [options.startTime] - Hora mínima de inicio (HH:MM, inclusive)
+ * @param {String} [options.endTime] - Hora máxima de inicio (HH:MM, exclusiva)
+ * @param {Array<Object>} [options.holidays] - Festivos del rango ya obtenidos (evita consultarlos al buscar
+ * en varios médicos)
+ * @returns {Promise<Array<{date: String, time: String, startsAt: Date, timezone: String}>>} Horarios libres
+ * ordenados cronológicamente, con fecha y hora locales del médico y su instante absoluto
+ * @throws {Error} Si el médico no existe o el rango de fechas no es válido
+ */
+appointmentSchema.statics.getAvailableSlots = async function(doctorId, from, to, options = {}) {
+  const Doctor = mongoose.model('Doctor');
+
+  // Aceptar tanto un documento ya cargado como un ID
+  const doctor = doctorId instanceof Doctor ? doctorId : await Doctor.findById(doctorId);
+  if (!doctor) {
+    throw new Error('Médico no encontrado');
+  }
+  doctorId = doctor._id;
+
+  const settings = doctor.getScheduleSettings();
+
+  // Ventana horaria opcional dentro del horario de atención
+  const windowStart = options.startTime ? timeToMinutes(options.startTime) : settings.opening;
+  const windowEnd = options.endTime ? timeToMinutes(options.endTime) : settings.closing;
+
+  const startDate = dayjs(normalizeDate(from));
+  const endDate = dayjs(normalizeDate(to));
+
+  if (!startDate.isValid() || !endDate.isValid()) {
+    throw new Error('Formato de fecha inválido');
+  }
+
+  if (endDate.isBefore(startDate)) {
+    throw new Error('La fecha final debe ser igual o posterior a la fecha inicial');
   }
 
-  // Verificar espacio con la cita siguiente
-  if (nextAppointment) {
-    const nextTime = dayjs(nextAppointment.time, 'HH:mm');
-    const timeDiff = nextTime.diff(appointmentTime, 'minute');
-    if (timeDiff < 30) {
-      throw new Error('Debe haber al menos 30 minutos entre citas');
+  if (endDate.diff(startDate, 'day') >= MAX_SLOT_RANGE_DAYS) {
+    throw new Error(`El rango de búsqueda no puede superar los ${MAX_SLOT_RANGE_DAYS} días`);
+  }
+
+  // Obtener en una sola consulta las citas activas del rango y agruparlas por fecha
+  const appointments = await this.find({
+    doctor: doctorId,
+    date: {
+      $gte: new Date(startDate.format('YYYY-MM-DD')),
+      $lte: new Date(endDate.format('YYYY-MM-DD'))
+    },
+    status: { $nin: ['cancelled'] }
+  }).select('date time duration');
+
+  // Horarios retenidos temporalmente para pacientes de la lista de espera
+  const holds = await WaitlistOffer.findActiveHolds(doctorId, startDate.format('YYYY-MM-DD'), endDate.format('YYYY-MM-DD'));
+
+  // Excepciones de disponibilidad (bloqueos y turnos extraordinarios) que afectan al rango
+  const exceptions = await AvailabilityException.findForRange(doctorId, startDate.format('YYYY-MM-DD'), endDate.format('YYYY-MM-DD'));
+
+  // Festivos de la clínica dentro del rango, en los que no se ofrece ningún horario
+  const holidays = options.holidays ||
+    await Holiday.findForRange(startDate.format('YYYY-MM-DD'), endDate.format('YYYY-MM-DD'));
+  const isHoliday = (dateOnly) => holidays.some(holiday =>
+    normalizeDate(holiday.startDate) <= dateOnly && normalizeDate(holiday.endDate) >= dateOnly
+  );
+
+  const bookedByDate = [...appointments, ...holds].reduce((acc, appointment) => {
+    const key = normalizeDate(appointment.date);
+    (acc[key] = acc[key] || []).push(appointment);
+    return acc;
+  }, {});
+
+  // Fecha y hora actuales en la zona horaria del médico
+  const today = todayInTimezone(settings.timezone);
+  const nowMinutes = nowMinutesInTimezone(settings.timezone);
+  const slots = [];
+
+  for (let current = startDate; !current.isAfter(endDate); current = current.add(1, 'day')) {
+    const dateOnly = current.format('YYYY-MM-DD');
+
+    // No se ofrecen horarios en fechas pasadas
+    if (dateOnly < today) {
+      continue;
+    }
+
+    if (isHoliday(dateOnly)) {
+      continue;
+    }
+
+    const dayOfWeek = current.format('dddd').toLowerCase();
+    const booked = bookedByDate[dateOnly] || [];
+    // Bloques efectivos del día (puede haber varios) tras aplicar las excepciones de la fecha
+    const blocks = resolveDayBlocks(doctor.availability, exceptions, dateOnly, dayOfWeek);
+
+    for (const block of blocks) {
+      const blockStart = Math.max(block.start, settings.opening);
+      const blockEnd = Math.min(block.end, settings.closing);
+
+      // Los horarios se generan desde el inicio de cada bloque y la cita completa debe caber en él
+      for (let start = block.start; start + settings.duration <= blockEnd; start += settings.step) {
+        // Descartar horas fuera del horario de atención o de la ventana solicitada
+        if (start < blockStart || start < windowStart || start >= windowEnd) {
+          continue;
+        }
+
+        // Descartar horas del día actual que ya pasaron
+        if (dateOnly === today && start <= nowMinutes) {
+          continue;
+        }
+
+        // Respetar la separación con las citas existentes
+        if (findBookingConflict(booked, start, settings)) {
+          continue;
+        }
+
+        const time = minutesToTime(start);
+        slots.push({
+          date: dateOnly,
+          time,
+          startsAt: toInstant(dateOnly, time, settings.timezone),
+          timezone: settings.timezone
+        });
+      }
     }
   }
 
-  // Si todas las validaciones pasan, la fecha/hora está disponible
-  return true;
+  return slots;
+};
+
+/**
+ * @method getStartsAt
+ * @description Obtiene el instante absoluto de inicio de la cita.
+ * Para citas registradas antes de guardar startsAt, lo calcula a partir de la fecha y hora locales,
+ * usando la zona horaria de la cita o, en su defecto, la de la clínica.
+ * 
+ * @returns {Date} Instante absoluto de inicio de la cita
+ */
+appointmentSchema.methods.getStartsAt = function() {
+  if (this.startsAt) {
+    return this.startsAt;
+  }
+  return toInstant(normalizeDate(this.date), this.time, this.timezone || getClinicTimezone());
+};
+
+/**
+ * @method getState
+ * @description Obtiene el estado de la cita en la máquina de estados.
+ * Las citas archivadas están en el estado 'archived' aunque conservan en `status` su resultado.
+ * 
+ * @returns {String} Estado actual de la cita
+ */
+appointmentSchema.methods.getState = function() {
+  return this.isArchived || this.status === 'archived' ? 'archived' : this.status;
+};
+
+/**
+ * @method hasStarted
+ * @description Verifica si ya se alcanzó la hora de inicio de la cita
+ * 
+ * @returns {boolean} true si la cita ya comenzó (o pasó)
+ */
+appointmentSchema.methods.hasStarted = function() {
+  return this.getStartsAt() <= new Date();
+};
+
+/**
+ * @method transitionTo
+ * @description Cambia el estado de la cita según la máquina de estados y registra el cambio en el historial.
+ * No guarda la cita; debe llamarse a save() después.
+ * 
+ * @param {String} to - Nuevo estado
+ * @param {Object} [options={}] - Datos del cambio
+ * @param {Object} [options.actor] - Usuario o médico que realiza el cambio (omitido si lo realiza el sistema)
+ * @param {String} [options.reason] - Motivo del cambio
+ * @returns {Object} La cita, para encadenar llamadas
+ * @throws {Error} Si la transición no está permitida (code 'INVALID_TRANSITION')
+ */
+appointmentSchema.methods.transitionTo = function(to, { actor = null, reason } = {}) {
+  const from = this.getState();
+  const rule = getTransitionRule(from, to);
+
+  if (!rule) {
+    const error = new Error(`No se puede cambiar el estado de la cita de ${STATUS_LABELS[from] || from} a ${STATUS_LABELS[to] || to}. ${describeTransitions(from)}`);
+    error.code = 'INVALID_TRANSITION';
+    throw error;
+  }
+
+  if (rule.afterStart && !this.hasStarted()) {
+    const error = new Error(`La cita solo puede marcarse como ${STATUS_LABELS[to]} a partir de su hora de inicio`);
+    error.code = 'INVALID_TRANSITION';
+    throw error;
+  }
+
+  if (rule.afterCheckIn && !this.checkedInAt) {
+    const error = new Error(`La cita solo puede marcarse como ${STATUS_LABELS[to]} una vez registrada la llegada del paciente`);
+    error.code = 'INVALID_TRANSITION';
+    throw error;
+  }
+
+  // El archivado se representa con isArchived para conservar el resultado de la cita
+  if (to === 'archived') {
+    this.isArchived = true;
+  } else {
+    this.status = to;
+  }
+
+  this.statusHistory.push({
+    from,
+    to,
+    at: new Date(),
+    by: actor ? actor._id : undefined,
+    byModel: actor ? actor.constructor.modelName : undefined,
+    reason
+  });
+  return this;
+};
+
+/**
+ * @method checkIn
+ * @description Registra la llegada del paciente a la cita. Una cita con la llegada registrada
+ * no se marca como no tomada. No guarda la cita; debe llamarse a save() después.
+ * 
+ * @param {Object} actor - Usuario o médico que registra la llegada
+ * @returns {Object} La cita, para encadenar llamadas
+ * @throws {Error} Si la cita no está confirmada, no es del día actual o ya tiene la llegada registrada (code 'INVALID_CHECK_IN')
+ */
+appointmentSchema.methods.checkIn = function(actor) {
+  let message = null;
+  if (this.getState() !== 'confirmed') {
+    message = 'Solo se puede registrar la llegada del paciente a una cita confirmada';
+  } else if (this.checkedInAt) {
+    message = 'La llegada del paciente ya fue registrada';
+  } else if (normalizeDate(this.date) !== todayInTimezone(this.timezone || getClinicTimezone())) {
+    message = 'Solo se puede registrar la llegada del paciente el día de la cita';
+  }
+
+  if (message) {
+    const error = new Error(message);
+    error.code = 'INVALID_CHECK_IN';
+    throw error;
+  }
+
+  this.checkedInAt = new Date();
+  this.checkedInBy = actor._id;
+  this.checkedInByModel = actor.constructor.modelName;
+  return this;
+};
+
+/**
+ * @method toLocalObject
+ * @description Prepara la cita para la respuesta de la API.
+ * Incluye el instante absoluto de inicio (startsAt), la zona horaria de la cita y, en `local`,
+ * la fecha y hora expresadas en la zona horaria de quien consulta (o en la de la cita si no se indicó).
+ * 
+ * @param {String|null} requestTimezone - Zona horaria IANA de quien consulta
+ * @returns {Object} Cita serializada
+ */
+appointmentSchema.methods.toLocalObject = function(requestTimezone) {
+  const data = this.toObject();
+  const startsAt = this.getStartsAt();
+  data.startsAt = startsAt;
+  data.timezone = this.timezone || getClinicTimezone();
+  data.local = toWallClock(startsAt, requestTimezone || data.timezone);
+  return data;
+};
+
+/**
+ * @function markBookingConflict
+ * @description Identifica un error como conflicto de reserva (horario no disponible),
+ * para que los controladores puedan distinguirlo de un error interno
+ *
+ * @param {Error} error - Error producido al reservar
+ * @returns {Error} El mismo error, con code 'BOOKING_CONFLICT'
+ * @private
+ */
+const markBookingConflict = (error) => {
+  error.code = 'BOOKING_CONFLICT';
+  return error;
+};
+
+/**
+ * @function releaseBookingLock
+ * @description Libera el bloqueo de agenda obtenido al guardar una cita, si existe
+ *
+ * @param {Object} appointment - Documento de la cita
+ * @returns {Promise<void>}
+ * @private
+ */
+const releaseBookingLock = async (appointment) => {
+  const lock = appointment.$locals.bookingLock;
+  if (lock) {
+    appointment.$locals.bookingLock = null;
+    await lock.release();
+  }
 };
 
 /**
  * @function pre-save
  * @description Middleware que se ejecuta antes de guardar una cita.
- * Verifica la disponibilidad del médico utilizando el método checkAvailability
- * cuando se crea o modifica una cita.
+ * Cuando se crea o se cambia de horario una cita, obtiene el bloqueo de la agenda del médico
+ * para ese día y verifica la disponibilidad con checkAvailability; el bloqueo se mantiene
+ * hasta que la cita queda escrita, de modo que reservas simultáneas no puedan superponerse.
+ * Además registra la duración y zona horaria de la cita según la configuración del médico
+ * y calcula su instante absoluto de inicio.
  */
 appointmentSchema.pre('save', async function(next) {
   try {
-    // Solo validar disponibilidad si se modifica fecha, hora o médico
-    if (this.isModified('date') || this.isModified('time') || this.isModified('doctor')) {
-      await this.constructor.checkAvailability(this.doctor, this.date, this.time, this._id);
+    // Registrar el estado inicial de la cita en su historial
+    if (this.isNew && this.statusHistory.length === 0) {
+      const actor = this.$locals.actor;
+      this.statusHistory.push({
+        from: null,
+        to: this.status,
+        by: actor ? actor._id : undefined,
+        byModel: actor ? actor.constructor.modelName : undefined
+      });
+    }
+
+    // Contabilizar la inasistencia en el paciente una vez guardada la cita
+    this.$locals.becameNoShow = this.isModified('status') && this.status === 'no-show';
+
+    // Evento en tiempo real que se publicará al médico y al paciente una vez guardada la cita
+    if (this.isNew) {
+      this.$locals.realtimeAction = 'created';
+    } else if (this.isModified('status') && this.status === 'cancelled') {
+      this.$locals.realtimeAction = 'cancelled';
+    } else if (this.isModified('isArchived') && this.isArchived) {
+      this.$locals.realtimeAction = 'archived';
+    } else {
+      this.$locals.realtimeAction = this.isModified() ? 'updated' : null;
+    }
+
+    // Solo reservar el horario si se crea la cita o se modifica fecha, hora o médico
+    if (this.isNew || this.isModified('date') || this.isModified('time') || this.isModified('doctor')) {
+      this.$locals.bookingLock = await BookingLock.acquire(this.doctor, normalizeDate(this.date));
+      try {
+        await this.constructor.checkAvailability(this.doctor, this.date, this.time, this._id, {
+          holdId: this.$locals.waitlistHold
+        });
+      } catch (availabilityError) {
+        throw markBookingConflict(availabilityError);
+      }
+    }
+
+    // Registrar la duración y zona horaria vigentes del médico al crear la cita o cambiar de médico
+    if (!this.duration || !this.timezone || this.isModified('doctor')) {
+      const doctor = await mongoose.model('Doctor').findById(this.doctor);
+      const settings = doctor ? doctor.getScheduleSettings() : null;
+      this.duration = settings ? settings.duration : DEFAULT_APPOINTMENT_DURATION;
+      this.timezone = settings ? settings.timezone : getClinicTimezone();
+    }
+
+    // Mantener sincronizado el instante absoluto de inicio con la fecha y hora locales
+    if (!this.startsAt || this.isModified('date') || this.isModified('time') || this.isModified('timezone')) {
+      this.startsAt = toInstant(normalizeDate(this.date), this.time, this.timezone);
     }
     next();
   } catch (error) {
+    await releaseBookingLock(this);
     next(error);
   }
 });
 
+/**
+ * @function post-save
+ * @description Libera el bloqueo de agenda una vez escrita la cita, publica el cambio en tiempo real
+ * al médico y al paciente y, si la cita pasó a no tomada, incrementa el contador de inasistencias del paciente
+ */
+appointmentSchema.post('save', async function() {
+  await releaseBookingLock(this);
+
+  if (this.$locals.realtimeAction) {
+    const action = this.$locals.realtimeAction;
+    this.$locals.realtimeAction = null;
+    publishAppointmentEvent(action, this);
+  }
+
+  if (this.$locals.becameNoShow) {
+    this.$locals.becameNoShow = false;
+    await mongoose.model('User').updateOne(
+      { _id: this.patient },
+      { $inc: { noShowCount: 1 }, $set: { lastNoShowAt: new Date() } }
+    );
+  }
+});
+
+/**
+ * @function post-save (error)
+ * @description Libera el bloqueo de agenda si la escritura falla. Un error de clave duplicada
+ * indica que el horario exacto ya está ocupado por otra cita activa.
+ */
+appointmentSchema.post('save', async function(error, doc, next) {
+  await releaseBookingLock(this);
+  next(error.code === 11000 ? markBookingConflict(new Error('Ya existe una cita agendada en este horario')) : error);
+});
+
+/**
+ * @description Registro de auditoría de las altas, modificaciones y bajas
+ */
+appointmentSchema.plugin(auditPlugin, { resourceType: 'appointment', patientPath: 'patient' });
+
 module.exports = mongoose.model('Appointment', appointmentSchema);
\ No newline at end of file
@@ -0,0 +1,138 @@
+/**
+ * @file audit-entry.model.js
+ * @description Modelo de datos para el registro de auditoría de accesos y modificaciones de los
+ * datos de pacientes, citas y médicos.
+ *
+ * El registro solo admite añadir entradas: el modelo rechaza cualquier modificación o eliminación.
+ * Además, cada entrada guarda el hash de la anterior y su propio hash, calculado sobre su contenido,
+ * de modo que cualquier cambio hecho directamente en la base de datos rompe la cadena y se detecta
+ * al verificarla.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * @constant {Array<String>} AUDIT_ACTIONS - Acciones registradas
+ */
+const AUDIT_ACTIONS = ['read', 'create', 'update', 'delete'];
+
+/**
+ * @typedef {Object} AuditEntrySchema
+ * @description Esquema de datos para entradas del registro de auditoría
+ *
+ * @property {Number} sequence - Posición de la entrada en la cadena (empieza en 1)
+ * @property {Date} timestamp - Momento del acceso o la modificación
+ * @property {ObjectId} actor - Usuario o médico que realizó la acción (vacío si la realizó el sistema)
+ * @property {String} actorModel - Modelo del actor ['User', 'Doctor']
+ * @property {String} actorRole - Rol del actor ('patient', 'admin', 'doctor' o 'system')
+ * @property {String} action - Acción realizada ['read', 'create', 'update', 'delete']
+ * @property {String} resourceType - Tipo de registro (por ejemplo, 'appointment' o 'medical-profile')
+ * @property {ObjectId} resourceId - Registro accedido o modificado (vacío en las consultas de listados)
+ * @property {ObjectId} patient - Paciente al que pertenecen los datos, si corresponde
+ * @property {Array<String>} fields - Campos creados o modificados
+ * @property {String} ip - Dirección IP de la solicitud
+ * @property {String} method - Método HTTP de la solicitud
+ * @property {String} path - Ruta de la solicitud
+ * @property {Number} statusCode - Código de estado de la respuesta (solo en los accesos de lectura)
+ * @property {String} prevHash - Hash de la entrada anterior
+ * @property {String} hash - Hash de esta entrada
+ */
+const auditEntrySchema = new mongoose.Schema({
+  sequence: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'actorModel'
+  },
+  actorModel: {
+    type: String,
+    enum: ['User', 'Doctor']
+  },
+  actorRole: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+  resourceType: {
+    type: String,
+    required: true
+  },
+  resourceId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  fields: {
+    type: [String],
+    default: undefined
+  },
+  ip: {
+    type: String
+  },
+  method: {
+    type: String
+  },
+  path: {
+    type: String
+  },
+  statusCode: {
+    type: Number
+  },
+  prevHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+/**
+ * @description Índices para las consultas de administración por actor, registro, paciente y fecha
+ */
+auditEntrySchema.index({ actor: 1, timestamp: -1 });
+auditEntrySchema.index({ resourceType: 1, resourceId: 1, timestamp: -1 });
+auditEntrySchema.index({ patient: 1, timestamp: -1 });
+auditEntrySchema.index({ timestamp: -1 });
+
+/**
+ * @function rejectChange
+ * @description Rechaza las operaciones que modificarían o eliminarían entradas existentes
+ * @private
+ */
+function rejectChange(next) {
+  next(new Error('El registro de auditoría no admite modificaciones ni eliminaciones'));
+}
+
+auditEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+auditEntrySchema.pre(['updateOne', 'deleteOne'], { document: true, query: true }, rejectChange);
+auditEntrySchema.pre(
+  ['updateMany', 'replaceOne', 'findOneAndUpdate', 'findOneAndReplace', 'findOneAndDelete', 'deleteMany'],
+  rejectChange
+);
+
+module.exports = mongoose.model('AuditEntry', auditEntrySchema);
@@ -0,0 +1,126 @@
+/**
+ * @file availability-exception.model.js
+ * @description Modelo de datos para las excepciones de disponibilidad de los médicos.
+ * Permite bloquear fechas o rangos de fechas concretos (vacaciones, congresos, festivos)
+ * y añadir turnos extraordinarios en fechas específicas. Estas excepciones tienen prioridad
+ * sobre la disponibilidad semanal del médico al validar y calcular horarios de citas.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const { timeRegex, timeToMinutes, normalizeDate } = require('../utils/schedule');
+
+/**
+ * @typedef {Object} AvailabilityExceptionSchema
+ * @description Esquema de datos para excepciones de disponibilidad
+ *
+ * @property {ObjectId} doctor - Referencia al médico al que aplica la excepción
+ * @property {String} type - Tipo de excepción ['block', 'extra']: bloqueo de agenda o turno extraordinario
+ * @property {Date} startDate - Primer día al que aplica la excepción
+ * @property {Date} endDate - Último día al que aplica la excepción (inclusive)
+ * @property {String} startTime - Hora de inicio en formato HH:MM (opcional en bloqueos: sin horas se bloquea el día completo)
+ * @property {String} endTime - Hora de fin en formato HH:MM (opcional en bloqueos)
+ * @property {String} reason - Motivo de la excepción (vacaciones, congreso, festivo, etc.)
+ * @property {Date} createdAt - Fecha de creación del registro
+ * @property {Date} updatedAt - Fecha de última actualización del registro (generado por timestamps)
+ */
+const availabilityExceptionSchema = new mongoose.Schema({
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor', // Referencia al modelo de médicos
+    required: true
+  },
+  type: {
+    type: String,
+    enum: {
+      values: ['block', 'extra'],
+      message: 'El tipo de excepción debe ser block o extra'
+    },
+    required: [true, 'El tipo de excepción es requerido']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'La fecha de inicio es requerida']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'La fecha de fin es requerida']
+  },
+  startTime: {
+    type: String,
+    validate: {
+      validator: function(v) {
+        return timeRegex.test(v);
+      },
+      message: 'La hora de inicio debe estar en formato HH:mm'
+    }
+  },
+  endTime: {
+    type: String,
+    validate: {
+      validator: function(v) {
+        return timeRegex.test(v);
+      },
+      message: 'La hora de fin debe estar en formato HH:mm'
+    }
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'El motivo no puede exceder los 200 caracteres']
+  }
+}, {
+  timestamps: true // Habilita la creación automática de campos createdAt y updatedAt
+});
+
+/**
+ * @description Índice para optimizar la búsqueda de excepciones de un médico por rango de fechas
+ */
+availabilityExceptionSchema.index({ doctor: 1, startDate: 1, endDate: 1 });
+
+/**
+ * @function pre-validate
+ * @description Middleware de validación de la excepción.
+ * Verifica que:
+ * 1. La fecha de fin no sea anterior a la fecha de inicio
+ * 2. Las horas se indiquen juntas y la hora de fin sea posterior a la de inicio
+ * 3. Los turnos extraordinarios indiquen siempre su horario
+ */
+availabilityExceptionSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'La fecha de fin debe ser igual o posterior a la fecha de inicio');
+  }
+
+  if (Boolean(this.startTime) !== Boolean(this.endTime)) {
+    this.invalidate('endTime', 'Debe indicar tanto la hora de inicio como la hora de fin');
+  } else if (this.startTime && timeRegex.test(this.startTime) && timeRegex.test(this.endTime) &&
+             timeToMinutes(this.startTime) >= timeToMinutes(this.endTime)) {
+    this.invalidate('endTime', 'La hora de fin debe ser posterior a la hora de inicio');
+  }
+
+  if (this.type === 'extra' && !this.startTime) {
+    this.invalidate('startTime', 'Los turnos extraordinarios requieren hora de inicio y de fin');
+  }
+  next();
+});
+
+/**
+ * @method findForRange
+ * @description Método estático que obtiene las excepciones de un médico que afectan
+ * a alguna fecha dentro de un rango.
+ *
+ * @param {ObjectId} doctorId - ID del médico
+ * @param {Date|String} from - Fecha inicial del rango (inclusive)
+ * @param {Date|String} to - Fecha final del rango (inclusive)
+ * @returns {Promise<Array<Object>>} Excepciones que se solapan con el rango
+ */
+availabilityExceptionSchema.statics.findForRange = function(doctorId, from, to) {
+  return this.find({
+    doctor: doctorId,
+    startDate: { $lte: new Date(normalizeDate(to)) },
+    endDate: { $gte: new Date(normalizeDate(from)) }
+  }).sort({ startDate: 1 });
+};
+
+module.exports = mongoose.model('AvailabilityException', availabilityExceptionSchema);
@@ -0,0 +1,127 @@
+/**
+ * @file booking-lock.model.js
+ * @description Modelo de bloqueos de agenda para la reserva atómica de citas.
+ * Cada documento representa el bloqueo exclusivo de la agenda de un médico en una fecha.
+ * La verificación de disponibilidad y la escritura de una cita se realizan mientras se
+ * mantiene el bloqueo, de modo que dos reservas simultáneas para el mismo médico y día
+ * no puedan superponerse ni incumplir el tiempo de separación entre citas.
+ * El índice único sobre {doctor, date} garantiza la exclusión mutua sin requerir transacciones.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+/**
+ * @constant {number} LOCK_TTL_MS - Tiempo máximo que se mantiene un bloqueo antes de considerarse abandonado
+ */
+const LOCK_TTL_MS = 10000;
+
+/**
+ * @constant {number} LOCK_WAIT_MS - Tiempo máximo de espera para obtener un bloqueo ocupado
+ */
+const LOCK_WAIT_MS = 5000;
+
+/**
+ * @constant {number} LOCK_RETRY_MS - Intervalo entre intentos de obtener un bloqueo ocupado
+ */
+const LOCK_RETRY_MS = 50;
+
+/**
+ * @typedef {Object} BookingLockSchema
+ * @description Esquema de datos para bloqueos de agenda
+ *
+ * @property {ObjectId} doctor - Médico cuya agenda se bloquea
+ * @property {Date} date - Fecha bloqueada (medianoche UTC del día local)
+ * @property {String} owner - Identificador aleatorio de quien mantiene el bloqueo
+ * @property {Date} expiresAt - Instante a partir del cual el bloqueo se considera abandonado
+ */
+const bookingLockSchema = new mongoose.Schema({
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  owner: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+/**
+ * @description Índice único que permite un solo bloqueo por médico y fecha,
+ * e índice TTL para que MongoDB elimine los bloqueos abandonados
+ */
+bookingLockSchema.index({ doctor: 1, date: 1 }, { unique: true });
+bookingLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * @function wait
+ * @description Espera el número de milisegundos indicado
+ *
+ * @param {number} ms - Milisegundos de espera
+ * @returns {Promise<void>}
+ * @private
+ */
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * @method acquire
+ * @description Método estático que obtiene el bloqueo de la agenda de un médico en una fecha.
+ * Si el bloqueo está ocupado, reintenta hasta agotar el tiempo de espera. Un bloqueo
+ * cuyo tiempo de vida expiró (por ejemplo, por la caída de un proceso) puede ser reclamado.
+ *
+ * @param {ObjectId|String} doctorId - ID del médico
+ * @param {String} dateOnly - Fecha en formato YYYY-MM-DD
+ * @returns {Promise<Object>} Bloqueo obtenido
+ * @throws {Error} Si no se obtiene el bloqueo dentro del tiempo de espera (code 'BOOKING_CONFLICT')
+ */
+bookingLockSchema.statics.acquire = async function(doctorId, dateOnly) {
+  const owner = crypto.randomBytes(12).toString('hex');
+  const date = new Date(dateOnly);
+  const deadline = Date.now() + LOCK_WAIT_MS;
+
+  while (Date.now() < deadline) {
+    const expiresAt = new Date(Date.now() + LOCK_TTL_MS);
+    try {
+      // Crea el bloqueo o reclama uno expirado; si otro proceso lo mantiene, el upsert
+      // intenta insertar un duplicado y el índice único lo rechaza
+      const lock = await this.findOneAndUpdate(
+        { doctor: doctorId, date, expiresAt: { $lte: new Date() } },
+        { $set: { owner, expiresAt } },
+        { upsert: true, new: true }
+      );
+      return lock;
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+    await wait(LOCK_RETRY_MS);
+  }
+
+  const error = new Error('La agenda del médico está siendo modificada por otra solicitud. Intente de nuevo');
+  error.code = 'BOOKING_CONFLICT';
+  throw error;
+};
+
+/**
+ * @method release
+ * @description Libera el bloqueo, siempre que siga perteneciendo a quien lo obtuvo
+ *
+ * @returns {Promise<void>}
+ */
+bookingLockSchema.methods.release = async function() {
+  await this.constructor.deleteOne({ _id: this._id, owner: this.owner });
+};
+
+module.exports = mongoose.model('BookingLock', bookingLockSchema);
@@ -3,17 +3,32 @@
  * @description Modelo de datos para los médicos del sistema de citas médicas.
  * Define la estructura, validaciones, restricciones y métodos asociados a los perfiles médicos.
  * Incluye esquema de disponibilidad horaria y validaciones complejas para horarios de atención.
+ * Los datos de acceso comunes a todas las cuentas y la gestión de contraseñas se definen en el
+ * modelo base de cuentas (account.model.js).
  * @autor Equipo de Desarrollo
  * @version 1.0.0
  */
 
 const mongoose = require('mongoose');
-const bcrypt = require('bcryptjs');
+const Account = require('./account.model');
+const { timeRegex, timeToMinutes, minutesToTime, rangesOverlap } = require('../utils/schedule');
+const { isValidTimezone, getClinicTimezone } = require('../utils/timezone');
+const { auditPlugin } = require('../utils/audit');
 
 /**
- * @constant {RegExp} timeRegex - Expresión regular para validar formato de hora (HH:MM)
+ * @constant {number} DEFAULT_APPOINTMENT_DURATION - Duración por defecto de una cita en minutos
  */
-const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const DEFAULT_APPOINTMENT_DURATION = 30;
+
+/**
+ * @constant {number} DEFAULT_BUFFER_TIME - Tiempo de separación por defecto entre citas en minutos
+ */
+const DEFAULT_BUFFER_TIME = 0;
+
+/**
+ * @constant {Object} DEFAULT_WORKING_HOURS - Horario de atención por defecto de la clínica
+ */
+const DEFAULT_WORKING_HOURS = { start: '08:00', end: '17:00' };
 
 /**
  * @typedef {Object} AvailabilitySchema
@@ -56,60 +71,71 @@ const availabilitySchema = new mongoose.Schema({
 /**
  * @function pre-validate (availabilitySchema)
  * @description Middleware de validación para los horarios de disponibilidad.
- * Verifica que:
- * 1. La hora de fin sea posterior a la hora de inicio
- * 2. Los horarios estén dentro del rango permitido (8:00-17:00)
+ * Verifica que la hora de fin sea posterior a la hora de inicio.
+ * La pertenencia al horario de atención del médico se valida en el esquema del médico,
+ * ya que depende de su configuración.
  */
 availabilitySchema.pre('validate', function(next) {
   if (this.startTime && this.endTime) {
-    // Convertir las cadenas de hora a componentes numéricos
-    const [startHour, startMinute] = this.startTime.split(':').map(Number);
-    const [endHour, endMinute] = this.endTime.split(':').map(Number);
-    
     // Validar que la hora de fin sea posterior a la de inicio
-    if (startHour > endHour || (startHour === endHour && startMinute >= endMinute)) {
+    if (timeToMinutes(this.startTime) >= timeToMinutes(this.endTime)) {
       this.invalidate('endTime', 'La hora de fin debe ser posterior a la hora de inicio');
     }
-    
-    // Validar que los horarios estén dentro del rango de atención establecido
-    if (startHour < 8 || endHour > 17) {
-      this.invalidate('startTime', 'El horario de atención debe estar entre 8:00 y 17:00');
-    }
   }
   next();
 });
 
+/**
+ * @typedef {Object} WorkingHoursSchema
+ * @description Esquema para el horario de atención general de un médico
+ * 
+ * @property {String} start - Hora de inicio de atención en formato HH:MM (por defecto: 08:00)
+ * @property {String} end - Hora de fin de atención en formato HH:MM (por defecto: 17:00)
+ */
+const workingHoursSchema = new mongoose.Schema({
+  start: {
+    type: String,
+    default: DEFAULT_WORKING_HOURS.start,
+    validate: {
+      validator: function(v) {
+        return timeRegex.test(v);
+      },
+      message: 'La hora de inicio de atención debe estar en formato HH:mm'
+    }
+  },
+  end: {
+    type: String,
+    default: DEFAULT_WORKING_HOURS.end,
+    validate: {
+      validator: function(v) {
+        return timeRegex.test(v);
+      },
+      message: 'La hora de fin de atención debe estar en formato HH:mm'
+    }
+  }
+}, {
+  _id: false // No generar _id para este subdocumento
+});
+
 /**
  * @typedef {Object} DoctorSchema
- * @description Esquema de datos para médicos del sistema
+ * @description Esquema del perfil de médicos del sistema.
+ * Se añade a los campos comunes de las cuentas (email, password, name, phoneNumber, language).
  * 
- * @property {String} email - Correo electrónico único del médico (requerido)
- * @property {String} password - Contraseña del médico, almacenada con hash (requerido)
- * @property {String} name - Nombre completo del médico (requerido)
+ * @property {String} role - Rol de la cuenta (siempre 'doctor')
  * @property {String} speciality - Especialidad médica (requerido)
  * @property {String} licenseNumber - Número de licencia médica, debe ser único (requerido)
- * @property {Array<AvailabilitySchema>} availability - Horarios de disponibilidad del médico
- * @property {String} phoneNumber - Número telefónico de contacto (requerido)
- * @property {Date} createdAt - Fecha de creación del registro
- * @property {Date} updatedAt - Fecha de última actualización del registro (generado por timestamps)
+ * @property {Array<AvailabilitySchema>} availability - Horarios de disponibilidad del médico (admite varios bloques no superpuestos por día)
+ * @property {Number} appointmentDuration - Duración de cada cita en minutos (por defecto: 30)
+ * @property {Number} bufferTime - Minutos de separación obligatoria entre citas (por defecto: 0)
+ * @property {WorkingHoursSchema} workingHours - Horario de atención permitido para el médico (por defecto: 8:00-17:00)
+ * @property {String} timezone - Zona horaria IANA en la que se expresan su disponibilidad y sus citas (por defecto: la de la clínica)
  */
 const doctorSchema = new mongoose.Schema({
-  email: {
-    type: String,
-    required: true,
-    unique: true,
-    trim: true,
-    lowercase: true
-  },
-  password: {
-    type: String,
-    required: true,
-    minlength: 8
-  },
-  name: {
+  role: {
     type: String,
-    required: true,
-    trim: true
+    enum: ['doctor'],
+    default: 'doctor'
   },
   speciality: {
     type: String,
@@ -119,62 +145,124 @@ const doctorSchema = new mongoose.Schema({
   licenseNumber: {
     type: String,
     required: true,
-    unique: true
+    unique: true,
+    sparse: true // La colección de cuentas también contiene pacientes y administradores, que no tienen licencia
   },
   availability: {
     type: [availabilitySchema],
     validate: {
       validator: function(availability) {
-        // Verificar que no haya días duplicados en la disponibilidad
-        const days = availability.map(slot => slot.day);
-        return days.length === new Set(days).size;
+        // Se permiten varios bloques por día (turnos partidos), pero no pueden superponerse
+        const validSlots = availability.filter(slot =>
+          timeRegex.test(slot.startTime) && timeRegex.test(slot.endTime)
+        );
+        return !validSlots.some((slot, index) =>
+          validSlots.slice(index + 1).some(other =>
+            other.day === slot.day &&
+            rangesOverlap(
+              timeToMinutes(slot.startTime), timeToMinutes(slot.endTime),
+              timeToMinutes(other.startTime), timeToMinutes(other.endTime)
+            )
+          )
+        );
       },
-      message: 'No puede haber días duplicados en la disponibilidad'
+      message: 'Los bloques de disponibilidad de un mismo día no pueden superponerse'
     }
   },
-  phoneNumber: {
-    type: String,
-    required: true
+  appointmentDuration: {
+    type: Number,
+    default: DEFAULT_APPOINTMENT_DURATION,
+    min: [5, 'La duración de la cita debe ser de al menos 5 minutos'],
+    max: [240, 'La duración de la cita no puede exceder los 240 minutos'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'La duración de la cita debe ser un número entero de minutos'
+    }
+  },
+  bufferTime: {
+    type: Number,
+    default: DEFAULT_BUFFER_TIME,
+    min: [0, 'El tiempo de separación no puede ser negativo'],
+    max: [120, 'El tiempo de separación no puede exceder los 120 minutos'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'El tiempo de separación debe ser un número entero de minutos'
+    }
   },
-  createdAt: {
-    type: Date,
-    default: Date.now
+  workingHours: {
+    type: workingHoursSchema,
+    default: () => ({})
+  },
+  timezone: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: isValidTimezone,
+      message: 'La zona horaria debe ser un identificador IANA válido (ej. America/Mexico_City)'
+    }
   }
-}, {
-  timestamps: true // Habilita la creación automática de campos createdAt y updatedAt
 });
 
 /**
- * @function pre-save
- * @description Middleware que se ejecuta antes de guardar un documento.
- * Genera un hash seguro de la contraseña utilizando bcrypt si ésta ha sido modificada.
- * Utiliza un factor de costo (salt) de 10 para equilibrar seguridad y rendimiento.
+ * @function pre-validate (doctorSchema)
+ * @description Middleware de validación de la configuración de agenda del médico.
+ * Verifica que:
+ * 1. La hora de fin de atención sea posterior a la de inicio
+ * 2. El horario de atención permita al menos una cita completa
+ * 3. Los bloques de disponibilidad estén dentro del horario de atención
  */
-doctorSchema.pre('save', async function(next) {
-  // Solo hashear la contraseña si ha sido modificada (o es nueva)
-  if (!this.isModified('password')) return next();
-  
-  try {
-    // Generar un salt aleatorio con factor de costo 10
-    const salt = await bcrypt.genSalt(10);
-    // Crear hash de la contraseña con el salt generado
-    this.password = await bcrypt.hash(this.password, salt);
-    next();
-  } catch (error) {
-    next(error);
+doctorSchema.pre('validate', function(next) {
+  const { opening, closing, duration } = this.getScheduleSettings();
+
+  if (opening >= closing) {
+    this.invalidate('workingHours.end', 'La hora de fin de atención debe ser posterior a la hora de inicio');
+  } else if (closing - opening < duration) {
+    this.invalidate('appointmentDuration', 'El horario de atención debe permitir al menos una cita completa');
   }
+
+  (this.availability || []).forEach((slot, index) => {
+    if (!timeRegex.test(slot.startTime) || !timeRegex.test(slot.endTime)) {
+      return;
+    }
+    if (timeToMinutes(slot.startTime) < opening || timeToMinutes(slot.endTime) > closing) {
+      this.invalidate(
+        `availability.${index}.startTime`,
+        `El horario de disponibilidad debe estar entre ${minutesToTime(opening)} y ${minutesToTime(closing)}`
+      );
+    }
+  });
+
+  next();
 });
 
 /**
- * @method comparePassword
- * @description Método para verificar si una contraseña proporcionada coincide con la almacenada.
- * Utiliza bcrypt para comparar la contraseña en texto plano con el hash almacenado.
+ * @method getScheduleSettings
+ * @description Obtiene la configuración de agenda del médico expresada en minutos,
+ * aplicando los valores por defecto de la clínica a los campos no definidos.
+ * Es la fuente única de reglas de programación utilizada por el modelo de citas.
  * 
- * @param {string} candidatePassword - Contraseña en texto plano a verificar
- * @returns {Promise<boolean>} Promesa que resuelve a true si la contraseña coincide, false en caso contrario
+ * @returns {{duration: number, buffer: number, step: number, opening: number, closing: number, timezone: String}}
+ * Duración de la cita, separación entre citas, intervalo entre horarios consecutivos,
+ * inicio y fin del horario de atención (minutos desde medianoche) y zona horaria del médico
  */
-doctorSchema.methods.comparePassword = async function(candidatePassword) {
-  return bcrypt.compare(candidatePassword, this.password);
+doctorSchema.methods.getScheduleSettings = function() {
+  const duration = this.appointmentDuration || DEFAULT_APPOINTMENT_DURATION;
+  const buffer = this.bufferTime || DEFAULT_BUFFER_TIME;
+  const workingHours = this.workingHours || {};
+
+  return {
+    duration,
+    buffer,
+    step: duration + buffer,
+    opening: timeToMinutes(workingHours.start || DEFAULT_WORKING_HOURS.start),
+    closing: timeToMinutes(workingHours.end || DEFAULT_WORKING_HOURS.end),
+    timezone: this.timezone || getClinicTimezone()
+  };
 };
 
-module.exports = mongoose.model('Doctor', doctorSchema);
\ No newline at end of file
+/**
+ * @description Registro de auditoría de las altas, modificaciones y bajas
+ */
+doctorSchema.plugin(auditPlugin, { resourceType: 'doctor' });
+
+module.exports = Account.discriminator('Doctor', doctorSchema, 'doctor');
\ No newline at end of file
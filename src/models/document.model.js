@@ -0,0 +1,112 @@
+/**
+ * @file document.model.js
+ * @description Modelo de datos para los documentos médicos adjuntos a las citas.
+ * Los pacientes adjuntan resultados de laboratorio o cartas de derivación antes de la consulta y
+ * los médicos adjuntan informes después. El archivo se guarda en el almacenamiento de documentos;
+ * aquí se registran sus datos y la clave con la que se guardó.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+
+/**
+ * @constant {Array<String>} DOCUMENT_CATEGORIES - Tipos de documento
+ */
+const DOCUMENT_CATEGORIES = ['lab-result', 'referral', 'report', 'other'];
+
+/**
+ * @typedef {Object} DocumentSchema
+ * @description Esquema de datos para documentos adjuntos a citas
+ *
+ * @property {ObjectId} appointment - Cita a la que se adjunta el documento
+ * @property {ObjectId} patient - Paciente de la cita
+ * @property {ObjectId} doctor - Médico de la cita
+ * @property {ObjectId} uploadedBy - Paciente o médico que adjuntó el documento
+ * @property {String} uploadedByModel - Modelo de quien adjuntó el documento ['User', 'Doctor']
+ * @property {String} category - Tipo de documento ['lab-result', 'referral', 'report', 'other']
+ * @property {String} description - Descripción opcional
+ * @property {String} originalName - Nombre del archivo enviado
+ * @property {String} contentType - Tipo MIME del archivo
+ * @property {Number} size - Tamaño del archivo en bytes
+ * @property {String} storage - Adaptador de almacenamiento en el que se guardó el archivo
+ * @property {String} key - Clave del archivo en el almacenamiento
+ * @property {Date} createdAt - Fecha de creación del registro (generado por timestamps)
+ * @property {Date} updatedAt - Fecha de última actualización del registro (generado por timestamps)
+ */
+const documentSchema = new mongoose.Schema({
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: true
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'uploadedByModel',
+    required: true
+  },
+  uploadedByModel: {
+    type: String,
+    enum: ['User', 'Doctor'],
+    required: true
+  },
+  category: {
+    type: String,
+    enum: {
+      values: DOCUMENT_CATEGORIES,
+      message: `El tipo de documento debe ser uno de: ${DOCUMENT_CATEGORIES.join(', ')}`
+    },
+    default: 'other'
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'La descripción no puede exceder los 500 caracteres']
+  },
+  originalName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  storage: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true // Habilita la creación automática de campos createdAt y updatedAt
+});
+
+/**
+ * @description Índice para listar los documentos de una cita
+ */
+documentSchema.index({ appointment: 1, createdAt: 1 });
+
+/**
+ * @description Registro de auditoría de las altas, modificaciones y bajas
+ */
+documentSchema.plugin(auditPlugin, { resourceType: 'document', patientPath: 'patient' });
+
+module.exports = mongoose.model('Document', documentSchema);
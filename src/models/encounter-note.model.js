@@ -0,0 +1,210 @@
+/**
+ * @file encounter-note.model.js
+ * @description Modelo de datos para las notas clínicas de la consulta.
+ * Cada cita tiene como máximo una nota, redactada exclusivamente por su médico y organizada en
+ * secciones (síntomas, diagnóstico, tratamiento y seguimiento). Cada edición se conserva como una
+ * versión, de modo que siempre puede consultarse el texto anterior. Una vez completada la cita,
+ * el médico puede bloquear la nota para impedir nuevas ediciones.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+
+/**
+ * @constant {Array<String>} NOTE_SECTIONS - Secciones de la nota clínica
+ */
+const NOTE_SECTIONS = ['symptoms', 'diagnosis', 'treatment', 'followUp'];
+
+/**
+ * @constant {number} MAX_SECTION_LENGTH - Longitud máxima de cada sección
+ */
+const MAX_SECTION_LENGTH = 5000;
+
+/**
+ * @typedef {Object} NoteSectionsSchema
+ * @description Contenido de la nota clínica por secciones
+ *
+ * @property {String} symptoms - Síntomas y motivo de consulta referidos por el paciente
+ * @property {String} diagnosis - Diagnóstico
+ * @property {String} treatment - Tratamiento indicado
+ * @property {String} followUp - Indicaciones de seguimiento
+ */
+const sectionsSchema = new mongoose.Schema(
+  NOTE_SECTIONS.reduce((fields, section) => ({
+    ...fields,
+    [section]: {
+      type: String,
+      trim: true,
+      default: '',
+      maxlength: [MAX_SECTION_LENGTH, `Cada sección de la nota no puede exceder los ${MAX_SECTION_LENGTH} caracteres`]
+    }
+  }), {}),
+  { _id: false }
+);
+
+/**
+ * @typedef {Object} NoteVersionSchema
+ * @description Versión guardada de la nota clínica
+ *
+ * @property {Number} version - Número de versión (1 para la primera)
+ * @property {NoteSectionsSchema} sections - Contenido de la nota en esa versión
+ * @property {ObjectId} editedBy - Médico que guardó la versión
+ * @property {Date} editedAt - Instante en que se guardó la versión
+ */
+const versionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  sections: {
+    type: sectionsSchema,
+    required: true
+  },
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: true
+  },
+  editedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * @typedef {Object} EncounterNoteSchema
+ * @description Esquema de datos para notas clínicas de la consulta
+ *
+ * @property {ObjectId} appointment - Cita a la que corresponde la nota
+ * @property {ObjectId} doctor - Médico de la cita, único autor de la nota
+ * @property {ObjectId} patient - Paciente de la cita
+ * @property {NoteSectionsSchema} sections - Contenido vigente de la nota
+ * @property {Number} version - Número de la versión vigente
+ * @property {Array<NoteVersionSchema>} versions - Todas las versiones guardadas, incluida la vigente
+ * @property {Date} lockedAt - Instante en que se bloqueó la nota (vacío si admite ediciones)
+ * @property {ObjectId} lockedBy - Médico que bloqueó la nota
+ * @property {Date} createdAt - Fecha de creación del registro (generado por timestamps)
+ * @property {Date} updatedAt - Fecha de última actualización del registro (generado por timestamps)
+ */
+const encounterNoteSchema = new mongoose.Schema({
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: true,
+    unique: true
+  },
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: true
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sections: {
+    type: sectionsSchema,
+    default: () => ({})
+  },
+  version: {
+    type: Number,
+    default: 0
+  },
+  versions: {
+    type: [versionSchema],
+    default: []
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lockedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor'
+  }
+}, {
+  timestamps: true, // Habilita la creación automática de campos createdAt y updatedAt
+  optimisticConcurrency: true // Rechaza el guardado si otra edición modificó la nota entretanto
+});
+
+/**
+ * @description Índice para consultar las notas clínicas de un paciente
+ */
+encounterNoteSchema.index({ patient: 1, createdAt: -1 });
+
+/**
+ * @method isLocked
+ * @description Verifica si la nota está bloqueada para nuevas ediciones
+ *
+ * @returns {boolean} true si la nota está bloqueada
+ */
+encounterNoteSchema.methods.isLocked = function() {
+  return Boolean(this.lockedAt);
+};
+
+/**
+ * @method edit
+ * @description Guarda una nueva versión de la nota. Las secciones no indicadas conservan su contenido.
+ * No guarda la nota; debe llamarse a save() después.
+ *
+ * @param {Object} sections - Secciones a modificar
+ * @param {Object} doctor - Médico que edita la nota
+ * @returns {boolean} false si las secciones indicadas no cambian el contenido (no se crea versión)
+ * @throws {Error} Si la nota está bloqueada (code 'NOTE_LOCKED')
+ */
+encounterNoteSchema.methods.edit = function(sections, doctor) {
+  if (this.isLocked()) {
+    const error = new Error('La nota clínica está bloqueada y no admite ediciones');
+    error.code = 'NOTE_LOCKED';
+    throw error;
+  }
+
+  const next = NOTE_SECTIONS.reduce((content, section) => ({
+    ...content,
+    [section]: sections[section] !== undefined ? String(sections[section]).trim() : (this.sections[section] || '')
+  }), {});
+
+  if (this.version > 0 && NOTE_SECTIONS.every(section => next[section] === (this.sections[section] || ''))) {
+    return false;
+  }
+
+  this.sections = next;
+  this.version += 1;
+  this.versions.push({
+    version: this.version,
+    sections: next,
+    editedBy: doctor._id,
+    editedAt: new Date()
+  });
+  return true;
+};
+
+/**
+ * @method lock
+ * @description Bloquea la nota para impedir nuevas ediciones. No guarda la nota; debe llamarse a save() después.
+ *
+ * @param {Object} doctor - Médico que bloquea la nota
+ * @returns {Object} La nota, para encadenar llamadas
+ * @throws {Error} Si la nota ya está bloqueada (code 'NOTE_LOCKED')
+ */
+encounterNoteSchema.methods.lock = function(doctor) {
+  if (this.isLocked()) {
+    const error = new Error('La nota clínica ya está bloqueada');
+    error.code = 'NOTE_LOCKED';
+    throw error;
+  }
+
+  this.lockedAt = new Date();
+  this.lockedBy = doctor._id;
+  return this;
+};
+
+/**
+ * @description Registro de auditoría de las altas, modificaciones y bajas
+ */
+encounterNoteSchema.plugin(auditPlugin, { resourceType: 'encounter-note', patientPath: 'patient' });
+
+module.exports = mongoose.model('EncounterNote', encounterNoteSchema);
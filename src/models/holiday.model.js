@@ -0,0 +1,88 @@
+/**
+ * @file holiday.model.js
+ * @description Modelo de datos para el calendario de festivos de la clínica.
+ * Los festivos aplican a todos los médicos: en esas fechas no se pueden agendar citas,
+ * independientemente de la disponibilidad semanal o de las excepciones de cada médico.
+ * Las entradas pueden crearse manualmente o importarse desde un archivo iCalendar (.ics).
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const { normalizeDate } = require('../utils/schedule');
+
+/**
+ * @typedef {Object} HolidaySchema
+ * @description Esquema de datos para festivos de la clínica
+ *
+ * @property {String} name - Nombre del festivo (requerido)
+ * @property {Date} startDate - Primer día del festivo (requerido)
+ * @property {Date} endDate - Último día del festivo (inclusive, requerido)
+ * @property {String} source - Origen de la entrada ['manual', 'ics']
+ * @property {String} uid - Identificador del evento en el calendario importado (UID del .ics)
+ * @property {Date} createdAt - Fecha de creación del registro
+ * @property {Date} updatedAt - Fecha de última actualización del registro (generado por timestamps)
+ */
+const holidaySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'El nombre del festivo es requerido'],
+    trim: true,
+    maxlength: [200, 'El nombre no puede exceder los 200 caracteres']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'La fecha de inicio es requerida']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'La fecha de fin es requerida']
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'ics'],
+    default: 'manual'
+  },
+  uid: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true // Habilita la creación automática de campos createdAt y updatedAt
+});
+
+/**
+ * @description Índices para optimizar la búsqueda por rango de fechas y evitar
+ * duplicados al reimportar el mismo calendario
+ */
+holidaySchema.index({ startDate: 1, endDate: 1 });
+holidaySchema.index({ uid: 1 }, { unique: true, sparse: true });
+
+/**
+ * @function pre-validate
+ * @description Middleware de validación que verifica que la fecha de fin
+ * no sea anterior a la fecha de inicio.
+ */
+holidaySchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'La fecha de fin debe ser igual o posterior a la fecha de inicio');
+  }
+  next();
+});
+
+/**
+ * @method findForRange
+ * @description Método estático que obtiene los festivos que afectan a alguna fecha dentro de un rango.
+ *
+ * @param {Date|String} from - Fecha inicial del rango (inclusive)
+ * @param {Date|String} to - Fecha final del rango (inclusive)
+ * @returns {Promise<Array<Object>>} Festivos que se solapan con el rango
+ */
+holidaySchema.statics.findForRange = function(from, to) {
+  return this.find({
+    startDate: { $lte: new Date(normalizeDate(to)) },
+    endDate: { $gte: new Date(normalizeDate(from)) }
+  }).sort({ startDate: 1 });
+};
+
+module.exports = mongoose.model('Holiday', holidaySchema);
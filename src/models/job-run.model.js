@@ -0,0 +1,84 @@
+/**
+ * @file job-run.model.js
+ * @description Modelo de datos para el historial de ejecuciones de los trabajos programados.
+ * Cada documento registra una ejecución: qué la originó, en qué proceso se realizó, cuánto duró
+ * y con qué resultado. Los registros se eliminan automáticamente pasados RUN_RETENTION_DAYS días.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * @constant {number} RUN_RETENTION_DAYS - Días que se conserva el historial de ejecuciones
+ */
+const RUN_RETENTION_DAYS = 30;
+
+/**
+ * @typedef {Object} JobRunSchema
+ * @description Esquema de datos para ejecuciones de trabajos
+ *
+ * @property {String} job - Nombre del trabajo ejecutado
+ * @property {String} trigger - Origen de la ejecución ['schedule', 'retry', 'manual']
+ * @property {ObjectId} triggeredBy - Administrador que solicitó una ejecución manual
+ * @property {Number} attempt - Intento de la ejecución (1 para la primera, 2 o más para reintentos)
+ * @property {String} worker - Identificador del proceso que realizó la ejecución
+ * @property {String} status - Estado de la ejecución ['running', 'succeeded', 'failed']
+ * @property {Date} startedAt - Inicio de la ejecución
+ * @property {Date} finishedAt - Fin de la ejecución
+ * @property {Number} durationMs - Duración de la ejecución en milisegundos
+ * @property {*} result - Resultado devuelto por el trabajo (por ejemplo, el número de citas actualizadas)
+ * @property {String} error - Error de una ejecución fallida
+ */
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'retry', 'manual'],
+    required: true
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  attempt: {
+    type: Number,
+    default: 1
+  },
+  worker: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date
+  },
+  durationMs: {
+    type: Number
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  error: {
+    type: String
+  }
+});
+
+/**
+ * @description Índices para consultar el historial de un trabajo y eliminar los registros antiguos
+ */
+jobRunSchema.index({ job: 1, startedAt: -1 });
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: RUN_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
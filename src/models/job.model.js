@@ -0,0 +1,105 @@
+/**
+ * @file job.model.js
+ * @description Modelo de datos para los trabajos programados del servidor.
+ * Cada documento representa un trabajo periódico (por ejemplo, la actualización de citas pasadas)
+ * con su expresión cron, su próxima ejecución y el bloqueo que garantiza que, con varias réplicas
+ * del servidor, solo una lo ejecute a la vez. Al persistirse la próxima ejecución, una ejecución
+ * que coincida con un reinicio se realiza en cuanto el servidor vuelve a estar disponible.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * @typedef {Object} JobSchema
+ * @description Esquema de datos para trabajos programados
+ *
+ * @property {String} name - Nombre único del trabajo
+ * @property {String} description - Descripción de lo que hace el trabajo
+ * @property {String} cron - Expresión cron que define cuándo se ejecuta
+ * @property {String} timezone - Zona horaria IANA en la que se interpreta la expresión cron
+ * @property {Boolean} paused - Indica si las ejecuciones programadas están en pausa
+ * @property {Date} nextRunAt - Próxima ejecución programada
+ * @property {Number} attempt - Número de reintentos consecutivos tras fallos de la ejecución en curso
+ * @property {String} lockedBy - Identificador del proceso que está ejecutando el trabajo
+ * @property {Date} lockedUntil - Instante en que vence el bloqueo si el proceso no lo libera
+ * @property {Date} lastRunAt - Inicio de la última ejecución
+ * @property {String} lastStatus - Resultado de la última ejecución ['succeeded', 'failed']
+ * @property {String} lastError - Error de la última ejecución fallida
+ * @property {Date} pausedAt - Instante en que se pausó el trabajo
+ * @property {ObjectId} pausedBy - Administrador que pausó el trabajo
+ * @property {Date} createdAt - Fecha de creación del registro (generado por timestamps)
+ * @property {Date} updatedAt - Fecha de última actualización del registro (generado por timestamps)
+ */
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  cron: {
+    type: String,
+    required: true
+  },
+  timezone: {
+    type: String,
+    required: true
+  },
+  paused: {
+    type: Boolean,
+    default: false
+  },
+  nextRunAt: {
+    type: Date,
+    required: true
+  },
+  attempt: {
+    type: Number,
+    default: 0
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastRunAt: {
+    type: Date
+  },
+  lastStatus: {
+    type: String,
+    enum: ['succeeded', 'failed']
+  },
+  lastError: {
+    type: String
+  },
+  pausedAt: {
+    type: Date
+  },
+  pausedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true // Habilita la creación automática de campos createdAt y updatedAt
+});
+
+/**
+ * @method isLocked
+ * @description Verifica si el trabajo se está ejecutando en algún proceso
+ *
+ * @returns {boolean} true si el bloqueo del trabajo está vigente
+ */
+jobSchema.methods.isLocked = function() {
+  return Boolean(this.lockedUntil && this.lockedUntil > new Date());
+};
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,196 @@
+/**
+ * @file medical-profile.model.js
+ * @description Modelo de datos para el perfil médico de los pacientes.
+ * Se guarda separado del usuario para que los datos clínicos no se expongan en las rutas de
+ * gestión de usuarios: solo pueden leerlo el propio paciente, los administradores y los médicos
+ * que tienen o tuvieron una cita con él.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const dayjs = require('dayjs');
+const { auditPlugin } = require('../utils/audit');
+
+/**
+ * @constant {Array<String>} BLOOD_TYPES - Grupos sanguíneos admitidos
+ */
+const BLOOD_TYPES = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+
+/**
+ * @typedef {Object} AllergySchema
+ * @description Alergia del paciente
+ *
+ * @property {String} substance - Sustancia o medicamento que provoca la alergia
+ * @property {String} reaction - Reacción que provoca
+ * @property {String} severity - Gravedad ['mild', 'moderate', 'severe']
+ */
+const allergySchema = new mongoose.Schema({
+  substance: {
+    type: String,
+    required: [true, 'La sustancia de la alergia es requerida'],
+    trim: true,
+    maxlength: [200, 'La sustancia no puede exceder los 200 caracteres']
+  },
+  reaction: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'La reacción no puede exceder los 500 caracteres']
+  },
+  severity: {
+    type: String,
+    enum: ['mild', 'moderate', 'severe'],
+    default: 'moderate'
+  }
+}, { _id: false });
+
+/**
+ * @typedef {Object} ConditionSchema
+ * @description Enfermedad crónica del paciente
+ *
+ * @property {String} name - Nombre de la enfermedad
+ * @property {Date} diagnosedAt - Fecha aproximada del diagnóstico
+ * @property {String} notes - Observaciones
+ */
+const conditionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'El nombre de la enfermedad es requerido'],
+    trim: true,
+    maxlength: [200, 'El nombre de la enfermedad no puede exceder los 200 caracteres']
+  },
+  diagnosedAt: {
+    type: Date
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Las observaciones no pueden exceder los 500 caracteres']
+  }
+}, { _id: false });
+
+/**
+ * @typedef {Object} MedicationSchema
+ * @description Medicamento que toma actualmente el paciente
+ *
+ * @property {String} name - Medicamento
+ * @property {String} dose - Dosis
+ * @property {String} frequency - Frecuencia de las tomas
+ */
+const medicationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'El nombre del medicamento es requerido'],
+    trim: true,
+    maxlength: [200, 'El nombre del medicamento no puede exceder los 200 caracteres']
+  },
+  dose: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'La dosis no puede exceder los 100 caracteres']
+  },
+  frequency: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'La frecuencia no puede exceder los 100 caracteres']
+  }
+}, { _id: false });
+
+/**
+ * @typedef {Object} MedicalProfileSchema
+ * @description Esquema de datos para el perfil médico del paciente
+ *
+ * @property {ObjectId} patient - Paciente al que pertenece el perfil
+ * @property {Date} dateOfBirth - Fecha de nacimiento
+ * @property {String} bloodType - Grupo sanguíneo ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']
+ * @property {Array<AllergySchema>} allergies - Alergias
+ * @property {Array<ConditionSchema>} chronicConditions - Enfermedades crónicas
+ * @property {Array<MedicationSchema>} currentMedications - Medicación actual
+ * @property {Object} emergencyContact - Contacto de emergencia (name, relationship, phoneNumber)
+ * @property {ObjectId} updatedBy - Paciente o administrador que modificó el perfil por última vez
+ * @property {Date} createdAt - Fecha de creación del registro (generado por timestamps)
+ * @property {Date} updatedAt - Fecha de última actualización del registro (generado por timestamps)
+ */
+const medicalProfileSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  dateOfBirth: {
+    type: Date,
+    validate: {
+      validator: value => !value || value <= new Date(),
+      message: 'La fecha de nacimiento no puede ser futura'
+    }
+  },
+  bloodType: {
+    type: String,
+    enum: {
+      values: BLOOD_TYPES,
+      message: `El grupo sanguíneo debe ser uno de: ${BLOOD_TYPES.join(', ')}`
+    }
+  },
+  allergies: {
+    type: [allergySchema],
+    default: []
+  },
+  chronicConditions: {
+    type: [conditionSchema],
+    default: []
+  },
+  currentMedications: {
+    type: [medicationSchema],
+    default: []
+  },
+  emergencyContact: {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'El nombre del contacto no puede exceder los 100 caracteres']
+    },
+    relationship: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'El parentesco no puede exceder los 50 caracteres']
+    },
+    phoneNumber: {
+      type: String,
+      trim: true
+    }
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true // Habilita la creación automática de campos createdAt y updatedAt
+});
+
+/**
+ * @method toSummary
+ * @description Resume el perfil con los datos relevantes para la consulta: edad, grupo sanguíneo,
+ * alergias, enfermedades crónicas y medicación actual
+ *
+ * @returns {Object} Resumen del perfil médico
+ */
+medicalProfileSchema.methods.toSummary = function() {
+  return {
+    age: this.dateOfBirth ? dayjs().diff(this.dateOfBirth, 'year') : null,
+    bloodType: this.bloodType || null,
+    allergies: this.allergies.map(allergy => ({ substance: allergy.substance, severity: allergy.severity })),
+    chronicConditions: this.chronicConditions.map(condition => condition.name),
+    currentMedications: this.currentMedications.map(medication =>
+      [medication.name, medication.dose, medication.frequency].filter(Boolean).join(' ')
+    ),
+    updatedAt: this.updatedAt
+  };
+};
+
+/**
+ * @description Registro de auditoría de las altas, modificaciones y bajas
+ */
+medicalProfileSchema.plugin(auditPlugin, { resourceType: 'medical-profile', patientPath: 'patient' });
+
+module.exports = mongoose.model('MedicalProfile', medicalProfileSchema);
@@ -0,0 +1,110 @@
+/**
+ * @file no-show-policy.model.js
+ * @description Modelo de datos para la política de inasistencias de la clínica.
+ * Existe un único documento, que los administradores modifican, con la tolerancia tras la que
+ * una cita sin registro de llegada se marca como no tomada y las consecuencias de acumular
+ * inasistencias al agendar nuevas citas. Mientras no se guarde, se usan los valores por defecto.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const config = require('../config/config');
+
+/**
+ * @constant {String} POLICY_KEY - Clave del documento único de la política
+ */
+const POLICY_KEY = 'default';
+
+/**
+ * @typedef {Object} NoShowPolicySchema
+ * @description Esquema de datos para la política de inasistencias
+ *
+ * @property {String} key - Clave del documento único de la política
+ * @property {Number} graceMinutes - Minutos tras el inicio de una cita confirmada sin registro de llegada
+ * tras los que se marca como no tomada
+ * @property {Boolean} autoConfirm - Indica si las citas que agendan los pacientes se confirman automáticamente
+ * @property {Number} approvalThreshold - Inasistencias a partir de las cuales las citas que agenda el paciente
+ * requieren la aprobación del médico aunque autoConfirm esté activo (null para desactivar)
+ * @property {Number} blockThreshold - Inasistencias a partir de las cuales el paciente no puede agendar citas
+ * por sí mismo; solo su médico puede hacerlo (null para desactivar)
+ * @property {ObjectId} updatedBy - Administrador que modificó la política por última vez
+ * @property {Date} createdAt - Fecha de creación del registro (generado por timestamps)
+ * @property {Date} updatedAt - Fecha de última actualización del registro (generado por timestamps)
+ */
+const noShowPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: POLICY_KEY,
+    unique: true
+  },
+  graceMinutes: {
+    type: Number,
+    default: () => config.noShow.graceMinutes,
+    min: [0, 'La tolerancia no puede ser negativa'],
+    max: [24 * 60, 'La tolerancia no puede exceder las 24 horas'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'La tolerancia debe ser un número entero de minutos'
+    }
+  },
+  autoConfirm: {
+    type: Boolean,
+    default: false
+  },
+  approvalThreshold: {
+    type: Number,
+    default: null,
+    min: [1, 'El umbral de aprobación debe ser de al menos 1 inasistencia'],
+    validate: {
+      validator: value => value === null || Number.isInteger(value),
+      message: 'El umbral de aprobación debe ser un número entero'
+    }
+  },
+  blockThreshold: {
+    type: Number,
+    default: null,
+    min: [1, 'El umbral de bloqueo debe ser de al menos 1 inasistencia'],
+    validate: {
+      validator: value => value === null || Number.isInteger(value),
+      message: 'El umbral de bloqueo debe ser un número entero'
+    }
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true // Habilita la creación automática de campos createdAt y updatedAt
+});
+
+/**
+ * @method getCurrent
+ * @description Método estático que obtiene la política vigente, o la política por defecto si aún no se ha guardado
+ *
+ * @returns {Promise<Object>} Documento de la política
+ */
+noShowPolicySchema.statics.getCurrent = async function() {
+  const policy = await this.findOne({ key: POLICY_KEY });
+  return policy || new this({ key: POLICY_KEY });
+};
+
+/**
+ * @method evaluatePatient
+ * @description Determina cómo se tratan las citas que agenda un paciente según sus inasistencias
+ *
+ * @param {number} noShowCount - Inasistencias registradas del paciente
+ * @returns {{blocked: boolean, requiresApproval: boolean, autoConfirm: boolean}} Tratamiento de sus citas
+ */
+noShowPolicySchema.methods.evaluatePatient = function(noShowCount = 0) {
+  const blocked = this.blockThreshold !== null && noShowCount >= this.blockThreshold;
+  const requiresApproval = this.approvalThreshold !== null && noShowCount >= this.approvalThreshold;
+
+  return {
+    blocked,
+    requiresApproval,
+    autoConfirm: this.autoConfirm && !requiresApproval
+  };
+};
+
+module.exports = mongoose.model('NoShowPolicy', noShowPolicySchema);
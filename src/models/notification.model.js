@@ -0,0 +1,116 @@
+/**
+ * @file notification.model.js
+ * @description Modelo de datos para las notificaciones transaccionales de citas.
+ * Cada documento registra una notificación enviada (o por enviar) a un paciente o a un médico
+ * por un canal, junto con su estado de entrega y el número de intentos realizados.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const { SUPPORTED_LANGUAGES, NOTIFICATION_EVENTS } = require('../utils/notification-templates');
+
+/**
+ * @typedef {Object} NotificationSchema
+ * @description Esquema de datos para notificaciones
+ *
+ * @property {ObjectId} recipient - Destinatario de la notificación (paciente o médico)
+ * @property {String} recipientModel - Modelo del destinatario ['User', 'Doctor']
+ * @property {ObjectId} appointment - Cita a la que se refiere la notificación
+ * @property {String} event - Evento que originó la notificación ['booked', 'confirmed', 'rescheduled', 'cancelled']
+ * @property {String} channel - Canal de envío (email, sms, log, ...)
+ * @property {String} language - Idioma en que se generó la notificación ['es', 'en']
+ * @property {String} subject - Asunto de la notificación
+ * @property {String} text - Texto de la notificación
+ * @property {String} status - Estado de entrega ['pending', 'sending', 'sent', 'failed']
+ * @property {Number} attempts - Número de intentos de envío realizados
+ * @property {Date} nextAttemptAt - Instante a partir del cual se puede reintentar el envío
+ * @property {String} lastError - Error del último intento fallido
+ * @property {Date} sentAt - Instante en que se entregó la notificación
+ * @property {Date} createdAt - Fecha de creación del registro (generado por timestamps)
+ * @property {Date} updatedAt - Fecha de última actualización del registro (generado por timestamps)
+ */
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'recipientModel',
+    required: true
+  },
+  recipientModel: {
+    type: String,
+    enum: ['User', 'Doctor'],
+    required: true
+  },
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  event: {
+    type: String,
+    enum: NOTIFICATION_EVENTS,
+    required: true
+  },
+  channel: {
+    type: String,
+    required: true
+  },
+  language: {
+    type: String,
+    enum: SUPPORTED_LANGUAGES,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: {
+    type: String
+  },
+  sentAt: {
+    type: Date
+  }
+}, {
+  timestamps: true // Habilita la creación automática de campos createdAt y updatedAt
+});
+
+/**
+ * @description Índices para listar las notificaciones de un destinatario y localizar las pendientes de reintento
+ */
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+
+/**
+ * @method claim
+ * @description Método estático que reclama de forma atómica una notificación pendiente para enviarla,
+ * de modo que dos procesos no la envíen a la vez
+ *
+ * @param {Object} [filter={}] - Filtro adicional (por ejemplo, el _id de una notificación concreta)
+ * @param {Date} [now=new Date()] - Instante de referencia
+ * @returns {Promise<Object|null>} Notificación reclamada, o null si no hay ninguna pendiente
+ */
+notificationSchema.statics.claim = function(filter = {}, now = new Date()) {
+  return this.findOneAndUpdate(
+    { ...filter, status: 'pending', nextAttemptAt: { $lte: now } },
+    { status: 'sending', $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
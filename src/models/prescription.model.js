@@ -0,0 +1,94 @@
+/**
+ * @file prescription.model.js
+ * @description Modelo de datos para las recetas médicas.
+ * El médico de una cita completada emite las recetas de la consulta; cada receta indica un
+ * medicamento con su dosis, frecuencia, duración e instrucciones y queda vinculada a la cita
+ * y al paciente.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+
+/**
+ * @typedef {Object} PrescriptionSchema
+ * @description Esquema de datos para recetas médicas
+ *
+ * @property {ObjectId} appointment - Cita en la que se emitió la receta
+ * @property {ObjectId} doctor - Médico que emitió la receta
+ * @property {ObjectId} patient - Paciente al que se le prescribe
+ * @property {String} medication - Medicamento (nombre y presentación)
+ * @property {String} dose - Dosis por toma (por ejemplo, "500 mg")
+ * @property {String} frequency - Frecuencia de las tomas (por ejemplo, "cada 8 horas")
+ * @property {String} duration - Duración del tratamiento (por ejemplo, "7 días")
+ * @property {String} instructions - Indicaciones adicionales para el paciente
+ * @property {Date} issuedAt - Instante de emisión de la receta
+ * @property {Date} createdAt - Fecha de creación del registro (generado por timestamps)
+ * @property {Date} updatedAt - Fecha de última actualización del registro (generado por timestamps)
+ */
+const prescriptionSchema = new mongoose.Schema({
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: true
+  },
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: true
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  medication: {
+    type: String,
+    required: [true, 'El medicamento es requerido'],
+    trim: true,
+    maxlength: [200, 'El medicamento no puede exceder los 200 caracteres']
+  },
+  dose: {
+    type: String,
+    required: [true, 'La dosis es requerida'],
+    trim: true,
+    maxlength: [100, 'La dosis no puede exceder los 100 caracteres']
+  },
+  frequency: {
+    type: String,
+    required: [true, 'La frecuencia es requerida'],
+    trim: true,
+    maxlength: [100, 'La frecuencia no puede exceder los 100 caracteres']
+  },
+  duration: {
+    type: String,
+    required: [true, 'La duración es requerida'],
+    trim: true,
+    maxlength: [100, 'La duración no puede exceder los 100 caracteres']
+  },
+  instructions: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Las instrucciones no pueden exceder los 1000 caracteres']
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true // Habilita la creación automática de campos createdAt y updatedAt
+});
+
+/**
+ * @description Índices para consultar las recetas de una cita y las de un paciente
+ */
+prescriptionSchema.index({ appointment: 1, issuedAt: 1 });
+prescriptionSchema.index({ patient: 1, issuedAt: -1 });
+
+/**
+ * @description Registro de auditoría de las altas, modificaciones y bajas
+ */
+prescriptionSchema.plugin(auditPlugin, { resourceType: 'prescription', patientPath: 'patient' });
+
+module.exports = mongoose.model('Prescription', prescriptionSchema);
@@ -0,0 +1,53 @@
+/**
+ * @file realtime-event.model.js
+ * @description Modelo de datos para los eventos en tiempo real que se reparten entre réplicas.
+ * Lo utiliza el adaptador de reparto 'mongodb': cada réplica escribe aquí los eventos que publica
+ * y lee con un cursor continuo (tailable) los que publican todas las réplicas, para entregarlos a
+ * los clientes conectados a ella. La colección es de tamaño fijo (capped): los eventos más
+ * antiguos se descartan automáticamente.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * @constant {number} MAX_STORED_EVENTS - Máximo de eventos conservados en la colección
+ */
+const MAX_STORED_EVENTS = 10000;
+
+/**
+ * @typedef {Object} RealtimeEventSchema
+ * @description Esquema de datos para eventos en tiempo real
+ *
+ * @property {String} type - Tipo de evento (por ejemplo, 'appointment.updated')
+ * @property {Array<String>} recipients - IDs de los usuarios y médicos que deben recibir el evento
+ * @property {Object} data - Contenido del evento
+ * @property {String} origin - Identificador del proceso que publicó el evento
+ * @property {Date} createdAt - Instante de publicación
+ */
+const realtimeEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  recipients: {
+    type: [String],
+    default: []
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  origin: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  capped: { size: 16 * 1024 * 1024, max: MAX_STORED_EVENTS },
+  versionKey: false
+});
+
+module.exports = mongoose.model('RealtimeEvent', realtimeEventSchema);
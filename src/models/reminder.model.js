@@ -0,0 +1,106 @@
+/**
+ * @file reminder.model.js
+ * @description Modelo de datos para los recordatorios de citas confirmadas.
+ * Cada documento representa un recordatorio que se envía por un canal con una antelación
+ * dada respecto al inicio de la cita. Al persistirse en la base de datos, los recordatorios
+ * sobreviven a los reinicios del servidor, y el índice único junto con la reclamación atómica
+ * del envío garantizan que cada recordatorio se envíe como máximo una vez.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * @typedef {Object} ReminderSchema
+ * @description Esquema de datos para recordatorios de citas
+ *
+ * @property {ObjectId} appointment - Cita recordada
+ * @property {ObjectId} patient - Paciente que recibe el recordatorio
+ * @property {String} channel - Canal de envío (email, sms, log, ...)
+ * @property {Number} offsetMinutes - Antelación del recordatorio respecto al inicio de la cita
+ * @property {Date} startsAt - Inicio de la cita para el que se programó el recordatorio
+ * @property {Date} sendAt - Instante programado de envío
+ * @property {String} status - Estado ['pending', 'sending', 'sent', 'failed', 'skipped', 'cancelled']
+ * @property {Date} claimedAt - Instante en que un proceso reclamó el recordatorio para enviarlo
+ * @property {Date} sentAt - Instante en que se envió el recordatorio
+ * @property {String} providerMessageId - Identificador asignado por el canal al mensaje enviado
+ * @property {String} error - Motivo del fallo o de la cancelación
+ * @property {Date} createdAt - Fecha de creación del registro (generado por timestamps)
+ * @property {Date} updatedAt - Fecha de última actualización del registro (generado por timestamps)
+ */
+const reminderSchema = new mongoose.Schema({
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: true
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  channel: {
+    type: String,
+    required: true
+  },
+  offsetMinutes: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  sendAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed', 'skipped', 'cancelled'],
+    default: 'pending'
+  },
+  claimedAt: {
+    type: Date
+  },
+  sentAt: {
+    type: Date
+  },
+  providerMessageId: {
+    type: String
+  },
+  error: {
+    type: String
+  }
+}, {
+  timestamps: true // Habilita la creación automática de campos createdAt y updatedAt
+});
+
+/**
+ * @description Índices para evitar recordatorios duplicados de una misma cita, antelación y canal,
+ * y para localizar los recordatorios pendientes cuyo envío ya corresponde.
+ * El inicio de la cita forma parte de la clave para que una cita reprogramada reciba recordatorios nuevos.
+ */
+reminderSchema.index({ appointment: 1, startsAt: 1, offsetMinutes: 1, channel: 1 }, { unique: true });
+reminderSchema.index({ status: 1, sendAt: 1 });
+
+/**
+ * @method claimNextDue
+ * @description Método estático que reclama de forma atómica el siguiente recordatorio pendiente
+ * cuyo envío ya corresponde. Un recordatorio reclamado pasa a 'sending' y no vuelve a estar
+ * pendiente aunque el proceso se detenga antes de enviarlo, de modo que nunca se envía dos veces.
+ *
+ * @param {Date} [now=new Date()] - Instante de referencia
+ * @returns {Promise<Object|null>} Recordatorio reclamado, o null si no hay pendientes
+ */
+reminderSchema.statics.claimNextDue = function(now = new Date()) {
+  return this.findOneAndUpdate(
+    { status: 'pending', sendAt: { $lte: now } },
+    { status: 'sending', claimedAt: now },
+    { sort: { sendAt: 1 }, new: true }
+  );
+};
+
+module.exports = mongoose.model('Reminder', reminderSchema);
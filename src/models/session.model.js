@@ -0,0 +1,90 @@
+/**
+ * @file session.model.js
+ * @description Modelo de datos para las sesiones de los usuarios.
+ * Cada inicio de sesión crea una sesión, a la que se asocian los tokens de acceso y el token de refresco
+ * emitidos. La sesión solo guarda el hash del token de refresco vigente, que cambia cada vez que se
+ * renueva el token de acceso (rotación); si se presenta un token de refresco anterior, la sesión se revoca.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * @constant {Array<String>} REVOKE_REASONS - Motivos de revocación de una sesión
+ */
+const REVOKE_REASONS = ['logout', 'logout-all', 'reuse-detected'];
+
+/**
+ * @typedef {Object} SessionSchema
+ * @description Esquema de datos para sesiones de usuarios
+ *
+ * @property {ObjectId} account - Cuenta (paciente, administrador o médico) a la que pertenece la sesión
+ * @property {String} tokenHash - Hash SHA-256 del token de refresco vigente (vacío si la sesión no tiene token de refresco)
+ * @property {String} ip - Dirección IP desde la que se inició o renovó la sesión por última vez
+ * @property {String} userAgent - Navegador o aplicación desde la que se inició o renovó la sesión por última vez
+ * @property {Date} lastUsedAt - Fecha de la última renovación del token de acceso
+ * @property {Date} expiresAt - Fecha de expiración del token de refresco vigente (o del token de acceso, si la
+ * sesión no tiene token de refresco); la sesión se elimina después
+ * @property {Date} revokedAt - Fecha en que se cerró o revocó la sesión
+ * @property {String} revokedReason - Motivo de la revocación ['logout', 'logout-all', 'reuse-detected']
+ * @property {Date} createdAt - Fecha de inicio de la sesión
+ * @property {Date} updatedAt - Fecha de última actualización del registro (generado por timestamps)
+ */
+const sessionSchema = new mongoose.Schema({
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+  tokenHash: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String,
+    maxlength: 256
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: REVOKE_REASONS
+  }
+}, {
+  timestamps: true // Habilita la creación automática de campos createdAt y updatedAt
+});
+
+/**
+ * @description Índice para listar y revocar las sesiones activas de una cuenta
+ */
+sessionSchema.index({ account: 1, revokedAt: 1, expiresAt: 1 });
+
+/**
+ * @description Índice TTL: MongoDB elimina las sesiones cuando expira su token de refresco.
+ * Las sesiones revocadas se conservan hasta entonces para poder detectar la reutilización de sus tokens.
+ */
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * @method isActive
+ * @description Indica si la sesión sigue abierta: no fue revocada y su token de refresco no expiró
+ *
+ * @returns {boolean} true si la sesión está activa
+ */
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,133 @@
+/**
+ * @file waitlist-entry.model.js
+ * @description Modelo de datos para la lista de espera de los médicos.
+ * Un paciente se inscribe en la lista de espera de un médico, opcionalmente indicando
+ * un rango de fechas y una franja del día de preferencia. Cuando se libera un horario
+ * que coincide con sus preferencias, recibe una reserva temporal (ver WaitlistOffer).
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * @constant {Object} TIME_OF_DAY_RANGES - Franjas del día en minutos desde medianoche [inicio, fin)
+ */
+const TIME_OF_DAY_RANGES = {
+  any: [0, 24 * 60],
+  morning: [0, 12 * 60],
+  afternoon: [12 * 60, 18 * 60],
+  evening: [18 * 60, 24 * 60]
+};
+
+/**
+ * @typedef {Object} WaitlistEntrySchema
+ * @description Esquema de datos para inscripciones en la lista de espera
+ *
+ * @property {ObjectId} patient - Paciente inscrito
+ * @property {ObjectId} doctor - Médico en cuya lista de espera se inscribe
+ * @property {Date} fromDate - Primera fecha aceptable (opcional)
+ * @property {Date} toDate - Última fecha aceptable (opcional, inclusive)
+ * @property {String} timeOfDay - Franja del día preferida ['any', 'morning', 'afternoon', 'evening']
+ * @property {String} reason - Motivo de la cita que se agendará al aceptar un horario
+ * @property {String} status - Estado ['waiting', 'offered', 'booked', 'cancelled']
+ * @property {ObjectId} appointment - Cita agendada desde la lista de espera
+ * @property {Date} createdAt - Fecha de inscripción; determina el orden de la lista (generado por timestamps)
+ * @property {Date} updatedAt - Fecha de última actualización del registro (generado por timestamps)
+ */
+const waitlistEntrySchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: [true, 'El médico es requerido']
+  },
+  fromDate: {
+    type: Date
+  },
+  toDate: {
+    type: Date
+  },
+  timeOfDay: {
+    type: String,
+    enum: {
+      values: Object.keys(TIME_OF_DAY_RANGES),
+      message: 'La franja horaria debe ser any, morning, afternoon o evening'
+    },
+    default: 'any'
+  },
+  reason: {
+    type: String,
+    required: [true, 'El motivo es requerido'],
+    trim: true,
+    minlength: [10, 'El motivo debe tener al menos 10 caracteres'],
+    maxlength: [500, 'El motivo no puede exceder los 500 caracteres']
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'booked', 'cancelled'],
+    default: 'waiting'
+  },
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  }
+}, {
+  timestamps: true // Habilita la creación automática de campos createdAt y updatedAt
+});
+
+/**
+ * @description Índice para recorrer la lista de espera de un médico en orden de inscripción
+ */
+waitlistEntrySchema.index({ doctor: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ patient: 1, status: 1 });
+
+/**
+ * @function pre-validate
+ * @description Middleware de validación que verifica que el rango de fechas sea coherente
+ */
+waitlistEntrySchema.pre('validate', function(next) {
+  if (this.fromDate && this.toDate && this.toDate < this.fromDate) {
+    this.invalidate('toDate', 'La fecha final debe ser igual o posterior a la fecha inicial');
+  }
+  next();
+});
+
+/**
+ * @method matchesTime
+ * @description Verifica si una hora (en minutos desde medianoche) está dentro de la franja preferida
+ *
+ * @param {number} minutes - Hora a verificar en minutos desde medianoche
+ * @returns {boolean} true si la hora coincide con la preferencia del paciente
+ */
+waitlistEntrySchema.methods.matchesTime = function(minutes) {
+  const [start, end] = TIME_OF_DAY_RANGES[this.timeOfDay] || TIME_OF_DAY_RANGES.any;
+  return minutes >= start && minutes < end;
+};
+
+/**
+ * @method findMatching
+ * @description Método estático que obtiene, en orden de inscripción, los pacientes en espera
+ * de un médico cuyo rango de fechas incluye la fecha indicada
+ *
+ * @param {ObjectId} doctorId - ID del médico
+ * @param {Date|String} dateOnly - Fecha del horario liberado (YYYY-MM-DD)
+ * @returns {Promise<Array<Object>>} Inscripciones en espera que aceptan esa fecha
+ */
+waitlistEntrySchema.statics.findMatching = function(doctorId, dateOnly) {
+  const date = new Date(dateOnly);
+  return this.find({
+    doctor: doctorId,
+    status: 'waiting',
+    $and: [
+      { $or: [{ fromDate: null }, { fromDate: { $lte: date } }] },
+      { $or: [{ toDate: null }, { toDate: { $gte: date } }] }
+    ]
+  }).sort({ createdAt: 1 });
+};
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -0,0 +1,122 @@
+/**
+ * @file waitlist-offer.model.js
+ * @description Modelo de datos para las ofertas de horarios liberados a pacientes en lista de espera.
+ * Una oferta pendiente retiene temporalmente el horario para el paciente: mientras no expire,
+ * nadie más puede agendarlo. El paciente puede aceptarla (se agenda la cita) o rechazarla;
+ * si la rechaza o la retención expira, el horario se ofrece al siguiente paciente de la lista.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const { normalizeDate } = require('../utils/schedule');
+
+/**
+ * @typedef {Object} WaitlistOfferSchema
+ * @description Esquema de datos para ofertas de la lista de espera
+ *
+ * @property {ObjectId} entry - Inscripción en la lista de espera a la que se ofrece el horario
+ * @property {ObjectId} patient - Paciente al que se ofrece el horario
+ * @property {ObjectId} doctor - Médico del horario ofrecido
+ * @property {Date} date - Fecha del horario ofrecido (medianoche UTC del día local del médico)
+ * @property {String} time - Hora del horario ofrecido en formato HH:MM
+ * @property {Number} duration - Duración retenida en minutos
+ * @property {Date} expiresAt - Instante en que vence la retención del horario
+ * @property {String} status - Estado ['pending', 'accepted', 'declined', 'expired']
+ * @property {ObjectId} appointment - Cita agendada al aceptar la oferta
+ * @property {Date} respondedAt - Instante en que se aceptó, rechazó o expiró la oferta
+ * @property {Date} createdAt - Fecha de creación del registro (generado por timestamps)
+ * @property {Date} updatedAt - Fecha de última actualización del registro (generado por timestamps)
+ */
+const waitlistOfferSchema = new mongoose.Schema({
+  entry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WaitlistEntry',
+    required: true
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  time: {
+    type: String,
+    required: true
+  },
+  duration: {
+    type: Number,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'expired'],
+    default: 'pending'
+  },
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  respondedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true // Habilita la creación automática de campos createdAt y updatedAt
+});
+
+/**
+ * @description Índices para consultar las retenciones de la agenda de un médico,
+ * evitar dos ofertas pendientes para el mismo horario y localizar las ofertas vencidas
+ */
+waitlistOfferSchema.index(
+  { doctor: 1, date: 1, time: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+waitlistOfferSchema.index({ status: 1, expiresAt: 1 });
+waitlistOfferSchema.index({ patient: 1, status: 1 });
+
+/**
+ * @method isExpired
+ * @description Verifica si la retención del horario ya venció
+ *
+ * @returns {boolean} true si la oferta venció
+ */
+waitlistOfferSchema.methods.isExpired = function() {
+  return this.expiresAt <= new Date();
+};
+
+/**
+ * @method findActiveHolds
+ * @description Método estático que obtiene los horarios retenidos de un médico en un rango de fechas:
+ * ofertas no vencidas que siguen pendientes o que se aceptaron y cuya cita aún se está agendando
+ *
+ * @param {ObjectId} doctorId - ID del médico
+ * @param {Date|String} from - Fecha inicial del rango (inclusive)
+ * @param {Date|String} to - Fecha final del rango (inclusive)
+ * @param {ObjectId} [excludeOfferId=null] - Oferta a ignorar (la que se está aceptando)
+ * @returns {Promise<Array<Object>>} Retenciones activas con fecha, hora y duración
+ */
+waitlistOfferSchema.statics.findActiveHolds = function(doctorId, from, to, excludeOfferId = null) {
+  return this.find({
+    doctor: doctorId,
+    date: { $gte: new Date(normalizeDate(from)), $lte: new Date(normalizeDate(to)) },
+    status: { $in: ['pending', 'accepted'] },
+    appointment: null,
+    expiresAt: { $gt: new Date() },
+    _id: { $ne: excludeOfferId }
+  }).select('date time duration');
+};
+
+module.exports = mongoose.model('WaitlistOffer', waitlistOfferSchema);
@@ -9,16 +9,46 @@
 
 const express = require('express');
 const router = express.Router();
-const { auth, checkRole } = require('../middlewares/auth.middleware');
+const { auth, acceptQueryToken, authorize } = require('../middlewares/auth.middleware');
+const { uploadDocument } = require('../middlewares/upload.middleware');
+const { sanitizeInput } = require('../middlewares/security.middleware');
 const {
   createAppointment,
   updateAppointment,
   getAppointments,
   getAppointmentById,
+  getAppointmentHistory,
   cancelAppointment,
   getArchivedAppointments,
-  archiveAppointment
+  archiveAppointment,
+  checkInAppointment,
+  getTodayQueue
 } = require('../controllers/appointment.controller');
+const {
+  createSeries,
+  getSeries,
+  cancelSeriesOccurrences,
+  rescheduleSeriesOccurrences
+} = require('../controllers/appointment-series.controller');
+const { streamAppointmentEvents } = require('../controllers/realtime.controller');
+const {
+  getEncounterNote,
+  saveEncounterNote,
+  getEncounterNoteVersions,
+  lockEncounterNote
+} = require('../controllers/encounter-note.controller');
+const {
+  createPrescription,
+  getAppointmentPrescriptions,
+  downloadPrescriptionPdf
+} = require('../controllers/prescription.controller');
+const {
+  authorizeDocumentUpload,
+  uploadAppointmentDocument,
+  getAppointmentDocuments,
+  downloadAppointmentDocument,
+  deleteAppointmentDocument
+} = require('../controllers/document.controller');
 
 /**
  * @swagger
@@ -27,9 +57,18 @@ const {
  *     tags:
  *       - Citas
  *     summary: Crear nueva cita
- *     description: Crea una nueva cita médica
+ *     description: |
+ *       Crea una nueva cita médica. La cita se guarda en la zona horaria de la agenda del médico.
+ *       Si se indica la zona horaria del cliente (cabecera X-Timezone o campo `timezone`), date y time
+ *       se interpretan en ella. También puede indicarse el instante de inicio con `startsAt` en lugar de date y time.
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: X-Timezone
+ *         schema:
+ *           type: string
+ *         description: Zona horaria IANA del cliente (ej. America/Bogota)
  *     requestBody:
  *       required: true
  *       content:
@@ -38,8 +77,6 @@ const {
  *             type: object
  *             required:
  *               - doctorId
- *               - date
- *               - time
  *               - reason
  *             properties:
  *               doctorId:
@@ -49,13 +86,29 @@ const {
  *                 format: date
  *               time:
  *                 type: string
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Instante de inicio (alternativa a date y time)
+ *               timezone:
+ *                 type: string
+ *                 description: Zona horaria IANA en la que se expresan date y time
  *               reason:
  *                 type: string
+ *               patientId:
+ *                 type: string
+ *                 description: Paciente de la cita (requerido si la crea un médico o un administrador)
  *     responses:
  *       201:
- *         description: Cita creada exitosamente
+ *         description: Cita creada exitosamente (confirmada de inmediato si la política de inasistencias lo indica)
+ *       400:
+ *         description: Datos incompletos o inválidos (incluido un ID de paciente inválido)
+ *       403:
+ *         description: Sin permiso para agendar en la agenda de ese médico, o el paciente no puede agendar citas por acumular inasistencias
+ *       404:
+ *         description: El paciente indicado no existe o no es una cuenta de paciente
  */
-router.post('/', auth, createAppointment);
+router.post('/', auth, authorize('appointment:create'), createAppointment);
 
 /**
  * @swagger
@@ -64,10 +117,15 @@ router.post('/', auth, createAppointment);
  *     tags:
  *       - Citas
  *     summary: Obtener citas
- *     description: Obtiene todas las citas del usuario o médico autenticado
+ *     description: Obtiene todas las citas del usuario o médico autenticado (los administradores, las de cualquier médico o paciente). Cada cita incluye su instante de inicio (startsAt) y, en `local`, su fecha y hora en la zona horaria del cliente
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - in: header
+ *         name: X-Timezone
+ *         schema:
+ *           type: string
+ *         description: Zona horaria IANA del cliente (por defecto, la de cada cita)
  *       - in: query
  *         name: status
  *         schema:
@@ -85,11 +143,21 @@ router.post('/', auth, createAppointment);
  *           type: string
  *           format: date
  *         description: Fecha final para filtrar
+ *       - in: query
+ *         name: doctorId
+ *         schema:
+ *           type: string
+ *         description: Filtrar por médico (solo administradores)
+ *       - in: query
+ *         name: patientId
+ *         schema:
+ *           type: string
+ *         description: Filtrar por paciente (solo administradores)
  *     responses:
  *       200:
  *         description: Lista de citas obtenida exitosamente
  */
-router.get('/', auth, getAppointments);
+router.get('/', auth, authorize('appointment:read'), getAppointments);
 
 /**
  * IMPORTANTE: Las rutas específicas como '/archived' deben venir ANTES de rutas parametrizadas como '/:id'
@@ -101,7 +169,7 @@ router.get('/', auth, getAppointments);
  *     tags:
  *       - Citas
  *     summary: Obtener citas archivadas
- *     description: Obtiene todas las citas archivadas del usuario o médico autenticado
+ *     description: Obtiene todas las citas archivadas del usuario o médico autenticado (los administradores, las de cualquier paciente)
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -109,12 +177,191 @@ router.get('/', auth, getAppointments);
  *         name: patientId
  *         schema:
  *           type: string
- *         description: ID del paciente para filtrar (solo doctores)
+ *         description: ID del paciente para filtrar (solo médicos y administradores)
  *     responses:
  *       200:
  *         description: Lista de citas archivadas obtenida exitosamente
  */
-router.get('/archived', auth, getArchivedAppointments);
+router.get('/archived', auth, authorize('appointment:read'), getArchivedAppointments);
+
+/**
+ * @swagger
+ * /appointments/queue:
+ *   get:
+ *     tags:
+ *       - Citas
+ *     summary: Obtener la cola del día
+ *     description: |
+ *       Obtiene la cola del día de un médico, en su zona horaria: la consulta en curso, los pacientes que ya
+ *       registraron su llegada en el orden en que serán atendidos (por hora de la cita y, a igual hora, por orden
+ *       de llegada) con los minutos que llevan esperando, y los pacientes con cita confirmada que aún no llegaron.
+ *       El médico consulta su propia cola; la recepción (administradores) indica el médico con doctorId.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: doctorId
+ *         schema:
+ *           type: string
+ *         description: ID del médico (solo administradores)
+ *     responses:
+ *       200:
+ *         description: Cola del día obtenida exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 date:
+ *                   type: string
+ *                   format: date
+ *                 timezone:
+ *                   type: string
+ *                 generatedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 inProgress:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 waiting:
+ *                   type: array
+ *                   description: Pacientes en espera con su posición (position) y minutos de espera (waitingMinutes)
+ *                   items:
+ *                     type: object
+ *                 notArrived:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: No se indicó el médico
+ *       403:
+ *         description: Solo el médico o la recepción pueden consultar la cola del día
+ *       404:
+ *         description: Médico no encontrado
+ */
+router.get('/queue', auth, authorize('appointment:queue'), getTodayQueue);
+
+/**
+ * @swagger
+ * /appointments/events:
+ *   get:
+ *     tags:
+ *       - Citas
+ *     summary: Recibir cambios de citas en tiempo real
+ *     description: |
+ *       Abre una conexión de eventos enviados por el servidor (Server-Sent Events) por la que el médico y el paciente
+ *       de cada cita reciben sus cambios sin consultar periódicamente el listado de citas. Los tipos de evento son
+ *       appointment.created, appointment.updated, appointment.cancelled y appointment.archived; los datos de cada
+ *       evento son la cita en JSON (identificador, médico, paciente, fecha, hora, estado, archivado y llegada registrada).
+ *       Se autentica con el mismo token JWT que el resto de la API, en el encabezado Authorization o, para clientes
+ *       EventSource que no admiten encabezados, en el parámetro access_token.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: access_token
+ *         schema:
+ *           type: string
+ *         description: Token JWT, si no se envía el encabezado Authorization
+ *     responses:
+ *       200:
+ *         description: Conexión de eventos abierta
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Token no proporcionado o inválido
+ */
+router.get('/events', acceptQueryToken, auth, authorize('appointment:read'), streamAppointmentEvents);
+
+/**
+ * @swagger
+ * /appointments/series:
+ *   post:
+ *     tags:
+ *       - Citas
+ *     summary: Crear serie de citas recurrentes
+ *     description: |
+ *       Agenda una serie de citas semanales o quincenales (ej. todos los martes a las 10:00 durante 8 semanas).
+ *       Cada ocurrencia se valida con las reglas de agenda del médico; las fechas no disponibles se informan
+ *       en `failed` y el resto de la serie se agenda igualmente.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - doctorId
+ *               - startDate
+ *               - time
+ *               - reason
+ *             properties:
+ *               doctorId:
+ *                 type: string
+ *               patientId:
+ *                 type: string
+ *                 description: Requerido si quien agenda es un médico o un administrador; debe ser una cuenta de paciente
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Fecha de la primera cita
+ *               time:
+ *                 type: string
+ *                 example: "10:00"
+ *               frequency:
+ *                 type: string
+ *                 enum: [weekly, biweekly]
+ *                 default: weekly
+ *               occurrences:
+ *                 type: integer
+ *                 minimum: 2
+ *                 maximum: 52
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Última fecha de la serie (alternativa a occurrences)
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Serie agendada (total o parcialmente); `failed` lista las fechas no disponibles
+ *       400:
+ *         description: Datos inválidos, ID de paciente inválido o ninguna fecha disponible
+ *       403:
+ *         description: Un médico solo puede agendar series en su propia agenda
+ *       404:
+ *         description: El médico o el paciente indicado no existe
+ */
+router.post('/series', auth, authorize('appointment:create'), createSeries);
+
+/**
+ * @swagger
+ * /appointments/series/{seriesId}:
+ *   get:
+ *     tags:
+ *       - Citas
+ *     summary: Obtener serie de citas
+ *     description: Obtiene una serie de citas recurrentes con todas sus ocurrencias
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: seriesId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Serie obtenida exitosamente
+ *       404:
+ *         description: Serie no encontrada
+ */
+router.get('/series/:seriesId', auth, authorize('appointment:read'), getSeries);
 
 /**
  * @swagger
@@ -123,7 +370,11 @@ router.get('/archived', auth, getArchivedAppointments);
  *     tags:
  *       - Citas
  *     summary: Obtener cita por ID
- *     description: Obtiene los detalles de una cita específica
+ *     description: |
+ *       Obtiene los detalles de una cita específica. Cuando la consulta el médico y la cita está confirmada,
+ *       en curso o completada y no la agendó él mismo, incluye en patientMedicalSummary el resumen del perfil
+ *       médico del paciente (edad, grupo sanguíneo, alergias, enfermedades crónicas y medicación actual),
+ *       o null si el paciente no lo ha completado.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -136,7 +387,443 @@ router.get('/archived', auth, getArchivedAppointments);
  *       200:
  *         description: Detalles de la cita obtenidos exitosamente
  */
-router.get('/:id', auth, getAppointmentById);
+router.get('/:id', auth, authorize('appointment:read'), getAppointmentById);
+
+/**
+ * @swagger
+ * /appointments/{id}/history:
+ *   get:
+ *     tags:
+ *       - Citas
+ *     summary: Obtener historial de estados de una cita
+ *     description: Obtiene los cambios de estado de la cita, con quién los realizó, cuándo y el motivo indicado
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Historial obtenido exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 appointmentId:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                 state:
+ *                   type: string
+ *                   description: Estado en la máquina de estados (archived si la cita está archivada)
+ *                 history:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       from:
+ *                         type: string
+ *                       to:
+ *                         type: string
+ *                       at:
+ *                         type: string
+ *                         format: date-time
+ *                       by:
+ *                         type: object
+ *                       byModel:
+ *                         type: string
+ *                       reason:
+ *                         type: string
+ *       403:
+ *         description: No autorizado para ver esta cita
+ *       404:
+ *         description: Cita no encontrada
+ */
+router.get('/:id/history', auth, authorize('appointment:read'), getAppointmentHistory);
+
+/**
+ * @swagger
+ * /appointments/{id}/notes:
+ *   get:
+ *     tags:
+ *       - Notas clínicas
+ *     summary: Obtener nota clínica
+ *     description: Obtiene la versión vigente de la nota clínica de la cita. Pueden consultarla el médico y el paciente de la cita.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Nota clínica obtenida exitosamente
+ *       403:
+ *         description: No autorizado para acceder a la nota clínica de esta cita
+ *       404:
+ *         description: Cita no encontrada o sin nota clínica
+ *   put:
+ *     tags:
+ *       - Notas clínicas
+ *     summary: Redactar nota clínica
+ *     description: |
+ *       El médico de la cita crea la nota clínica o guarda una nueva versión; las secciones no indicadas conservan
+ *       su contenido y todas las versiones anteriores se conservan. Solo se admite en citas confirmadas, en curso o
+ *       completadas y mientras la nota no esté bloqueada.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               symptoms:
+ *                 type: string
+ *                 maxLength: 5000
+ *               diagnosis:
+ *                 type: string
+ *                 maxLength: 5000
+ *               treatment:
+ *                 type: string
+ *                 maxLength: 5000
+ *               followUp:
+ *                 type: string
+ *                 maxLength: 5000
+ *               version:
+ *                 type: integer
+ *                 description: Versión vigente sobre la que se editó; si la nota cambió entretanto, la edición se rechaza
+ *     responses:
+ *       200:
+ *         description: Nueva versión guardada, o nota sin cambios
+ *       201:
+ *         description: Nota clínica creada
+ *       400:
+ *         description: Estado de la cita no admite notas clínicas o datos inválidos
+ *       403:
+ *         description: Solo el médico de la cita puede redactar la nota clínica
+ *       409:
+ *         description: La nota está bloqueada o fue modificada por otra edición
+ */
+router.get('/:id/notes', auth, authorize('encounter-note:read'), getEncounterNote);
+router.put('/:id/notes', auth, authorize('encounter-note:write'), saveEncounterNote);
+
+/**
+ * @swagger
+ * /appointments/{id}/notes/versions:
+ *   get:
+ *     tags:
+ *       - Notas clínicas
+ *     summary: Obtener versiones de la nota clínica
+ *     description: Obtiene todas las versiones de la nota clínica, de la más reciente a la más antigua, con el médico y el instante de cada edición
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Versiones obtenidas exitosamente
+ *       403:
+ *         description: No autorizado para acceder a la nota clínica de esta cita
+ *       404:
+ *         description: Cita no encontrada o sin nota clínica
+ */
+router.get('/:id/notes/versions', auth, authorize('encounter-note:read'), getEncounterNoteVersions);
+
+/**
+ * @swagger
+ * /appointments/{id}/notes/lock:
+ *   post:
+ *     tags:
+ *       - Notas clínicas
+ *     summary: Bloquear nota clínica
+ *     description: El médico de la cita bloquea la nota clínica de una cita completada; a partir de entonces no admite ediciones
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Nota clínica bloqueada exitosamente
+ *       400:
+ *         description: La cita no está completada
+ *       403:
+ *         description: Solo el médico de la cita puede bloquear la nota clínica
+ *       404:
+ *         description: Cita no encontrada o sin nota clínica
+ *       409:
+ *         description: La nota clínica ya está bloqueada
+ */
+router.post('/:id/notes/lock', auth, authorize('encounter-note:lock'), lockEncounterNote);
+
+/**
+ * @swagger
+ * /appointments/{id}/prescriptions:
+ *   get:
+ *     tags:
+ *       - Recetas
+ *     summary: Obtener recetas de una cita
+ *     description: Obtiene las recetas emitidas en la cita, en orden de emisión. Pueden consultarlas el médico y el paciente de la cita.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Recetas obtenidas exitosamente
+ *       403:
+ *         description: No autorizado para acceder a las recetas de esta cita
+ *       404:
+ *         description: Cita no encontrada
+ *   post:
+ *     tags:
+ *       - Recetas
+ *     summary: Emitir receta
+ *     description: El médico de la cita emite una receta una vez completada la consulta
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - medication
+ *               - dose
+ *               - frequency
+ *               - duration
+ *             properties:
+ *               medication:
+ *                 type: string
+ *                 example: Amoxicilina 500 mg cápsulas
+ *               dose:
+ *                 type: string
+ *                 example: 1 cápsula
+ *               frequency:
+ *                 type: string
+ *                 example: cada 8 horas
+ *               duration:
+ *                 type: string
+ *                 example: 7 días
+ *               instructions:
+ *                 type: string
+ *                 example: Tomar después de las comidas
+ *     responses:
+ *       201:
+ *         description: Receta emitida exitosamente
+ *       400:
+ *         description: La cita no está completada o datos inválidos
+ *       403:
+ *         description: Solo el médico de la cita puede emitir recetas
+ *       404:
+ *         description: Cita no encontrada
+ */
+router.get('/:id/prescriptions', auth, authorize('prescription:read'), getAppointmentPrescriptions);
+router.post('/:id/prescriptions', auth, authorize('prescription:create'), createPrescription);
+
+/**
+ * @swagger
+ * /appointments/{id}/prescriptions/{prescriptionId}/pdf:
+ *   get:
+ *     tags:
+ *       - Recetas
+ *     summary: Descargar receta en PDF
+ *     description: Descarga la receta en PDF, con el nombre, la especialidad y el número de licencia del médico
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: prescriptionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Documento PDF de la receta
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: No autorizado para acceder a las recetas de esta cita
+ *       404:
+ *         description: Cita o receta no encontrada
+ */
+router.get('/:id/prescriptions/:prescriptionId/pdf', auth, authorize('prescription:read'), downloadPrescriptionPdf);
+
+/**
+ * @swagger
+ * /appointments/{id}/documents:
+ *   get:
+ *     tags:
+ *       - Documentos
+ *     summary: Obtener documentos de una cita
+ *     description: Obtiene los documentos adjuntos a la cita, en orden de subida. Pueden consultarlos el médico y el paciente de la cita.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Documentos obtenidos exitosamente
+ *       403:
+ *         description: No autorizado para acceder a los documentos de esta cita
+ *       404:
+ *         description: Cita no encontrada
+ *   post:
+ *     tags:
+ *       - Documentos
+ *     summary: Adjuntar documento a una cita
+ *     description: |
+ *       El paciente (resultados de laboratorio, cartas de derivación) o el médico (informes) de la cita adjuntan un documento.
+ *       Se validan el tamaño máximo (DOCUMENT_MAX_SIZE_MB) y el tipo del archivo (DOCUMENT_ALLOWED_TYPES; por defecto PDF, JPEG y PNG),
+ *       cuyo contenido debe corresponder al tipo declarado.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               category:
+ *                 type: string
+ *                 enum: [lab-result, referral, report, other]
+ *                 default: other
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Documento adjuntado exitosamente
+ *       400:
+ *         description: Falta el archivo, la cita está cancelada o datos inválidos
+ *       403:
+ *         description: No autorizado para acceder a los documentos de esta cita
+ *       404:
+ *         description: Cita no encontrada
+ *       413:
+ *         description: El archivo excede el tamaño máximo
+ *       415:
+ *         description: Tipo de archivo no admitido o contenido que no corresponde al tipo
+ */
+router.get('/:id/documents', auth, authorize('document:read'), getAppointmentDocuments);
+router.post('/:id/documents', auth, authorize('document:create'), authorizeDocumentUpload, uploadDocument, sanitizeInput, uploadAppointmentDocument);
+
+/**
+ * @swagger
+ * /appointments/{id}/documents/{documentId}:
+ *   get:
+ *     tags:
+ *       - Documentos
+ *     summary: Descargar documento
+ *     description: Descarga un documento adjunto a la cita. Pueden hacerlo el médico y el paciente de la cita.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Archivo del documento
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: No autorizado para acceder a los documentos de esta cita
+ *       404:
+ *         description: Cita, documento o archivo no encontrado
+ *   delete:
+ *     tags:
+ *       - Documentos
+ *     summary: Eliminar documento
+ *     description: Elimina un documento adjunto a la cita. Solo puede hacerlo quien lo adjuntó.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Documento eliminado exitosamente
+ *       403:
+ *         description: Solo quien adjuntó el documento puede eliminarlo
+ *       404:
+ *         description: Cita o documento no encontrado
+ */
+router.get('/:id/documents/:documentId', auth, authorize('document:read'), downloadAppointmentDocument);
+router.delete('/:id/documents/:documentId', auth, authorize('document:delete'), deleteAppointmentDocument);
 
 /**
  * @swagger
@@ -161,16 +848,29 @@ router.get('/:id', auth, getAppointmentById);
  *           schema:
  *             type: object
  *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Nueva fecha, en la zona horaria del cliente si se indica X-Timezone
+ *               time:
+ *                 type: string
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
  *               status:
  *                 type: string
- *                 enum: [pending, confirmed, cancelled, completed]
+ *                 enum: [pending, confirmed, in-progress, cancelled, completed, no-show]
+ *                 description: Nuevo estado (solo el médico). Las transiciones permitidas son pendiente → confirmada/cancelada, confirmada → cancelada, en curso una vez registrada la llegada del paciente, o completada/no tomada a partir de la hora de inicio, y en curso → completada
+ *               statusReason:
+ *                 type: string
+ *                 description: Motivo del cambio de estado, registrado en el historial
  *               notes:
  *                 type: string
  *     responses:
  *       200:
  *         description: Cita actualizada exitosamente
  */
-router.put('/:id', auth, updateAppointment);
+router.put('/:id', auth, authorize('appointment:update'), updateAppointment);
 
 /**
  * @swagger
@@ -188,11 +888,20 @@ router.put('/:id', auth, updateAppointment);
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Motivo de la cancelación, registrado en el historial
  *     responses:
  *       200:
  *         description: Cita cancelada exitosamente
  */
-router.put('/:id/cancel', auth, cancelAppointment);
+router.put('/:id/cancel', auth, authorize('appointment:cancel'), cancelAppointment);
 
 /**
  * @swagger
@@ -214,6 +923,118 @@ router.put('/:id/cancel', auth, cancelAppointment);
  *       200:
  *         description: Cita archivada exitosamente
  */
-router.put('/:id/archive', auth, archiveAppointment);
+router.put('/:id/archive', auth, authorize('appointment:archive'), archiveAppointment);
+
+/**
+ * @swagger
+ * /appointments/{id}/check-in:
+ *   post:
+ *     tags:
+ *       - Citas
+ *     summary: Registrar llegada del paciente
+ *     description: |
+ *       El paciente, la recepción (administradores) o el médico registran la llegada del paciente a una cita
+ *       confirmada del día actual, con lo que entra en la cola del día del médico y este puede iniciar la consulta
+ *       (estado en curso). Las citas confirmadas sin registro de llegada se marcan como no tomadas al vencer la
+ *       tolerancia de la política de inasistencias, lo que incrementa el contador de inasistencias del paciente.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Llegada registrada exitosamente
+ *       400:
+ *         description: La cita no está confirmada, no es del día actual o ya tiene la llegada registrada
+ *       403:
+ *         description: No autorizado para registrar la llegada a esta cita
+ *       404:
+ *         description: Cita no encontrada
+ */
+router.post('/:id/check-in', auth, authorize('appointment:check-in'), checkInAppointment);
+
+/**
+ * @swagger
+ * /appointments/{id}/series/cancel:
+ *   put:
+ *     tags:
+ *       - Citas
+ *     summary: Cancelar citas de una serie
+ *     description: Cancela esta ocurrencia de la serie, esta y las siguientes, o la serie completa
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               scope:
+ *                 type: string
+ *                 enum: [this, following, all]
+ *                 default: this
+ *     responses:
+ *       200:
+ *         description: Citas canceladas; `failed` lista las que no pudieron cancelarse
+ *       400:
+ *         description: La cita no pertenece a una serie o el alcance es inválido
+ */
+router.put('/:id/series/cancel', auth, authorize('appointment:cancel'), cancelSeriesOccurrences);
+
+/**
+ * @swagger
+ * /appointments/{id}/series/reschedule:
+ *   put:
+ *     tags:
+ *       - Citas
+ *     summary: Reprogramar citas de una serie
+ *     description: |
+ *       Reprograma esta ocurrencia de la serie, esta y las siguientes, o la serie completa.
+ *       La nueva fecha y hora se indican para esta ocurrencia; las demás se desplazan el mismo número
+ *       de días y pasan a la nueva hora. Las ocurrencias no disponibles se informan en `failed`.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               scope:
+ *                 type: string
+ *                 enum: [this, following, all]
+ *                 default: this
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               time:
+ *                 type: string
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Citas reprogramadas; `failed` lista las que no pudieron reprogramarse
+ *       400:
+ *         description: Datos inválidos
+ */
+router.put('/:id/series/reschedule', auth, authorize('appointment:update'), rescheduleSeriesOccurrences);
 
 module.exports = router;
\ No newline at end of file
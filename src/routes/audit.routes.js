@@ -0,0 +1,180 @@
+/**
+ * @file audit.routes.js
+ * @description Define las rutas de API para consultar el registro de auditoría y verificar su integridad.
+ * Todas las rutas requieren rol de administrador.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+const { auth, authorize } = require('../middlewares/auth.middleware');
+const {
+  getAuditLog,
+  verifyAuditLog
+} = require('../controllers/audit.controller');
+
+/**
+ * @swagger
+ * /admin/audit:
+ *   get:
+ *     tags:
+ *       - Auditoría
+ *     summary: Consultar el registro de auditoría
+ *     description: Obtiene las entradas del registro de auditoría (quién consultó, creó, modificó o eliminó datos de pacientes, citas y médicos, cuándo, desde qué IP y qué campos cambió), de la más reciente a la más antigua. Para obtener la página siguiente se envía nextBeforeSequence como beforeSequence.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actorId
+ *         schema:
+ *           type: string
+ *         description: Usuario o médico que realizó la acción
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [read, create, update, delete]
+ *       - in: query
+ *         name: resourceType
+ *         schema:
+ *           type: string
+ *           enum: [user, doctor, appointment, medical-profile, encounter-note, prescription, document, audit-log]
+ *       - in: query
+ *         name: resourceId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: patientId
+ *         schema:
+ *           type: string
+ *         description: Entradas sobre los datos del paciente o sobre su cuenta
+ *       - in: query
+ *         name: ip
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: beforeSequence
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Entradas obtenidas exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       sequence:
+ *                         type: integer
+ *                       timestamp:
+ *                         type: string
+ *                         format: date-time
+ *                       actor:
+ *                         type: object
+ *                       actorModel:
+ *                         type: string
+ *                       actorRole:
+ *                         type: string
+ *                         description: patient, admin, doctor, anonymous o system
+ *                       action:
+ *                         type: string
+ *                       resourceType:
+ *                         type: string
+ *                       resourceId:
+ *                         type: string
+ *                       patient:
+ *                         type: string
+ *                       fields:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       ip:
+ *                         type: string
+ *                       method:
+ *                         type: string
+ *                       path:
+ *                         type: string
+ *                       statusCode:
+ *                         type: integer
+ *                       prevHash:
+ *                         type: string
+ *                       hash:
+ *                         type: string
+ *                 nextBeforeSequence:
+ *                   type: integer
+ *                   nullable: true
+ *       400:
+ *         description: Filtros inválidos
+ */
+router.get('/', auth, authorize('audit:read'), getAuditLog);
+
+/**
+ * @swagger
+ * /admin/audit/verify:
+ *   get:
+ *     tags:
+ *       - Auditoría
+ *     summary: Verificar la integridad del registro de auditoría
+ *     description: Recorre la cadena de hashes del registro y comprueba que no falten entradas y que ninguna haya sido modificada. Si la cadena está rota, indica la primera posición alterada.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: fromSequence
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: toSequence
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Verificación realizada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 valid:
+ *                   type: boolean
+ *                 checked:
+ *                   type: integer
+ *                 lastSequence:
+ *                   type: integer
+ *                 lastHash:
+ *                   type: string
+ *                 brokenAt:
+ *                   type: object
+ *                   properties:
+ *                     sequence:
+ *                       type: integer
+ *                     reason:
+ *                       type: string
+ *                       enum: [missing, prev-hash-mismatch, hash-mismatch]
+ */
+router.get('/verify', auth, authorize('audit:read'), verifyAuditLog);
+
+module.exports = router;
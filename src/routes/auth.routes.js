@@ -1,8 +1,9 @@
 /**
  * @file auth.routes.js
  * @description Define las rutas de API relacionadas con la autenticación y gestión de tokens.
- * Incluye endpoints para registro de usuarios, inicio de sesión, obtención de perfil 
- * y renovación de tokens de acceso. Incorpora documentación Swagger para cada endpoint.
+ * Incluye endpoints para registro de usuarios, inicio de sesión, obtención de perfil,
+ * renovación de tokens de acceso, cierre de sesión y listado de sesiones abiertas.
+ * Incorpora documentación Swagger para cada endpoint.
  * @author Equipo de Desarrollo
  * @version 1.0.0
  */
@@ -10,7 +11,15 @@
 const express = require('express');
 const router = express.Router();
 const { auth } = require('../middlewares/auth.middleware');
-const { register, login, getProfile, refreshAccessToken } = require('../controllers/auth.controller');
+const {
+  register,
+  login,
+  getProfile,
+  refreshAccessToken,
+  logout,
+  logoutAll,
+  getSessions
+} = require('../controllers/auth.controller');
 const User = require('../models/user.model');
 const Doctor = require('../models/doctor.model');
 
@@ -49,6 +58,10 @@ const Doctor = require('../models/doctor.model');
  *                 type: string
  *               licenseNumber:
  *                 type: string
+ *               language:
+ *                 type: string
+ *                 enum: [es, en]
+ *                 description: Idioma de las notificaciones (por defecto es)
  *     responses:
  *       201:
  *         description: Usuario registrado exitosamente
@@ -106,7 +119,7 @@ router.get('/profile', auth, getProfile);
  *     tags:
  *       - Autenticación
  *     summary: Refrescar token de acceso
- *     description: Genera un nuevo token de acceso usando un token de refresco válido
+ *     description: Genera un nuevo token de acceso usando un token de refresco válido. El token de refresco se sustituye por el que se devuelve y deja de ser válido; si se vuelve a usar, la sesión se cierra por seguridad.
  *     requestBody:
  *       required: true
  *       content:
@@ -120,8 +133,98 @@ router.get('/profile', auth, getProfile);
  *                 type: string
  *     responses:
  *       200:
- *         description: Nuevo token generado exitosamente
+ *         description: Nuevos tokens de acceso y de refresco generados exitosamente
+ *       401:
+ *         description: Token de refresco inválido, expirado, de una sesión cerrada o ya utilizado
  */
 router.post('/refresh-token', refreshAccessToken);
 
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     tags:
+ *       - Autenticación
+ *     summary: Cerrar sesión
+ *     description: Cierra la sesión del token de acceso enviado. Sus tokens de acceso y de refresco dejan de ser válidos.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sesión cerrada exitosamente
+ *       401:
+ *         description: No autorizado
+ */
+router.post('/logout', auth, logout);
+
+/**
+ * @swagger
+ * /auth/logout-all:
+ *   post:
+ *     tags:
+ *       - Autenticación
+ *     summary: Cerrar sesión en todos los dispositivos
+ *     description: Cierra todas las sesiones abiertas del usuario autenticado, incluida la actual
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sesiones cerradas exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 revokedSessions:
+ *                   type: integer
+ *       401:
+ *         description: No autorizado
+ */
+router.post('/logout-all', auth, logoutAll);
+
+/**
+ * @swagger
+ * /auth/sessions:
+ *   get:
+ *     tags:
+ *       - Autenticación
+ *     summary: Listar sesiones abiertas
+ *     description: Obtiene las sesiones abiertas del usuario autenticado, de la usada más recientemente a la más antigua
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sesiones obtenidas exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *                   ip:
+ *                     type: string
+ *                   userAgent:
+ *                     type: string
+ *                   createdAt:
+ *                     type: string
+ *                     format: date-time
+ *                   lastUsedAt:
+ *                     type: string
+ *                     format: date-time
+ *                   expiresAt:
+ *                     type: string
+ *                     format: date-time
+ *                   current:
+ *                     type: boolean
+ *                     description: Indica si es la sesión del token de acceso utilizado
+ *       401:
+ *         description: No autorizado
+ */
+router.get('/sessions', auth, getSessions);
+
 module.exports = router;
\ No newline at end of file
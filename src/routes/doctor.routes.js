@@ -10,14 +10,21 @@
 
 const express = require('express');
 const router = express.Router();
-const { auth, checkRole } = require('../middlewares/auth.middleware');
+const { auth, authorize } = require('../middlewares/auth.middleware');
 const {
   getDoctors,
   getDoctorById,
   updateDoctor,
   deleteDoctor,
-  updateAvailability
+  updateAvailability,
+  getDoctorSlots
 } = require('../controllers/doctor.controller');
+const {
+  getExceptions,
+  createException,
+  updateException,
+  deleteException
+} = require('../controllers/availability-exception.controller');
 
 /**
  * @swagger
@@ -26,13 +33,42 @@ const {
  *     tags:
  *       - Médicos
  *     summary: Obtener todos los médicos
- *     description: Obtiene una lista de todos los médicos registrados
+ *     description: |
+ *       Obtiene una lista de todos los médicos registrados.
+ *       Si se indica `date`, devuelve solo los médicos con horarios libres ese día, en el formato
+ *       `[{ doctor, earliestSlots: [{ date, time }], totalSlots }]`, ordenados por el horario libre más próximo.
+ *       La búsqueda por disponibilidad considera a todos los médicos (o a los de la especialidad indicada).
+ *       En los festivos de la clínica no hay médicos disponibles.
  *     parameters:
  *       - in: query
  *         name: speciality
  *         schema:
  *           type: string
  *         description: Filtrar por especialidad médica
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Fecha para buscar médicos con horarios libres
+ *       - in: query
+ *         name: startTime
+ *         schema:
+ *           type: string
+ *         description: Hora mínima de inicio de la franja (HH:mm), requiere date
+ *       - in: query
+ *         name: endTime
+ *         schema:
+ *           type: string
+ *         description: Hora máxima de inicio de la franja (HH:mm, exclusiva), requiere date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 3
+ *           minimum: 1
+ *           maximum: 20
+ *         description: Número de horarios libres devueltos por médico (se ajusta al rango de 1 a 20)
  *     responses:
  *       200:
  *         description: Lista de médicos obtenida exitosamente
@@ -55,6 +91,19 @@ const {
  *                     type: string
  *                   licenseNumber:
  *                     type: string
+ *                   appointmentDuration:
+ *                     type: integer
+ *                   bufferTime:
+ *                     type: integer
+ *                   workingHours:
+ *                     type: object
+ *                     properties:
+ *                       start:
+ *                         type: string
+ *                       end:
+ *                         type: string
+ *                   timezone:
+ *                     type: string
  *                   availability:
  *                     type: array
  *                     items:
@@ -91,7 +140,7 @@ router.get('/', getDoctors);
  *       404:
  *         description: Médico no encontrado
  */
-router.get('/:id', auth, getDoctorById);
+router.get('/:id', auth, authorize('doctor:read'), getDoctorById);
 
 /**
  * @swagger
@@ -122,6 +171,24 @@ router.get('/:id', auth, getDoctorById);
  *                 type: string
  *               speciality:
  *                 type: string
+ *               appointmentDuration:
+ *                 type: integer
+ *                 description: Duración de cada cita en minutos (por defecto 30)
+ *               bufferTime:
+ *                 type: integer
+ *                 description: Minutos de separación entre citas (por defecto 0)
+ *               workingHours:
+ *                 type: object
+ *                 description: Horario de atención del médico (por defecto 08:00-17:00)
+ *                 properties:
+ *                   start:
+ *                     type: string
+ *                   end:
+ *                     type: string
+ *               timezone:
+ *                 type: string
+ *                 description: Zona horaria IANA de la agenda del médico (por defecto, la de la clínica)
+ *                 example: America/Mexico_City
  *               availability:
  *                 type: array
  *                 items:
@@ -134,13 +201,19 @@ router.get('/:id', auth, getDoctorById);
  *                       type: string
  *                     endTime:
  *                       type: string
+ *               language:
+ *                 type: string
+ *                 enum: [es, en]
+ *                 description: Idioma de las notificaciones (por defecto es)
  *     responses:
  *       200:
  *         description: Médico actualizado exitosamente
+ *       400:
+ *         description: Datos de agenda inválidos
  *       404:
  *         description: Médico no encontrado
  */
-router.put('/:id', auth, checkRole(['doctor']), updateDoctor);
+router.put('/:id', auth, authorize('doctor:update', req => req.params.id), updateDoctor);
 
 /**
  * @swagger
@@ -164,7 +237,7 @@ router.put('/:id', auth, checkRole(['doctor']), updateDoctor);
  *       404:
  *         description: Médico no encontrado
  */
-router.delete('/:id', auth, checkRole(['admin']), deleteDoctor);
+router.delete('/:id', auth, authorize('doctor:delete'), deleteDoctor);
 
 /**
  * @swagger
@@ -173,7 +246,7 @@ router.delete('/:id', auth, checkRole(['admin']), deleteDoctor);
  *     tags:
  *       - Médicos
  *     summary: Actualizar disponibilidad
- *     description: Actualiza la disponibilidad horaria de un médico
+ *     description: Actualiza la disponibilidad horaria de un médico. Se admiten varios bloques por día (turnos partidos) siempre que no se superpongan
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -204,9 +277,230 @@ router.delete('/:id', auth, checkRole(['admin']), deleteDoctor);
  *     responses:
  *       200:
  *         description: Disponibilidad actualizada exitosamente
+ *       400:
+ *         description: Bloques de disponibilidad inválidos o superpuestos
  *       404:
  *         description: Médico no encontrado
  */
-router.put('/:id/availability', auth, checkRole(['doctor']), updateAvailability);
+router.put('/:id/availability', auth, authorize('doctor:update', req => req.params.id), updateAvailability);
+
+/**
+ * @swagger
+ * /doctors/{id}/slots:
+ *   get:
+ *     tags:
+ *       - Médicos
+ *     summary: Obtener horarios libres
+ *     description: Obtiene todos los horarios reservables de un médico en un rango de fechas, calculados a partir de su disponibilidad y excluyendo las citas ya agendadas
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Fecha inicial del rango (inclusive)
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Fecha final del rango (inclusive, máximo 31 días)
+ *       - in: header
+ *         name: X-Timezone
+ *         schema:
+ *           type: string
+ *         description: Zona horaria IANA del cliente; cada horario incluye en `local` su fecha y hora en ella
+ *     responses:
+ *       200:
+ *         description: Horarios libres obtenidos exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 doctorId:
+ *                   type: string
+ *                 from:
+ *                   type: string
+ *                 to:
+ *                   type: string
+ *                 slots:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       date:
+ *                         type: string
+ *                         format: date
+ *                       time:
+ *                         type: string
+ *                       startsAt:
+ *                         type: string
+ *                         format: date-time
+ *                       timezone:
+ *                         type: string
+ *       400:
+ *         description: Parámetros de fecha inválidos
+ *       404:
+ *         description: Médico no encontrado
+ */
+router.get('/:id/slots', auth, authorize('doctor:read'), getDoctorSlots);
+
+/**
+ * @swagger
+ * /doctors/{id}/exceptions:
+ *   get:
+ *     tags:
+ *       - Médicos
+ *     summary: Obtener excepciones de disponibilidad
+ *     description: Obtiene los bloqueos (vacaciones, congresos, festivos) y turnos extraordinarios de un médico
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Fecha inicial del rango a consultar
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Fecha final del rango a consultar
+ *     responses:
+ *       200:
+ *         description: Excepciones obtenidas exitosamente
+ */
+router.get('/:id/exceptions', auth, authorize('availability-exception:read'), getExceptions);
+
+/**
+ * @swagger
+ * /doctors/{id}/exceptions:
+ *   post:
+ *     tags:
+ *       - Médicos
+ *     summary: Crear excepción de disponibilidad
+ *     description: |
+ *       Crea un bloqueo de agenda o un turno extraordinario para fechas concretas.
+ *       Las excepciones prevalecen sobre la disponibilidad semanal. Si se crea un bloqueo,
+ *       la respuesta incluye en `conflicts` las citas existentes afectadas.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - startDate
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [block, extra]
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Último día de la excepción (por defecto igual a startDate)
+ *               startTime:
+ *                 type: string
+ *                 description: Hora de inicio (obligatoria en turnos extraordinarios; en bloqueos, sin horas se bloquea el día completo)
+ *               endTime:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Excepción creada exitosamente
+ *       400:
+ *         description: Datos de la excepción inválidos
+ *       403:
+ *         description: Sin permiso para gestionar la disponibilidad de este médico
+ */
+router.post('/:id/exceptions', auth, authorize('availability-exception:manage', req => req.params.id), createException);
+
+/**
+ * @swagger
+ * /doctors/{id}/exceptions/{exceptionId}:
+ *   put:
+ *     tags:
+ *       - Médicos
+ *     summary: Actualizar excepción de disponibilidad
+ *     description: Actualiza un bloqueo o turno extraordinario. Si el resultado es un bloqueo, la respuesta incluye las citas en conflicto
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: exceptionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Excepción actualizada exitosamente
+ *       404:
+ *         description: Excepción no encontrada
+ */
+router.put('/:id/exceptions/:exceptionId', auth, authorize('availability-exception:manage', req => req.params.id), updateException);
+
+/**
+ * @swagger
+ * /doctors/{id}/exceptions/{exceptionId}:
+ *   delete:
+ *     tags:
+ *       - Médicos
+ *     summary: Eliminar excepción de disponibilidad
+ *     description: Elimina un bloqueo o turno extraordinario de un médico
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: exceptionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Excepción eliminada exitosamente
+ *       404:
+ *         description: Excepción no encontrada
+ */
+router.delete('/:id/exceptions/:exceptionId', auth, authorize('availability-exception:manage', req => req.params.id), deleteException);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,179 @@
+/**
+ * @file holiday.routes.js
+ * @description Define las rutas de API para el calendario de festivos de la clínica.
+ * Incluye endpoints para consultar, crear, actualizar y eliminar festivos, así como
+ * para importarlos desde un archivo iCalendar (.ics). La gestión está restringida a administradores.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+const { auth, authorize } = require('../middlewares/auth.middleware');
+const {
+  getHolidays,
+  createHoliday,
+  updateHoliday,
+  deleteHoliday,
+  importHolidays
+} = require('../controllers/holiday.controller');
+
+/**
+ * @swagger
+ * /holidays:
+ *   get:
+ *     tags:
+ *       - Festivos
+ *     summary: Obtener festivos
+ *     description: Obtiene los festivos de la clínica, en los que no se pueden agendar citas con ningún médico
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Fecha inicial del rango a consultar
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Fecha final del rango a consultar
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *         description: Año a consultar (alternativa a from/to)
+ *     responses:
+ *       200:
+ *         description: Lista de festivos obtenida exitosamente
+ */
+router.get('/', auth, authorize('holiday:read'), getHolidays);
+
+/**
+ * @swagger
+ * /holidays:
+ *   post:
+ *     tags:
+ *       - Festivos
+ *     summary: Crear festivo
+ *     description: Crea un festivo en el calendario de la clínica. La respuesta incluye en `conflicts` las citas activas afectadas
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - startDate
+ *             properties:
+ *               name:
+ *                 type: string
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Último día del festivo (por defecto igual a startDate)
+ *     responses:
+ *       201:
+ *         description: Festivo creado exitosamente
+ *       400:
+ *         description: Datos del festivo inválidos
+ */
+router.post('/', auth, authorize('holiday:manage'), createHoliday);
+
+/**
+ * @swagger
+ * /holidays/import:
+ *   post:
+ *     tags:
+ *       - Festivos
+ *     summary: Importar festivos desde .ics
+ *     description: |
+ *       Importa los eventos de un archivo iCalendar (.ics) como festivos de la clínica.
+ *       El archivo se envía como cuerpo de la solicitud con Content-Type text/calendar,
+ *       o en el campo `ics` de un cuerpo JSON. Reimportar un calendario actualiza los eventos por su UID.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/calendar:
+ *           schema:
+ *             type: string
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ics:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Resumen de la importación (creados, actualizados, errores y citas en conflicto)
+ *       400:
+ *         description: Archivo de calendario inválido
+ */
+router.post(
+  '/import',
+  auth,
+  authorize('holiday:manage'),
+  express.text({ type: ['text/calendar', 'text/plain'], limit: '1mb' }), // Recibir el archivo .ics como texto
+  importHolidays
+);
+
+/**
+ * @swagger
+ * /holidays/{id}:
+ *   put:
+ *     tags:
+ *       - Festivos
+ *     summary: Actualizar festivo
+ *     description: Actualiza el nombre o las fechas de un festivo
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Festivo actualizado exitosamente
+ *       404:
+ *         description: Festivo no encontrado
+ */
+router.put('/:id', auth, authorize('holiday:manage'), updateHoliday);
+
+/**
+ * @swagger
+ * /holidays/{id}:
+ *   delete:
+ *     tags:
+ *       - Festivos
+ *     summary: Eliminar festivo
+ *     description: Elimina un festivo del calendario de la clínica
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Festivo eliminado exitosamente
+ *       404:
+ *         description: Festivo no encontrado
+ */
+router.delete('/:id', auth, authorize('holiday:manage'), deleteHoliday);
+
+module.exports = router;
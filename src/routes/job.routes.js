@@ -0,0 +1,179 @@
+/**
+ * @file job.routes.js
+ * @description Define las rutas de API para la administración de los trabajos programados.
+ * Incluye endpoints para consultar los trabajos y su historial de ejecuciones,
+ * ejecutarlos manualmente y pausar o reanudar sus ejecuciones programadas.
+ * Todas las rutas requieren rol de administrador.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+const { auth, authorize } = require('../middlewares/auth.middleware');
+const {
+  getJobs,
+  getJobRuns,
+  triggerJob,
+  pauseJob,
+  resumeJob
+} = require('../controllers/job.controller');
+
+/**
+ * @swagger
+ * /admin/jobs:
+ *   get:
+ *     tags:
+ *       - Trabajos programados
+ *     summary: Obtener trabajos programados
+ *     description: Obtiene los trabajos periódicos con su expresión cron, su próxima ejecución, si están pausados o en ejecución y el resultado de la última ejecución
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Trabajos obtenidos exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                   description:
+ *                     type: string
+ *                   cron:
+ *                     type: string
+ *                   timezone:
+ *                     type: string
+ *                   paused:
+ *                     type: boolean
+ *                   running:
+ *                     type: boolean
+ *                   nextRunAt:
+ *                     type: string
+ *                     format: date-time
+ *                   lastRunAt:
+ *                     type: string
+ *                     format: date-time
+ *                   lastStatus:
+ *                     type: string
+ *                     enum: [succeeded, failed]
+ *                   lastError:
+ *                     type: string
+ *       403:
+ *         description: Requiere rol de administrador
+ */
+router.get('/', auth, authorize('job:read'), getJobs);
+
+/**
+ * @swagger
+ * /admin/jobs/{name}/runs:
+ *   get:
+ *     tags:
+ *       - Trabajos programados
+ *     summary: Obtener historial de ejecuciones
+ *     description: Obtiene las ejecuciones de un trabajo, de la más reciente a la más antigua. El historial se conserva 30 días.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [running, succeeded, failed]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Historial obtenido exitosamente
+ *       404:
+ *         description: Trabajo no encontrado
+ */
+router.get('/:name/runs', auth, authorize('job:read'), getJobRuns);
+
+/**
+ * @swagger
+ * /admin/jobs/{name}/run:
+ *   post:
+ *     tags:
+ *       - Trabajos programados
+ *     summary: Ejecutar trabajo
+ *     description: Ejecuta el trabajo de inmediato, aunque esté pausado. La ejecución continúa en segundo plano y no modifica su programación.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       202:
+ *         description: Ejecución iniciada
+ *       404:
+ *         description: Trabajo no encontrado
+ *       409:
+ *         description: El trabajo ya se está ejecutando
+ */
+router.post('/:name/run', auth, authorize('job:manage'), triggerJob);
+
+/**
+ * @swagger
+ * /admin/jobs/{name}/pause:
+ *   put:
+ *     tags:
+ *       - Trabajos programados
+ *     summary: Pausar trabajo
+ *     description: Pausa las ejecuciones programadas del trabajo. Una ejecución en curso no se interrumpe.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Trabajo pausado exitosamente
+ *       404:
+ *         description: Trabajo no encontrado
+ */
+router.put('/:name/pause', auth, authorize('job:manage'), pauseJob);
+
+/**
+ * @swagger
+ * /admin/jobs/{name}/resume:
+ *   put:
+ *     tags:
+ *       - Trabajos programados
+ *     summary: Reanudar trabajo
+ *     description: Reanuda las ejecuciones programadas del trabajo a partir de su siguiente ejecución, sin recuperar las omitidas durante la pausa
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Trabajo reanudado exitosamente
+ *       404:
+ *         description: Trabajo no encontrado
+ */
+router.put('/:name/resume', auth, authorize('job:manage'), resumeJob);
+
+module.exports = router;
@@ -0,0 +1,87 @@
+/**
+ * @file no-show-policy.routes.js
+ * @description Define las rutas de API para la política de inasistencias de la clínica.
+ * Todas las rutas requieren rol de administrador.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+const { auth, authorize } = require('../middlewares/auth.middleware');
+const { getNoShowPolicy, updateNoShowPolicy } = require('../controllers/no-show.controller');
+
+/**
+ * @swagger
+ * /admin/no-show-policy:
+ *   get:
+ *     tags:
+ *       - Inasistencias
+ *     summary: Obtener política de inasistencias
+ *     description: Obtiene la tolerancia tras la que una cita sin registro de llegada se marca como no tomada y las consecuencias de acumular inasistencias
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Política obtenida exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 graceMinutes:
+ *                   type: integer
+ *                 autoConfirm:
+ *                   type: boolean
+ *                 approvalThreshold:
+ *                   type: integer
+ *                   nullable: true
+ *                 blockThreshold:
+ *                   type: integer
+ *                   nullable: true
+ *       403:
+ *         description: Requiere rol de administrador
+ */
+router.get('/', auth, authorize('no-show-policy:read'), getNoShowPolicy);
+
+/**
+ * @swagger
+ * /admin/no-show-policy:
+ *   put:
+ *     tags:
+ *       - Inasistencias
+ *     summary: Modificar política de inasistencias
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               graceMinutes:
+ *                 type: integer
+ *                 description: Minutos tras el inicio de una cita confirmada sin registro de llegada tras los que se marca como no tomada
+ *               autoConfirm:
+ *                 type: boolean
+ *                 description: Confirmar automáticamente las citas que agendan los pacientes
+ *               approvalThreshold:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Inasistencias a partir de las cuales las citas del paciente requieren la aprobación del médico (null para desactivar)
+ *               blockThreshold:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Inasistencias a partir de las cuales el paciente no puede agendar citas por sí mismo (null para desactivar)
+ *     responses:
+ *       200:
+ *         description: Política actualizada exitosamente
+ *       400:
+ *         description: Valores de la política inválidos
+ *       403:
+ *         description: Requiere rol de administrador
+ */
+router.put('/', auth, authorize('no-show-policy:update'), updateNoShowPolicy);
+
+module.exports = router;
@@ -10,9 +10,13 @@
 
 const express = require('express');
 const router = express.Router();
-const { auth, checkRole } = require('../middlewares/auth.middleware');
+const { auth, authorize } = require('../middlewares/auth.middleware');
 const { getUsers, getUserById, updateUser, deleteUser } = require('../controllers/user.controller');
-const User = require('../models/user.model');
+const { getUserNotifications } = require('../controllers/notification.controller');
+const { resetPatientNoShows } = require('../controllers/no-show.controller');
+const { getPatientPrescriptions } = require('../controllers/prescription.controller');
+const { getMedicalProfile, updateMedicalProfile } = require('../controllers/medical-profile.controller');
+const Account = require('../models/account.model');
 
 /**
  * @swagger
@@ -73,17 +77,11 @@ router.get('/current', auth, async (req, res) => {
     
     console.log(`Buscando usuario con ID: ${userId}`);
     
-    // Mejorar la búsqueda para manejar tanto usuarios normales como doctores
-    let user = await User.findById(userId).select('-password');
+    // Una sola búsqueda en las cuentas: devuelve tanto pacientes y administradores como médicos
+    const user = await Account.findById(userId).select('-password');
     
     if (!user) {
-      // Si no se encuentra como usuario normal, buscar como doctor
-      const Doctor = require('../models/doctor.model');
-      user = await Doctor.findById(userId).select('-password');
-      
-      if (!user) {
-        return res.status(404).json({ message: 'Usuario no encontrado' });
-      }
+      return res.status(404).json({ message: 'Usuario no encontrado' });
     }
     
     // Añadir logging para depuración
@@ -107,7 +105,7 @@ router.get('/current', auth, async (req, res) => {
  * @description Obtiene un listado de usuarios con filtrado opcional por rol
  * @access Privado - Requiere autenticación
  */
-router.get('/', auth, getUsers);
+router.get('/', auth, authorize('user:list'), getUsers);
 
 /**
  * @swagger
@@ -131,7 +129,226 @@ router.get('/', auth, getUsers);
  *       404:
  *         description: Usuario no encontrado
  */
-router.get('/:id', auth, getUserById);
+router.get('/:id', auth, authorize('user:read', req => req.params.id), getUserById);
+
+/**
+ * @swagger
+ * /users/{id}/notifications:
+ *   get:
+ *     tags:
+ *       - Usuarios
+ *     summary: Obtener notificaciones de un usuario
+ *     description: |
+ *       Obtiene las notificaciones de citas enviadas al usuario (agendada, confirmada, reprogramada, cancelada),
+ *       de la más reciente a la más antigua, con su estado de entrega y número de intentos.
+ *       Cada usuario solo puede consultar sus propias notificaciones; los administradores, las de cualquiera.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, sending, sent, failed]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Notificaciones obtenidas exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   _id:
+ *                     type: string
+ *                   appointment:
+ *                     type: string
+ *                   event:
+ *                     type: string
+ *                     enum: [booked, confirmed, rescheduled, cancelled]
+ *                   channel:
+ *                     type: string
+ *                   language:
+ *                     type: string
+ *                     enum: [es, en]
+ *                   subject:
+ *                     type: string
+ *                   text:
+ *                     type: string
+ *                   status:
+ *                     type: string
+ *                   attempts:
+ *                     type: integer
+ *                   lastError:
+ *                     type: string
+ *                   sentAt:
+ *                     type: string
+ *                     format: date-time
+ *                   createdAt:
+ *                     type: string
+ *                     format: date-time
+ *       403:
+ *         description: No autorizado para ver las notificaciones de este usuario
+ */
+router.get('/:id/notifications', auth, authorize('notification:read', req => req.params.id), getUserNotifications);
+
+/**
+ * @swagger
+ * /users/{id}/prescriptions:
+ *   get:
+ *     tags:
+ *       - Recetas
+ *     summary: Obtener recetas de un paciente
+ *     description: |
+ *       Obtiene todas las recetas del paciente, de la más reciente a la más antigua, con el médico que las emitió y la cita.
+ *       Cada paciente solo puede consultar sus propias recetas; los administradores, las de cualquiera.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Recetas obtenidas exitosamente
+ *       403:
+ *         description: No autorizado para ver las recetas de este paciente
+ */
+router.get('/:id/prescriptions', auth, authorize('prescription:read', req => req.params.id), getPatientPrescriptions);
+
+/**
+ * @swagger
+ * /users/{id}/medical-profile:
+ *   get:
+ *     tags:
+ *       - Usuarios
+ *     summary: Obtener perfil médico de un paciente
+ *     description: |
+ *       Obtiene la fecha de nacimiento, grupo sanguíneo, alergias, enfermedades crónicas, medicación actual y contacto
+ *       de emergencia del paciente (vacío si aún no lo ha completado). Pueden consultarlo el propio paciente, los
+ *       administradores y los médicos que tienen o tuvieron una cita confirmada, en curso o completada con él
+ *       (no cuentan las citas que agendó el propio médico).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Perfil médico obtenido exitosamente
+ *       400:
+ *         description: ID de paciente inválido
+ *       403:
+ *         description: No autorizado para ver el perfil médico de este paciente
+ *       404:
+ *         description: Paciente no encontrado
+ *   put:
+ *     tags:
+ *       - Usuarios
+ *     summary: Modificar perfil médico de un paciente
+ *     description: |
+ *       Crea o modifica el perfil médico. Solo pueden hacerlo el propio paciente y los administradores.
+ *       Las listas se reemplazan completas por las indicadas.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               dateOfBirth:
+ *                 type: string
+ *                 format: date
+ *               bloodType:
+ *                 type: string
+ *                 enum: [A+, A-, B+, B-, AB+, AB-, O+, O-]
+ *               allergies:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - substance
+ *                   properties:
+ *                     substance:
+ *                       type: string
+ *                     reaction:
+ *                       type: string
+ *                     severity:
+ *                       type: string
+ *                       enum: [mild, moderate, severe]
+ *               chronicConditions:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - name
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     diagnosedAt:
+ *                       type: string
+ *                       format: date
+ *                     notes:
+ *                       type: string
+ *               currentMedications:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - name
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     dose:
+ *                       type: string
+ *                     frequency:
+ *                       type: string
+ *               emergencyContact:
+ *                 type: object
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                   relationship:
+ *                     type: string
+ *                   phoneNumber:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         description: Perfil médico actualizado exitosamente
+ *       400:
+ *         description: Datos del perfil inválidos
+ *       403:
+ *         description: No autorizado para modificar el perfil médico de este paciente
+ *       404:
+ *         description: Paciente no encontrado
+ */
+router.get('/:id/medical-profile', auth, authorize('medical-profile:read'), getMedicalProfile);
+router.put('/:id/medical-profile', auth, authorize('medical-profile:update', req => req.params.id), updateMedicalProfile);
 
 /**
  * @swagger
@@ -160,13 +377,17 @@ router.get('/:id', auth, getUserById);
  *                 type: string
  *               phoneNumber:
  *                 type: string
+ *               language:
+ *                 type: string
+ *                 enum: [es, en]
+ *                 description: Idioma de las notificaciones (por defecto es)
  *     responses:
  *       200:
  *         description: Usuario actualizado exitosamente
  *       404:
  *         description: Usuario no encontrado
  */
-router.put('/:id', auth, updateUser);
+router.put('/:id', auth, authorize('user:update', req => req.params.id), updateUser);
 
 /**
  * @swagger
@@ -190,6 +411,32 @@ router.put('/:id', auth, updateUser);
  *       404:
  *         description: Usuario no encontrado
  */
-router.delete('/:id', auth, checkRole(['admin']), deleteUser);
+router.delete('/:id', auth, authorize('user:delete'), deleteUser);
+
+/**
+ * @swagger
+ * /users/{id}/no-shows:
+ *   delete:
+ *     tags:
+ *       - Usuarios
+ *     summary: Reiniciar contador de inasistencias
+ *     description: Reinicia a cero el contador de inasistencias del paciente, que determina si sus citas requieren aprobación o si puede agendar por sí mismo
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Contador reiniciado exitosamente
+ *       403:
+ *         description: Requiere rol de administrador
+ *       404:
+ *         description: Usuario no encontrado
+ */
+router.delete('/:id/no-shows', auth, authorize('user:reset-no-shows'), resetPatientNoShows);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,175 @@
+/**
+ * @file waitlist.routes.js
+ * @description Define las rutas de API para la lista de espera de los médicos.
+ * Incluye endpoints para inscribirse y salir de la lista de espera, consultar las inscripciones
+ * y aceptar o rechazar los horarios liberados que se ofrecen temporalmente a los pacientes.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+const { auth, authorize } = require('../middlewares/auth.middleware');
+const {
+  joinWaitlist,
+  getWaitlist,
+  leaveWaitlist,
+  getMyOffers,
+  acceptOffer,
+  declineOffer
+} = require('../controllers/waitlist.controller');
+
+/**
+ * @swagger
+ * /waitlist:
+ *   post:
+ *     tags:
+ *       - Lista de espera
+ *     summary: Inscribirse en la lista de espera
+ *     description: |
+ *       Inscribe al paciente en la lista de espera de un médico. Cuando se libera un horario que coincide
+ *       con el rango de fechas y la franja del día indicados, se retiene temporalmente para el paciente,
+ *       que puede aceptarlo o rechazarlo.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - doctorId
+ *               - reason
+ *             properties:
+ *               doctorId:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *               fromDate:
+ *                 type: string
+ *                 format: date
+ *               toDate:
+ *                 type: string
+ *                 format: date
+ *               timeOfDay:
+ *                 type: string
+ *                 enum: [any, morning, afternoon, evening]
+ *                 default: any
+ *     responses:
+ *       201:
+ *         description: Inscripción creada exitosamente
+ *       409:
+ *         description: El paciente ya está en la lista de espera de este médico
+ */
+router.post('/', auth, authorize('waitlist:join'), joinWaitlist);
+
+/**
+ * @swagger
+ * /waitlist:
+ *   get:
+ *     tags:
+ *       - Lista de espera
+ *     summary: Obtener lista de espera
+ *     description: Los pacientes obtienen sus inscripciones activas; los médicos, su lista de espera en orden de inscripción
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Inscripciones obtenidas exitosamente
+ */
+router.get('/', auth, authorize('waitlist:read'), getWaitlist);
+
+/**
+ * @swagger
+ * /waitlist/offers:
+ *   get:
+ *     tags:
+ *       - Lista de espera
+ *     summary: Obtener horarios ofrecidos
+ *     description: Obtiene los horarios retenidos para el paciente que están pendientes de respuesta
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Ofertas pendientes obtenidas exitosamente
+ */
+router.get('/offers', auth, authorize('waitlist-offer:read'), getMyOffers);
+
+/**
+ * @swagger
+ * /waitlist/offers/{offerId}/accept:
+ *   post:
+ *     tags:
+ *       - Lista de espera
+ *     summary: Aceptar horario ofrecido
+ *     description: Agenda la cita en el horario retenido, la notifica al paciente y al médico y retira al paciente de la lista de espera
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: offerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Cita agendada exitosamente (confirmada de inmediato si la política de inasistencias lo indica)
+ *       403:
+ *         description: El paciente no puede agendar citas por acumular inasistencias; la oferta se libera
+ *       409:
+ *         description: El horario ya no está disponible, o la oferta ya fue aceptada por otra solicitud
+ *       410:
+ *         description: La reserva temporal expiró
+ */
+router.post('/offers/:offerId/accept', auth, authorize('waitlist-offer:respond'), acceptOffer);
+
+/**
+ * @swagger
+ * /waitlist/offers/{offerId}/decline:
+ *   post:
+ *     tags:
+ *       - Lista de espera
+ *     summary: Rechazar horario ofrecido
+ *     description: Rechaza el horario retenido, que se ofrece al siguiente paciente. El paciente sigue en la lista de espera
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: offerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Oferta rechazada exitosamente
+ *       410:
+ *         description: La reserva temporal expiró
+ */
+router.post('/offers/:offerId/decline', auth, authorize('waitlist-offer:respond'), declineOffer);
+
+/**
+ * @swagger
+ * /waitlist/{id}:
+ *   delete:
+ *     tags:
+ *       - Lista de espera
+ *     summary: Salir de la lista de espera
+ *     description: Cancela la inscripción del paciente. Si tenía un horario retenido, pasa al siguiente paciente
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Inscripción cancelada exitosamente
+ *       404:
+ *         description: Inscripción no encontrada
+ */
+router.delete('/:id', auth, authorize('waitlist:leave'), leaveWaitlist);
+
+module.exports = router;
@@ -3,11 +3,27 @@
  * Inicializa el servidor HTTP y gestiona el ciclo de vida de la aplicación
  */
 
-// Importar la aplicación Express configurada
-const app = require('./app');
 // Importar configuración del servidor
 const config = require('./config/config');
 
+/**
+ * Verificar las claves de firma de los tokens antes de iniciar la aplicación
+ * - Sin ellas fallarían todos los registros e inicios de sesión
+ * - Se detiene el proceso para que el error se detecte en el despliegue y no en la primera solicitud
+ */
+const missingSecrets = [
+  ['JWT_SECRET', config.jwt.secret],
+  ['JWT_REFRESH_SECRET', config.jwt.refreshSecret]
+].filter(([, value]) => !value).map(([name]) => name);
+
+if (missingSecrets.length > 0) {
+  console.error(`Faltan variables de entorno requeridas: ${missingSecrets.join(', ')}`);
+  process.exit(1);
+}
+
+// Importar la aplicación Express configurada
+const app = require('./app');
+
 /**
  * Iniciar el servidor HTTP en el puerto configurado
  * - Puerto definido en la configuración o variable de entorno
@@ -0,0 +1,114 @@
+/**
+ * @file appointment-status.js
+ * @description Máquina de estados de las citas médicas.
+ * Define de forma declarativa los estados de una cita y las transiciones permitidas entre ellos,
+ * de modo que todas las rutas que cambian el estado de una cita apliquen las mismas reglas.
+ *
+ * Estados:
+ * - pending: cita agendada, pendiente de confirmación por el médico
+ * - confirmed: cita confirmada por el médico
+ * - in-progress: consulta en curso; el médico atiende al paciente tras registrarse su llegada
+ * - cancelled: cita cancelada por el paciente, el médico o el sistema
+ * - completed: cita realizada
+ * - no-show: el paciente no asistió
+ * - archived: cita finalizada retirada de las listas activas. Se representa con el indicador
+ *   isArchived para conservar en `status` el resultado de la cita (completada, cancelada o no tomada)
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+/**
+ * @constant {Array<String>} APPOINTMENT_STATUSES - Valores posibles del campo status de una cita
+ */
+const APPOINTMENT_STATUSES = ['pending', 'confirmed', 'in-progress', 'cancelled', 'completed', 'archived', 'no-show'];
+
+/**
+ * @constant {Object} STATUS_TRANSITIONS - Transiciones permitidas desde cada estado.
+ * Cada transición puede declarar condiciones adicionales:
+ * - afterStart: solo se permite una vez alcanzada la hora de inicio de la cita
+ * - afterCheckIn: solo se permite una vez registrada la llegada del paciente
+ */
+const STATUS_TRANSITIONS = {
+  pending: {
+    confirmed: {},
+    cancelled: {}
+  },
+  confirmed: {
+    cancelled: {},
+    'in-progress': { afterCheckIn: true },
+    completed: { afterStart: true },
+    'no-show': { afterStart: true }
+  },
+  'in-progress': {
+    completed: {}
+  },
+  cancelled: {
+    archived: {}
+  },
+  completed: {
+    archived: {}
+  },
+  'no-show': {
+    archived: {}
+  },
+  archived: {}
+};
+
+/**
+ * @constant {Object} STATUS_LABELS - Nombres de los estados para los mensajes de error
+ */
+const STATUS_LABELS = {
+  pending: 'pendiente',
+  confirmed: 'confirmada',
+  'in-progress': 'en curso',
+  cancelled: 'cancelada',
+  completed: 'completada',
+  'no-show': 'no tomada',
+  archived: 'archivada'
+};
+
+/**
+ * @function getAllowedTransitions
+ * @description Obtiene los estados a los que puede pasar una cita desde un estado dado
+ *
+ * @param {String} from - Estado actual
+ * @returns {Array<String>} Estados de destino permitidos
+ */
+const getAllowedTransitions = (from) => Object.keys(STATUS_TRANSITIONS[from] || {});
+
+/**
+ * @function getTransitionRule
+ * @description Obtiene la regla de una transición, o null si la transición no está permitida
+ *
+ * @param {String} from - Estado actual
+ * @param {String} to - Estado de destino
+ * @returns {Object|null} Condiciones de la transición
+ */
+const getTransitionRule = (from, to) => {
+  const rules = STATUS_TRANSITIONS[from] || {};
+  return Object.prototype.hasOwnProperty.call(rules, to) ? rules[to] : null;
+};
+
+/**
+ * @function describeTransitions
+ * @description Describe las transiciones permitidas desde un estado, para informar al cliente
+ *
+ * @param {String} from - Estado actual
+ * @returns {String} Descripción legible de las transiciones permitidas
+ */
+const describeTransitions = (from) => {
+  const allowed = getAllowedTransitions(from);
+  if (allowed.length === 0) {
+    return `Una cita ${STATUS_LABELS[from] || from} no admite cambios de estado`;
+  }
+  return `Desde ${STATUS_LABELS[from] || from} solo se puede pasar a: ${allowed.map(to => STATUS_LABELS[to] || to).join(', ')}`;
+};
+
+module.exports = {
+  APPOINTMENT_STATUSES,
+  STATUS_TRANSITIONS,
+  STATUS_LABELS,
+  getAllowedTransitions,
+  getTransitionRule,
+  describeTransitions
+};
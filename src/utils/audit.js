@@ -0,0 +1,373 @@
+/**
+ * @file audit.js
+ * @description Registro de auditoría de accesos y modificaciones de los datos de pacientes, citas y médicos.
+ *
+ * - Las modificaciones se registran desde los propios modelos mediante auditPlugin, por lo que quedan
+ *   registradas sin importar qué controlador o trabajo programado las haga.
+ * - Las consultas se registran por ruta con el middleware auditAccess, al terminar la respuesta.
+ * - El usuario y la IP de la solicitud en curso se obtienen del contexto que guarda el middleware
+ *   auditContext; las modificaciones hechas fuera de una solicitud se atribuyen al sistema.
+ *
+ * Las entradas forman una cadena de hashes: cada una incluye el hash de la anterior, por lo que
+ * modificar, eliminar o intercalar entradas directamente en la base de datos se detecta con verifyAuditChain.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const mongoose = require('mongoose');
+const AuditEntry = require('../models/audit-entry.model');
+const { logger } = require('./logger');
+
+/**
+ * @constant {String} GENESIS_HASH - Hash anterior de la primera entrada de la cadena
+ */
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * @constant {number} MAX_APPEND_ATTEMPTS - Intentos de añadir una entrada cuando otra réplica ocupa la misma posición
+ */
+const MAX_APPEND_ATTEMPTS = 5;
+
+/**
+ * @constant {Array<String>} IGNORED_FIELDS - Campos internos que no se registran como modificados
+ */
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+/**
+ * @constant {AsyncLocalStorage} requestContext - Solicitud en curso, disponible en los hooks de los modelos
+ * @private
+ */
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * @variable {Promise} appendQueue - Cola de escrituras, para que las entradas de este proceso se añadan de una en una
+ * @private
+ */
+let appendQueue = Promise.resolve();
+
+/**
+ * @function toId
+ * @description Convierte un ObjectId opcional en texto para calcular el hash
+ * @private
+ */
+const toId = (value) => (value ? value.toString() : null);
+
+/**
+ * @function computeAuditHash
+ * @description Calcula el hash SHA-256 de una entrada a partir de su contenido y del hash de la anterior
+ *
+ * @param {Object} entry - Entrada del registro (documento o objeto plano)
+ * @returns {String} Hash en hexadecimal
+ */
+const computeAuditHash = (entry) => {
+  const content = [
+    entry.sequence,
+    new Date(entry.timestamp).toISOString(),
+    toId(entry.actor),
+    entry.actorModel || null,
+    entry.actorRole,
+    entry.action,
+    entry.resourceType,
+    toId(entry.resourceId),
+    toId(entry.patient),
+    entry.fields && entry.fields.length ? [...entry.fields] : null,
+    entry.ip || null,
+    entry.method || null,
+    entry.path || null,
+    entry.statusCode || null,
+    entry.prevHash
+  ];
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+};
+
+/**
+ * @function describeRequest
+ * @description Obtiene de la solicitud los datos de quién realiza la acción y desde dónde
+ *
+ * @param {Object} [req] - Objeto de solicitud Express (vacío fuera de una solicitud)
+ * @returns {Object} Actor, rol, IP, método y ruta
+ * @private
+ */
+const describeRequest = (req) => {
+  if (!req) {
+    return { actorRole: 'system' };
+  }
+
+  const details = {
+    actorRole: 'anonymous',
+    ip: req.ip,
+    method: req.method,
+    path: req.originalUrl.split('?')[0]
+  };
+  if (req.user) {
+    const isDoctor = req.user.constructor.modelName === 'Doctor';
+    details.actor = req.user._id;
+    details.actorModel = isDoctor ? 'Doctor' : 'User';
+    details.actorRole = isDoctor ? 'doctor' : req.user.role;
+  }
+  return details;
+};
+
+/**
+ * @function insertEntry
+ * @description Añade una entrada al final de la cadena. Si otra réplica añade una entrada con la misma
+ * posición al mismo tiempo, el índice único lo rechaza y se vuelve a intentar con la nueva última entrada.
+ *
+ * @param {Object} data - Contenido de la entrada
+ * @returns {Promise<Object>} Entrada guardada
+ * @private
+ */
+const insertEntry = async (data) => {
+  for (let attempt = 1; ; attempt++) {
+    const last = await AuditEntry.findOne().sort({ sequence: -1 }).select('sequence hash').lean();
+    const entry = new AuditEntry({
+      ...data,
+      sequence: last ? last.sequence + 1 : 1,
+      timestamp: new Date(),
+      prevHash: last ? last.hash : GENESIS_HASH
+    });
+    entry.hash = computeAuditHash(entry);
+
+    try {
+      return await entry.save();
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_APPEND_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+/**
+ * @function recordAudit
+ * @description Añade una entrada al registro de auditoría. Los errores se registran en el log pero no
+ * interrumpen la operación auditada.
+ *
+ * @param {String} action - Acción realizada ('read', 'create', 'update' o 'delete')
+ * @param {String} resourceType - Tipo de registro
+ * @param {Object} [details={}] - Datos de la entrada
+ * @param {ObjectId} [details.resourceId] - Registro accedido o modificado
+ * @param {ObjectId} [details.patient] - Paciente al que pertenecen los datos
+ * @param {Array<String>} [details.fields] - Campos creados o modificados
+ * @param {Number} [details.statusCode] - Código de estado de la respuesta
+ * @param {Object} [details.req] - Solicitud; por defecto, la del contexto en curso
+ * @returns {Promise<Object|null>} Entrada guardada, o null si no pudo guardarse
+ */
+const recordAudit = async (action, resourceType, { req, ...details } = {}) => {
+  const context = requestContext.getStore();
+  const data = {
+    action,
+    resourceType,
+    ...details,
+    ...describeRequest(req || (context && context.req))
+  };
+
+  const append = appendQueue.then(() => insertEntry(data));
+  appendQueue = append.catch(() => {});
+
+  try {
+    return await append;
+  } catch (error) {
+    logger.error('Error al registrar la entrada de auditoría', {
+      action,
+      resourceType,
+      resourceId: details.resourceId,
+      error: error.message
+    });
+    return null;
+  }
+};
+
+/**
+ * @function verifyAuditChain
+ * @description Recorre la cadena en orden y comprueba que no falten posiciones, que cada entrada
+ * apunte al hash de la anterior y que su hash corresponda a su contenido
+ *
+ * @param {Object} [range={}] - Posiciones a verificar
+ * @param {Number} [range.fromSequence=1] - Primera posición
+ * @param {Number} [range.toSequence] - Última posición (por defecto, la última entrada)
+ * @returns {Promise<Object>} Resultado: valid, checked y, si la cadena está rota, brokenAt con la posición y el motivo
+ */
+const verifyAuditChain = async ({ fromSequence = 1, toSequence } = {}) => {
+  let expectedSequence = fromSequence;
+  let expectedPrevHash = GENESIS_HASH;
+  if (fromSequence > 1) {
+    const previous = await AuditEntry.findOne({ sequence: fromSequence - 1 }).select('hash').lean();
+    if (!previous) {
+      return { valid: false, checked: 0, brokenAt: { sequence: fromSequence - 1, reason: 'missing' } };
+    }
+    expectedPrevHash = previous.hash;
+  }
+
+  const filter = { sequence: { $gte: fromSequence } };
+  if (toSequence) {
+    filter.sequence.$lte = toSequence;
+  }
+
+  let checked = 0;
+  const cursor = AuditEntry.find(filter).sort({ sequence: 1 }).lean().cursor();
+  for await (const entry of cursor) {
+    let reason = null;
+    if (entry.sequence !== expectedSequence) {
+      reason = 'missing';
+    } else if (entry.prevHash !== expectedPrevHash) {
+      reason = 'prev-hash-mismatch';
+    } else if (entry.hash !== computeAuditHash(entry)) {
+      reason = 'hash-mismatch';
+    }
+
+    if (reason) {
+      await cursor.close();
+      return {
+        valid: false,
+        checked,
+        brokenAt: { sequence: reason === 'missing' ? expectedSequence : entry.sequence, reason }
+      };
+    }
+
+    checked++;
+    expectedSequence = entry.sequence + 1;
+    expectedPrevHash = entry.hash;
+  }
+
+  if (toSequence && checked > 0 && expectedSequence <= toSequence) {
+    return { valid: false, checked, brokenAt: { sequence: expectedSequence, reason: 'missing' } };
+  }
+
+  return { valid: true, checked, lastSequence: expectedSequence - 1, lastHash: expectedPrevHash };
+};
+
+/**
+ * @function auditContext
+ * @description Middleware que guarda la solicitud en curso para atribuirle las modificaciones que
+ * se hagan durante su procesamiento
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para continuar con el siguiente middleware
+ * @returns {void}
+ */
+const auditContext = (req, res, next) => {
+  requestContext.run({ req }, next);
+};
+
+/**
+ * @function auditAccess
+ * @description Crea un middleware que registra las consultas (GET) correctas a las rutas de un tipo de registro.
+ * El registro consultado es el primer segmento de la ruta cuando es un ID; en los listados queda vacío.
+ *
+ * @param {String} resourceType - Tipo de registro de las rutas
+ * @returns {Function} Middleware de Express
+ */
+const auditAccess = (resourceType) => (req, res, next) => {
+  if (req.method !== 'GET') {
+    return next();
+  }
+
+  const [segment] = req.path.split('/').filter(Boolean);
+  const resourceId = /^[0-9a-fA-F]{24}$/.test(segment || '') ? segment : undefined;
+
+  res.on('finish', async () => {
+    if (res.statusCode >= 400) return;
+
+    let patient;
+    if (resourceType === 'appointment' && resourceId) {
+      const appointment = await mongoose.model('Appointment').findById(resourceId).select('patient').lean().catch(() => null);
+      patient = appointment ? appointment.patient : undefined;
+    }
+
+    await recordAudit('read', resourceType, { req, resourceId, patient, statusCode: res.statusCode });
+  });
+
+  next();
+};
+
+/**
+ * @function updatedFields
+ * @description Obtiene los campos modificados por una operación de actualización
+ * @private
+ */
+const updatedFields = (update = {}) => {
+  const fields = Object.entries(update).flatMap(([key, value]) => (
+    key.startsWith('$')
+      ? Object.keys(value || {}).filter(field => value[field] !== undefined)
+      : (value !== undefined ? [key] : [])
+  ));
+  return [...new Set(fields)].filter(field => !IGNORED_FIELDS.includes(field));
+};
+
+/**
+ * @function auditPlugin
+ * @description Plugin de Mongoose que registra la creación, modificación y eliminación de los documentos
+ * del modelo: al guardarlos (save) y en las operaciones findOneAndUpdate, updateOne, findOneAndDelete
+ * y deleteOne. Las operaciones sobre varios documentos (updateMany, deleteMany) no se registran.
+ *
+ * @param {mongoose.Schema} schema - Esquema del modelo
+ * @param {Object} options - Opciones del plugin
+ * @param {String} options.resourceType - Tipo de registro del modelo
+ * @param {String} [options.patientPath] - Campo que indica el paciente al que pertenece el documento
+ * @returns {void}
+ */
+const auditPlugin = (schema, { resourceType, patientPath }) => {
+  const patientOf = (doc) => (patientPath && doc ? doc.get(patientPath) : undefined);
+  const filterId = (query) => {
+    const { _id } = query.getFilter();
+    return mongoose.isValidObjectId(_id) ? _id : undefined;
+  };
+
+  schema.pre('save', function(next) {
+    const fields = this.isNew
+      ? Object.keys(this.toObject({ depopulate: true }))
+      : this.directModifiedPaths();
+    this.$locals.auditAction = this.isNew ? 'create' : 'update';
+    this.$locals.auditFields = fields.filter(field => !IGNORED_FIELDS.includes(field));
+    next();
+  });
+
+  schema.post('save', async function() {
+    const { auditAction, auditFields } = this.$locals;
+    this.$locals.auditAction = null;
+    if (!auditAction || (auditAction === 'update' && auditFields.length === 0)) return;
+
+    await recordAudit(auditAction, resourceType, { resourceId: this._id, patient: patientOf(this), fields: auditFields });
+  });
+
+  schema.post('findOneAndUpdate', async function(doc) {
+    if (!doc) return;
+    await recordAudit('update', resourceType, {
+      resourceId: doc._id,
+      patient: patientOf(doc),
+      fields: updatedFields(this.getUpdate())
+    });
+  });
+
+  schema.post('updateOne', { document: false, query: true }, async function(result) {
+    if (!result || !result.modifiedCount) return;
+    await recordAudit('update', resourceType, { resourceId: filterId(this), fields: updatedFields(this.getUpdate()) });
+  });
+
+  schema.post('findOneAndDelete', async function(doc) {
+    if (!doc) return;
+    await recordAudit('delete', resourceType, { resourceId: doc._id, patient: patientOf(doc) });
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, async function() {
+    await recordAudit('delete', resourceType, { resourceId: this._id, patient: patientOf(this) });
+  });
+
+  schema.post('deleteOne', { document: false, query: true }, async function(result) {
+    if (!result || !result.deletedCount) return;
+    await recordAudit('delete', resourceType, { resourceId: filterId(this) });
+  });
+};
+
+module.exports = {
+  computeAuditHash,
+  recordAudit,
+  verifyAuditChain,
+  auditContext,
+  auditAccess,
+  auditPlugin
+};
@@ -0,0 +1,164 @@
+/**
+ * @file document-storage.js
+ * @description Almacenamiento de los archivos de los documentos adjuntos a las citas.
+ * Los archivos se guardan a través de un adaptador elegido en la configuración, de modo que
+ * los controladores no dependan del medio en que se almacenan.
+ *
+ * Un adaptador es un objeto con:
+ * - save(key, buffer, {contentType}): guarda el archivo
+ * - read(key): obtiene un flujo de lectura del archivo
+ * - remove(key): elimina el archivo
+ *
+ * Adaptadores incluidos:
+ * - local: directorio en el disco del servidor (por defecto; solo adecuado con una réplica o un volumen compartido)
+ * - s3: bucket de un servicio compatible con S3 (AWS S3, MinIO, etc.)
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+
+/**
+ * @constant {Map<String, Function>} adapterFactories - Fábricas de adaptadores registradas por nombre
+ * @private
+ */
+const adapterFactories = new Map();
+
+/**
+ * @constant {Map<String, Object>} adapters - Adaptadores ya creados, por nombre
+ * @private
+ */
+const adapters = new Map();
+
+/**
+ * @function createLocalStorage
+ * @description Crea el adaptador de almacenamiento en disco local
+ *
+ * @param {String} [baseDir=config.documents.localDir] - Directorio raíz de los archivos
+ * @returns {Object} Adaptador
+ */
+const createLocalStorage = (baseDir = config.documents.localDir) => {
+  const root = path.resolve(baseDir);
+
+  // Impedir que una clave manipulada acceda a archivos fuera del directorio raíz
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Clave de documento inválida: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    save: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+    read: async (key) => {
+      const filePath = resolveKey(key);
+      await fs.promises.access(filePath);
+      return fs.createReadStream(filePath);
+    },
+    remove: async (key) => {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    }
+  };
+};
+
+/**
+ * @function createS3Storage
+ * @description Crea el adaptador de almacenamiento en un servicio compatible con S3.
+ * El cliente se crea en el primer uso.
+ *
+ * @param {Object} [options=config.s3] - Configuración del bucket y credenciales
+ * @returns {Object} Adaptador
+ */
+const createS3Storage = (options = config.s3) => {
+  let client = null;
+
+  const getClient = () => {
+    if (!options.bucket) {
+      throw new Error('El bucket de documentos no está configurado (S3_BUCKET)');
+    }
+    if (!client) {
+      const { S3Client } = require('@aws-sdk/client-s3');
+      client = new S3Client({
+        region: options.region,
+        endpoint: options.endpoint || undefined,
+        forcePathStyle: options.forcePathStyle,
+        credentials: options.accessKeyId
+          ? { accessKeyId: options.accessKeyId, secretAccessKey: options.secretAccessKey }
+          : undefined
+      });
+    }
+    return client;
+  };
+
+  return {
+    name: 's3',
+    save: async (key, buffer, { contentType } = {}) => {
+      const { PutObjectCommand } = require('@aws-sdk/client-s3');
+      await getClient().send(new PutObjectCommand({
+        Bucket: options.bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType
+      }));
+    },
+    read: async (key) => {
+      const { GetObjectCommand } = require('@aws-sdk/client-s3');
+      const object = await getClient().send(new GetObjectCommand({ Bucket: options.bucket, Key: key }));
+      return object.Body;
+    },
+    remove: async (key) => {
+      const { DeleteObjectCommand } = require('@aws-sdk/client-s3');
+      await getClient().send(new DeleteObjectCommand({ Bucket: options.bucket, Key: key }));
+    }
+  };
+};
+
+/**
+ * @function registerStorageAdapter
+ * @description Registra una fábrica de adaptadores de almacenamiento, reemplazando a la que tenga el mismo nombre
+ *
+ * @param {String} name - Nombre del adaptador (valor de DOCUMENT_STORAGE)
+ * @param {Function} factory - Función que crea el adaptador
+ * @returns {void}
+ */
+const registerStorageAdapter = (name, factory) => {
+  adapterFactories.set(name, factory);
+  adapters.delete(name);
+};
+
+/**
+ * @function getStorage
+ * @description Obtiene un adaptador de almacenamiento, creándolo en el primer uso. Los documentos
+ * registran el adaptador con el que se guardaron, por lo que siguen siendo accesibles aunque cambie la configuración.
+ *
+ * @param {String} [name=config.documents.storage] - Nombre del adaptador
+ * @returns {Object} Adaptador
+ */
+const getStorage = (name = config.documents.storage) => {
+  if (!adapters.has(name)) {
+    const factory = adapterFactories.get(name);
+    if (!factory) {
+      throw new Error(`Almacenamiento de documentos no registrado: ${name}`);
+    }
+    adapters.set(name, factory());
+  }
+  return adapters.get(name);
+};
+
+registerStorageAdapter('local', createLocalStorage);
+registerStorageAdapter('s3', createS3Storage);
+
+module.exports = {
+  createLocalStorage,
+  createS3Storage,
+  registerStorageAdapter,
+  getStorage
+};
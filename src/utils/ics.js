@@ -0,0 +1,160 @@
+/**
+ * @file ics.js
+ * @description Utilidad para interpretar archivos iCalendar (.ics, RFC 5545).
+ * Extrae los eventos (VEVENT) de un calendario de festivos y los convierte en rangos
+ * de fechas inclusivos. Solo se procesan las propiedades necesarias para el calendario
+ * de la clínica (UID, SUMMARY, DTSTART y DTEND); las reglas de recurrencia no se expanden.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const dayjs = require('dayjs');
+
+/**
+ * @function unfoldLines
+ * @description Separa el contenido en líneas y une las líneas plegadas
+ * (las que comienzan con espacio o tabulador continúan la línea anterior)
+ *
+ * @param {String} content - Contenido del archivo .ics
+ * @returns {Array<String>} Líneas lógicas del calendario
+ * @private
+ */
+const unfoldLines = (content) => {
+  return content
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(line => line.trim() !== '');
+};
+
+/**
+ * @function unescapeText
+ * @description Revierte el escapado de valores de texto de iCalendar (\\n, \\, \\; y \\\\)
+ *
+ * @param {String} value - Valor escapado
+ * @returns {String} Texto sin escapar
+ * @private
+ */
+const unescapeText = (value) => {
+  return value
+    .replace(/\\n/gi, ' ')
+    .replace(/\\([,;\\])/g, '$1')
+    .trim();
+};
+
+/**
+ * @function parseLine
+ * @description Separa una línea de contenido en nombre de propiedad, parámetros y valor
+ *
+ * @param {String} line - Línea lógica del calendario (ej. "DTSTART;VALUE=DATE:20261225")
+ * @returns {{name: String, params: Object, value: String}} Componentes de la línea
+ * @private
+ */
+const parseLine = (line) => {
+  const separator = line.indexOf(':');
+  const head = separator === -1 ? line : line.slice(0, separator);
+  const value = separator === -1 ? '' : line.slice(separator + 1);
+  const [name, ...rawParams] = head.split(';');
+
+  const params = rawParams.reduce((acc, param) => {
+    const [key, paramValue] = param.split('=');
+    acc[key.toUpperCase()] = paramValue;
+    return acc;
+  }, {});
+
+  return { name: name.toUpperCase(), params, value };
+};
+
+/**
+ * @function parseDate
+ * @description Convierte un valor DATE o DATE-TIME de iCalendar a fecha YYYY-MM-DD
+ *
+ * @param {String} value - Valor de la propiedad (ej. "20261225" o "20261225T000000Z")
+ * @returns {{date: String, allDay: boolean, midnight: boolean}|null} Fecha normalizada o null si es inválida
+ * @private
+ */
+const parseDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+  const date = `${match[1]}-${match[2]}-${match[3]}`;
+  if (!dayjs(date).isValid()) {
+    return null;
+  }
+  return {
+    date,
+    allDay: !match[4],
+    midnight: !match[4] || (match[5] === '00' && match[6] === '00' && match[7] === '00')
+  };
+};
+
+/**
+ * @function parseHolidayCalendar
+ * @description Interpreta un archivo .ics y devuelve sus eventos como festivos.
+ * DTEND es exclusivo según RFC 5545, por lo que la fecha de fin devuelta es el día anterior
+ * cuando el evento termina a medianoche. Los eventos sin DTEND duran un único día.
+ *
+ * @param {String} content - Contenido del archivo .ics
+ * @returns {{events: Array<{uid: String, name: String, startDate: String, endDate: String}>, errors: Array<String>}}
+ * Eventos válidos y descripción de los eventos descartados
+ * @throws {Error} Si el contenido no es un calendario iCalendar
+ */
+const parseHolidayCalendar = (content) => {
+  if (typeof content !== 'string' || !/BEGIN:VCALENDAR/i.test(content)) {
+    throw new Error('El contenido no es un calendario iCalendar válido');
+  }
+
+  const events = [];
+  const errors = [];
+  let current = null;
+
+  unfoldLines(content).forEach(line => {
+    const { name, value } = parseLine(line);
+
+    if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+      current = {};
+      return;
+    }
+
+    if (name === 'END' && value.toUpperCase() === 'VEVENT') {
+      const start = current.dtstart && parseDate(current.dtstart);
+      const end = current.dtend && parseDate(current.dtend);
+      const label = current.summary || current.uid || `evento ${events.length + errors.length + 1}`;
+
+      if (!start) {
+        errors.push(`${label}: DTSTART ausente o inválido`);
+      } else {
+        // DTEND es exclusivo: un evento que termina a medianoche no incluye ese día
+        let endDate = start.date;
+        if (end) {
+          endDate = end.midnight ? dayjs(end.date).subtract(1, 'day').format('YYYY-MM-DD') : end.date;
+          if (endDate < start.date) endDate = start.date;
+        }
+        events.push({
+          uid: current.uid,
+          name: current.summary || 'Festivo',
+          startDate: start.date,
+          endDate
+        });
+      }
+      current = null;
+      return;
+    }
+
+    if (!current) {
+      return;
+    }
+
+    if (name === 'UID') current.uid = value.trim();
+    if (name === 'SUMMARY') current.summary = unescapeText(value);
+    if (name === 'DTSTART') current.dtstart = value;
+    if (name === 'DTEND') current.dtend = value;
+  });
+
+  return { events, errors };
+};
+
+module.exports = {
+  parseHolidayCalendar
+};
@@ -0,0 +1,407 @@
+/**
+ * @file job-scheduler.js
+ * @description Programador de trabajos periódicos respaldado en MongoDB.
+ * Los trabajos se definen en código con una expresión cron y se registran en la colección de
+ * trabajos, donde se guarda su próxima ejecución. Cada réplica del servidor revisa periódicamente
+ * los trabajos que corresponde ejecutar y los reclama con una actualización atómica: solo la
+ * réplica que obtiene el bloqueo ejecuta el trabajo y lo renueva periódicamente mientras se ejecuta.
+ * Si una réplica se detiene a mitad de una ejecución, el bloqueo vence y otra lo retoma; la réplica
+ * que perdió el bloqueo no escribe el resultado en el trabajo. Como la próxima ejecución está persistida, una
+ * ejecución que coincide con un reinicio se realiza en cuanto el servidor vuelve a estar disponible.
+ * Cada ejecución queda registrada en el historial, y las fallidas se reintentan con espera exponencial.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const cronParser = require('cron-parser');
+const Job = require('../models/job.model');
+const JobRun = require('../models/job-run.model');
+const { logger } = require('./logger');
+const { getClinicTimezone } = require('./timezone');
+
+/**
+ * @constant {String} WORKER_ID - Identificador de este proceso en los bloqueos y en el historial
+ */
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+/**
+ * @constant {number} POLL_INTERVAL_MS - Intervalo con el que se revisan los trabajos que corresponde ejecutar
+ */
+const POLL_INTERVAL_MS = 15 * 1000;
+
+/**
+ * @constant {number} DEFAULT_LOCK_MS - Duración por defecto del bloqueo de un trabajo en ejecución
+ */
+const DEFAULT_LOCK_MS = 10 * 60 * 1000;
+
+/**
+ * @constant {number} LOCK_RENEWALS - Renovaciones del bloqueo dentro de su duración, para que una
+ * renovación fallida no lo deje vencer mientras el trabajo sigue ejecutándose
+ */
+const LOCK_RENEWALS = 3;
+
+/**
+ * @constant {number} DEFAULT_RETRY_DELAY_MS - Espera por defecto antes del primer reintento
+ */
+const DEFAULT_RETRY_DELAY_MS = 60 * 1000;
+
+/**
+ * @constant {Map<String, Object>} definitions - Trabajos definidos en este proceso, por nombre
+ * @private
+ */
+const definitions = new Map();
+
+/**
+ * @type {boolean} isPolling - Evita que dos revisiones de este proceso se superpongan
+ * @private
+ */
+let isPolling = false;
+
+/**
+ * @function getNextRunAt
+ * @description Calcula la siguiente ejecución de una expresión cron
+ *
+ * @param {String} cron - Expresión cron (5 campos, o 6 con segundos)
+ * @param {String} timezone - Zona horaria IANA en la que se interpreta la expresión
+ * @param {Date} [from=new Date()] - Instante a partir del cual se busca la siguiente ejecución
+ * @returns {Date} Siguiente ejecución
+ * @throws {Error} Si la expresión cron no es válida
+ */
+const getNextRunAt = (cron, timezone, from = new Date()) => {
+  return cronParser.parseExpression(cron, { currentDate: from, tz: timezone }).next().toDate();
+};
+
+/**
+ * @function defineJob
+ * @description Define un trabajo periódico. La definición se registra en la base de datos al iniciar el programador.
+ *
+ * @param {String} name - Nombre único del trabajo
+ * @param {Object} options - Opciones del trabajo
+ * @param {String} options.cron - Expresión cron que define cuándo se ejecuta
+ * @param {Function} options.handler - Función asíncrona que realiza el trabajo; un error marca la ejecución como fallida
+ * @param {String} [options.description] - Descripción del trabajo
+ * @param {String} [options.timezone] - Zona horaria de la expresión cron (por defecto, la de la clínica)
+ * @param {number} [options.maxAttempts=1] - Intentos por ejecución programada antes de esperar a la siguiente
+ * @param {number} [options.retryDelayMs=60000] - Espera antes del primer reintento; se duplica en cada intento
+ * @param {number} [options.lockMs=600000] - Tiempo que se mantiene el bloqueo sin renovar; se renueva
+ * mientras el trabajo se ejecuta y vence si el proceso se detiene
+ * @returns {void}
+ * @throws {Error} Si la expresión cron no es válida
+ */
+const defineJob = (name, options) => {
+  const definition = {
+    name,
+    description: options.description,
+    cron: options.cron,
+    timezone: options.timezone || getClinicTimezone(),
+    handler: options.handler,
+    maxAttempts: options.maxAttempts || 1,
+    retryDelayMs: options.retryDelayMs || DEFAULT_RETRY_DELAY_MS,
+    lockMs: options.lockMs || DEFAULT_LOCK_MS
+  };
+
+  // Validar la expresión cron al definir el trabajo
+  getNextRunAt(definition.cron, definition.timezone);
+  definitions.set(name, definition);
+};
+
+/**
+ * @function getJobDefinition
+ * @description Obtiene la definición de un trabajo
+ *
+ * @param {String} name - Nombre del trabajo
+ * @returns {Object|null} Definición del trabajo, o null si no está definido en este proceso
+ */
+const getJobDefinition = (name) => definitions.get(name) || null;
+
+/**
+ * @function syncJobs
+ * @description Registra en la base de datos los trabajos definidos. Un trabajo nuevo se ejecuta por
+ * primera vez en cuanto se registra; si cambió su expresión cron o su zona horaria, se reprograma.
+ *
+ * @returns {Promise<void>}
+ * @private
+ */
+const syncJobs = async () => {
+  for (const definition of definitions.values()) {
+    const { name, description, cron, timezone } = definition;
+
+    try {
+      await Job.updateOne(
+        { name },
+        { $set: { description }, $setOnInsert: { cron, timezone, nextRunAt: new Date() } },
+        { upsert: true }
+      );
+    } catch (error) {
+      // Otra réplica registró el trabajo a la vez
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+
+    await Job.updateOne(
+      { name, $or: [{ cron: { $ne: cron } }, { timezone: { $ne: timezone } }] },
+      { cron, timezone, nextRunAt: getNextRunAt(cron, timezone), attempt: 0 }
+    );
+  }
+};
+
+/**
+ * @function acquireJob
+ * @description Reclama de forma atómica el bloqueo de un trabajo que no se está ejecutando en ningún proceso
+ *
+ * @param {String} name - Nombre del trabajo
+ * @param {Object} filter - Condiciones adicionales (por ejemplo, que su ejecución ya corresponda)
+ * @returns {Promise<Object|null>} Trabajo bloqueado, o null si otro proceso lo tiene o no cumple las condiciones
+ * @private
+ */
+const acquireJob = (name, filter) => {
+  const now = new Date();
+  const definition = definitions.get(name);
+
+  return Job.findOneAndUpdate(
+    {
+      name,
+      ...filter,
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    },
+    {
+      lockedBy: WORKER_ID,
+      lockedUntil: new Date(now.getTime() + definition.lockMs),
+      lastRunAt: now
+    },
+    { new: true }
+  );
+};
+
+/**
+ * @function lockFilter
+ * @description Filtro que identifica el bloqueo obtenido por este proceso en una ejecución concreta.
+ * Incluye el instante en que se obtuvo, para distinguirlo de un bloqueo posterior del mismo proceso.
+ *
+ * @param {Object} job - Trabajo bloqueado por este proceso
+ * @returns {Object} Filtro de consulta
+ * @private
+ */
+const lockFilter = (job) => ({ name: job.name, lockedBy: WORKER_ID, lastRunAt: job.lastRunAt });
+
+/**
+ * @function keepLock
+ * @description Renueva periódicamente el bloqueo de un trabajo mientras se ejecuta. Si otro proceso
+ * obtuvo el bloqueo (porque venció sin renovarse), deja de renovarlo y lo registra.
+ *
+ * @param {Object} job - Trabajo bloqueado por este proceso
+ * @param {number} lockMs - Duración del bloqueo
+ * @returns {Function} Función que detiene la renovación
+ * @private
+ */
+const keepLock = (job, lockMs) => {
+  const timer = setInterval(async () => {
+    try {
+      const result = await Job.updateOne(lockFilter(job), { lockedUntil: new Date(Date.now() + lockMs) });
+      if (result.matchedCount === 0) {
+        clearInterval(timer);
+        logger.warn(`Se perdió el bloqueo del trabajo ${job.name} durante su ejecución`, { worker: WORKER_ID });
+      }
+    } catch (error) {
+      logger.error(`Error al renovar el bloqueo del trabajo ${job.name}:`, error);
+    }
+  }, Math.floor(lockMs / LOCK_RENEWALS));
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+/**
+ * @function executeRun
+ * @description Ejecuta un trabajo bloqueado, registra el resultado en el historial y libera el bloqueo.
+ * Una ejecución programada fallida se reintenta mientras queden intentos; después se espera a la
+ * siguiente ejecución de la expresión cron. Las ejecuciones manuales no modifican la programación.
+ * El bloqueo se renueva durante la ejecución. Si aun así otro proceso lo obtuvo, el resultado solo
+ * queda en el historial, como ejecución fallida, y el trabajo conserva el estado que escriba ese proceso.
+ *
+ * @param {Object} job - Trabajo bloqueado por este proceso
+ * @param {Object} run - Registro de la ejecución
+ * @returns {Promise<Object>} Registro de la ejecución finalizada
+ * @private
+ */
+const executeRun = async (job, run) => {
+  const definition = definitions.get(job.name);
+  let result;
+  let failure = null;
+
+  const stopRenewal = keepLock(job, definition.lockMs);
+  try {
+    result = await definition.handler({ job, run });
+  } catch (error) {
+    failure = error;
+  } finally {
+    stopRenewal();
+  }
+
+  const finishedAt = new Date();
+  const update = {
+    lockedBy: null,
+    lockedUntil: null,
+    lastStatus: failure ? 'failed' : 'succeeded',
+    lastError: failure ? failure.message : null
+  };
+  if (run.trigger !== 'manual') {
+    if (failure && run.attempt < definition.maxAttempts) {
+      update.attempt = run.attempt;
+      update.nextRunAt = new Date(finishedAt.getTime() + definition.retryDelayMs * 2 ** (run.attempt - 1));
+    } else {
+      update.attempt = 0;
+      update.nextRunAt = getNextRunAt(job.cron, job.timezone, finishedAt);
+    }
+  }
+
+  // Escribir el resultado y liberar el bloqueo solo si este proceso sigue siendo su dueño
+  const { matchedCount } = await Job.updateOne(lockFilter(job), update);
+  if (matchedCount === 0) {
+    failure = failure || new Error('El bloqueo del trabajo venció y otro proceso lo obtuvo durante la ejecución');
+    update.nextRunAt = undefined;
+  }
+
+  run.status = failure ? 'failed' : 'succeeded';
+  run.finishedAt = finishedAt;
+  run.durationMs = finishedAt.getTime() - run.startedAt.getTime();
+  run.result = result;
+  run.error = failure ? failure.message : undefined;
+  await run.save();
+
+  if (failure) {
+    logger.error(`Error en la ejecución del trabajo ${job.name}`, {
+      runId: run._id,
+      trigger: run.trigger,
+      attempt: run.attempt,
+      nextRunAt: update.nextRunAt,
+      error: failure.message
+    });
+  } else {
+    logger.info(`Trabajo ${job.name} ejecutado en ${run.durationMs} ms`, { runId: run._id, trigger: run.trigger, result });
+  }
+
+  return run;
+};
+
+/**
+ * @function pollJobs
+ * @description Ejecuta los trabajos no pausados cuya próxima ejecución ya corresponde y que
+ * ningún otro proceso está ejecutando
+ *
+ * @returns {Promise<number>} Número de trabajos ejecutados por este proceso
+ */
+const pollJobs = async () => {
+  if (isPolling) {
+    return 0;
+  }
+  isPolling = true;
+
+  let executed = 0;
+  try {
+    for (const name of definitions.keys()) {
+      const job = await acquireJob(name, { paused: false, nextRunAt: { $lte: new Date() } });
+      if (!job) {
+        continue;
+      }
+
+      const run = await JobRun.create({
+        job: name,
+        trigger: job.attempt > 0 ? 'retry' : 'schedule',
+        attempt: job.attempt + 1,
+        worker: WORKER_ID
+      });
+      await executeRun(job, run);
+      executed += 1;
+    }
+  } catch (error) {
+    logger.error('Error al revisar los trabajos programados:', error);
+  } finally {
+    isPolling = false;
+  }
+  return executed;
+};
+
+/**
+ * @function runJobNow
+ * @description Inicia una ejecución manual de un trabajo, aunque esté pausado.
+ * La ejecución continúa en segundo plano; su resultado queda en el historial.
+ *
+ * @param {String} name - Nombre del trabajo
+ * @param {ObjectId} [triggeredBy] - Administrador que solicita la ejecución
+ * @returns {Promise<Object|null>} Registro de la ejecución iniciada, o null si el trabajo ya se está ejecutando
+ */
+const runJobNow = async (name, triggeredBy) => {
+  const job = await acquireJob(name, {});
+  if (!job) {
+    return null;
+  }
+
+  const run = await JobRun.create({ job: name, trigger: 'manual', triggeredBy, worker: WORKER_ID });
+  executeRun(job, run).catch(error => {
+    logger.error(`Error al finalizar la ejecución manual del trabajo ${name}:`, error);
+  });
+  return run;
+};
+
+/**
+ * @function setJobPaused
+ * @description Pausa o reanuda las ejecuciones programadas de un trabajo.
+ * Al reanudarlo se programa la siguiente ejecución a partir de ese momento, sin recuperar las omitidas.
+ *
+ * @param {String} name - Nombre del trabajo
+ * @param {boolean} paused - true para pausar, false para reanudar
+ * @param {ObjectId} [actor] - Administrador que realiza el cambio
+ * @returns {Promise<Object|null>} Trabajo actualizado, o null si no existe
+ */
+const setJobPaused = async (name, paused, actor) => {
+  const job = await Job.findOne({ name });
+  if (!job) {
+    return null;
+  }
+
+  job.paused = paused;
+  if (paused) {
+    job.pausedAt = new Date();
+    job.pausedBy = actor;
+  } else {
+    job.pausedAt = undefined;
+    job.pausedBy = undefined;
+    job.attempt = 0;
+    job.nextRunAt = getNextRunAt(job.cron, job.timezone);
+  }
+  await job.save();
+  return job;
+};
+
+/**
+ * @function startJobScheduler
+ * @description Registra los trabajos definidos e inicia la revisión periódica de los que corresponde ejecutar
+ *
+ * @returns {Promise<void>}
+ */
+const startJobScheduler = async () => {
+  try {
+    await syncJobs();
+  } catch (error) {
+    logger.error('Error al registrar los trabajos programados:', error);
+  }
+
+  pollJobs();
+  setInterval(pollJobs, POLL_INTERVAL_MS);
+  logger.info(`Programador de trabajos iniciado en ${WORKER_ID}. Trabajos: ${[...definitions.keys()].join(', ')}`);
+};
+
+module.exports = {
+  WORKER_ID,
+  getNextRunAt,
+  defineJob,
+  getJobDefinition,
+  pollJobs,
+  runJobNow,
+  setJobPaused,
+  startJobScheduler
+};
@@ -57,6 +57,13 @@ const logger = winston.createLogger({
   ]
 });
 
+/**
+ * Oculta el token de acceso que las conexiones de eventos (SSE) envían en la URL
+ * @param {string} url - URL de la petición
+ * @returns {string} URL sin el valor del token
+ */
+const maskAccessToken = (url) => url.replace(/([?&]access_token=)[^&]*/, '$1***');
+
 /**
  * Middleware para registrar las peticiones HTTP
  * @param {import('express').Request} req
@@ -72,7 +79,7 @@ const requestLogger = (req, res, next) => {
     const duration = Date.now() - start;
     logger.info('HTTP Request', {
       method: req.method,
-      url: req.originalUrl,
+      url: maskAccessToken(req.originalUrl),
       status: res.statusCode,
       duration: `${duration}ms`,
       ip: req.ip,
@@ -109,5 +116,6 @@ const handleUncaughtErrors = () => {
 module.exports = {
   logger,
   requestLogger,
+  maskAccessToken,
   handleUncaughtErrors
 };
\ No newline at end of file
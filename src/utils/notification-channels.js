@@ -0,0 +1,249 @@
+/**
+ * @file notification-channels.js
+ * @description Canales de envío de notificaciones a pacientes y médicos.
+ * Cada canal es un objeto con un método asíncrono send(message) que entrega el mensaje
+ * al destinatario por un medio concreto. Los canales se registran por nombre, de modo que
+ * se puedan añadir o reemplazar (por ejemplo, en pruebas) sin modificar a quien envía.
+ *
+ * Canales incluidos:
+ * - email: correo electrónico por SMTP
+ * - sms: mensajes de texto a través de un adaptador de proveedor
+ * - log: archivo local o log de la aplicación, para desarrollo y pruebas
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const { logger } = require('./logger');
+
+/**
+ * @typedef {Object} NotificationMessage
+ * @description Mensaje que se entrega a través de un canal
+ *
+ * @property {Object} recipient - Destinatario
+ * @property {String} recipient.name - Nombre del destinatario
+ * @property {String} [recipient.email] - Correo electrónico del destinatario
+ * @property {String} [recipient.phoneNumber] - Teléfono del destinatario
+ * @property {String} subject - Asunto del mensaje
+ * @property {String} text - Cuerpo del mensaje en texto plano
+ */
+
+/**
+ * @constant {Map<String, Object>} channels - Canales registrados por nombre
+ * @private
+ */
+const channels = new Map();
+
+/**
+ * @function missingRecipientError
+ * @description Crea el error que se lanza cuando el destinatario no tiene la dirección que requiere el canal
+ *
+ * @param {String} channel - Nombre del canal
+ * @param {String} field - Campo de contacto faltante
+ * @returns {Error} Error con código MISSING_RECIPIENT
+ * @private
+ */
+const missingRecipientError = (channel, field) => {
+  const error = new Error(`El destinatario no tiene ${field} para el canal ${channel}`);
+  error.code = 'MISSING_RECIPIENT';
+  return error;
+};
+
+/**
+ * @function createEmailChannel
+ * @description Crea el canal de correo electrónico. El transporte SMTP se crea en el primer envío.
+ *
+ * @param {Object} [options=config.smtp] - Configuración del servidor SMTP
+ * @param {String} [from=config.notifications.from] - Remitente de los correos
+ * @returns {Object} Canal con método send
+ */
+const createEmailChannel = (options = config.smtp, from = config.notifications.from) => {
+  let transport = null;
+
+  return {
+    name: 'email',
+    send: async ({ recipient, subject, text }) => {
+      if (!recipient.email) {
+        throw missingRecipientError('email', 'correo electrónico');
+      }
+      if (!options.host) {
+        throw new Error('El servidor SMTP no está configurado (SMTP_HOST)');
+      }
+
+      if (!transport) {
+        const nodemailer = require('nodemailer');
+        transport = nodemailer.createTransport({
+          host: options.host,
+          port: options.port,
+          secure: options.secure,
+          auth: options.user ? { user: options.user, pass: options.pass } : undefined
+        });
+      }
+
+      const info = await transport.sendMail({
+        from,
+        to: recipient.name ? `${recipient.name} <${recipient.email}>` : recipient.email,
+        subject,
+        text
+      });
+      return { id: info.messageId };
+    }
+  };
+};
+
+/**
+ * @constant {Object} smsProviders - Adaptadores de proveedores de SMS por nombre.
+ * Cada adaptador recibe la configuración de SMS y devuelve una función que envía un mensaje.
+ * @private
+ */
+const smsProviders = {
+  /**
+   * Proveedor genérico con API REST: envía {from, to, body} como JSON con autenticación Bearer
+   */
+  http: (options) => async ({ to, body }) => {
+    if (!options.apiUrl) {
+      throw new Error('El proveedor de SMS no está configurado (SMS_API_URL)');
+    }
+
+    const response = await fetch(options.apiUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(options.apiKey ? { Authorization: `Bearer ${options.apiKey}` } : {})
+      },
+      body: JSON.stringify({ from: options.from, to, body })
+    });
+    if (!response.ok) {
+      throw new Error(`El proveedor de SMS respondió con estado ${response.status}`);
+    }
+
+    const result = await response.json().catch(() => ({}));
+    return { id: result.id || result.sid || null };
+  }
+};
+
+/**
+ * @function registerSmsProvider
+ * @description Registra un adaptador de proveedor de SMS
+ *
+ * @param {String} name - Nombre del proveedor (valor de SMS_PROVIDER)
+ * @param {Function} factory - Función que recibe la configuración de SMS y devuelve la función de envío
+ * @returns {void}
+ */
+const registerSmsProvider = (name, factory) => {
+  smsProviders[name] = factory;
+};
+
+/**
+ * @function createSmsChannel
+ * @description Crea el canal de SMS usando el adaptador del proveedor configurado
+ *
+ * @param {Object} [options=config.sms] - Configuración del proveedor de SMS
+ * @returns {Object} Canal con método send
+ */
+const createSmsChannel = (options = config.sms) => {
+  let sendSms = null;
+
+  return {
+    name: 'sms',
+    send: async ({ recipient, subject, text }) => {
+      if (!recipient.phoneNumber) {
+        throw missingRecipientError('sms', 'teléfono');
+      }
+
+      if (!sendSms) {
+        const provider = smsProviders[options.provider];
+        if (!provider) {
+          throw new Error(`Proveedor de SMS desconocido: ${options.provider}`);
+        }
+        sendSms = provider(options);
+      }
+
+      return sendSms({ to: recipient.phoneNumber, body: `${subject}: ${text}` });
+    }
+  };
+};
+
+/**
+ * @function createLogChannel
+ * @description Crea el canal local para desarrollo y pruebas. Si se indica un archivo, cada mensaje
+ * se añade como una línea JSON; si no, se registra en el log de la aplicación.
+ *
+ * @param {String|null} [file=config.notifications.logFile] - Ruta del archivo de salida
+ * @returns {Object} Canal con método send
+ */
+const createLogChannel = (file = config.notifications.logFile) => ({
+  name: 'log',
+  send: async ({ recipient, subject, text }) => {
+    const entry = {
+      sentAt: new Date().toISOString(),
+      to: { name: recipient.name, email: recipient.email, phoneNumber: recipient.phoneNumber },
+      subject,
+      text
+    };
+
+    if (file) {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, `${JSON.stringify(entry)}\n`);
+    } else {
+      logger.info(`Notificación: ${subject}`, entry);
+    }
+    return { id: null };
+  }
+});
+
+/**
+ * @function registerChannel
+ * @description Registra un canal, reemplazando al que tenga el mismo nombre
+ *
+ * @param {String} name - Nombre del canal
+ * @param {Object} channel - Canal con método asíncrono send(message)
+ * @returns {void}
+ */
+const registerChannel = (name, channel) => {
+  if (!channel || typeof channel.send !== 'function') {
+    throw new Error(`El canal ${name} debe implementar send(message)`);
+  }
+  channels.set(name, channel);
+};
+
+/**
+ * @function getChannel
+ * @description Obtiene un canal registrado
+ *
+ * @param {String} name - Nombre del canal
+ * @returns {Object|null} Canal, o null si no está registrado
+ */
+const getChannel = (name) => channels.get(name) || null;
+
+/**
+ * @function sendThroughChannel
+ * @description Envía un mensaje por un canal registrado
+ *
+ * @param {String} name - Nombre del canal
+ * @param {NotificationMessage} message - Mensaje a enviar
+ * @returns {Promise<Object>} Resultado del envío ({id} asignado por el canal, si lo hay)
+ */
+const sendThroughChannel = async (name, message) => {
+  const channel = getChannel(name);
+  if (!channel) {
+    throw new Error(`Canal de notificación no registrado: ${name}`);
+  }
+  return channel.send(message);
+};
+
+registerChannel('email', createEmailChannel());
+registerChannel('sms', createSmsChannel());
+registerChannel('log', createLogChannel());
+
+module.exports = {
+  createEmailChannel,
+  createSmsChannel,
+  createLogChannel,
+  registerSmsProvider,
+  registerChannel,
+  getChannel,
+  sendThroughChannel
+};
@@ -0,0 +1,190 @@
+/**
+ * @file notification-templates.js
+ * @description Plantillas de las notificaciones transaccionales de citas en español e inglés.
+ * Cada evento de una cita (agendada, confirmada, reprogramada, cancelada) tiene un texto para
+ * el paciente y otro para el médico, en cada idioma admitido. Los recordatorios de citas confirmadas
+ * usan la plantilla reminder, dirigida solo al paciente.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const dayjs = require('dayjs');
+
+/**
+ * @constant {Array<String>} SUPPORTED_LANGUAGES - Idiomas admitidos para las notificaciones
+ */
+const SUPPORTED_LANGUAGES = ['es', 'en'];
+
+/**
+ * @constant {String} DEFAULT_LANGUAGE - Idioma usado cuando el destinatario no tiene uno admitido
+ */
+const DEFAULT_LANGUAGE = 'es';
+
+/**
+ * @constant {Array<String>} NOTIFICATION_EVENTS - Eventos de citas que generan notificaciones
+ */
+const NOTIFICATION_EVENTS = ['booked', 'confirmed', 'rescheduled', 'cancelled'];
+
+/**
+ * @constant {Object} DATE_FORMATS - Formato de fecha de cada idioma
+ * @private
+ */
+const DATE_FORMATS = {
+  es: 'DD/MM/YYYY',
+  en: 'MM/DD/YYYY'
+};
+
+/**
+ * @constant {Object} TEMPLATES - Plantillas por idioma, evento (o reminder) y rol del destinatario.
+ * Cada plantilla recibe el contexto con los datos de la cita ya formateados:
+ * patientName, doctorName, speciality, date, time, timezone, previousDate, previousTime y reason.
+ * @private
+ */
+const TEMPLATES = {
+  es: {
+    booked: {
+      patient: {
+        subject: 'Cita agendada',
+        text: ctx => `Hola ${ctx.patientName}, su cita con ${ctx.doctorName} (${ctx.speciality}) quedó agendada para el ${ctx.date} a las ${ctx.time} (hora de ${ctx.timezone}). Le avisaremos cuando el médico la confirme.`
+      },
+      doctor: {
+        subject: 'Nueva cita agendada',
+        text: ctx => `Hola ${ctx.doctorName}, ${ctx.patientName} agendó una cita para el ${ctx.date} a las ${ctx.time} (hora de ${ctx.timezone}). La cita está pendiente de su confirmación.`
+      }
+    },
+    confirmed: {
+      patient: {
+        subject: 'Cita confirmada',
+        text: ctx => `Hola ${ctx.patientName}, ${ctx.doctorName} confirmó su cita del ${ctx.date} a las ${ctx.time} (hora de ${ctx.timezone}).`
+      },
+      doctor: {
+        subject: 'Cita confirmada',
+        text: ctx => `Hola ${ctx.doctorName}, la cita con ${ctx.patientName} del ${ctx.date} a las ${ctx.time} (hora de ${ctx.timezone}) quedó confirmada.`
+      }
+    },
+    rescheduled: {
+      patient: {
+        subject: 'Cita reprogramada',
+        text: ctx => `Hola ${ctx.patientName}, su cita con ${ctx.doctorName} del ${ctx.previousDate} a las ${ctx.previousTime} se reprogramó para el ${ctx.date} a las ${ctx.time} (hora de ${ctx.timezone}).`
+      },
+      doctor: {
+        subject: 'Cita reprogramada',
+        text: ctx => `Hola ${ctx.doctorName}, la cita con ${ctx.patientName} del ${ctx.previousDate} a las ${ctx.previousTime} se reprogramó para el ${ctx.date} a las ${ctx.time} (hora de ${ctx.timezone}).`
+      }
+    },
+    cancelled: {
+      patient: {
+        subject: 'Cita cancelada',
+        text: ctx => `Hola ${ctx.patientName}, su cita con ${ctx.doctorName} del ${ctx.date} a las ${ctx.time} (hora de ${ctx.timezone}) fue cancelada.${ctx.reason ? ` Motivo: ${ctx.reason}` : ''}`
+      },
+      doctor: {
+        subject: 'Cita cancelada',
+        text: ctx => `Hola ${ctx.doctorName}, la cita con ${ctx.patientName} del ${ctx.date} a las ${ctx.time} (hora de ${ctx.timezone}) fue cancelada.${ctx.reason ? ` Motivo: ${ctx.reason}` : ''}`
+      }
+    },
+    reminder: {
+      patient: {
+        subject: 'Recordatorio de cita médica',
+        text: ctx => `Hola ${ctx.patientName}, le recordamos su cita con ${ctx.doctorName} (${ctx.speciality}) el ${ctx.date} a las ${ctx.time} (hora de ${ctx.timezone}). Si no puede asistir, cancele la cita para liberar el horario.`
+      }
+    }
+  },
+  en: {
+    booked: {
+      patient: {
+        subject: 'Appointment booked',
+        text: ctx => `Hello ${ctx.patientName}, your appointment with ${ctx.doctorName} (${ctx.speciality}) has been booked for ${ctx.date} at ${ctx.time} (${ctx.timezone} time). We will let you know once the doctor confirms it.`
+      },
+      doctor: {
+        subject: 'New appointment booked',
+        text: ctx => `Hello ${ctx.doctorName}, ${ctx.patientName} booked an appointment for ${ctx.date} at ${ctx.time} (${ctx.timezone} time). The appointment is awaiting your confirmation.`
+      }
+    },
+    confirmed: {
+      patient: {
+        subject: 'Appointment confirmed',
+        text: ctx => `Hello ${ctx.patientName}, ${ctx.doctorName} confirmed your appointment on ${ctx.date} at ${ctx.time} (${ctx.timezone} time).`
+      },
+      doctor: {
+        subject: 'Appointment confirmed',
+        text: ctx => `Hello ${ctx.doctorName}, the appointment with ${ctx.patientName} on ${ctx.date} at ${ctx.time} (${ctx.timezone} time) is confirmed.`
+      }
+    },
+    rescheduled: {
+      patient: {
+        subject: 'Appointment rescheduled',
+        text: ctx => `Hello ${ctx.patientName}, your appointment with ${ctx.doctorName} on ${ctx.previousDate} at ${ctx.previousTime} has been moved to ${ctx.date} at ${ctx.time} (${ctx.timezone} time).`
+      },
+      doctor: {
+        subject: 'Appointment rescheduled',
+        text: ctx => `Hello ${ctx.doctorName}, the appointment with ${ctx.patientName} on ${ctx.previousDate} at ${ctx.previousTime} has been moved to ${ctx.date} at ${ctx.time} (${ctx.timezone} time).`
+      }
+    },
+    cancelled: {
+      patient: {
+        subject: 'Appointment cancelled',
+        text: ctx => `Hello ${ctx.patientName}, your appointment with ${ctx.doctorName} on ${ctx.date} at ${ctx.time} (${ctx.timezone} time) has been cancelled.${ctx.reason ? ` Reason: ${ctx.reason}` : ''}`
+      },
+      doctor: {
+        subject: 'Appointment cancelled',
+        text: ctx => `Hello ${ctx.doctorName}, the appointment with ${ctx.patientName} on ${ctx.date} at ${ctx.time} (${ctx.timezone} time) has been cancelled.${ctx.reason ? ` Reason: ${ctx.reason}` : ''}`
+      }
+    },
+    reminder: {
+      patient: {
+        subject: 'Appointment reminder',
+        text: ctx => `Hello ${ctx.patientName}, this is a reminder of your appointment with ${ctx.doctorName} (${ctx.speciality}) on ${ctx.date} at ${ctx.time} (${ctx.timezone} time). If you cannot attend, please cancel the appointment to free up the slot.`
+      }
+    }
+  }
+};
+
+/**
+ * @function resolveLanguage
+ * @description Obtiene el idioma admitido a usar para un destinatario
+ *
+ * @param {String} [language] - Idioma preferido del destinatario
+ * @returns {String} Idioma admitido
+ */
+const resolveLanguage = (language) => SUPPORTED_LANGUAGES.includes(language) ? language : DEFAULT_LANGUAGE;
+
+/**
+ * @function renderNotification
+ * @description Genera el asunto y el texto de una notificación o un recordatorio de cita
+ *
+ * @param {String} event - Evento de la cita (booked, confirmed, rescheduled, cancelled), o reminder
+ * @param {String} role - Rol del destinatario ('patient' o 'doctor')
+ * @param {String} language - Idioma del destinatario
+ * @param {Object} context - Datos de la cita
+ * @param {String} context.date - Fecha local de la cita (YYYY-MM-DD)
+ * @param {String} [context.previousDate] - Fecha local anterior, en reprogramaciones (YYYY-MM-DD)
+ * @returns {{language: String, subject: String, text: String}} Notificación en el idioma resuelto
+ */
+const renderNotification = (event, role, language, context) => {
+  const resolved = resolveLanguage(language);
+  const template = TEMPLATES[resolved][event] && TEMPLATES[resolved][event][role];
+  if (!template) {
+    throw new Error(`No existe plantilla de notificación para el evento ${event} y el rol ${role}`);
+  }
+
+  const formatDate = date => (date ? dayjs(date).format(DATE_FORMATS[resolved]) : date);
+  const formatted = {
+    ...context,
+    date: formatDate(context.date),
+    previousDate: formatDate(context.previousDate)
+  };
+
+  return {
+    language: resolved,
+    subject: template.subject,
+    text: template.text(formatted)
+  };
+};
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  NOTIFICATION_EVENTS,
+  resolveLanguage,
+  renderNotification
+};
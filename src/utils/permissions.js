@@ -0,0 +1,176 @@
+/**
+ * @file permissions.js
+ * @description Política de permisos de la API.
+ * Define de forma declarativa qué acciones puede realizar cada rol sobre cada tipo de recurso,
+ * de modo que todas las rutas y controladores apliquen las mismas reglas de acceso.
+ *
+ * Los permisos tienen la forma `recurso:acción` (por ejemplo, `appointment:cancel`):
+ * - `recurso:acción`: el rol puede realizar la acción sobre cualquier registro
+ * - `recurso:acción:own`: el rol solo puede realizarla sobre los registros de los que es propietario.
+ *   Quiénes son los propietarios lo indica cada ruta o controlador (por ejemplo, el paciente y el
+ *   médico de una cita, o el usuario cuyo ID figura en la ruta).
+ *
+ * Roles: patient, doctor y admin (campo role de las cuentas).
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+/**
+ * @constant {Object} ROLE_PERMISSIONS - Permisos concedidos a cada rol
+ */
+const ROLE_PERMISSIONS = {
+  patient: [
+    'appointment:create:own',
+    'appointment:read:own',
+    'appointment:update:own',
+    'appointment:cancel:own',
+    'appointment:check-in:own',
+    'encounter-note:read:own',
+    'prescription:read:own',
+    'document:create:own',
+    'document:read:own',
+    'document:delete:own',
+    'medical-profile:read:own',
+    'medical-profile:update:own',
+    'user:read:own',
+    'user:update:own',
+    'notification:read:own',
+    'doctor:read',
+    'availability-exception:read',
+    'holiday:read',
+    'waitlist:join',
+    'waitlist:read:own',
+    'waitlist:leave:own',
+    'waitlist-offer:read:own',
+    'waitlist-offer:respond:own'
+  ],
+  doctor: [
+    'appointment:create:own',
+    'appointment:read:own',
+    'appointment:update:own',
+    'appointment:change-status:own',
+    'appointment:cancel:own',
+    'appointment:cancel-late:own',
+    'appointment:archive:own',
+    'appointment:check-in:own',
+    'appointment:queue:own',
+    'encounter-note:read:own',
+    'encounter-note:write:own',
+    'encounter-note:lock:own',
+    'prescription:create:own',
+    'prescription:read:own',
+    'document:create:own',
+    'document:read:own',
+    'document:delete:own',
+    'medical-profile:read:own',
+    'user:list',
+    'user:read',
+    'notification:read:own',
+    'doctor:read',
+    'doctor:update:own',
+    'availability-exception:read',
+    'availability-exception:manage:own',
+    'holiday:read',
+    'waitlist:read:own'
+  ],
+  admin: [
+    'appointment:create',
+    'appointment:read',
+    'appointment:check-in',
+    'appointment:queue',
+    'prescription:read',
+    'medical-profile:read',
+    'medical-profile:update',
+    'user:list',
+    'user:read',
+    'user:update',
+    'user:delete',
+    'user:reset-no-shows',
+    'notification:read',
+    'doctor:read',
+    'doctor:delete',
+    'availability-exception:read',
+    'availability-exception:manage',
+    'holiday:read',
+    'holiday:manage',
+    'job:read',
+    'job:manage',
+    'no-show-policy:read',
+    'no-show-policy:update',
+    'audit:read'
+  ]
+};
+
+/**
+ * @function getUserRole
+ * @description Obtiene el rol de un usuario autenticado
+ *
+ * @param {Object} user - Usuario autenticado (paciente, administrador o médico)
+ * @returns {String} Rol del usuario
+ */
+const getUserRole = (user) => user.role;
+
+/**
+ * @function getPermissionScope
+ * @description Obtiene el alcance con el que un usuario tiene un permiso
+ *
+ * @param {Object} user - Usuario autenticado
+ * @param {String} permission - Permiso (por ejemplo, 'appointment:cancel')
+ * @returns {String|null} 'any' si puede actuar sobre cualquier registro, 'own' si solo sobre los propios,
+ * o null si no tiene el permiso
+ */
+const getPermissionScope = (user, permission) => {
+  const granted = ROLE_PERMISSIONS[getUserRole(user)] || [];
+  if (granted.includes(permission)) {
+    return 'any';
+  }
+  if (granted.includes(`${permission}:own`)) {
+    return 'own';
+  }
+  return null;
+};
+
+/**
+ * @function isOwner
+ * @description Verifica si el usuario figura entre los propietarios de un registro
+ *
+ * @param {Object} user - Usuario autenticado
+ * @param {ObjectId|String|Object|Array} owners - ID (o documento poblado) del propietario, o lista de ellos
+ * @returns {boolean} true si el usuario es uno de los propietarios
+ */
+const isOwner = (user, owners) => [].concat(owners)
+  .filter(Boolean)
+  .some(owner => (owner._id || owner).toString() === user._id.toString());
+
+/**
+ * @function can
+ * @description Verifica si un usuario puede realizar una acción sobre un registro
+ *
+ * @param {Object} user - Usuario autenticado
+ * @param {String} permission - Permiso (por ejemplo, 'appointment:cancel')
+ * @param {ObjectId|String|Object|Array} [owners] - Propietarios del registro; sin ellos, solo se
+ * concede si el usuario tiene el permiso sobre cualquier registro
+ * @returns {boolean} true si la acción está permitida
+ */
+const can = (user, permission, owners) => {
+  const scope = getPermissionScope(user, permission);
+  return scope === 'any' || (scope === 'own' && owners !== undefined && isOwner(user, owners));
+};
+
+/**
+ * @function appointmentParticipants
+ * @description Obtiene los propietarios de una cita o de un registro asociado a ella: su paciente y su médico
+ *
+ * @param {Object} record - Cita, serie, receta u otro registro con los campos patient y doctor
+ * @returns {Array} IDs (o documentos poblados) del paciente y el médico
+ */
+const appointmentParticipants = (record) => [record.patient, record.doctor];
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  getUserRole,
+  getPermissionScope,
+  isOwner,
+  can,
+  appointmentParticipants
+};
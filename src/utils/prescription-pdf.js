@@ -0,0 +1,97 @@
+/**
+ * @file prescription-pdf.js
+ * @description Generación del documento PDF de una receta médica.
+ * El documento identifica al médico con su especialidad y número de licencia, al paciente,
+ * la fecha de emisión y el medicamento con su dosis, frecuencia, duración e instrucciones.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const PDFDocument = require('pdfkit');
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const { getClinicTimezone } = require('./timezone');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+/**
+ * @function writeField
+ * @description Escribe en el documento un dato con su etiqueta en negrita
+ *
+ * @param {Object} doc - Documento PDF
+ * @param {String} label - Etiqueta del dato
+ * @param {String} value - Valor del dato
+ * @returns {void}
+ * @private
+ */
+const writeField = (doc, label, value) => {
+  doc.font('Helvetica-Bold').text(`${label}: `, { continued: true })
+    .font('Helvetica').text(value || '-');
+};
+
+/**
+ * @function renderPrescriptionPdf
+ * @description Genera el PDF de una receta. El documento se devuelve como flujo de lectura
+ * ya finalizado, listo para enviarse en la respuesta con pipe().
+ *
+ * @param {Object} prescription - Receta con doctor, patient y appointment poblados
+ * @returns {Object} Documento PDF (flujo de lectura)
+ */
+const renderPrescriptionPdf = (prescription) => {
+  const { doctor, patient, appointment } = prescription;
+  const tz = (appointment && appointment.timezone) || getClinicTimezone();
+  const issuedAt = dayjs(prescription.issuedAt).tz(tz);
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 56,
+    info: {
+      Title: `Receta ${prescription._id}`,
+      Author: doctor.name
+    }
+  });
+
+  // Encabezado con los datos del médico
+  doc.font('Helvetica-Bold').fontSize(18).text('Receta médica', { align: 'center' });
+  doc.moveDown();
+  doc.fontSize(11);
+  writeField(doc, 'Médico', doctor.name);
+  writeField(doc, 'Especialidad', doctor.speciality);
+  writeField(doc, 'Número de licencia', doctor.licenseNumber);
+  doc.moveDown();
+
+  // Paciente y fecha de emisión
+  writeField(doc, 'Paciente', patient.name);
+  writeField(doc, 'Fecha de emisión', issuedAt.format('DD/MM/YYYY HH:mm'));
+  doc.moveDown();
+
+  // Prescripción
+  doc.font('Helvetica-Bold').fontSize(13).text('Prescripción');
+  doc.moveDown(0.5);
+  doc.fontSize(11);
+  writeField(doc, 'Medicamento', prescription.medication);
+  writeField(doc, 'Dosis', prescription.dose);
+  writeField(doc, 'Frecuencia', prescription.frequency);
+  writeField(doc, 'Duración', prescription.duration);
+  if (prescription.instructions) {
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').text('Instrucciones');
+    doc.font('Helvetica').text(prescription.instructions);
+  }
+
+  // Firma e identificación de la receta
+  doc.moveDown(4);
+  doc.text('_______________________________', { align: 'right' });
+  doc.text(`${doctor.name} — Lic. ${doctor.licenseNumber}`, { align: 'right' });
+  doc.moveDown(2);
+  doc.fontSize(8).fillColor('gray').text(`Receta ${prescription._id}`, { align: 'left' });
+
+  doc.end();
+  return doc;
+};
+
+module.exports = {
+  renderPrescriptionPdf
+};
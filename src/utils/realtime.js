@@ -0,0 +1,338 @@
+/**
+ * @file realtime.js
+ * @description Publicación de eventos en tiempo real a los usuarios y médicos conectados.
+ * Cada proceso mantiene las suscripciones de sus propios clientes (conexiones SSE) y delega
+ * el reparto de los eventos entre procesos en un adaptador, de modo que un evento publicado en
+ * una réplica llegue a los clientes conectados a cualquier otra.
+ *
+ * Un adaptador es un objeto con:
+ * - publish(event): envía el evento a todos los procesos, incluido el que lo publica
+ * - start(onEvent): comienza a recibir los eventos publicados y los entrega a onEvent
+ * - stop(): deja de recibir eventos
+ *
+ * Adaptadores incluidos:
+ * - memory: reparto dentro del propio proceso (una sola réplica; por defecto)
+ * - mongodb: colección de tamaño fijo en MongoDB leída con un cursor continuo (varias réplicas)
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const { logger } = require('./logger');
+const { WORKER_ID } = require('./job-scheduler');
+const { normalizeDate } = require('./schedule');
+
+/**
+ * @constant {number} TAIL_RETRY_MS - Espera antes de reabrir el cursor de eventos tras cerrarse o fallar
+ */
+const TAIL_RETRY_MS = 1000;
+
+/**
+ * @typedef {Object} RealtimeEvent
+ * @description Evento que se entrega a los clientes conectados
+ *
+ * @property {String} id - Identificador del evento
+ * @property {String} type - Tipo de evento (por ejemplo, 'appointment.updated')
+ * @property {Array<String>} recipients - IDs de los usuarios y médicos que deben recibirlo
+ * @property {Object} data - Contenido del evento
+ * @property {Date} at - Instante de publicación
+ */
+
+/**
+ * @constant {Map<String, Function>} adapterFactories - Fábricas de adaptadores registradas por nombre
+ * @private
+ */
+const adapterFactories = new Map();
+
+/**
+ * @constant {Map<String, Set<Function>>} subscribers - Oyentes de los clientes conectados a este proceso, por destinatario
+ * @private
+ */
+const subscribers = new Map();
+
+/**
+ * @type {Object|null} adapter - Adaptador en uso, creado en el primer uso
+ * @private
+ */
+let adapter = null;
+
+/**
+ * @function dispatch
+ * @description Entrega un evento recibido del adaptador a los oyentes locales de sus destinatarios
+ *
+ * @param {RealtimeEvent} event - Evento recibido
+ * @returns {void}
+ * @private
+ */
+const dispatch = (event) => {
+  event.recipients.forEach(recipientId => {
+    (subscribers.get(recipientId) || []).forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        logger.warn('Error al entregar un evento en tiempo real', { type: event.type, error: error.message });
+      }
+    });
+  });
+};
+
+/**
+ * @function createMemoryAdapter
+ * @description Crea el adaptador de reparto dentro del propio proceso. Solo es adecuado con una réplica.
+ *
+ * @returns {Object} Adaptador
+ */
+const createMemoryAdapter = () => {
+  let handler = null;
+
+  return {
+    name: 'memory',
+    publish: async (event) => {
+      if (handler) {
+        setImmediate(() => handler(event));
+      }
+    },
+    start: (onEvent) => {
+      handler = onEvent;
+    },
+    stop: () => {
+      handler = null;
+    }
+  };
+};
+
+/**
+ * @function createMongoAdapter
+ * @description Crea el adaptador de reparto a través de MongoDB. Cada réplica lee con un cursor
+ * continuo los eventos escritos después de su inicio, por lo que todas reciben todos los eventos.
+ *
+ * Los eventos se leen en el orden en que se insertaron en la colección (orden natural), sin filtrar
+ * por su fecha ni por su ID: ambos los genera la réplica que publica, por lo que un reloj desfasado o
+ * dos eventos en el mismo milisegundo harían que se perdieran. Al reabrir el cursor se recorre la
+ * colección desde el principio y se descartan los eventos hasta el último ya recibido.
+ *
+ * @returns {Object} Adaptador
+ */
+const createMongoAdapter = () => {
+  const RealtimeEventModel = require('../models/realtime-event.model');
+  let cursor = null;
+  let running = false;
+  let initialized = false;
+  // Último evento recibido (o el último escrito al iniciar); null si la colección estaba vacía
+  let lastId = null;
+
+  const tail = async (onEvent) => {
+    while (running) {
+      try {
+        // Al iniciar, partir del último evento ya escrito para no entregar los anteriores
+        if (!initialized) {
+          const newest = await RealtimeEventModel.findOne().sort({ $natural: -1 }).select('_id').lean();
+          lastId = newest ? newest._id : null;
+          initialized = true;
+        }
+
+        // Si el último evento recibido ya fue descartado por la colección de tamaño fijo, todos los
+        // eventos que quedan se escribieron después de él y se entregan
+        let skipping = lastId !== null && Boolean(await RealtimeEventModel.exists({ _id: lastId }));
+        if (lastId !== null && !skipping) {
+          logger.warn('Eventos en tiempo real descartados antes de ser leídos: se reanuda desde el más antiguo conservado');
+        }
+
+        // Un cursor continuo sobre una colección vacía se cierra de inmediato; se reabre tras la espera
+        cursor = RealtimeEventModel.find()
+          .tailable(true, { awaitData: true })
+          .lean()
+          .cursor();
+        for await (const doc of cursor) {
+          if (skipping) {
+            skipping = !doc._id.equals(lastId);
+            continue;
+          }
+          lastId = doc._id;
+          onEvent({
+            id: doc._id.toString(),
+            type: doc.type,
+            recipients: doc.recipients,
+            data: doc.data,
+            at: doc.createdAt
+          });
+        }
+      } catch (error) {
+        if (running) {
+          logger.warn('Cursor de eventos en tiempo real interrumpido', { error: error.message });
+        }
+      }
+      if (running) {
+        await new Promise(resolve => setTimeout(resolve, TAIL_RETRY_MS));
+      }
+    }
+  };
+
+  return {
+    name: 'mongodb',
+    publish: async (event) => {
+      await RealtimeEventModel.create({
+        type: event.type,
+        recipients: event.recipients,
+        data: event.data,
+        origin: WORKER_ID,
+        createdAt: event.at
+      });
+    },
+    start: (onEvent) => {
+      if (running) {
+        return;
+      }
+      running = true;
+      // Asegurar que la colección exista como colección de tamaño fijo antes de leerla
+      RealtimeEventModel.init()
+        .catch(error => logger.warn('No se pudo crear la colección de eventos en tiempo real', { error: error.message }))
+        .then(() => tail(onEvent));
+    },
+    stop: () => {
+      running = false;
+      if (cursor) {
+        cursor.close().catch(() => {});
+      }
+    }
+  };
+};
+
+/**
+ * @function registerRealtimeAdapter
+ * @description Registra una fábrica de adaptadores de reparto, reemplazando a la que tenga el mismo nombre
+ *
+ * @param {String} name - Nombre del adaptador (valor de REALTIME_ADAPTER)
+ * @param {Function} factory - Función que crea el adaptador
+ * @returns {void}
+ */
+const registerRealtimeAdapter = (name, factory) => {
+  adapterFactories.set(name, factory);
+};
+
+/**
+ * @function getAdapter
+ * @description Obtiene el adaptador configurado, creándolo e iniciándolo en el primer uso
+ *
+ * @returns {Object} Adaptador en uso
+ * @private
+ */
+const getAdapter = () => {
+  if (!adapter) {
+    const factory = adapterFactories.get(config.realtime.adapter);
+    if (!factory) {
+      throw new Error(`Adaptador de tiempo real no registrado: ${config.realtime.adapter}`);
+    }
+    adapter = factory();
+    adapter.start(dispatch);
+    logger.info(`Eventos en tiempo real repartidos mediante el adaptador ${adapter.name}`);
+  }
+  return adapter;
+};
+
+/**
+ * @function initRealtime
+ * @description Inicia el adaptador configurado para recibir los eventos publicados por todos los procesos.
+ * Con el adaptador mongodb debe llamarse una vez establecida la conexión a la base de datos.
+ *
+ * @returns {void}
+ */
+const initRealtime = () => {
+  getAdapter();
+};
+
+/**
+ * @function subscribe
+ * @description Suscribe un oyente a los eventos de un usuario o médico conectado a este proceso
+ *
+ * @param {String} recipientId - ID del usuario o médico
+ * @param {Function} listener - Función que recibe cada RealtimeEvent
+ * @returns {Function} Función que cancela la suscripción
+ */
+const subscribe = (recipientId, listener) => {
+  getAdapter();
+  if (!subscribers.has(recipientId)) {
+    subscribers.set(recipientId, new Set());
+  }
+  subscribers.get(recipientId).add(listener);
+
+  return () => {
+    const listeners = subscribers.get(recipientId);
+    if (listeners) {
+      listeners.delete(listener);
+      if (listeners.size === 0) {
+        subscribers.delete(recipientId);
+      }
+    }
+  };
+};
+
+/**
+ * @function publish
+ * @description Publica un evento para sus destinatarios, estén conectados a este u otro proceso
+ *
+ * @param {String} type - Tipo de evento
+ * @param {Array<String>} recipients - IDs de los usuarios y médicos que deben recibirlo
+ * @param {Object} data - Contenido del evento
+ * @returns {Promise<void>}
+ */
+const publish = async (type, recipients, data) => {
+  await getAdapter().publish({
+    id: crypto.randomUUID(),
+    type,
+    recipients: [...new Set(recipients.map(String))],
+    data,
+    at: new Date()
+  });
+};
+
+/**
+ * @function publishAppointmentEvent
+ * @description Publica al médico y al paciente de una cita un evento sobre ella.
+ * Los errores de publicación se registran sin interrumpir a quien guardó la cita.
+ *
+ * @param {String} action - Acción realizada ('created', 'updated', 'cancelled' o 'archived')
+ * @param {Object} appointment - Documento de la cita
+ * @returns {Promise<void>}
+ */
+const publishAppointmentEvent = async (action, appointment) => {
+  const refId = (ref) => (ref instanceof mongoose.Types.ObjectId ? ref : ref._id).toString();
+
+  try {
+    const doctorId = refId(appointment.doctor);
+    const patientId = refId(appointment.patient);
+    await publish(`appointment.${action}`, [doctorId, patientId], {
+      _id: appointment._id.toString(),
+      doctor: doctorId,
+      patient: patientId,
+      date: normalizeDate(appointment.date),
+      time: appointment.time,
+      startsAt: appointment.startsAt,
+      timezone: appointment.timezone,
+      status: appointment.status,
+      isArchived: appointment.isArchived,
+      checkedInAt: appointment.checkedInAt || null
+    });
+  } catch (error) {
+    logger.error('Error al publicar un evento de cita en tiempo real', {
+      appointmentId: appointment._id,
+      action,
+      error: error.message
+    });
+  }
+};
+
+registerRealtimeAdapter('memory', createMemoryAdapter);
+registerRealtimeAdapter('mongodb', createMongoAdapter);
+
+module.exports = {
+  createMemoryAdapter,
+  createMongoAdapter,
+  registerRealtimeAdapter,
+  initRealtime,
+  subscribe,
+  publish,
+  publishAppointmentEvent
+};
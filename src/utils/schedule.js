@@ -0,0 +1,155 @@
+/**
+ * @file schedule.js
+ * @description Utilidades compartidas para el cálculo de horarios de citas.
+ * Centraliza la conversión entre horas en formato HH:MM y minutos desde medianoche,
+ * así como la normalización de fechas, para que modelos y controladores apliquen
+ * exactamente las mismas reglas de programación.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+/**
+ * @constant {RegExp} timeRegex - Expresión regular para validar formato de hora (HH:MM)
+ */
+const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+/**
+ * @function timeToMinutes
+ * @description Convierte una hora en formato HH:MM a minutos desde medianoche
+ *
+ * @param {String} time - Hora en formato HH:MM
+ * @returns {number} Minutos transcurridos desde el inicio del día
+ */
+const timeToMinutes = (time) => {
+  const [hour, minute] = time.split(':').map(Number);
+  return (hour * 60) + minute;
+};
+
+/**
+ * @function minutesToTime
+ * @description Convierte minutos desde medianoche a una hora en formato HH:MM
+ *
+ * @param {number} minutes - Minutos transcurridos desde el inicio del día
+ * @returns {String} Hora en formato HH:MM
+ */
+const minutesToTime = (minutes) => {
+  const hour = String(Math.floor(minutes / 60)).padStart(2, '0');
+  const minute = String(minutes % 60).padStart(2, '0');
+  return `${hour}:${minute}`;
+};
+
+/**
+ * @function normalizeDate
+ * @description Normaliza una fecha (string o Date) a su representación YYYY-MM-DD,
+ * independientemente del formato de entrada
+ *
+ * @param {Date|String} date - Fecha a normalizar
+ * @returns {String} Fecha en formato YYYY-MM-DD
+ */
+const normalizeDate = (date) => {
+  if (typeof date === 'string') {
+    return date.includes('T') ? date.split('T')[0] : date;
+  }
+  if (date instanceof Date) {
+    return date.toISOString().split('T')[0];
+  }
+  // Convertir otro tipo a string
+  return String(date);
+};
+
+/**
+ * @function rangesOverlap
+ * @description Indica si dos intervalos de minutos [start, end) se superponen,
+ * considerando un margen de separación obligatorio entre ellos
+ *
+ * @param {number} startA - Inicio del primer intervalo
+ * @param {number} endA - Fin del primer intervalo
+ * @param {number} startB - Inicio del segundo intervalo
+ * @param {number} endB - Fin del segundo intervalo
+ * @param {number} [gap=0] - Minutos de separación exigidos entre ambos intervalos
+ * @returns {boolean} true si los intervalos se superponen o no respetan la separación
+ */
+const rangesOverlap = (startA, endA, startB, endB, gap = 0) => {
+  return startA < endB + gap && startB < endA + gap;
+};
+
+/**
+ * @function subtractRange
+ * @description Elimina un intervalo de minutos de una lista de bloques, partiendo los bloques afectados
+ *
+ * @param {Array<{start: number, end: number}>} blocks - Bloques de disponibilidad en minutos
+ * @param {number} start - Inicio del intervalo a eliminar
+ * @param {number} end - Fin del intervalo a eliminar
+ * @returns {Array<{start: number, end: number}>} Bloques resultantes
+ */
+const subtractRange = (blocks, start, end) => {
+  return blocks.flatMap(block => {
+    if (!rangesOverlap(block.start, block.end, start, end)) {
+      return [block];
+    }
+    const pieces = [];
+    if (block.start < start) pieces.push({ start: block.start, end: start });
+    if (block.end > end) pieces.push({ start: end, end: block.end });
+    return pieces;
+  });
+};
+
+/**
+ * @function resolveDayBlocks
+ * @description Calcula los bloques de disponibilidad efectivos de un médico para una fecha concreta.
+ * Parte de la disponibilidad semanal del día, elimina los bloqueos que apliquen a la fecha
+ * (día completo o franja horaria) y añade los turnos extraordinarios, que prevalecen sobre los bloqueos.
+ *
+ * @param {Array<Object>} availability - Disponibilidad semanal del médico ({ day, startTime, endTime })
+ * @param {Array<Object>} exceptions - Excepciones de disponibilidad del médico ({ type, startDate, endDate, startTime, endTime })
+ * @param {String} dateOnly - Fecha en formato YYYY-MM-DD
+ * @param {String} dayOfWeek - Día de la semana de la fecha en inglés y minúsculas (monday, tuesday...)
+ * @returns {Array<{start: number, end: number}>} Bloques efectivos ordenados, en minutos desde medianoche
+ */
+const resolveDayBlocks = (availability, exceptions, dateOnly, dayOfWeek) => {
+  let blocks = availability
+    .filter(slot => slot.day === dayOfWeek)
+    .map(slot => ({ start: timeToMinutes(slot.startTime), end: timeToMinutes(slot.endTime) }));
+
+  const applicable = exceptions.filter(exception =>
+    normalizeDate(exception.startDate) <= dateOnly && normalizeDate(exception.endDate) >= dateOnly
+  );
+
+  // Los bloqueos sin horario abarcan el día completo
+  applicable
+    .filter(exception => exception.type === 'block')
+    .forEach(exception => {
+      const start = exception.startTime ? timeToMinutes(exception.startTime) : 0;
+      const end = exception.endTime ? timeToMinutes(exception.endTime) : 24 * 60;
+      blocks = subtractRange(blocks, start, end);
+    });
+
+  applicable
+    .filter(exception => exception.type === 'extra')
+    .forEach(exception => {
+      blocks.push({ start: timeToMinutes(exception.startTime), end: timeToMinutes(exception.endTime) });
+    });
+
+  // Ordenar y fusionar los bloques que se superpongan
+  return blocks
+    .sort((a, b) => a.start - b.start)
+    .reduce((merged, block) => {
+      const last = merged[merged.length - 1];
+      if (last && rangesOverlap(last.start, last.end, block.start, block.end)) {
+        last.end = Math.max(last.end, block.end);
+      } else {
+        merged.push({ ...block });
+      }
+      return merged;
+    }, []);
+};
+
+module.exports = {
+  timeRegex,
+  timeToMinutes,
+  minutesToTime,
+  normalizeDate,
+  rangesOverlap,
+  subtractRange,
+  resolveDayBlocks
+};
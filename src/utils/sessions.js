@@ -0,0 +1,286 @@
+/**
+ * @file sessions.js
+ * @description Gestión de las sesiones de los usuarios y de sus tokens de refresco.
+ *
+ * - Cada inicio de sesión crea una sesión en la base de datos. Los tokens de acceso incluyen su ID (sid),
+ *   de modo que dejan de aceptarse en cuanto la sesión se cierra.
+ * - Los tokens de refresco se firman con una clave distinta de la de los tokens de acceso, y la sesión solo
+ *   guarda el hash del vigente. Cada renovación emite un token de refresco nuevo e invalida el anterior.
+ * - Si se presenta un token de refresco ya sustituido, se asume que fue robado: la sesión se revoca y
+ *   tanto el usuario legítimo como quien lo robó deben volver a iniciar sesión.
+ * - Los inicios de sesión que no entregan token de refresco crean una sesión sin él, que expira con el
+ *   token de acceso.
+ * - Al cerrar sesiones se publica el evento en tiempo real session.revoked, para que todas las réplicas
+ *   cierren las conexiones de eventos abiertas con ellas.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
+const Session = require('../models/session.model');
+const { logger } = require('./logger');
+const { publish } = require('./realtime');
+
+/**
+ * @function hashToken
+ * @description Calcula el hash con el que se guarda un token de refresco
+ *
+ * @param {string} token - Token de refresco
+ * @returns {string} Hash SHA-256 en hexadecimal
+ * @private
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * @function markSessionError
+ * @description Marca un error de token de refresco para que el controlador responda 401
+ *
+ * @param {string} code - 'INVALID_REFRESH_TOKEN' o 'REFRESH_TOKEN_REUSED'
+ * @param {string} message - Descripción del error
+ * @returns {Error} Error marcado
+ * @private
+ */
+const markSessionError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * @function signRefreshToken
+ * @description Genera un token de refresco para una sesión. Cada token lleva un identificador aleatorio,
+ * por lo que dos tokens de la misma sesión nunca coinciden.
+ *
+ * @param {ObjectId} accountId - ID de la cuenta
+ * @param {ObjectId} sessionId - ID de la sesión
+ * @returns {{token: string, tokenHash: string, expiresAt: Date}} Token, su hash y su fecha de expiración
+ * @private
+ */
+const signRefreshToken = (accountId, sessionId) => {
+  const token = jwt.sign({
+    sub: accountId.toString(),
+    sid: sessionId.toString(),
+    type: 'refresh'
+  },
+  config.jwt.refreshSecret,
+  {
+    expiresIn: config.jwt.refreshExpiresIn,
+    algorithm: 'HS256',
+    jwtid: crypto.randomUUID()
+  });
+
+  return {
+    token,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(jwt.decode(token).exp * 1000)
+  };
+};
+
+/**
+ * @function getClientDetails
+ * @description Obtiene la IP y el navegador o aplicación de la solicitud, para identificar la sesión
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @returns {{ip: string, userAgent: string}} Datos del cliente
+ * @private
+ */
+const getClientDetails = (req) => ({
+  ip: req.ip,
+  userAgent: (req.get('User-Agent') || '').slice(0, 256) || undefined
+});
+
+/**
+ * @function activeSessionsFilter
+ * @description Filtro de las sesiones activas de una cuenta
+ *
+ * @param {ObjectId} accountId - ID de la cuenta
+ * @returns {Object} Filtro de consulta
+ * @private
+ */
+const activeSessionsFilter = (accountId) => ({
+  account: accountId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+/**
+ * @function publishRevocation
+ * @description Avisa a todas las réplicas de que se cerraron sesiones de una cuenta, para que cierren
+ * las conexiones de eventos abiertas con ellas. Los errores se registran sin interrumpir el cierre de sesión.
+ *
+ * @param {ObjectId} accountId - ID de la cuenta
+ * @param {Array<ObjectId>|null} sessionIds - Sesiones cerradas, o null si se cerraron todas
+ * @returns {Promise<void>}
+ * @private
+ */
+const publishRevocation = async (accountId, sessionIds) => {
+  try {
+    await publish('session.revoked', [accountId], sessionIds
+      ? { sessions: sessionIds.map(String) }
+      : { allSessions: true });
+  } catch (error) {
+    logger.error('Error al publicar el cierre de sesiones', { accountId, error: error.message });
+  }
+};
+
+/**
+ * @function createSession
+ * @description Crea una sesión para una cuenta que acaba de autenticarse y genera su token de acceso.
+ * Si no se entrega token de refresco, la sesión expira con el token de acceso.
+ *
+ * @param {ObjectId} accountId - ID de la cuenta
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} options - Opciones
+ * @param {Function} options.signAccessToken - Función que recibe el ID de la sesión y devuelve el token de acceso
+ * @param {boolean} [options.withRefreshToken=true] - Si se genera un token de refresco para la sesión
+ * @returns {Promise<{session: Object, token: string, refreshToken: string|null}>} Sesión creada y sus tokens
+ */
+const createSession = async (accountId, req, { signAccessToken, withRefreshToken = true }) => {
+  const session = new Session({ account: accountId, ...getClientDetails(req) });
+  const token = signAccessToken(session._id);
+  let refreshToken = null;
+
+  if (withRefreshToken) {
+    const refresh = signRefreshToken(accountId, session._id);
+    refreshToken = refresh.token;
+    session.tokenHash = refresh.tokenHash;
+    session.expiresAt = refresh.expiresAt;
+  } else {
+    session.expiresAt = new Date(jwt.decode(token).exp * 1000);
+  }
+  await session.save();
+
+  return { session, token, refreshToken };
+};
+
+/**
+ * @function rotateSession
+ * @description Valida un token de refresco y lo sustituye por uno nuevo de la misma sesión.
+ * Si el token ya había sido sustituido, revoca la sesión.
+ *
+ * @param {string} refreshToken - Token de refresco presentado por el cliente
+ * @param {Object} req - Objeto de solicitud Express
+ * @returns {Promise<{session: Object, refreshToken: string}>} Sesión renovada y su nuevo token de refresco
+ * @throws {Error} Con code 'INVALID_REFRESH_TOKEN' si el token no es válido o la sesión ya no está activa,
+ * o 'REFRESH_TOKEN_REUSED' si el token ya había sido sustituido
+ */
+const rotateSession = async (refreshToken, req) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, config.jwt.refreshSecret, { algorithms: ['HS256'] });
+  } catch (error) {
+    throw markSessionError('INVALID_REFRESH_TOKEN', error.message);
+  }
+
+  if (decoded.type !== 'refresh' || !decoded.sid) {
+    throw markSessionError('INVALID_REFRESH_TOKEN', 'El token no es un token de refresco');
+  }
+
+  const session = await Session.findById(decoded.sid);
+  if (!session || !session.isActive() || session.account.toString() !== decoded.sub) {
+    throw markSessionError('INVALID_REFRESH_TOKEN', 'La sesión no existe o ya fue cerrada');
+  }
+
+  // Sustituir el token solo si sigue siendo el vigente: si otra solicitud lo usó antes, no se actualiza nada
+  const presentedHash = hashToken(refreshToken);
+  const { token, tokenHash, expiresAt } = signRefreshToken(session.account, session._id);
+  let rotated = null;
+  if (presentedHash === session.tokenHash) {
+    rotated = await Session.findOneAndUpdate(
+      { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+      { tokenHash, expiresAt, lastUsedAt: new Date(), ...getClientDetails(req) },
+      { new: true }
+    );
+  }
+
+  if (!rotated) {
+    await Session.updateOne(
+      { _id: session._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'reuse-detected' }
+    );
+    await publishRevocation(session.account, [session._id]);
+    logger.warn('Reutilización de token de refresco: sesión revocada', {
+      sessionId: session._id,
+      accountId: session.account,
+      ip: req.ip
+    });
+    throw markSessionError('REFRESH_TOKEN_REUSED', 'El token de refresco ya fue utilizado');
+  }
+
+  return { session: rotated, refreshToken: token };
+};
+
+/**
+ * @function isSessionActive
+ * @description Verifica que una sesión de la cuenta siga abierta
+ *
+ * @param {string} sessionId - ID de la sesión
+ * @param {ObjectId|string} accountId - ID de la cuenta
+ * @returns {Promise<boolean>} true si la sesión está activa
+ */
+const isSessionActive = async (sessionId, accountId) => {
+  if (!sessionId) {
+    return false;
+  }
+  const session = await Session.exists({ _id: sessionId, ...activeSessionsFilter(accountId) });
+  return Boolean(session);
+};
+
+/**
+ * @function getActiveSessions
+ * @description Obtiene las sesiones abiertas de una cuenta, de la usada más recientemente a la más antigua
+ *
+ * @param {ObjectId} accountId - ID de la cuenta
+ * @returns {Promise<Array<Object>>} Sesiones activas
+ */
+const getActiveSessions = (accountId) => Session.find(activeSessionsFilter(accountId))
+  .select('-tokenHash')
+  .sort({ lastUsedAt: -1 });
+
+/**
+ * @function revokeSession
+ * @description Cierra una sesión de la cuenta
+ *
+ * @param {string} sessionId - ID de la sesión
+ * @param {ObjectId} accountId - ID de la cuenta
+ * @param {string} reason - Motivo de la revocación
+ * @returns {Promise<boolean>} true si la sesión estaba abierta y se cerró
+ */
+const revokeSession = async (sessionId, accountId, reason) => {
+  const result = await Session.updateOne(
+    { _id: sessionId, ...activeSessionsFilter(accountId) },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  if (result.modifiedCount > 0) {
+    await publishRevocation(accountId, [sessionId]);
+  }
+  return result.modifiedCount > 0;
+};
+
+/**
+ * @function revokeAllSessions
+ * @description Cierra todas las sesiones abiertas de una cuenta
+ *
+ * @param {ObjectId} accountId - ID de la cuenta
+ * @param {string} reason - Motivo de la revocación
+ * @returns {Promise<number>} Número de sesiones cerradas
+ */
+const revokeAllSessions = async (accountId, reason) => {
+  const result = await Session.updateMany(
+    activeSessionsFilter(accountId),
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  await publishRevocation(accountId, null);
+  return result.modifiedCount;
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  isSessionActive,
+  getActiveSessions,
+  revokeSession,
+  revokeAllSessions
+};
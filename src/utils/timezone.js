@@ -0,0 +1,168 @@
+/**
+ * @file timezone.js
+ * @description Utilidades de zona horaria para el sistema de citas.
+ * Las citas se guardan como un instante absoluto (startsAt) junto con la zona horaria IANA
+ * del médico o de la clínica en la que se expresan su fecha y hora locales. Este módulo
+ * centraliza las conversiones entre hora local de una zona e instante absoluto, para que
+ * la validación no dependa de la zona horaria del servidor y la API pueda responder
+ * en la zona horaria de quien consulta.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const customParseFormat = require('dayjs/plugin/customParseFormat');
+const config = require('../config/config');
+const { timeRegex, normalizeDate } = require('./schedule');
+
+// Configurar plugins de dayjs
+dayjs.extend(utc); // Habilitar manejo de fechas UTC
+dayjs.extend(timezone); // Habilitar manejo de zonas horarias
+dayjs.extend(customParseFormat); // Habilitar análisis con formato explícito
+
+/**
+ * @function isValidTimezone
+ * @description Verifica si una cadena es un identificador de zona horaria IANA válido
+ *
+ * @param {String} tz - Zona horaria a validar (ej. "America/Mexico_City")
+ * @returns {boolean} true si la zona horaria es reconocida
+ */
+const isValidTimezone = (tz) => {
+  if (!tz || typeof tz !== 'string') {
+    return false;
+  }
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * @function getClinicTimezone
+ * @description Obtiene la zona horaria por defecto de la clínica definida en la configuración
+ *
+ * @returns {String} Zona horaria IANA de la clínica
+ */
+const getClinicTimezone = () => config.clinic.timezone;
+
+/**
+ * @function todayInTimezone
+ * @description Obtiene la fecha actual (YYYY-MM-DD) en una zona horaria
+ *
+ * @param {String} tz - Zona horaria IANA
+ * @returns {String} Fecha actual en esa zona horaria
+ */
+const todayInTimezone = (tz) => dayjs().tz(tz).format('YYYY-MM-DD');
+
+/**
+ * @function nowMinutesInTimezone
+ * @description Obtiene la hora actual de una zona horaria en minutos desde medianoche
+ *
+ * @param {String} tz - Zona horaria IANA
+ * @returns {number} Minutos transcurridos desde el inicio del día en esa zona
+ */
+const nowMinutesInTimezone = (tz) => {
+  const now = dayjs().tz(tz);
+  return (now.hour() * 60) + now.minute();
+};
+
+/**
+ * @function toInstant
+ * @description Convierte una fecha y hora locales de una zona horaria en un instante absoluto
+ *
+ * @param {String} dateOnly - Fecha local en formato YYYY-MM-DD
+ * @param {String} time - Hora local en formato HH:MM
+ * @param {String} tz - Zona horaria IANA en la que se expresan fecha y hora
+ * @returns {Date} Instante absoluto correspondiente
+ */
+const toInstant = (dateOnly, time, tz) => {
+  return dayjs.tz(`${dateOnly} ${time.padStart(5, '0')}`, 'YYYY-MM-DD HH:mm', tz).toDate();
+};
+
+/**
+ * @function toWallClock
+ * @description Expresa un instante absoluto como fecha y hora locales de una zona horaria
+ *
+ * @param {Date|String} instant - Instante absoluto
+ * @param {String} tz - Zona horaria IANA de destino
+ * @returns {{date: String, time: String, timezone: String}} Fecha (YYYY-MM-DD) y hora (HH:MM) locales
+ */
+const toWallClock = (instant, tz) => {
+  const local = dayjs(instant).tz(tz);
+  return {
+    date: local.format('YYYY-MM-DD'),
+    time: local.format('HH:mm'),
+    timezone: tz
+  };
+};
+
+/**
+ * @function resolveWallClock
+ * @description Expresa la fecha y hora indicadas por un cliente en la zona horaria de una agenda.
+ * Se acepta un instante absoluto (startsAt) o una fecha y hora expresadas en la zona horaria
+ * del cliente; si el cliente no indicó zona horaria, la fecha y hora se devuelven sin convertir.
+ * Al reprogramar, el dato que no se indique se completa con el valor actual de la cita.
+ *
+ * @param {Object} input - Datos indicados por el cliente
+ * @param {String} [input.date] - Fecha (YYYY-MM-DD)
+ * @param {String} [input.time] - Hora (HH:MM)
+ * @param {String} [input.startsAt] - Instante absoluto en formato ISO 8601
+ * @param {String|null} requestTimezone - Zona horaria del cliente
+ * @param {String} targetTimezone - Zona horaria de la agenda
+ * @param {Date} [current] - Instante actual de la cita, al reprogramar
+ * @returns {{date: String, time: String}|null} Fecha y hora en la zona de la agenda, o null si el formato es inválido
+ */
+const resolveWallClock = ({ date, time, startsAt }, requestTimezone, targetTimezone, current = null) => {
+  if (startsAt) {
+    return dayjs(startsAt).isValid() ? toWallClock(startsAt, targetTimezone) : null;
+  }
+  if (!requestTimezone) {
+    return { date, time };
+  }
+
+  const reference = current ? toWallClock(current, requestTimezone) : {};
+  const localDate = date || reference.date;
+  const localTime = time || reference.time;
+  if (!localDate || !dayjs(localDate).isValid() || !timeRegex.test(localTime)) {
+    return null;
+  }
+  return toWallClock(toInstant(normalizeDate(localDate), localTime, requestTimezone), targetTimezone);
+};
+
+/**
+ * @function resolveRequestTimezone
+ * @description Obtiene la zona horaria de quien realiza la solicitud.
+ * Se busca, en orden, en la cabecera X-Timezone, el parámetro de consulta `timezone`
+ * y el campo `timezone` del cuerpo.
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @returns {{timezone: (String|null), invalid: boolean}} Zona horaria indicada (o null si no se indicó)
+ * y si el valor indicado es inválido
+ */
+const resolveRequestTimezone = (req) => {
+  const requested = req.get('X-Timezone') ||
+    (req.query && req.query.timezone) ||
+    (req.body && typeof req.body === 'object' && req.body.timezone);
+
+  if (!requested) {
+    return { timezone: null, invalid: false };
+  }
+  return isValidTimezone(requested)
+    ? { timezone: requested, invalid: false }
+    : { timezone: null, invalid: true };
+};
+
+module.exports = {
+  isValidTimezone,
+  getClinicTimezone,
+  todayInTimezone,
+  nowMinutesInTimezone,
+  toInstant,
+  toWallClock,
+  resolveWallClock,
+  resolveRequestTimezone
+};
@@ -0,0 +1,282 @@
+/**
+ * @file booking-concurrency.test.js
+ * @description Pruebas de reservas simultáneas del mismo horario.
+ * Las colecciones de citas y de bloqueos de agenda se emulan en memoria con las mismas garantías que
+ * MongoDB (operaciones atómicas por documento e índices únicos), intercalando las operaciones de las
+ * reservas simultáneas para reproducir las condiciones de carrera.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const dayjs = require('dayjs');
+const { logger } = require('../src/utils/logger');
+const { logger: configLogger } = require('../src/config/config');
+const { todayInTimezone } = require('../src/utils/timezone');
+const Appointment = require('../src/models/appointment.model');
+const BookingLock = require('../src/models/booking-lock.model');
+const Doctor = require('../src/models/doctor.model');
+const User = require('../src/models/user.model');
+const Holiday = require('../src/models/holiday.model');
+const AvailabilityException = require('../src/models/availability-exception.model');
+const WaitlistOffer = require('../src/models/waitlist-offer.model');
+const NoShowPolicy = require('../src/models/no-show-policy.model');
+const { createAppointment } = require('../src/controllers/appointment.controller');
+
+const PARALLEL_BOOKINGS = 5;
+const ACTIVE_STATUSES = ['pending', 'confirmed', 'in-progress'];
+
+const newId = () => new mongoose.Types.ObjectId();
+
+/**
+ * Cede el turno a las demás operaciones en curso, como haría una consulta a la base de datos
+ */
+const tick = () => new Promise(resolve => setTimeout(resolve, 1));
+
+/**
+ * Error de clave duplicada, tal como lo devuelve MongoDB al violar un índice único
+ */
+const duplicateKeyError = (index) => Object.assign(new Error(`E11000 duplicate key error index: ${index}`), { code: 11000 });
+
+const doctor = new Doctor({
+  _id: newId(),
+  name: 'Dra. Prueba',
+  email: 'doctora@example.com',
+  password: 'secret123',
+  phoneNumber: '600000000',
+  speciality: 'Medicina general',
+  licenseNumber: 'LIC-1',
+  availability: [{ day: 'monday', startTime: '09:00', endTime: '17:00' }]
+});
+
+// Médica con turno partido en bloques contiguos: 10:00 es válida en el primer bloque y 10:15 en el
+// segundo, pero entre ambas citas no quedan los 30 minutos de separación
+const bufferDoctor = new Doctor({
+  _id: newId(),
+  name: 'Dra. Separación',
+  email: 'separacion@example.com',
+  password: 'secret123',
+  phoneNumber: '600000001',
+  speciality: 'Medicina general',
+  licenseNumber: 'LIC-2',
+  appointmentDuration: 15,
+  bufferTime: 30,
+  availability: [
+    { day: 'monday', startTime: '10:00', endTime: '10:15' },
+    { day: 'monday', startTime: '10:15', endTime: '12:00' }
+  ]
+});
+
+// Próximo lunes, al menos una semana después de hoy en la zona horaria del médico
+const today = dayjs(todayInTimezone(doctor.getScheduleSettings().timezone));
+const BOOKING_DATE = today.add(7 + ((8 - today.day()) % 7), 'day').format('YYYY-MM-DD');
+
+let appointments;
+let locks;
+
+/**
+ * Emula la colección de citas con su índice único parcial active_slot_unique
+ */
+const emulateAppointments = () => {
+  jest.spyOn(Appointment.collection, 'insertOne').mockImplementation(async (doc) => {
+    await tick();
+    const taken = appointments.some(existing =>
+      ACTIVE_STATUSES.includes(existing.status) && ACTIVE_STATUSES.includes(doc.status) &&
+      existing.doctor.toString() === doc.doctor.toString() &&
+      existing.date.getTime() === doc.date.getTime() &&
+      existing.time === doc.time
+    );
+    if (taken) {
+      throw duplicateKeyError('active_slot_unique');
+    }
+    appointments.push(doc);
+    return { acknowledged: true, insertedId: doc._id };
+  });
+
+  jest.spyOn(Appointment, 'find').mockImplementation((filter) => ({
+    select: async () => {
+      await tick();
+      return appointments.filter(existing =>
+        existing.doctor.toString() === filter.doctor.toString() &&
+        existing.date.getTime() === filter.date.getTime() &&
+        !filter.status.$nin.includes(existing.status) &&
+        String(existing._id) !== String(filter._id.$ne)
+      );
+    }
+  }));
+};
+
+/**
+ * Emula la colección de bloqueos de agenda con su índice único {doctor, date}
+ */
+const emulateBookingLocks = () => {
+  jest.spyOn(BookingLock, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    await tick();
+    const key = `${filter.doctor}|${filter.date.toISOString()}`;
+    const existing = locks.get(key);
+    // Si el bloqueo existe y no expiró, el upsert intenta insertar un duplicado
+    if (existing && existing.expiresAt > filter.expiresAt.$lte) {
+      throw duplicateKeyError('doctor_1_date_1');
+    }
+    const lock = { _id: newId(), doctor: filter.doctor, date: filter.date, ...existing, ...update.$set };
+    locks.set(key, lock);
+    return BookingLock.hydrate(lock);
+  });
+
+  jest.spyOn(BookingLock, 'deleteOne').mockImplementation(async (filter) => {
+    await tick();
+    for (const [key, lock] of locks) {
+      if (lock._id.toString() === filter._id.toString() && lock.owner === filter.owner) {
+        locks.delete(key);
+      }
+    }
+    return { deletedCount: 1 };
+  });
+};
+
+/**
+ * Crea una cita para un paciente distinto en cada llamada
+ */
+const buildAppointment = (time, status = 'pending', doctorId = doctor._id) => new Appointment({
+  patient: newId(),
+  doctor: doctorId,
+  date: BOOKING_DATE,
+  time,
+  reason: 'Consulta de control',
+  status
+});
+
+/**
+ * Espera el resultado de todas las reservas y las separa en correctas y rechazadas
+ */
+const settle = async (promises) => {
+  const results = await Promise.allSettled(promises);
+  return {
+    fulfilled: results.filter(result => result.status === 'fulfilled').map(result => result.value),
+    rejected: results.filter(result => result.status === 'rejected').map(result => result.reason)
+  };
+};
+
+beforeAll(() => {
+  logger.silent = true;
+  configLogger.silent = true;
+  // Las consultas no emuladas fallan de inmediato en lugar de esperar una conexión
+  mongoose.set('bufferCommands', false);
+});
+
+beforeEach(() => {
+  appointments = [];
+  locks = new Map();
+  emulateAppointments();
+  emulateBookingLocks();
+  jest.spyOn(Doctor, 'findById').mockResolvedValue(doctor);
+  jest.spyOn(Holiday, 'findForRange').mockResolvedValue([]);
+  jest.spyOn(AvailabilityException, 'findForRange').mockResolvedValue([]);
+  jest.spyOn(WaitlistOffer, 'findActiveHolds').mockResolvedValue([]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('reservas simultáneas con bloqueo de agenda', () => {
+  test('solo una de varias reservas simultáneas del mismo horario se guarda', async () => {
+    const { fulfilled, rejected } = await settle(
+      Array.from({ length: PARALLEL_BOOKINGS }, () => buildAppointment('10:00').save())
+    );
+
+    expect(fulfilled).toHaveLength(1);
+    expect(rejected).toHaveLength(PARALLEL_BOOKINGS - 1);
+    rejected.forEach(error => {
+      expect(error.code).toBe('BOOKING_CONFLICT');
+      expect(error.message).toBe('Ya existe una cita agendada en este horario');
+    });
+    // Con el bloqueo, las demás reservas se rechazan al verificar la disponibilidad, sin llegar a escribir
+    expect(Appointment.collection.insertOne).toHaveBeenCalledTimes(1);
+    expect(appointments).toHaveLength(1);
+    expect(locks.size).toBe(0);
+  });
+
+  test('las reservas simultáneas de horarios distintos del mismo día se guardan todas', async () => {
+    const { fulfilled, rejected } = await settle(['10:00', '10:30', '11:00'].map(time => buildAppointment(time).save()));
+
+    expect(rejected).toHaveLength(0);
+    expect(fulfilled).toHaveLength(3);
+    expect(appointments.map(appointment => appointment.time).sort()).toEqual(['10:00', '10:30', '11:00']);
+  });
+
+  test('de dos reservas simultáneas en horarios válidos pero sin la separación requerida, solo una se guarda', async () => {
+    Doctor.findById.mockResolvedValue(bufferDoctor);
+
+    // Cada horario es válido por separado
+    await expect(Appointment.checkAvailability(bufferDoctor._id, BOOKING_DATE, '10:00')).resolves.toBe(true);
+    await expect(Appointment.checkAvailability(bufferDoctor._id, BOOKING_DATE, '10:15')).resolves.toBe(true);
+
+    const { fulfilled, rejected } = await settle(
+      ['10:00', '10:15'].map(time => buildAppointment(time, 'pending', bufferDoctor._id).save())
+    );
+
+    expect(fulfilled).toHaveLength(1);
+    expect(rejected).toHaveLength(1);
+    expect(rejected[0].code).toBe('BOOKING_CONFLICT');
+    expect(rejected[0].message).toBe('Debe haber al menos 30 minutos entre citas');
+    // El índice único no cubre este caso: solo el bloqueo de agenda evita que se guarden ambas
+    expect(appointments).toHaveLength(1);
+  });
+
+  test('las solicitudes simultáneas a la API responden 201 una vez y 409 las demás', async () => {
+    jest.spyOn(User, 'exists').mockResolvedValue({ _id: newId() });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => null });
+    jest.spyOn(NoShowPolicy, 'getCurrent').mockResolvedValue(new NoShowPolicy());
+    jest.spyOn(Appointment.prototype, 'populate').mockImplementation(async function() {
+      return this;
+    });
+
+    const responses = await Promise.all(Array.from({ length: PARALLEL_BOOKINGS }, async () => {
+      const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+      await createAppointment({
+        user: { _id: newId(), role: 'patient' },
+        body: { doctorId: doctor._id.toString(), date: BOOKING_DATE, time: '10:00', reason: 'Consulta de control' },
+        get: () => undefined
+      }, res);
+      return res.status.mock.calls[0][0];
+    }));
+
+    expect(responses.filter(code => code === 201)).toHaveLength(1);
+    expect(responses.filter(code => code === 409)).toHaveLength(PARALLEL_BOOKINGS - 1);
+    expect(appointments).toHaveLength(1);
+  });
+});
+
+describe('índice único active_slot_unique', () => {
+  beforeEach(() => {
+    // Simular bloqueos que no excluyen a las demás reservas (por ejemplo, un bloqueo expirado y reclamado
+    // mientras su dueño seguía escribiendo), de modo que todas superan la verificación de disponibilidad
+    jest.spyOn(BookingLock, 'acquire').mockImplementation(async () => ({ release: async () => {} }));
+    jest.spyOn(Appointment, 'checkAvailability').mockResolvedValue(true);
+  });
+
+  test('solo una de varias citas simultáneas del mismo horario se escribe', async () => {
+    const { fulfilled, rejected } = await settle(
+      Array.from({ length: PARALLEL_BOOKINGS }, () => Appointment.create(buildAppointment('10:00').toObject()))
+    );
+
+    expect(fulfilled).toHaveLength(1);
+    expect(rejected).toHaveLength(PARALLEL_BOOKINGS - 1);
+    rejected.forEach(error => {
+      expect(error.code).toBe('BOOKING_CONFLICT');
+      expect(error.message).toBe('Ya existe una cita agendada en este horario');
+    });
+    expect(appointments).toHaveLength(1);
+  });
+
+  test('una cita cancelada no ocupa el horario', async () => {
+    await buildAppointment('10:00', 'cancelled').save();
+
+    const { fulfilled, rejected } = await settle([buildAppointment('10:00').save(), buildAppointment('10:00').save()]);
+
+    expect(fulfilled).toHaveLength(1);
+    expect(rejected).toHaveLength(1);
+    expect(appointments.map(appointment => appointment.status).sort()).toEqual(['cancelled', 'pending']);
+  });
+});
@@ -0,0 +1,282 @@
+/**
+ * @file permissions.test.js
+ * @description Pruebas de la política de permisos: matriz de rol × acción × propietario/no propietario,
+ * middleware authorize y verificación de la agenda y el paciente al crear citas y series de citas.
+ * @author Equipo de Desarrollo
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const { logger } = require('../src/utils/logger');
+const { logger: configLogger } = require('../src/config/config');
+const { can, getPermissionScope, ROLE_PERMISSIONS } = require('../src/utils/permissions');
+const { authorize } = require('../src/middlewares/auth.middleware');
+const Appointment = require('../src/models/appointment.model');
+const User = require('../src/models/user.model');
+const Doctor = require('../src/models/doctor.model');
+const NoShowPolicy = require('../src/models/no-show-policy.model');
+const { createAppointment } = require('../src/controllers/appointment.controller');
+const { createSeries } = require('../src/controllers/appointment-series.controller');
+
+const newId = () => new mongoose.Types.ObjectId();
+
+/**
+ * Crea un objeto de respuesta Express que registra el estado y el cuerpo enviados
+ */
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(code => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn(body => {
+    res.body = body;
+    return res;
+  });
+  return res;
+};
+
+const users = {
+  patient: { _id: newId(), role: 'patient' },
+  doctor: { _id: newId(), role: 'doctor' },
+  admin: { _id: newId(), role: 'admin' }
+};
+
+/**
+ * Matriz de permisos: para cada acción, si cada rol puede realizarla sobre un registro propio y sobre uno ajeno
+ * [permiso, [paciente propio, paciente ajeno], [médico propio, médico ajeno], [admin propio, admin ajeno]]
+ */
+const MATRIX = [
+  ['appointment:create', [true, false], [true, false], [true, true]],
+  ['appointment:read', [true, false], [true, false], [true, true]],
+  ['appointment:update', [true, false], [true, false], [false, false]],
+  ['appointment:change-status', [false, false], [true, false], [false, false]],
+  ['appointment:cancel', [true, false], [true, false], [false, false]],
+  ['appointment:cancel-late', [false, false], [true, false], [false, false]],
+  ['appointment:archive', [false, false], [true, false], [false, false]],
+  ['appointment:check-in', [true, false], [true, false], [true, true]],
+  ['appointment:queue', [false, false], [true, false], [true, true]],
+  ['encounter-note:read', [true, false], [true, false], [false, false]],
+  ['encounter-note:write', [false, false], [true, false], [false, false]],
+  ['prescription:create', [false, false], [true, false], [false, false]],
+  ['prescription:read', [true, false], [true, false], [true, true]],
+  ['document:create', [true, false], [true, false], [false, false]],
+  ['document:delete', [true, false], [true, false], [false, false]],
+  ['medical-profile:read', [true, false], [true, false], [true, true]],
+  ['medical-profile:update', [true, false], [false, false], [true, true]],
+  ['user:read', [true, false], [true, true], [true, true]],
+  ['user:update', [true, false], [false, false], [true, true]],
+  ['user:delete', [false, false], [false, false], [true, true]],
+  ['user:reset-no-shows', [false, false], [false, false], [true, true]],
+  ['doctor:update', [false, false], [true, false], [false, false]],
+  ['doctor:delete', [false, false], [false, false], [true, true]],
+  ['availability-exception:manage', [false, false], [true, false], [true, true]],
+  ['holiday:manage', [false, false], [false, false], [true, true]],
+  ['waitlist:join', [true, true], [false, false], [false, false]],
+  ['waitlist-offer:respond', [true, false], [false, false], [false, false]],
+  ['job:manage', [false, false], [false, false], [true, true]],
+  ['no-show-policy:update', [false, false], [false, false], [true, true]],
+  ['audit:read', [false, false], [false, false], [true, true]]
+];
+
+const CASES = MATRIX.flatMap(([permission, ...byRole]) => ['patient', 'doctor', 'admin'].flatMap((role, index) => [
+  [role, permission, 'propio', byRole[index][0]],
+  [role, permission, 'ajeno', byRole[index][1]]
+]));
+
+beforeAll(() => {
+  logger.silent = true;
+  configLogger.silent = true;
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('can', () => {
+  test.each(CASES)('%s · %s · registro %s → %s', (role, permission, ownership, expected) => {
+    const user = users[role];
+    const owners = ownership === 'propio' ? [newId(), user._id] : [newId(), newId()];
+    expect(can(user, permission, owners)).toBe(expected);
+  });
+
+  test('los permisos sobre registros propios no se conceden sin indicar propietarios', () => {
+    expect(getPermissionScope(users.patient, 'appointment:cancel')).toBe('own');
+    expect(can(users.patient, 'appointment:cancel')).toBe(false);
+    expect(can(users.admin, 'appointment:create')).toBe(true);
+  });
+
+  test('acepta propietarios como documentos poblados o cadenas', () => {
+    expect(can(users.doctor, 'appointment:read', [{ _id: users.doctor._id }])).toBe(true);
+    expect(can(users.doctor, 'appointment:read', users.doctor._id.toString())).toBe(true);
+  });
+
+  test('un rol desconocido no tiene permisos', () => {
+    expect(can({ _id: newId(), role: 'guest' }, 'doctor:read')).toBe(false);
+  });
+
+  test('todos los permisos de la matriz existen en la política', () => {
+    const granted = Object.values(ROLE_PERMISSIONS).flat().map(permission => permission.replace(/:own$/, ''));
+    MATRIX.forEach(([permission]) => expect(granted).toContain(permission));
+  });
+});
+
+describe('authorize', () => {
+  const run = (user, permission, ownerId) => {
+    const req = { user, path: '/test', params: { id: ownerId } };
+    const res = mockResponse();
+    const next = jest.fn();
+    authorize(permission, request => request.params.id)(req, res, next);
+    return { res, next };
+  };
+
+  test.each(CASES)('%s · %s · registro %s → %s', (role, permission, ownership, expected) => {
+    const user = users[role];
+    const { res, next } = run(user, permission, ownership === 'propio' ? user._id : newId());
+    if (expected) {
+      expect(next).toHaveBeenCalled();
+    } else {
+      expect(next).not.toHaveBeenCalled();
+      expect(res.statusCode).toBe(403);
+    }
+  });
+
+  test('sin usuario autenticado responde 401', () => {
+    const { res, next } = run(undefined, 'doctor:read', newId());
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(401);
+  });
+});
+
+describe('createAppointment: agenda y paciente', () => {
+  const otherDoctorId = newId();
+  const patientId = newId();
+
+  const book = async (user, body) => {
+    const req = {
+      user,
+      body: { date: '2030-01-15', time: '10:00', reason: 'Control', ...body },
+      get: () => undefined
+    };
+    const res = mockResponse();
+    await createAppointment(req, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(User, 'exists').mockImplementation(async (filter) => (
+      filter.role === 'patient' && filter._id.toString() === patientId.toString() ? { _id: patientId } : null
+    ));
+    jest.spyOn(NoShowPolicy, 'getCurrent').mockResolvedValue(new NoShowPolicy());
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => null });
+    // Detener la creación tras las verificaciones de permisos
+    jest.spyOn(Appointment, 'checkAvailability').mockRejectedValue(new Error('Horario no disponible'));
+  });
+
+  test('un médico no puede agendar en la agenda de otro indicándose como paciente', async () => {
+    const res = await book(users.doctor, { doctorId: otherDoctorId, patientId: users.doctor._id });
+    expect(res.statusCode).toBe(403);
+    expect(User.exists).not.toHaveBeenCalled();
+  });
+
+  test('un médico no puede agendar en la agenda de otro para un paciente', async () => {
+    const res = await book(users.doctor, { doctorId: otherDoctorId, patientId });
+    expect(res.statusCode).toBe(403);
+  });
+
+  test('un médico puede agendar en su agenda para un paciente existente', async () => {
+    const res = await book(users.doctor, { doctorId: users.doctor._id, patientId });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Error de disponibilidad');
+  });
+
+  test('el paciente indicado debe ser una cuenta de paciente', async () => {
+    const res = await book(users.doctor, { doctorId: users.doctor._id, patientId: users.doctor._id });
+    expect(res.statusCode).toBe(404);
+  });
+
+  test('un ID de paciente mal formado responde 400', async () => {
+    const res = await book(users.admin, { doctorId: otherDoctorId, patientId: 'no-es-un-id' });
+    expect(res.statusCode).toBe(400);
+    expect(User.exists).not.toHaveBeenCalled();
+  });
+
+  test('un administrador puede agendar para cualquier médico y paciente existente', async () => {
+    const res = await book(users.admin, { doctorId: otherDoctorId, patientId });
+    expect(res.body.message).toBe('Error de disponibilidad');
+  });
+
+  test('un paciente no puede agendar para otro paciente', async () => {
+    const res = await book(users.patient, { doctorId: otherDoctorId, patientId });
+    expect(res.statusCode).toBe(400);
+    expect(User.exists).not.toHaveBeenCalled();
+    expect(Appointment.checkAvailability).toHaveBeenCalledWith(otherDoctorId, '2030-01-15', '10:00');
+  });
+});
+
+describe('createSeries: agenda y paciente', () => {
+  const otherDoctorId = newId();
+  const patientId = newId();
+
+  const bookSeries = async (user, body) => {
+    const req = {
+      user,
+      body: { startDate: '2030-01-15', time: '10:00', occurrences: 4, reason: 'Control', ...body },
+      get: () => undefined
+    };
+    const res = mockResponse();
+    await createSeries(req, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(User, 'exists').mockImplementation(async (filter) => (
+      filter.role === 'patient' && filter._id.toString() === patientId.toString() ? { _id: patientId } : null
+    ));
+    jest.spyOn(NoShowPolicy, 'getCurrent').mockResolvedValue(new NoShowPolicy());
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => null });
+    // Detener la creación tras las verificaciones de permisos
+    jest.spyOn(Doctor, 'findById').mockResolvedValue(null);
+  });
+
+  test('un médico no puede agendar una serie en la agenda de otro indicándose como paciente', async () => {
+    const res = await bookSeries(users.doctor, { doctorId: otherDoctorId, patientId: users.doctor._id });
+    expect(res.statusCode).toBe(403);
+    expect(User.exists).not.toHaveBeenCalled();
+    expect(Doctor.findById).not.toHaveBeenCalled();
+  });
+
+  test('un médico no puede agendar una serie en la agenda de otro para un paciente', async () => {
+    const res = await bookSeries(users.doctor, { doctorId: otherDoctorId, patientId });
+    expect(res.statusCode).toBe(403);
+  });
+
+  test('un médico puede agendar una serie en su agenda para un paciente existente', async () => {
+    const res = await bookSeries(users.doctor, { doctorId: users.doctor._id, patientId });
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe('Médico no encontrado');
+  });
+
+  test('el paciente indicado debe ser una cuenta de paciente', async () => {
+    const res = await bookSeries(users.doctor, { doctorId: users.doctor._id, patientId: users.doctor._id });
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe('Paciente no encontrado');
+  });
+
+  test('un ID de paciente mal formado responde 400', async () => {
+    const res = await bookSeries(users.admin, { doctorId: otherDoctorId, patientId: 'no-es-un-id' });
+    expect(res.statusCode).toBe(400);
+    expect(User.exists).not.toHaveBeenCalled();
+  });
+
+  test('un administrador puede agendar una serie para cualquier médico y paciente existente', async () => {
+    const res = await bookSeries(users.admin, { doctorId: otherDoctorId, patientId });
+    expect(res.body.message).toBe('Médico no encontrado');
+  });
+
+  test('un paciente agenda la serie para sí mismo aunque indique otro paciente', async () => {
+    const res = await bookSeries(users.patient, { doctorId: otherDoctorId, patientId });
+    expect(res.body.message).toBe('Médico no encontrado');
+    expect(User.exists).not.toHaveBeenCalled();
+  });
+});